@@ -0,0 +1,82 @@
+// src/api/catalogMappingRoutes.js
+// 번개장터 카테고리/브랜드 매핑 관리 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const catalogMappingController = require('../controllers/catalogMappingController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const categoryIdParam = param('categoryId').trim().isNumeric().withMessage('categoryId는 숫자여야 합니다.');
+const brandIdParam = param('brandId').trim().notEmpty().withMessage('brandId는 필수입니다.');
+
+// GET /api/catalog-mappings/categories
+router.get('/categories', catalogMappingController.listCategoryMappings);
+
+// GET /api/catalog-mappings/categories/unmapped?days=7&limit=100
+router.get(
+  '/categories/unmapped',
+  [
+    query('days').optional().isInt({ min: 1, max: 90 }).withMessage('days는 1~90 사이의 정수여야 합니다.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit은 1~1000 사이의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  catalogMappingController.getUnmappedCategories
+);
+
+// GET /api/catalog-mappings/categories/:categoryId
+router.get('/categories/:categoryId', [categoryIdParam], handleValidationErrors, catalogMappingController.getCategoryMapping);
+
+// PUT /api/catalog-mappings/categories/:categoryId
+// 예: { "shopifyProductType": "K-Pop Albums", "collectionGids": ["gid://shopify/Collection/123"], "tags": ["Album"] }
+// 상품 유형이 바뀌면 해당 카테고리의 동기화 상품은 다음 카탈로그 실행에서 다시 동기화됩니다. (태그/컬렉션은 분류 백필로 반영)
+router.put(
+  '/categories/:categoryId',
+  [
+    categoryIdParam,
+    body(['bunjangCategoryName', 'shopifyProductType', 'notes']).optional({ values: 'null' }).isString().withMessage('문자열이어야 합니다.').trim(),
+    body(['collectionGids', 'tags']).optional().isArray().withMessage('collectionGids와 tags는 배열이어야 합니다.'),
+    body('tags.*').isString().trim().notEmpty().withMessage('tags에 빈 값이 있습니다.'),
+    body('collectionGids.*').isString().trim().matches(/^gid:\/\/shopify\/Collection\/\d+$/).withMessage('collectionGids는 Shopify 컬렉션 GID여야 합니다.'),
+    body(['includeSubcategories', 'enabled']).optional().isBoolean().withMessage('true 또는 false여야 합니다.').toBoolean(),
+  ],
+  handleValidationErrors,
+  catalogMappingController.upsertCategoryMapping
+);
+
+// DELETE /api/catalog-mappings/categories/:categoryId
+router.delete('/categories/:categoryId', [categoryIdParam], handleValidationErrors, catalogMappingController.deleteCategoryMapping);
+
+// GET /api/catalog-mappings/brands?search=&limit=50&skip=0
+router.get(
+  '/brands',
+  [
+    query('search').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit은 1~200 사이의 정수여야 합니다.').toInt(),
+    query('skip').optional().isInt({ min: 0 }).withMessage('skip은 0 이상의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  catalogMappingController.listBrandMappings
+);
+
+// POST /api/catalog-mappings/brands/seed
+router.post('/brands/seed', catalogMappingController.seedBrands);
+
+// PUT /api/catalog-mappings/brands/:brandId  예: { "displayName": "Nike" }
+// vendor 이름이 바뀌면 해당 브랜드의 동기화 상품은 다음 카탈로그 실행에서 다시 동기화됩니다.
+router.put(
+  '/brands/:brandId',
+  [
+    brandIdParam,
+    body(['displayName', 'bunjangBrandName']).optional({ values: 'null' }).isString().withMessage('문자열이어야 합니다.').trim(),
+    body('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+  ],
+  handleValidationErrors,
+  catalogMappingController.upsertBrandMapping
+);
+
+// DELETE /api/catalog-mappings/brands/:brandId
+router.delete('/brands/:brandId', [brandIdParam], handleValidationErrors, catalogMappingController.deleteBrandMapping);
+
+module.exports = router;
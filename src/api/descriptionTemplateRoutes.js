@@ -0,0 +1,71 @@
+// src/api/descriptionTemplateRoutes.js
+// 상품 설명 템플릿 관리 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const descriptionTemplateController = require('../controllers/descriptionTemplateController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const templateIdParam = param('templateId').isMongoId().withMessage('templateId는 유효한 ID여야 합니다.');
+
+// 템플릿 필드 검증 (생성/수정 공통, 필수 여부는 각 라우트에서 확인)
+const templateValidators = [
+  body('body').optional().isString().notEmpty().withMessage('body는 비어 있을 수 없습니다.'),
+  body('categoryIds').optional().isArray().withMessage('categoryIds는 배열이어야 합니다.'),
+  body('categoryIds.*').isString().trim().isNumeric().withMessage('categoryIds에는 숫자 카테고리 ID만 넣을 수 있습니다.'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault는 true 또는 false여야 합니다.').toBoolean(),
+  body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+  body('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+  body('notes').optional().isString().trim(),
+];
+
+// GET /api/description-templates
+router.get('/', descriptionTemplateController.listDescriptionTemplates);
+
+// POST /api/description-templates/preview
+// 예: { "bunjangPid": "123456789" } 또는 저장 전 본문 확인 { "bunjangPid": "123456789", "body": "<p>{{conditionLabel}}</p>{{description}}" }
+router.post(
+  '/preview',
+  [
+    body('bunjangPid').isString().trim().isNumeric().withMessage('bunjangPid는 숫자여야 합니다.'),
+    body('templateId').optional().isMongoId().withMessage('templateId는 유효한 ID여야 합니다.'),
+    body('body').optional().isString().notEmpty().withMessage('body는 비어 있을 수 없습니다.'),
+  ],
+  handleValidationErrors,
+  descriptionTemplateController.previewDescriptionTemplate
+);
+
+// GET /api/description-templates/:templateId
+router.get('/:templateId', [templateIdParam], handleValidationErrors, descriptionTemplateController.getDescriptionTemplate);
+
+// POST /api/description-templates
+// 예: { "name": "Fashion", "categoryIds": ["310", "320"], "body": "<p><span class=\"badge\">{{conditionLabel}}</span></p>{{description}}<p>Ships from Korea. Bunjang #{{bunjangPid}}</p>" }
+router.post(
+  '/',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name은 필수입니다.'),
+    body('body').exists().withMessage('body는 필수입니다.'),
+    ...templateValidators,
+  ],
+  handleValidationErrors,
+  descriptionTemplateController.createDescriptionTemplate
+);
+
+// PATCH /api/description-templates/:templateId
+router.patch(
+  '/:templateId',
+  [
+    templateIdParam,
+    body('name').optional().isString().trim().notEmpty().withMessage('name은 비어 있을 수 없습니다.'),
+    ...templateValidators,
+  ],
+  handleValidationErrors,
+  descriptionTemplateController.updateDescriptionTemplate
+);
+
+// DELETE /api/description-templates/:templateId
+router.delete('/:templateId', [templateIdParam], handleValidationErrors, descriptionTemplateController.deleteDescriptionTemplate);
+
+module.exports = router;
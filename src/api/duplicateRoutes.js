@@ -0,0 +1,43 @@
+// src/api/duplicateRoutes.js
+// 근사 중복 리스팅 그룹 검토 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const duplicateController = require('../controllers/duplicateController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const DuplicateGroup = require('../models/duplicateGroup.model');
+
+const router = express.Router();
+
+const statusMessage = `status는 ${DuplicateGroup.REVIEW_STATUSES.join(', ')} 중 하나여야 합니다.`;
+const groupIdParam = param('groupId').isMongoId().withMessage('groupId는 유효한 ID여야 합니다.');
+
+// GET /api/duplicates?status=OPEN&sellerUid=12345
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(DuplicateGroup.REVIEW_STATUSES).withMessage(statusMessage),
+    query('sellerUid').optional().isString().trim().notEmpty(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit은 1~200 사이의 정수여야 합니다.').toInt(),
+    query('skip').optional().isInt({ min: 0 }).withMessage('skip은 0 이상의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  duplicateController.listDuplicateGroups
+);
+
+// GET /api/duplicates/:groupId
+router.get('/:groupId', [groupIdParam], handleValidationErrors, duplicateController.getDuplicateGroup);
+
+// PATCH /api/duplicates/:groupId  예: { "status": "DISMISSED", "note": "같은 앨범 여러 장 판매" }
+router.patch(
+  '/:groupId',
+  [
+    groupIdParam,
+    body('status').isIn(DuplicateGroup.REVIEW_STATUSES).withMessage(statusMessage),
+    body('note').optional({ values: 'null' }).isString().withMessage('note는 문자열이어야 합니다.').trim(),
+  ],
+  handleValidationErrors,
+  duplicateController.reviewDuplicateGroup
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// src/api/exchangeRateRoutes.js
+// 환율 상태/이력 조회, 즉시 갱신, 관리자 수동 환율 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const ExchangeRateHistory = require('../models/exchangeRateHistory.model');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+// GET /api/exchange-rates
+// 가격 계산용 환율(평활화 결과)과 출처, 저장된 최신 환율, 수동 환율, 공급자/평활화 설정
+router.get('/', exchangeRateController.getExchangeRateStatus);
+
+// GET /api/exchange-rates/history?days=30&provider=ecb&limit=500
+router.get(
+  '/history',
+  [
+    query('days').optional().isInt({ min: 1, max: 400 }).withMessage('days는 1~400 사이의 정수여야 합니다.').toInt(),
+    query('provider').optional().trim().toLowerCase().isIn(ExchangeRateHistory.PROVIDERS)
+      .withMessage(`provider는 ${ExchangeRateHistory.PROVIDERS.join(', ')} 중 하나여야 합니다.`),
+    query('limit').optional().isInt({ min: 1, max: 5000 }).withMessage('limit은 1~5000 사이의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  exchangeRateController.getExchangeRateHistory
+);
+
+// POST /api/exchange-rates/refresh
+// 공급자 체인에서 환율을 바로 가져와 저장합니다. (환율 업데이트 작업과 같은 처리, 마켓 가격 목록 동기화는 등록하지 않음)
+router.post('/refresh', exchangeRateController.refreshExchangeRates);
+
+// PUT /api/exchange-rates/manual
+// 예: { "rates": { "KRW": 1380, "JPY": 150 }, "force": true, "expiresAt": "2026-11-01T00:00:00Z", "reason": "API 장애" }
+// 환율은 1 USD 기준입니다. force가 false이면 다른 공급자가 모두 실패했을 때만 사용합니다.
+// KRW는 마지막 공급자 환율과 EXCHANGE_RATE_MANUAL_MAX_DEVIATION_PERCENT(기본 15%) 이내여야 하며, 수동 환율 기록은 평활화에 포함되지 않습니다.
+router.put(
+  '/manual',
+  [
+    body('rates')
+      .isObject().withMessage('rates는 객체여야 합니다.')
+      .custom(rates => Object.entries(rates).every(([currency, rate]) => /^[A-Z]{3}$/.test(currency) && typeof rate === 'number' && rate > 0))
+      .withMessage('rates는 통화 코드(대문자 3자리)별 0보다 큰 숫자여야 합니다.'),
+    body('rates.KRW').isFloat({ gt: 0 }).withMessage('rates.KRW는 0보다 큰 숫자여야 합니다.'),
+    body('force').optional().isBoolean().withMessage('force는 true 또는 false여야 합니다.').toBoolean(),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt은 ISO 8601 날짜여야 합니다.').toDate(),
+    body('reason').optional().isString().withMessage('reason은 문자열이어야 합니다.').trim().isLength({ max: 500 }),
+  ],
+  handleValidationErrors,
+  exchangeRateController.setManualOverride
+);
+
+// DELETE /api/exchange-rates/manual
+router.delete('/manual', exchangeRateController.clearManualOverride);
+
+module.exports = router;
@@ -5,6 +5,18 @@ const express = require('express');
 const syncRoutes = require('./syncRoutes');
 const priceRoutes = require('./priceRoutes'); // 가격 테스트 라우트 파일 분리
 const shopifyAppProxyRoutes = require('./shopifyAppProxyRoutes');
+const listingRuleRoutes = require('./listingRuleRoutes');
+const sellerRoutes = require('./sellerRoutes');
+const translationRoutes = require('./translationRoutes');
+const taxonomyRoutes = require('./taxonomyRoutes');
+const catalogMappingRoutes = require('./catalogMappingRoutes');
+const descriptionTemplateRoutes = require('./descriptionTemplateRoutes');
+const duplicateRoutes = require('./duplicateRoutes');
+const metricsRoutes = require('./metricsRoutes');
+const pricingProfileRoutes = require('./pricingProfileRoutes');
+const shippingClassRoutes = require('./shippingClassRoutes');
+const marketPriceRoutes = require('./marketPriceRoutes');
+const exchangeRateRoutes = require('./exchangeRateRoutes');
 const authMiddleware = require('../middleware/authMiddleware'); // 내부 API 인증용
 const config = require('../config'); // App Proxy 경로 설정 읽기용
 
@@ -23,6 +35,42 @@ router.get('/', (req, res) => {
 // 내부 관리/동기화 트리거용 라우트 (API 키 인증 적용)
 router.use('/sync', authMiddleware.verifyInternalApiKey, syncRoutes);
 
+// 카탈로그 리스팅 포함/제외 규칙 관리 (API 키 인증 적용)
+router.use('/listing-rules', authMiddleware.verifyInternalApiKey, listingRuleRoutes);
+
+// 번개장터 판매자 레지스트리 (차단/허용/주의 판매자, API 키 인증 적용)
+router.use('/sellers', authMiddleware.verifyInternalApiKey, sellerRoutes);
+
+// 상품 번역 용어집/미리보기 (API 키 인증 적용)
+router.use('/translations', authMiddleware.verifyInternalApiKey, translationRoutes);
+
+// 자동 태깅/컬렉션 분류 규칙, PID별 미리보기, 재태깅 작업 (API 키 인증 적용)
+router.use('/taxonomy', authMiddleware.verifyInternalApiKey, taxonomyRoutes);
+
+// 번개장터 카테고리/브랜드 매핑, 미매핑 카테고리 보고서 (API 키 인증 적용)
+router.use('/catalog-mappings', authMiddleware.verifyInternalApiKey, catalogMappingRoutes);
+
+// 상품 설명 템플릿, PID별 렌더링 미리보기 (API 키 인증 적용)
+router.use('/description-templates', authMiddleware.verifyInternalApiKey, descriptionTemplateRoutes);
+
+// 같은 판매자의 근사 중복 리스팅 그룹 검토 (API 키 인증 적용)
+router.use('/duplicates', authMiddleware.verifyInternalApiKey, duplicateRoutes);
+
+// 가격대/카테고리/브랜드/태그별 가격 프로필과 버전 이력 (API 키 인증 적용)
+router.use('/pricing-profiles', authMiddleware.verifyInternalApiKey, pricingProfileRoutes);
+
+// 국제 운임 추정용 카테고리별 무게/크기 등급 (API 키 인증 적용)
+router.use('/shipping-classes', authMiddleware.verifyInternalApiKey, shippingClassRoutes);
+
+// Shopify Markets 통화별 고정 가격 목록 상태와 동기화 (API 키 인증 적용)
+router.use('/market-prices', authMiddleware.verifyInternalApiKey, marketPriceRoutes);
+
+// 환율 상태/이력, 공급자 체인 즉시 갱신, 관리자 수동 환율 (API 키 인증 적용)
+router.use('/exchange-rates', authMiddleware.verifyInternalApiKey, exchangeRateRoutes);
+
+// Shopify GraphQL 비용 버킷 등 운영 지표, Prometheus 텍스트 또는 JSON (API 키 인증 적용)
+router.use('/metrics', authMiddleware.verifyInternalApiKey, metricsRoutes);
+
 // 가격 계산 테스트용 라우트 (개발/테스트 시에만 사용 권장, 필요시 인증 적용)
 if (config.env !== 'production') { // 운영 환경에서는 비활성화 또는 인증 강화
     router.use('/price-utils', authMiddleware.verifyInternalApiKey, priceRoutes);
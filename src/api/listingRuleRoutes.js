@@ -0,0 +1,79 @@
+// src/api/listingRuleRoutes.js
+// 카탈로그 리스팅 포함/제외 규칙 관리 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const listingRuleController = require('../controllers/listingRuleController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const ruleIdParam = param('ruleId').isMongoId().withMessage('ruleId는 유효한 ID여야 합니다.');
+
+// criteria 필드 검증 (생성/수정 공통)
+const criteriaValidators = [
+  body('criteria').optional().isObject().withMessage('criteria는 객체여야 합니다.'),
+  body(['criteria.minPriceKrw', 'criteria.maxPriceKrw', 'criteria.maxShippingFeeKrw'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('가격 조건은 0 이상의 숫자여야 합니다.')
+    .toFloat(),
+  body(['criteria.conditions', 'criteria.brandIds', 'criteria.sellerUids', 'criteria.categoryIds', 'criteria.keywords'])
+    .optional()
+    .isArray().withMessage('목록 조건은 배열이어야 합니다.'),
+  body(['criteria.conditions.*', 'criteria.brandIds.*', 'criteria.sellerUids.*', 'criteria.categoryIds.*', 'criteria.keywords.*'])
+    .isString().withMessage('목록 조건의 값은 문자열이어야 합니다.')
+    .trim()
+    .notEmpty().withMessage('목록 조건에 빈 값이 있습니다.'),
+];
+
+// GET /api/listing-rules?action=include|exclude&enabled=true|false
+router.get(
+  '/',
+  [
+    query('action').optional().isIn(['include', 'exclude']).withMessage('action은 include 또는 exclude여야 합니다.'),
+    query('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+  ],
+  handleValidationErrors,
+  listingRuleController.listListingRules
+);
+
+// GET /api/listing-rules/:ruleId
+router.get('/:ruleId', [ruleIdParam], handleValidationErrors, listingRuleController.getListingRule);
+
+// POST /api/listing-rules
+// 예: { "name": "고가품 제외", "action": "exclude", "criteria": { "minPriceKrw": 3000000 } }
+router.post(
+  '/',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name은 필수입니다.'),
+    body('description').optional().isString().trim(),
+    body('action').isIn(['include', 'exclude']).withMessage('action은 include 또는 exclude여야 합니다.'),
+    body('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+    body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+    body('criteria').exists().withMessage('criteria는 필수입니다.'),
+    ...criteriaValidators,
+  ],
+  handleValidationErrors,
+  listingRuleController.createListingRule
+);
+
+// PATCH /api/listing-rules/:ruleId
+router.patch(
+  '/:ruleId',
+  [
+    ruleIdParam,
+    body('name').optional().isString().trim().notEmpty().withMessage('name은 비어 있을 수 없습니다.'),
+    body('description').optional().isString().trim(),
+    body('action').optional().isIn(['include', 'exclude']).withMessage('action은 include 또는 exclude여야 합니다.'),
+    body('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+    body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+    ...criteriaValidators,
+  ],
+  handleValidationErrors,
+  listingRuleController.updateListingRule
+);
+
+// DELETE /api/listing-rules/:ruleId
+router.delete('/:ruleId', [ruleIdParam], handleValidationErrors, listingRuleController.deleteListingRule);
+
+module.exports = router;
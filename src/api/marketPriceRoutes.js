@@ -0,0 +1,28 @@
+// src/api/marketPriceRoutes.js
+// Shopify Markets 통화별 가격 목록(고정 가격) 상태 조회와 동기화 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body } = require('express-validator');
+const marketPriceController = require('../controllers/marketPriceController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+// GET /api/market-prices
+// 통화별 가격 목록, 적용 환율과 실제 환율의 차이, 마지막 동기화 결과
+router.get('/', marketPriceController.getMarketPricingStatus);
+
+// POST /api/market-prices/sync
+// 예: { "currencies": ["JPY"], "force": true }. force이면 저장된 현지 가격과 같아도 다시 씁니다.
+router.post(
+  '/sync',
+  [
+    body('currencies').optional().isArray({ min: 1 }).withMessage('currencies는 비어 있지 않은 배열이어야 합니다.'),
+    body('currencies.*').isString().trim().toUpperCase().isISO4217().withMessage('currencies는 통화 코드 목록이어야 합니다.'),
+    body('force').optional().isBoolean().withMessage('force는 true 또는 false여야 합니다.').toBoolean(),
+  ],
+  handleValidationErrors,
+  marketPriceController.triggerMarketPriceSync
+);
+
+module.exports = router;
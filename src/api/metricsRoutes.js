@@ -0,0 +1,21 @@
+// src/api/metricsRoutes.js
+// 운영 지표 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { query } = require('express-validator');
+const metricsController = require('../controllers/metricsController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+// GET /api/metrics?format=prometheus|json
+router.get(
+  '/',
+  [
+    query('format').optional().isIn(['prometheus', 'json']).withMessage('format은 prometheus 또는 json이어야 합니다.'),
+  ],
+  handleValidationErrors,
+  metricsController.getMetrics
+);
+
+module.exports = router;
@@ -9,20 +9,30 @@ const { handleValidationErrors } = require('../utils/validationHelper');
 
 const router = express.Router();
 
-// GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000]
-// 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD)을 계산합니다.
+// GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000][&pid=123|&categoryId=310&brandId=1&tags=a,b][&destination=GB]
+// 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD)과 적용될 가격 프로필을 계산합니다.
+// pid를 주면 해당 상품의 가격/배송비/카테고리/브랜드/태그를 사용합니다. (krwPrice를 함께 주면 가격만 덮어씀)
+// destination은 배송지 추가 요금을 계산할 국가 코드입니다. (기본값: LANDED_COST_DEFAULT_DESTINATION)
 router.get(
   '/calculate-shopify',
   // authMiddleware.verifyInternalApiKey, // 필요시 내부 API 키 인증 적용
   [ // 입력 유효성 검사 규칙
     query('krwPrice')
-      .notEmpty().withMessage('krwPrice는 필수입니다.')
+      .if(query('pid').not().exists())
+      .notEmpty().withMessage('krwPrice 또는 pid는 필수입니다.'),
+    query('krwPrice')
+      .optional()
       .isFloat({ gt: 0 }).withMessage('krwPrice는 0보다 큰 숫자여야 합니다.')
       .toFloat(), // 숫자로 변환
     query('krwShippingFee')
       .optional() // 선택적 파라미터
       .isFloat({ gte: 0 }).withMessage('krwShippingFee는 0 이상의 숫자여야 합니다.')
       .toFloat(),
+    query('pid').optional().trim().isNumeric().withMessage('pid는 숫자여야 합니다.'),
+    query('categoryId').optional().trim().isNumeric().withMessage('categoryId는 숫자 카테고리 ID여야 합니다.'),
+    query('brandId').optional().trim().notEmpty().withMessage('brandId는 비어 있을 수 없습니다.'),
+    query('tags').optional().isString().withMessage('tags는 쉼표로 구분된 문자열이어야 합니다.'),
+    query('destination').optional().trim().isISO31661Alpha2().withMessage('destination은 2자리 국가 코드여야 합니다.').toUpperCase(),
   ],
   handleValidationErrors, // 유효성 검사 결과 처리
   priceController.getCalculatedShopifyPrice
@@ -0,0 +1,112 @@
+// src/api/pricingProfileRoutes.js
+// 가격 프로필(가격대/카테고리/브랜드/태그별 마크업, 수수료, 최소 마진, 최저/최고가) 관리 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const pricingProfileController = require('../controllers/pricingProfileController');
+const PricingProfile = require('../models/pricingProfile.model');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const profileIdParam = param('profileId').isMongoId().withMessage('profileId는 유효한 ID여야 합니다.');
+const roundingStrategyMessage = `끝자리 처리 방식은 ${PricingProfile.ROUNDING_STRATEGIES.join(', ')} 중 하나여야 합니다.`;
+
+// 프로필 필드 검증 (생성/수정 공통, 필수 여부는 각 라우트에서 확인)
+const profileValidators = [
+  body('description').optional().isString().trim(),
+  body('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+  body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+  body('isDefault').optional().isBoolean().withMessage('isDefault는 true 또는 false여야 합니다.').toBoolean(),
+  body('criteria').optional().isObject().withMessage('criteria는 객체여야 합니다.'),
+  body(['criteria.minPriceKrw', 'criteria.maxPriceKrw'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('가격대 조건은 0 이상의 숫자여야 합니다.')
+    .toFloat(),
+  body(['criteria.categoryIds', 'criteria.brandIds', 'criteria.tags'])
+    .optional()
+    .isArray().withMessage('목록 조건은 배열이어야 합니다.'),
+  body(['criteria.categoryIds.*', 'criteria.brandIds.*', 'criteria.tags.*'])
+    .isString().withMessage('목록 조건의 값은 문자열이어야 합니다.')
+    .trim()
+    .notEmpty().withMessage('목록 조건에 빈 값이 있습니다.'),
+  body('pricing').optional().isObject().withMessage('pricing은 객체여야 합니다.'),
+  body(['pricing.markupPercentage', 'pricing.handlingFeeUsd'])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('markupPercentage와 handlingFeeUsd는 0 이상의 숫자여야 합니다.')
+    .toFloat(),
+  body(['pricing.minMarginUsd', 'pricing.priceFloorUsd', 'pricing.priceCeilingUsd'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('최소 마진과 최저/최고가는 0 이상의 숫자여야 합니다.')
+    .toFloat(),
+  body('pricing.rounding').optional({ values: 'null' }).isObject().withMessage('pricing.rounding은 객체여야 합니다.'),
+  body('pricing.rounding.strategy')
+    .if(body('pricing.rounding').isObject())
+    .isString().withMessage(roundingStrategyMessage).trim().toUpperCase()
+    .isIn(PricingProfile.ROUNDING_STRATEGIES).withMessage(roundingStrategyMessage),
+  body('pricing.rounding.thresholdUsd')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('pricing.rounding.thresholdUsd는 0 이상의 숫자여야 합니다.')
+    .toFloat(),
+];
+
+// GET /api/pricing-profiles?enabled=true|false
+router.get(
+  '/',
+  [query('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean()],
+  handleValidationErrors,
+  pricingProfileController.listPricingProfiles
+);
+
+// GET /api/pricing-profiles/rounding-preview?strategy=CHARM_99[&thresholdUsd=100][&profileId=...][&limit=20]
+// 리스팅 중인 상품을 무작위로 골라 끝자리 처리 전후 가격을 보여줍니다. strategy가 없으면 각 상품 프로필의 설정으로 계산합니다.
+router.get(
+  '/rounding-preview',
+  [
+    query('strategy').optional().trim().toUpperCase().isIn(PricingProfile.ROUNDING_STRATEGIES).withMessage(roundingStrategyMessage),
+    query('thresholdUsd').optional().isFloat({ min: 0 }).withMessage('thresholdUsd는 0 이상의 숫자여야 합니다.').toFloat(),
+    query('profileId').optional().isMongoId().withMessage('profileId는 유효한 ID여야 합니다.'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit은 1~100 사이의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  pricingProfileController.previewRounding
+);
+
+// GET /api/pricing-profiles/:profileId
+router.get('/:profileId', [profileIdParam], handleValidationErrors, pricingProfileController.getPricingProfile);
+
+// GET /api/pricing-profiles/:profileId/versions
+// 프로필의 버전 이력 (SyncedProduct.pricingProfileVersion과 비교해 어떤 설정으로 가격이 계산되었는지 확인)
+router.get('/:profileId/versions', [profileIdParam], handleValidationErrors, pricingProfileController.listPricingProfileVersions);
+
+// POST /api/pricing-profiles
+// 예: { "name": "Photocards", "criteria": { "maxPriceKrw": 10000, "tags": ["포토카드"] }, "pricing": { "markupPercentage": 40, "handlingFeeUsd": 2, "priceFloorUsd": 6.99, "rounding": { "strategy": "CHARM_99" } } }
+router.post(
+  '/',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name은 필수입니다.'),
+    body('pricing').exists().withMessage('pricing은 필수입니다.'),
+    body(['pricing.markupPercentage', 'pricing.handlingFeeUsd']).exists().withMessage('pricing.markupPercentage와 pricing.handlingFeeUsd는 필수입니다.'),
+    ...profileValidators,
+  ],
+  handleValidationErrors,
+  pricingProfileController.createPricingProfile
+);
+
+// PATCH /api/pricing-profiles/:profileId
+// criteria/pricing은 지정한 필드만 바뀝니다. 수정할 때마다 version이 올라갑니다.
+router.patch(
+  '/:profileId',
+  [
+    profileIdParam,
+    body('name').optional().isString().trim().notEmpty().withMessage('name은 비어 있을 수 없습니다.'),
+    ...profileValidators,
+  ],
+  handleValidationErrors,
+  pricingProfileController.updatePricingProfile
+);
+
+// DELETE /api/pricing-profiles/:profileId
+router.delete('/:profileId', [profileIdParam], handleValidationErrors, pricingProfileController.deletePricingProfile);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// src/api/sellerRoutes.js
+// 번개장터 판매자 레지스트리 관리 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const sellerController = require('../controllers/sellerController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const BunjangSeller = require('../models/bunjangSeller.model');
+
+const router = express.Router();
+
+const statusMessage = `status는 ${BunjangSeller.SELLER_STATUSES.join(', ')} 중 하나여야 합니다.`;
+const sellerUidParam = param('sellerUid').trim().notEmpty().withMessage('sellerUid는 필수입니다.');
+
+// GET /api/sellers?status=blocked
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(BunjangSeller.SELLER_STATUSES).withMessage(statusMessage),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit은 1~200 사이의 정수여야 합니다.').toInt(),
+    query('skip').optional().isInt({ min: 0 }).withMessage('skip은 0 이상의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  sellerController.listSellers
+);
+
+// GET /api/sellers/:sellerUid
+router.get('/:sellerUid', [sellerUidParam], handleValidationErrors, sellerController.getSeller);
+
+// PUT /api/sellers/:sellerUid  예: { "status": "blocked", "notes": "구매 후 2회 취소" }
+router.put(
+  '/:sellerUid',
+  [
+    sellerUidParam,
+    body('status').optional().isIn(BunjangSeller.SELLER_STATUSES).withMessage(statusMessage),
+    body('notes').optional({ values: 'null' }).isString().withMessage('notes는 문자열이어야 합니다.').trim(),
+    body().custom(value => value.status !== undefined || value.notes !== undefined)
+      .withMessage('status 또는 notes 중 하나는 필요합니다.'),
+  ],
+  handleValidationErrors,
+  sellerController.updateSeller
+);
+
+module.exports = router;
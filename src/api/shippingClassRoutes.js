@@ -0,0 +1,45 @@
+// src/api/shippingClassRoutes.js
+// 국제 운임 추정용 무게/크기 등급(카테고리별) 관리 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const shippingClassController = require('../controllers/shippingClassController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const codeParam = param('code').trim().matches(/^[A-Za-z0-9_-]{1,40}$/).withMessage('code는 영문/숫자/_/- 40자 이내여야 합니다.');
+
+// GET /api/shipping-classes
+// 등급 목록, 등급별 추정 운임, 운임표/배송지 추가 요금 설정
+router.get('/', shippingClassController.listShippingClasses);
+
+// PUT /api/shipping-classes/:code
+// 예: { "name": "Album", "weightKg": 0.8, "lengthCm": 32, "widthCm": 32, "heightCm": 6, "categoryIds": ["910100"] }
+// 새 등급에는 weightKg가 필요합니다. 변경된 등급은 이후 가격을 계산하는 상품부터 적용됩니다.
+router.put(
+  '/:code',
+  [
+    codeParam,
+    body(['name', 'notes']).optional({ values: 'null' }).isString().withMessage('문자열이어야 합니다.').trim(),
+    body(['weightKg', 'lengthCm', 'widthCm', 'heightCm'])
+      .optional()
+      .isFloat({ min: 0 }).withMessage('무게와 크기는 0 이상의 숫자여야 합니다.')
+      .toFloat(),
+    body('freightOverrideUsd')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('freightOverrideUsd는 0 이상의 숫자여야 합니다.')
+      .toFloat(),
+    body('categoryIds').optional().isArray().withMessage('categoryIds는 배열이어야 합니다.'),
+    body('categoryIds.*').isString().trim().isNumeric().withMessage('categoryIds는 숫자 카테고리 ID 목록이어야 합니다.'),
+    body(['isDefault', 'enabled']).optional().isBoolean().withMessage('true 또는 false여야 합니다.').toBoolean(),
+    body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  shippingClassController.upsertShippingClass
+);
+
+// DELETE /api/shipping-classes/:code
+router.delete('/:code', [codeParam], handleValidationErrors, shippingClassController.deleteShippingClass);
+
+module.exports = router;
@@ -2,24 +2,41 @@
 // 동기화 작업을 수동으로 트리거하기 위한 API 라우트입니다.
 // BullMQ 큐에 작업을 추가하는 방식으로 변경됩니다.
 
+const path = require('path');
+const fs = require('fs-extra');
 const express = require('express');
 const router = express.Router();
 const logger = require('../config/logger');
 const config = require('../config');
 const { getQueue } = require('../jobs/queues');
-const { AppError } = require('../utils/customErrors');
-// const productSyncController = require('../controllers/productSyncController'); // 컨트롤러 사용 시
+const { query, param, body } = require('express-validator');
+const { AppError, ValidationError } = require('../utils/customErrors');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const { catalogFileUpload } = require('../middleware/catalogUploadMiddleware');
+const catalogRunController = require('../controllers/catalogRunController');
+const productSyncController = require('../controllers/productSyncController');
+const orderSyncController = require('../controllers/orderSyncController');
 
 // 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
 
 /**
- * POST /api/sync/catalog/full
+ * 카탈로그 작업 요청이 드라이런인지 확인합니다. (?dryRun=true 또는 body의 dryRun: true)
+ * 드라이런 작업은 Shopify를 변경하지 않고 변경 예정 보고서만 실행 기록에 저장합니다.
+ */
+function isDryRunRequest(req) {
+  const value = req.query.dryRun ?? req.body?.dryRun;
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * POST /api/sync/catalog/full[?dryRun=true]
  * 전체 카탈로그 동기화 작업을 BullMQ에 추가합니다.
  */
 router.post('/catalog/full', async (req, res, next) => {
-  const jobName = 'ManualTrigger-FetchBunjangCatalog-Full';
+  const dryRun = isDryRunRequest(req);
+  const jobName = `ManualTrigger-FetchBunjangCatalog-Full${dryRun ? '-DryRun' : ''}`;
   const queueName = config.bullmq.queues.catalog;
-  logger.info(`[SyncRoute] API call to trigger full catalog sync. Adding to queue: ${queueName}`);
+  logger.info(`[SyncRoute] API call to trigger full catalog ${dryRun ? 'dry run' : 'sync'}. Adding to queue: ${queueName}`);
   
   if (!config.redis.enabled) {
     return next(new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED'));
@@ -30,15 +47,18 @@ router.post('/catalog/full', async (req, res, next) => {
   }
 
   try {
-    const jobData = { catalogType: 'full', triggeredBy: 'api_manual' };
+    const jobData = { catalogType: 'full', triggeredBy: 'api_manual', ...(dryRun && { dryRun: true }) };
     const job = await catalogQueue.add(jobName, jobData, {
       // jobId: `manual-full-catalog-${Date.now()}`, // 필요시 고유 ID
     });
-    logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for full catalog sync.`);
+    logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for full catalog ${dryRun ? 'dry run' : 'sync'}.`);
     res.status(202).json({ 
-        message: '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
+        message: dryRun
+          ? '전체 카탈로그 드라이런 작업이 큐에 추가되었습니다. Shopify는 변경되지 않으며, 완료 후 실행 기록의 보고서를 확인하세요.'
+          : '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
         jobId: job.id,
         queueName: queueName,
+        dryRun,
     });
   } catch (error) {
     logger.error(`[SyncRoute] Error adding full catalog sync job to queue "${queueName}":`, error);
@@ -47,26 +67,28 @@ router.post('/catalog/full', async (req, res, next) => {
 });
 
 /**
- * POST /api/sync/catalog/segment
+ * POST /api/sync/catalog/segment[?dryRun=true]
  * 세그먼트 카탈로그 동기화 작업을 BullMQ에 추가합니다.
  */
 router.post('/catalog/segment', async (req, res, next) => {
-  const jobName = 'ManualTrigger-FetchBunjangCatalog-Segment';
+  const dryRun = isDryRunRequest(req);
+  const jobName = `ManualTrigger-FetchBunjangCatalog-Segment${dryRun ? '-DryRun' : ''}`;
   const queueName = config.bullmq.queues.catalog;
-  logger.info(`[SyncRoute] API call to trigger segment catalog sync. Adding to queue: ${queueName}`);
+  logger.info(`[SyncRoute] API call to trigger segment catalog ${dryRun ? 'dry run' : 'sync'}. Adding to queue: ${queueName}`);
 
   if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
   const catalogQueue = getQueue(queueName);
   if (!catalogQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
 
   try {
-    const jobData = { catalogType: 'segment', triggeredBy: 'api_manual' };
+    const jobData = { catalogType: 'segment', triggeredBy: 'api_manual', ...(dryRun && { dryRun: true }) };
     const job = await catalogQueue.add(jobName, jobData);
-    logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for segment catalog sync.`);
+    logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for segment catalog ${dryRun ? 'dry run' : 'sync'}.`);
     res.status(202).json({
-        message: '세그먼트 카탈로그 동기화 작업이 큐에 추가되었습니다.',
+        message: dryRun ? '세그먼트 카탈로그 드라이런 작업이 큐에 추가되었습니다. Shopify는 변경되지 않습니다.' : '세그먼트 카탈로그 동기화 작업이 큐에 추가되었습니다.',
         jobId: job.id,
         queueName: queueName,
+        dryRun,
     });
   } catch (error) {
     logger.error(`[SyncRoute] Error adding segment catalog sync job to queue "${queueName}":`, error);
@@ -74,12 +96,214 @@ router.post('/catalog/segment', async (req, res, next) => {
   }
 });
 
+/**
+ * 서버 경로가 가져오기 허용 디렉토리(config.bunjang.catalogImport.allowedDirs) 안의 파일인지 확인하고 실제 경로를 반환합니다.
+ * @param {string} filePath
+ * @returns {Promise<string|null>} 허용되지 않거나 파일이 없으면 null.
+ */
+async function resolveImportablePath(filePath) {
+  const realPath = await fs.realpath(path.resolve(filePath)).catch(() => null);
+  if (!realPath) return null;
+  const allowed = config.bunjang.catalogImport.allowedDirs.some((dir) => {
+    const relative = path.relative(dir, realPath);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+  if (!allowed) return null;
+  const stats = await fs.stat(realPath);
+  return stats.isFile() ? realPath : null;
+}
+
+/**
+ * POST /api/sync/catalog/import
+ * 번개장터 카탈로그 URL 대신 업로드된 파일(multipart 'file' 필드, .csv 또는 .csv.gz) 또는
+ * 서버 경로(JSON body의 filePath)의 카탈로그를 같은 동기화 파이프라인으로 처리하는 작업을 BullMQ에 추가합니다.
+ * catalogType을 생략하면 파일명이 full- 로 시작할 때 'full', 그 외에는 'segment'로 기록됩니다.
+ * dryRun(쿼리 또는 body)이 true이면 Shopify를 변경하지 않고 보고서만 만듭니다.
+ */
+router.post('/catalog/import', catalogFileUpload, async (req, res, next) => {
+  const dryRun = isDryRunRequest(req);
+  const jobName = `ManualTrigger-ImportCatalogFile${dryRun ? '-DryRun' : ''}`;
+  const queueName = config.bullmq.queues.catalog;
+  const uploadedFile = req.file;
+  const discardUpload = () => uploadedFile && fs.remove(uploadedFile.path).catch(() => {});
+
+  let sourceFile;
+  let source;
+  if (uploadedFile) {
+    source = 'upload';
+    sourceFile = { path: uploadedFile.path, name: path.basename(uploadedFile.originalname), removeAfterRun: true };
+  } else if (req.body?.filePath) {
+    const resolvedPath = await resolveImportablePath(String(req.body.filePath));
+    if (!resolvedPath) {
+      return next(new ValidationError('가져올 수 없는 파일 경로입니다.', [
+        { field: 'filePath', message: `File must exist inside one of: ${config.bunjang.catalogImport.allowedDirs.join(', ')}`, value: req.body.filePath },
+      ]));
+    }
+    source = 'server_path';
+    sourceFile = { path: resolvedPath, name: path.basename(resolvedPath), removeAfterRun: false };
+  } else {
+    return next(new ValidationError('카탈로그 파일(file) 업로드 또는 서버 경로(filePath)가 필요합니다.', [
+      { field: 'file', message: 'Either a multipart "file" or a "filePath" is required.' },
+    ]));
+  }
 
-// TODO: 특정 Shopify 주문 재처리 엔드포인트 (Shopify Order ID를 받아 주문 처리 큐에 작업 추가)
-// router.post('/order/:shopifyOrderId/reprocess', async (req, res, next) => { ... });
+  const catalogType = req.body?.catalogType || (sourceFile.name.startsWith('full-') ? 'full' : 'segment');
+  if (!['full', 'segment'].includes(catalogType)) {
+    await discardUpload();
+    return next(new ValidationError('입력값 유효성 검사에 실패했습니다.', [
+      { field: 'catalogType', message: 'catalogType은 full 또는 segment여야 합니다.', value: catalogType },
+    ]));
+  }
+
+  logger.info(`[SyncRoute] API call to import catalog file ${sourceFile.name} (source: ${source}, type: ${catalogType}). Adding to queue: ${queueName}`);
 
-// TODO: 특정 번개장터 상품 재동기화 엔드포인트 (Bunjang PID를 받아 상품 동기화 큐에 작업 추가)
-// router.post('/product/:bunjangPid/resync', async (req, res, next) => { ... });
+  if (!config.redis.enabled) {
+    await discardUpload();
+    return next(new AppError('Redis is disabled.', 503, 'QUEUE_DISABLED'));
+  }
+  const catalogQueue = getQueue(queueName);
+  if (!catalogQueue) {
+    await discardUpload();
+    return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+  }
+
+  try {
+    const jobData = { catalogType, triggeredBy: 'api_import', source, sourceFile, ...(dryRun && { dryRun: true }) };
+    const job = await catalogQueue.add(jobName, jobData);
+    logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for catalog import of ${sourceFile.path}.`);
+    res.status(202).json({
+        message: dryRun ? '카탈로그 파일 드라이런 작업이 큐에 추가되었습니다. Shopify는 변경되지 않습니다.' : '카탈로그 파일 가져오기 작업이 큐에 추가되었습니다.',
+        jobId: job.id,
+        queueName: queueName,
+        dryRun,
+        catalogType,
+        source,
+        filename: sourceFile.name,
+    });
+  } catch (error) {
+    await discardUpload();
+    logger.error(`[SyncRoute] Error adding catalog import job to queue "${queueName}":`, error);
+    next(new AppError('카탈로그 파일 가져오기 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+  }
+});
+
+/**
+ * GET /api/sync/catalog/runs
+ * 카탈로그 처리 실행 기록 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/runs',
+  [
+    query('catalogType').optional().isIn(['full', 'segment']).withMessage('catalogType은 full 또는 segment여야 합니다.'),
+    query('status').optional().isIn(['RUNNING', 'COMPLETED', 'FAILED']).withMessage('status는 RUNNING, COMPLETED, FAILED 중 하나여야 합니다.'),
+    query('jobId').optional().isString().trim(),
+    query('dryRun').optional().isBoolean().withMessage('dryRun은 true 또는 false여야 합니다.').toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit은 1~100 사이의 정수여야 합니다.').toInt(),
+    query('skip').optional().isInt({ min: 0 }).withMessage('skip은 0 이상의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  catalogRunController.listCatalogRuns
+);
+
+/**
+ * GET /api/sync/catalog/runs/:id
+ * 카탈로그 처리 실행 기록 하나를 에러 샘플과 함께 조회합니다.
+ */
+router.get(
+  '/catalog/runs/:id',
+  [param('id').trim().notEmpty().withMessage('id는 필수입니다.')],
+  handleValidationErrors,
+  catalogRunController.getCatalogRun
+);
+
+/**
+ * GET /api/sync/catalog/runs/:id/report?format=json|csv&action=UPDATE&limit=100&skip=0
+ * 드라이런 실행의 변경 예정 보고서를 조회합니다. format=csv이면 전체 항목을 파일로 내려받습니다. (limit/skip 무시)
+ */
+router.get(
+  '/catalog/runs/:id/report',
+  [
+    param('id').trim().notEmpty().withMessage('id는 필수입니다.'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('format은 json 또는 csv여야 합니다.'),
+    query('action').optional().isIn(['CREATE', 'UPDATE', 'DRAFT', 'SKIP']).withMessage('action은 CREATE, UPDATE, DRAFT, SKIP 중 하나여야 합니다.'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit은 1~1000 사이의 정수여야 합니다.').toInt(),
+    query('skip').optional().isInt({ min: 0 }).withMessage('skip은 0 이상의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  catalogRunController.getCatalogRunReport
+);
+
+/**
+ * GET /api/sync/product-sync/dead-letter?limit=50&skip=0
+ * 재시도를 모두 실패한 상품 동기화 작업(PID별 마지막 에러)을 조회합니다.
+ */
+router.get(
+  '/product-sync/dead-letter',
+  [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit은 1~200 사이의 정수여야 합니다.').toInt(),
+    query('skip').optional().isInt({ min: 0 }).withMessage('skip은 0 이상의 정수여야 합니다.').toInt(),
+  ],
+  handleValidationErrors,
+  productSyncController.listDeadLetteredProducts
+);
+
+/**
+ * POST /api/sync/product-sync/dead-letter/requeue
+ * 데드레터 항목을 일괄 재등록합니다. body: { pids?: string[] } (생략하면 전체)
+ */
+router.post(
+  '/product-sync/dead-letter/requeue',
+  [
+    body('pids').optional().isArray({ min: 1, max: 1000 }).withMessage('pids는 1~1000개의 PID 배열이어야 합니다.'),
+    body('pids.*').isString().trim().notEmpty().withMessage('pids의 각 항목은 PID 문자열이어야 합니다.'),
+  ],
+  handleValidationErrors,
+  productSyncController.requeueDeadLetteredProducts
+);
+
+/**
+ * POST /api/sync/product-sync/dead-letter/:bunjangPid/requeue
+ * 데드레터 항목 하나를 상품 동기화 큐에 다시 추가합니다.
+ */
+router.post(
+  '/product-sync/dead-letter/:bunjangPid/requeue',
+  [param('bunjangPid').trim().notEmpty().withMessage('bunjangPid는 필수입니다.')],
+  handleValidationErrors,
+  productSyncController.requeueDeadLetteredProduct
+);
+
+/**
+ * POST /api/sync/order/:shopifyOrderId/reprocess
+ * Shopify 주문을 주문 처리 큐로 재처리합니다. bunjang.order_ids 메타필드가 있어도 진행하며, 작업이 끝나면 line item별 결과를 반환합니다.
+ * body: { reason: string, lineItemIds?: Array<string|number>, force?: boolean } (lineItemIds를 생략하면 line item 전체)
+ * 이미 주문된 상품(PID-<pid>-Success 태그)은 ALREADY_ORDERED로 건너뜁니다. force: true이면 다시 주문합니다. (중복 결제 주의)
+ */
+router.post(
+  '/order/:shopifyOrderId/reprocess',
+  [
+    param('shopifyOrderId').trim().isNumeric({ no_symbols: true }).withMessage('shopifyOrderId는 숫자 주문 ID여야 합니다.'),
+    body('reason').isString().withMessage('reason은 문자열이어야 합니다.').trim().isLength({ min: 1, max: 500 }).withMessage('reason은 1~500자여야 합니다.'),
+    body('lineItemIds').optional().isArray({ min: 1, max: 250 }).withMessage('lineItemIds는 1~250개의 line item ID 배열이어야 합니다.'),
+    body('lineItemIds.*').custom(value => /^(gid:\/\/shopify\/LineItem\/)?\d+$/.test(String(value))).withMessage('lineItemIds의 각 항목은 숫자 ID 또는 LineItem GID여야 합니다.'),
+    body('force').optional().isBoolean({ strict: true }).withMessage('force는 true 또는 false여야 합니다.').toBoolean(),
+  ],
+  handleValidationErrors,
+  orderSyncController.reprocessShopifyOrder
+);
+
+/**
+ * POST /api/sync/product/:bunjangPid/resync[?wait=true]
+ * 번개장터 상품 하나를 실시간 정보로 재동기화합니다. wait=true이면 결과 SyncedProduct와 바뀐 Shopify 필드를 반환합니다.
+ */
+router.post(
+  '/product/:bunjangPid/resync',
+  [
+    ...productSyncController.validateBunjangPid,
+    query('wait').optional().isBoolean().withMessage('wait은 true 또는 false여야 합니다.').toBoolean(),
+  ],
+  handleValidationErrors,
+  productSyncController.triggerSingleProductSync
+);
 
 
 module.exports = router;
@@ -0,0 +1,84 @@
+// src/api/taxonomyRoutes.js
+// 자동 태깅/컬렉션 분류 규칙 관리 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const taxonomyController = require('../controllers/taxonomyController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const TaxonomyRule = require('../models/taxonomyRule.model');
+
+const router = express.Router();
+
+const ruleIdParam = param('ruleId').isMongoId().withMessage('ruleId는 유효한 ID여야 합니다.');
+const matcherTypeMessage = `type은 ${TaxonomyRule.MATCHER_TYPES.join(', ')} 중 하나여야 합니다.`;
+
+// 규칙 필드 검증 (생성/수정 공통, 필수 여부는 각 라우트에서 확인)
+const ruleValidators = [
+  body('description').optional().isString().trim(),
+  body('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+  body('priority').optional().isInt().withMessage('priority는 정수여야 합니다.').toInt(),
+  body('minScore').optional().isFloat().withMessage('minScore는 숫자여야 합니다.').toFloat(),
+  body('matchers').optional().isArray({ min: 1 }).withMessage('matchers는 하나 이상의 항목을 가진 배열이어야 합니다.'),
+  body('exclusions').optional().isArray().withMessage('exclusions는 배열이어야 합니다.'),
+  body(['matchers.*.type', 'exclusions.*.type']).isIn(TaxonomyRule.MATCHER_TYPES).withMessage(matcherTypeMessage),
+  body(['matchers.*.value', 'exclusions.*.value']).isString().trim().notEmpty().withMessage('value는 비어 있을 수 없습니다.'),
+  body(['matchers.*.weight', 'exclusions.*.weight']).optional().isFloat().withMessage('weight는 숫자여야 합니다.').toFloat(),
+  body(['tags', 'collectionGids']).optional().isArray().withMessage('tags와 collectionGids는 배열이어야 합니다.'),
+  body('tags.*').isString().trim().notEmpty().withMessage('tags에 빈 값이 있습니다.'),
+  body('collectionGids.*').isString().trim().matches(/^gid:\/\/shopify\/Collection\/\d+$/).withMessage('collectionGids는 Shopify 컬렉션 GID여야 합니다.'),
+];
+
+// GET /api/taxonomy/rules?enabled=true|false
+router.get(
+  '/rules',
+  [query('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean()],
+  handleValidationErrors,
+  taxonomyController.listTaxonomyRules
+);
+
+// GET /api/taxonomy/rules/:ruleId
+router.get('/rules/:ruleId', [ruleIdParam], handleValidationErrors, taxonomyController.getTaxonomyRule);
+
+// POST /api/taxonomy/rules
+// 예: { "name": "NewJeans", "matchers": [{ "type": "keyword", "value": "뉴진스" }, { "type": "category", "value": "310", "weight": 0.5 }],
+//       "exclusions": [{ "type": "keyword", "value": "해외배송불가" }], "tags": ["K-Pop", "NewJeans"], "collectionGids": ["gid://shopify/Collection/123"] }
+router.post(
+  '/rules',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name은 필수입니다.'),
+    body('matchers').exists().withMessage('matchers는 필수입니다.'),
+    body().custom(value => (value.tags?.length || 0) + (value.collectionGids?.length || 0) > 0)
+      .withMessage('tags 또는 collectionGids 중 하나는 필요합니다.'),
+    ...ruleValidators,
+  ],
+  handleValidationErrors,
+  taxonomyController.createTaxonomyRule
+);
+
+// PATCH /api/taxonomy/rules/:ruleId
+router.patch(
+  '/rules/:ruleId',
+  [
+    ruleIdParam,
+    body('name').optional().isString().trim().notEmpty().withMessage('name은 비어 있을 수 없습니다.'),
+    ...ruleValidators,
+  ],
+  handleValidationErrors,
+  taxonomyController.updateTaxonomyRule
+);
+
+// DELETE /api/taxonomy/rules/:ruleId
+router.delete('/rules/:ruleId', [ruleIdParam], handleValidationErrors, taxonomyController.deleteTaxonomyRule);
+
+// GET /api/taxonomy/preview/:bunjangPid
+router.get(
+  '/preview/:bunjangPid',
+  [param('bunjangPid').trim().isNumeric().withMessage('bunjangPid는 숫자여야 합니다.')],
+  handleValidationErrors,
+  taxonomyController.previewTaxonomy
+);
+
+// POST /api/taxonomy/backfill
+router.post('/backfill', taxonomyController.triggerTaxonomyBackfill);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// src/api/translationRoutes.js
+// 번역 용어집/미리보기 API 라우트입니다. (api/index.js에서 내부 API 키 인증 적용)
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const translationController = require('../controllers/translationController');
+const translationService = require('../services/translationService');
+const GlossaryTerm = require('../models/glossaryTerm.model');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const termParam = param('term').trim().notEmpty().withMessage('term은 필수입니다.');
+
+// GET /api/translations/glossary
+router.get('/glossary', translationController.listGlossaryTerms);
+
+// PUT /api/translations/glossary/:term  예: { "aliases": ["투어스"], "category": "group" }
+router.put(
+  '/glossary/:term',
+  [
+    termParam,
+    body('aliases').optional().isArray({ min: 1 }).withMessage('aliases는 1개 이상의 배열이어야 합니다.'),
+    body('aliases.*').isString().trim().notEmpty().withMessage('aliases의 값은 비어 있지 않은 문자열이어야 합니다.'),
+    body('category').optional().isIn(GlossaryTerm.GLOSSARY_CATEGORIES)
+      .withMessage(`category는 ${GlossaryTerm.GLOSSARY_CATEGORIES.join(', ')} 중 하나여야 합니다.`),
+    body('matchWholeWord').optional().isBoolean().withMessage('matchWholeWord는 true 또는 false여야 합니다.').toBoolean(),
+    body('enabled').optional().isBoolean().withMessage('enabled는 true 또는 false여야 합니다.').toBoolean(),
+    body('notes').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  translationController.upsertGlossaryTerm
+);
+
+// DELETE /api/translations/glossary/:term
+router.delete('/glossary/:term', [termParam], handleValidationErrors, translationController.deleteGlossaryTerm);
+
+// POST /api/translations/preview
+router.post(
+  '/preview',
+  [
+    body('texts').isArray({ min: 1, max: 20 }).withMessage('texts는 1~20개의 배열이어야 합니다.'),
+    body('texts.*').isString().withMessage('texts의 값은 문자열이어야 합니다.'),
+    body('provider').optional().isIn(translationService.listProviders())
+      .withMessage(`provider는 ${translationService.listProviders().join(', ')} 중 하나여야 합니다.`),
+  ],
+  handleValidationErrors,
+  translationController.previewTranslation
+);
+
+module.exports = router;
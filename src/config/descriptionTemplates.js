@@ -0,0 +1,16 @@
+// src/config/descriptionTemplates.js
+// DescriptionTemplate 컬렉션에 사용할 템플릿이 없을 때 쓰는 기본 상품 설명 템플릿입니다.
+// 자리표시자는 descriptionTemplateService.renderProductDescription 참고. 운영 중 변경은 /api/description-templates로 합니다.
+
+module.exports = {
+  name: 'built-in-default',
+  body: [
+    '<div class="bunjang-description">',
+    '  <p><span class="bunjang-condition-badge">Condition: {{conditionLabel}}</span></p>',
+    '  {{description}}',
+    '  <hr />',
+    '  <p class="bunjang-shipping-notice"><strong>Ships from Korea.</strong> This item is shipped internationally from South Korea. Please allow extra time for delivery; import duties and taxes may apply depending on your country.</p>',
+    '  <p class="bunjang-pid"><small>Bunjang item #{{bunjangPid}}</small></p>',
+    '</div>',
+  ].join('\n'),
+};
@@ -45,7 +45,23 @@ const config = {
     defaultCollectionGid: process.env.SHOPIFY_BUNJANG_COLLECTION_GID,
     appProxy: {
         subpathPrefix: process.env.SHOPIFY_APP_PROXY_SUBPATH_PREFIX || 'bunjang-proxy', // Shopify Admin 설정과 일치
-    }
+    },
+    // Bulk Operations (stagedUploadsCreate + bulkOperationRunMutation/Query)
+    bulkOperations: {
+      pollIntervalMs: parseInt(process.env.SHOPIFY_BULK_POLL_INTERVAL_MS, 10) || 10000,
+      timeoutMs: parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MS, 10) || 3 * 60 * 60 * 1000, // 작업 하나의 최대 대기 시간 (넘으면 작업 취소)
+      cancelTimeoutMs: parseInt(process.env.SHOPIFY_BULK_CANCEL_TIMEOUT_MS, 10) || 10 * 60 * 1000, // 취소 요청 후 CANCELED가 될 때까지 기다리는 시간
+      uploadTimeoutMs: parseInt(process.env.SHOPIFY_BULK_UPLOAD_TIMEOUT_MS, 10) || 120000,
+    },
+    // GraphQL 비용 기반 요청 제한 (extensions.cost.throttleStatus, Redis로 프로세스 간 공유)
+    graphqlThrottle: {
+      enabled: process.env.SHOPIFY_GRAPHQL_THROTTLE_ENABLED !== 'false',
+      defaultQueryCost: parseInt(process.env.SHOPIFY_GRAPHQL_DEFAULT_QUERY_COST, 10) || 50, // 처음 보는 operation의 예상 비용
+      defaultMaximumAvailable: parseInt(process.env.SHOPIFY_GRAPHQL_BUCKET_SIZE, 10) || 2000, // 첫 응답 전까지 사용
+      defaultRestoreRate: parseInt(process.env.SHOPIFY_GRAPHQL_RESTORE_RATE, 10) || 100, // 초당 복구량, 첫 응답 전까지 사용
+      maxWaitMs: parseInt(process.env.SHOPIFY_GRAPHQL_THROTTLE_MAX_WAIT_MS, 10) || 60000,
+      redisKeyPrefix: process.env.SHOPIFY_GRAPHQL_THROTTLE_REDIS_PREFIX || 'shopify:graphql:throttle',
+    },
   },
 
   bunjang: {
@@ -53,11 +69,10 @@ const config = {
     catalogApiUrl: process.env.BUNJANG_CATALOG_API_URL,
     accessKey: process.env.BUNJANG_API_ACCESS_KEY,
     secretKey: process.env.BUNJANG_API_SECRET_KEY,
-    kpopKeywords: ['bts', 'blackpink'],
-    kidultKeywords: ['collectible', 'limited edition'],
     apiTimeoutMs: parseInt(process.env.BUNJANG_API_TIMEOUT_MS, 10) || 60000,
     catalogDownloadTimeoutMs: parseInt(process.env.BUNJANG_CATALOG_DOWNLOAD_TIMEOUT_MS, 10) || 300000,
     filterCategoryIds: process.env.BUNJANG_FILTER_CATEGORY_IDS ? process.env.BUNJANG_FILTER_CATEGORY_IDS.split(',').map(id => id.trim()) : [],
+    // 레거시: CategoryMapping(DB, /api/catalog-mappings/categories)에 매핑이 없을 때만 사용
     categoryToShopifyType: {
       ...(Object.keys(process.env)
         .filter(key => key.startsWith('BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_'))
@@ -95,6 +110,147 @@ const config = {
     
     // 동기화 동시성 설정
     syncConcurrency: parseInt(process.env.BUNJANG_SYNC_CONCURRENCY, 10) || 1,
+    // 상품 이미지 템플릿 URL의 {res} 치환 해상도
+    imageResolution: parseInt(process.env.BUNJANG_IMAGE_RESOLUTION, 10) || 856,
+    // 카탈로그 처리 체크포인트 저장 간격 (완료된 행 수 기준). 재시도 시 이 지점부터 재개
+    checkpointIntervalRows: parseInt(process.env.BUNJANG_CHECKPOINT_INTERVAL_ROWS, 10) || 200,
+
+    // 로컬/업로드 카탈로그 파일 가져오기 (POST /api/sync/catalog/import)
+    catalogImport: {
+      maxUploadBytes: (parseInt(process.env.BUNJANG_CATALOG_IMPORT_MAX_UPLOAD_MB, 10) || 500) * 1024 * 1024,
+      // 서버 경로로 가져올 수 있는 디렉토리 목록 (쉼표 구분). 기본값은 tempDir 하위 imports 디렉토리
+      allowedDirs: process.env.BUNJANG_CATALOG_IMPORT_ALLOWED_DIRS
+        ? process.env.BUNJANG_CATALOG_IMPORT_ALLOWED_DIRS.split(',').map(dir => path.resolve(dir.trim())).filter(Boolean)
+        : [path.resolve(__dirname, process.env.TEMP_DIR || '../../temp_downloads', 'imports')],
+    },
+
+    // 판매자 레지스트리 (차단/허용/주의 판매자)
+    sellerRegistry: {
+      allowlistOnly: process.env.BUNJANG_SELLER_ALLOWLIST_ONLY === 'true', // true이면 allowed 판매자의 상품만 리스팅
+      maxRecordedOutcomeKeys: parseInt(process.env.BUNJANG_SELLER_MAX_RECORDED_OUTCOME_KEYS, 10) || 500, // 판매자당 보관할 최근 주문 결과 키 수
+    },
+
+    // 전체 카탈로그에서 사라진(판매 중지된) PID 감지 설정
+    delistDetection: {
+      enabled: process.env.BUNJANG_DELIST_DETECTION_ENABLED !== 'false', // 기본값 true
+      maxRatio: parseFloat(process.env.BUNJANG_DELIST_MAX_RATIO) || 0.1, // 리스팅 상품 중 한 번에 DRAFT 처리할 수 있는 최대 비율
+      maxCount: parseInt(process.env.BUNJANG_DELIST_MAX_COUNT, 10) || 500, // 한 번에 DRAFT 처리할 수 있는 최대 개수
+    },
+
+    // 전체 카탈로그를 Shopify Bulk Operations(productSet)로 동기화 (세그먼트/단일 상품은 기존 상품별 경로)
+    bulkSync: {
+      enabled: process.env.BUNJANG_BULK_SYNC_ENABLED === 'true',
+      batchSize: parseInt(process.env.BUNJANG_BULK_SYNC_BATCH_SIZE, 10) || 2000, // 벌크 작업 하나에 넣을 상품 수 (변수 파일 최대 100MB)
+    },
+
+    // 드라이런(dryRun) 카탈로그 실행 보고서
+    dryRun: {
+      maxReportEntries: parseInt(process.env.BUNJANG_DRY_RUN_MAX_REPORT_ENTRIES, 10) || 200000, // 실행당 저장할 최대 항목 수 (건수 집계는 전체)
+      keepReports: parseInt(process.env.BUNJANG_DRY_RUN_KEEP_REPORTS, 10) || 10, // 항목을 보관할 최근 드라이런 실행 수
+    },
+
+    // 같은 판매자가 새 PID로 다시 올린 상품(근사 중복) 감지 설정 (duplicateDetectionService)
+    duplicateDetection: {
+      enabled: process.env.BUNJANG_DUPLICATE_DETECTION_ENABLED !== 'false', // 기본값 true
+      // 그룹에서 리스팅할 상품: keep_newest | keep_oldest | keep_lowest_price | report_only (그룹만 기록하고 DRAFT 처리 안 함)
+      policy: process.env.BUNJANG_DUPLICATE_POLICY || 'keep_newest',
+      titleSimilarity: parseFloat(process.env.BUNJANG_DUPLICATE_TITLE_SIMILARITY) || 0.8, // 정규화 제목 토큰 유사도(Jaccard) 기준
+      priceTolerancePercent: parseFloat(process.env.BUNJANG_DUPLICATE_PRICE_TOLERANCE_PERCENT) || 10,
+      minSignals: parseInt(process.env.BUNJANG_DUPLICATE_MIN_SIGNALS, 10) || 2, // 제목/가격/이미지 중 일치해야 하는 신호 수
+      maxCandidates: parseInt(process.env.BUNJANG_DUPLICATE_MAX_CANDIDATES, 10) || 300, // 판매자별 비교할 최대 상품 수
+    },
+  },
+
+  // 상품 제목/설명 한→영 번역 (translationService)
+  translation: {
+    // 기본값 false. 켜려면 실제 번역 제공자가 필요합니다 (local은 테스트용 로마자 변환이라 상품 번역에 사용할 수 없음)
+    enabled: process.env.TRANSLATION_ENABLED === 'true',
+    provider: process.env.TRANSLATION_PROVIDER || 'deepl', // deepl | local (테스트/개발용)
+    sourceLang: 'ko',
+    targetLang: process.env.TRANSLATION_TARGET_LANG || 'en',
+    timeoutMs: parseInt(process.env.TRANSLATION_TIMEOUT_MS, 10) || 15000,
+    deepl: {
+      apiKey: process.env.DEEPL_API_KEY,
+      apiUrl: process.env.DEEPL_API_URL || 'https://api-free.deepl.com/v2/translate',
+    },
+  },
+
+  // 자동 태깅/컬렉션 분류 (taxonomyService, 규칙은 TaxonomyRule 컬렉션)
+  taxonomy: {
+    cacheTtlMs: parseInt(process.env.TAXONOMY_CACHE_TTL_MS, 10) || 60000, // 다른 프로세스(워커)에서 변경된 분류 규칙/카테고리·브랜드 매핑을 다시 읽는 주기
+    autoBackfill: process.env.TAXONOMY_AUTO_BACKFILL !== 'false', // 규칙 변경 시 기존 상품 재태깅 작업 자동 등록
+    backfillDelayMs: parseInt(process.env.TAXONOMY_BACKFILL_DELAY_MS, 10) || 60000, // 연속 변경을 한 번의 작업으로 묶기 위한 지연
+  },
+
+  // 카탈로그 리스팅 규칙 (listingRuleService, 규칙은 ListingRule 컬렉션)
+  listingRules: {
+    cacheTtlMs: parseInt(process.env.LISTING_RULE_CACHE_TTL_MS, 10) || 60000, // 다른 프로세스(워커)에서 변경된 규칙/차단 판매자를 다시 읽는 주기
+  },
+
+  // 상품 설명 템플릿 (descriptionTemplateService, 템플릿은 DescriptionTemplate 컬렉션)
+  descriptionTemplates: {
+    cacheTtlMs: parseInt(process.env.DESCRIPTION_TEMPLATE_CACHE_TTL_MS, 10) || 60000, // 다른 프로세스(워커)에서 변경된 템플릿을 다시 읽는 주기
+  },
+
+  // 판매가 원가(landed cost) = 상품가 + 번개장터 국내 배송비 + 국제 운임(CS Trading 주소에서 해외 발송) + 배송지 추가 요금
+  landedCost: {
+    // 기본값 false (상품가만 원가로 사용). 켜기 전에 /api/shipping-classes로 카테고리별 배송 등급을 지정해야 합니다.
+    enabled: process.env.PRICE_INCLUDE_LANDED_COST === 'true',
+    // 국제 운임/배송지 추가 요금에도 마크업을 적용할지 여부. 기본값 false (운임은 원가 그대로 더함)
+    markupFreight: process.env.LANDED_COST_MARKUP_FREIGHT === 'true',
+    defaultDestination: (process.env.LANDED_COST_DEFAULT_DESTINATION || 'US').trim().toUpperCase(), // 리스팅 가격 계산에 사용하는 배송지
+    freight: {
+      baseFeeUsd: parseFloat(process.env.LANDED_COST_FREIGHT_BASE_FEE_USD) || 8,
+      perKgUsd: parseFloat(process.env.LANDED_COST_FREIGHT_PER_KG_USD) || 12,
+      volumetricDivisor: parseInt(process.env.LANDED_COST_VOLUMETRIC_DIVISOR, 10) || 5000, // cm³/kg
+    },
+    // 배송지(국가 코드)별 추가 요금: LANDED_COST_SURCHARGE_USD_<국가코드>=금액 (예: LANDED_COST_SURCHARGE_USD_AU=6)
+    destinationSurchargesUsd: {
+      ...(Object.keys(process.env)
+        .filter(key => key.startsWith('LANDED_COST_SURCHARGE_USD_'))
+        .reduce((obj, key) => {
+          const countryCode = key.replace('LANDED_COST_SURCHARGE_USD_', '').trim().toUpperCase();
+          const amount = parseFloat(process.env[key]);
+          if (!isNaN(amount) && amount >= 0) obj[countryCode] = amount;
+          return obj;
+        }, {})),
+    },
+    shippingClassCacheTtlMs: parseInt(process.env.SHIPPING_CLASS_CACHE_TTL_MS, 10) || 60000,
+  },
+
+  pricingProfiles: {
+    cacheTtlMs: parseInt(process.env.PRICING_PROFILE_CACHE_TTL_MS, 10) || 60000, // 다른 프로세스(워커)에서 변경된 가격 프로필을 다시 읽는 주기
+  },
+
+  // Shopify Markets 통화별 고정 가격(가격 목록). 환율은 currencies 전체를 저장하고,
+  // 가격 목록에 쓰는 적용 환율은 실제 환율이 rateChangeThresholdPercent 이상 움직였을 때만 바꿔 현지 가격을 유지합니다.
+  marketPricing: {
+    enabled: process.env.MARKET_PRICING_ENABLED === 'true',
+    currencies: (process.env.MARKET_PRICING_CURRENCIES || 'JPY,EUR,CAD,AUD')
+      .split(',').map(currency => currency.trim().toUpperCase()).filter(Boolean),
+    // 통화별 Shopify Market GID: SHOPIFY_MARKET_ID_<통화>=gid://shopify/Market/123
+    marketIds: {
+      ...(Object.keys(process.env)
+        .filter(key => key.startsWith('SHOPIFY_MARKET_ID_'))
+        .reduce((obj, key) => {
+          obj[key.replace('SHOPIFY_MARKET_ID_', '').trim().toUpperCase()] = process.env[key].trim();
+          return obj;
+        }, {})),
+    },
+    // 통화별 끝자리 처리: MARKET_PRICE_ROUNDING_<통화>=전략[:값] (예: CHARM_99, STEP:100, NEAREST_5_ABOVE_THRESHOLD:200)
+    rounding: {
+      JPY: 'STEP:100',
+      EUR: 'CHARM_99',
+      CAD: 'CHARM_99',
+      AUD: 'CHARM_99',
+      ...(Object.keys(process.env)
+        .filter(key => key.startsWith('MARKET_PRICE_ROUNDING_'))
+        .reduce((obj, key) => {
+          obj[key.replace('MARKET_PRICE_ROUNDING_', '').trim().toUpperCase()] = process.env[key].trim().toUpperCase();
+          return obj;
+        }, {})),
+    },
+    rateChangeThresholdPercent: parseFloat(process.env.MARKET_PRICING_RATE_CHANGE_THRESHOLD_PERCENT) || 2,
   },
 
   openExchangeRates: {
@@ -102,6 +258,21 @@ const config = {
     apiUrl: process.env.OPENEXCHANGERATES_API_URL ,
   },
 
+  // 환율 공급자 체인과 가격 계산용 환율 평활화 (exchangeRateService)
+  exchangeRates: {
+    // 앞에서부터 시도: openexchangerates | ecb | manual (manual은 force로 지정하면 항상 먼저 사용)
+    providers: (process.env.EXCHANGE_RATE_PROVIDERS || 'openexchangerates,ecb,manual')
+      .split(',').map(provider => provider.trim().toLowerCase()).filter(Boolean),
+    ecbUrl: process.env.ECB_RATES_URL || 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml',
+    // NONE(최신 환율) | TRAILING_AVERAGE(기간 평균) | WORST_OF_WINDOW(기간 중 원가가 가장 높아지는 환율)
+    smoothing: (process.env.EXCHANGE_RATE_SMOOTHING || 'TRAILING_AVERAGE').trim().toUpperCase(),
+    smoothingWindowDays: parseInt(process.env.EXCHANGE_RATE_SMOOTHING_WINDOW_DAYS, 10) || 3,
+    pricingRateCacheTtlMs: parseInt(process.env.EXCHANGE_RATE_CACHE_TTL_MS, 10) || 10 * 60 * 1000,
+    historyRetentionDays: parseInt(process.env.EXCHANGE_RATE_HISTORY_RETENTION_DAYS, 10) || 400,
+    // 수동 환율 KRW가 마지막 공급자 환율과 이 비율(%) 넘게 다르면 거부 (오타 방지)
+    manualMaxDeviationPercent: parseFloat(process.env.EXCHANGE_RATE_MANUAL_MAX_DEVIATION_PERCENT) || 15,
+  },
+
   priceCalculation: {
     // 가격이 0원이 되지 않도록 기본값을 명확히 설정 - 기본값 10%로 변경
     markupPercentage: (() => {
@@ -132,6 +303,11 @@ const config = {
       console.log(`[Config] HANDLING_FEE_USD set to $${parsed}`);
       return parsed;
     })(),
+    // 가격 프로필에 rounding이 없을 때 사용하는 끝자리 처리 (NONE | CHARM_99 | CHARM_49_99 | WHOLE_DOLLAR | NEAREST_5_ABOVE_THRESHOLD)
+    rounding: {
+      strategy: (process.env.PRICE_ROUNDING_STRATEGY || 'NONE').trim().toUpperCase(),
+      thresholdUsd: parseFloat(process.env.PRICE_ROUNDING_THRESHOLD_USD) || 100, // NEAREST_5_ABOVE_THRESHOLD 기준 가격
+    },
   },
 
   database: {
@@ -235,9 +411,24 @@ const config = {
     queues: {
       catalog: process.env.BULLMQ_QUEUE_CATALOG || 'catalog-processing-queue',
       productSync: process.env.BULLMQ_QUEUE_PRODUCT_SYNC || 'product-sync-queue', // 개별 상품 동기화용 큐
+      productSyncDeadLetter: process.env.BULLMQ_QUEUE_PRODUCT_SYNC_DLQ || 'product-sync-dead-letter-queue', // 재시도를 모두 실패한 상품 동기화 (워커 없음)
       order: process.env.BULLMQ_QUEUE_ORDER || 'order-processing-queue',
       orderStatusSync: process.env.BULLMQ_QUEUE_ORDER_STATUS_SYNC || 'order-status-sync-queue', // 주문 상태 동기화 큐
       exchangeRate: process.env.BULLMQ_QUEUE_EXCHANGE_RATE || 'exchange-rate-update-queue',
+      taxonomyBackfill: process.env.BULLMQ_QUEUE_TAXONOMY_BACKFILL || 'taxonomy-backfill-queue', // 분류 규칙 변경 후 재태깅
+    },
+    // 상품별 동기화 작업 (카탈로그 실행은 상품마다 작업을 추가하고 결과를 기다림)
+    productSync: {
+      enabled: process.env.BULLMQ_PRODUCT_SYNC_ENABLED !== 'false', // false면 카탈로그 실행이 상품을 직접(inline) 동기화
+      concurrency: parseInt(process.env.BULLMQ_PRODUCT_SYNC_CONCURRENCY, 10) || 2,
+      attempts: parseInt(process.env.BULLMQ_PRODUCT_SYNC_ATTEMPTS, 10) || 4,
+      backoffDelayMs: parseInt(process.env.BULLMQ_PRODUCT_SYNC_BACKOFF_DELAY_MS, 10) || 10000, // exponential
+      waitTimeoutMs: parseInt(process.env.BULLMQ_PRODUCT_SYNC_WAIT_TIMEOUT_MS, 10) || 15 * 60 * 1000, // 카탈로그 실행이 작업 하나를 기다리는 최대 시간
+      resyncWaitTimeoutMs: parseInt(process.env.BULLMQ_PRODUCT_RESYNC_WAIT_TIMEOUT_MS, 10) || 120000, // 재동기화 API ?wait=true 최대 대기 시간
+    },
+    // 주문 재처리 API (POST /api/sync/order/:shopifyOrderId/reprocess)
+    orderReprocess: {
+      waitTimeoutMs: parseInt(process.env.BULLMQ_ORDER_REPROCESS_WAIT_TIMEOUT_MS, 10) || 120000, // 작업 결과를 기다리는 최대 시간 (초과 시 202)
     },
     arenaAdmin: { // BullMQ Arena UI 인증
         username: process.env.ARENA_ADMIN_USERNAME || 'arena_admin_user', // 반드시 변경
@@ -350,6 +541,25 @@ function validateRequiredConfig(loggerInstance) {
       process.exit(1); // 보안 문제로 강제 종료
   }
   
+  // 번역 설정 검증 - 테스트용 local 제공자나 API 키 없는 DeepL로는 상품 번역을 켤 수 없음
+  if (config.translation.enabled) {
+    const { provider, deepl } = config.translation;
+    let errorMsg = null;
+    if (provider === 'local') {
+      errorMsg = "TRANSLATION_ENABLED=true requires a real translation provider. TRANSLATION_PROVIDER=local is a test romanizer and must not be used for Shopify listings. Set TRANSLATION_PROVIDER=deepl with DEEPL_API_KEY.";
+    } else if (provider === 'deepl' && !deepl.apiKey) {
+      errorMsg = 'TRANSLATION_ENABLED=true with TRANSLATION_PROVIDER=deepl requires DEEPL_API_KEY.';
+    }
+    if (errorMsg) {
+      if (loggerInstance && typeof loggerInstance.error === 'function') {
+        loggerInstance.error(`[ConfigValidation] ${errorMsg}`);
+      } else {
+        console.error(`[ConfigValidation] ${errorMsg}`);
+      }
+      process.exit(1);
+    }
+  }
+
   // 로케이션 ID 검증 - 숫자형 ID와 GID 형식 모두 허용
   if (process.env.SHOPIFY_DEFAULT_LOCATION_ID) {
     const locationId = process.env.SHOPIFY_DEFAULT_LOCATION_ID;
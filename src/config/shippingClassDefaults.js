@@ -0,0 +1,35 @@
+// src/config/shippingClassDefaults.js
+// 처음 한 번만 넣는 기본 무게/크기 등급입니다. 카테고리 ID는 운영 중 /api/shipping-classes로 지정합니다. 시드 완료는 AppSetting('seed:shippingClasses')에 기록합니다.
+// 삭제한 기본 등급은 (컬렉션을 모두 비워도) 다시 생성되지 않습니다.
+
+module.exports = [
+  {
+    code: 'SMALL',
+    name: 'Small packet (photocards, stickers, accessories)',
+    weightKg: 0.2,
+    lengthCm: 25, widthCm: 18, heightCm: 3,
+    priority: 10,
+  },
+  {
+    code: 'MEDIUM',
+    name: 'Medium box (albums, clothing, small goods)',
+    weightKg: 1,
+    lengthCm: 35, widthCm: 30, heightCm: 10,
+    priority: 20,
+    isDefault: true,
+  },
+  {
+    code: 'LARGE',
+    name: 'Large box (figures, shoes, bags)',
+    weightKg: 2.5,
+    lengthCm: 45, widthCm: 35, heightCm: 25,
+    priority: 30,
+  },
+  {
+    code: 'OVERSIZED',
+    name: 'Oversized (large toys, appliances)',
+    weightKg: 6,
+    lengthCm: 60, widthCm: 50, heightCm: 45,
+    priority: 40,
+  },
+];
@@ -0,0 +1,26 @@
+// src/config/taxonomyDefaults.js
+// 처음 한 번만 넣는 기본 분류 규칙입니다. (이전 config.bunjang.kpopKeywords/kidultKeywords 대체) 시드 완료는 AppSetting('seed:taxonomyRules')에 기록합니다.
+// 이후 변경은 /api/taxonomy/rules로 합니다. 삭제한 기본 규칙은 (컬렉션을 모두 비워도) 다시 생성되지 않습니다.
+
+module.exports = [
+  {
+    name: 'K-Pop',
+    description: 'K-pop 그룹명이 들어간 상품',
+    priority: 10,
+    matchers: [
+      { type: 'keyword', value: 'bts', weight: 1 },
+      { type: 'keyword', value: 'blackpink', weight: 1 },
+    ],
+    tags: ['K-Pop'],
+  },
+  {
+    name: 'Kidult',
+    description: '수집품/한정판 상품',
+    priority: 20,
+    matchers: [
+      { type: 'keyword', value: 'collectible', weight: 1 },
+      { type: 'keyword', value: 'limited edition', weight: 1 },
+    ],
+    tags: ['Kidult'],
+  },
+];
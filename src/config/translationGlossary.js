@@ -0,0 +1,64 @@
+// src/config/translationGlossary.js
+// 기본 번역 용어집: 번역 제공자와 관계없이 항상 이 영문 표기로 치환됩니다.
+// 운영 중 추가/수정은 /api/translations/glossary (GlossaryTerm 컬렉션)로 하고, 같은 term이면 DB 항목이 우선합니다.
+// 짧은 표기(2글자 이하)는 다른 단어의 일부로 잘못 치환되지 않도록 단어 단위로만 적용됩니다. (예: "진" ↔ "사진")
+
+module.exports = [
+  // 그룹
+  { term: 'BTS', aliases: ['방탄소년단', '방탄', '비티에스'], category: 'group' },
+  { term: 'BLACKPINK', aliases: ['블랙핑크', '블핑'], category: 'group' },
+  { term: 'TWICE', aliases: ['트와이스'], category: 'group' },
+  { term: 'SEVENTEEN', aliases: ['세븐틴', '세븐티인'], category: 'group' },
+  { term: 'NewJeans', aliases: ['뉴진스'], category: 'group' },
+  { term: 'Stray Kids', aliases: ['스트레이키즈', '스트레이 키즈', '스키즈'], category: 'group' },
+  { term: 'EXO', aliases: ['엑소'], category: 'group' },
+  { term: 'aespa', aliases: ['에스파'], category: 'group' },
+  { term: 'IVE', aliases: ['아이브'], category: 'group' },
+  { term: 'LE SSERAFIM', aliases: ['르세라핌'], category: 'group' },
+  { term: 'NCT', aliases: ['엔시티'], category: 'group' },
+  { term: 'TOMORROW X TOGETHER', aliases: ['투모로우바이투게더', '투바투'], category: 'group' },
+  { term: 'ENHYPEN', aliases: ['엔하이픈'], category: 'group' },
+  { term: 'Red Velvet', aliases: ['레드벨벳'], category: 'group' },
+  { term: '(G)I-DLE', aliases: ['여자아이들', '(여자)아이들'], category: 'group' },
+  { term: 'BIGBANG', aliases: ['빅뱅'], category: 'group' },
+  { term: 'SHINee', aliases: ['샤이니'], category: 'group' },
+  { term: 'Super Junior', aliases: ['슈퍼주니어', '슈주'], category: 'group' },
+  { term: "Girls' Generation", aliases: ['소녀시대'], category: 'group' },
+  { term: 'ATEEZ', aliases: ['에이티즈'], category: 'group' },
+  { term: 'TREASURE', aliases: ['트레저'], category: 'group' },
+  { term: 'ZEROBASEONE', aliases: ['제로베이스원', '제베원'], category: 'group' },
+  { term: 'RIIZE', aliases: ['라이즈'], category: 'group' },
+  { term: 'BOYNEXTDOOR', aliases: ['보이넥스트도어'], category: 'group' },
+  { term: 'ILLIT', aliases: ['아일릿'], category: 'group' },
+  { term: 'BABYMONSTER', aliases: ['베이비몬스터'], category: 'group' },
+  { term: 'MAMAMOO', aliases: ['마마무'], category: 'group' },
+  { term: 'GOT7', aliases: ['갓세븐'], category: 'group' },
+
+  // 멤버
+  { term: 'RM', aliases: ['알엠', '남준'], category: 'member' },
+  { term: 'Jin', aliases: ['석진', '진'], category: 'member' },
+  { term: 'SUGA', aliases: ['슈가', '윤기'], category: 'member' },
+  { term: 'j-hope', aliases: ['제이홉', '호석'], category: 'member' },
+  { term: 'Jimin', aliases: ['지민'], category: 'member' },
+  { term: 'V', aliases: ['태형', '뷔'], category: 'member' },
+  { term: 'Jungkook', aliases: ['정국'], category: 'member' },
+  { term: 'JISOO', aliases: ['지수'], category: 'member' },
+  { term: 'JENNIE', aliases: ['제니'], category: 'member' },
+  { term: 'ROSÉ', aliases: ['로제'], category: 'member' },
+  { term: 'LISA', aliases: ['리사'], category: 'member' },
+  { term: 'Minji', aliases: ['민지'], category: 'member' },
+  { term: 'Hanni', aliases: ['하니'], category: 'member' },
+  { term: 'Danielle', aliases: ['다니엘'], category: 'member' },
+  { term: 'Haerin', aliases: ['해린'], category: 'member' },
+  { term: 'Hyein', aliases: ['혜인'], category: 'member' },
+  { term: 'Jang Wonyoung', aliases: ['장원영', '원영'], category: 'member' },
+  { term: 'Karina', aliases: ['카리나'], category: 'member' },
+  { term: 'Winter', aliases: ['윈터'], category: 'member' },
+
+  // 앨범
+  { term: 'The Most Beautiful Moment in Life', aliases: ['화양연화'], category: 'album' },
+  { term: 'Love Yourself', aliases: ['러브유어셀프', '러브 유어셀프'], category: 'album' },
+  { term: 'Map of the Soul', aliases: ['맵오브더소울', '맵 오브 더 소울'], category: 'album' },
+  { term: 'BORN PINK', aliases: ['본핑크', '본 핑크'], category: 'album' },
+  { term: 'THE ALBUM', aliases: ['디앨범', '디 앨범'], category: 'album' },
+];
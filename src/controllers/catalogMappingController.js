@@ -0,0 +1,108 @@
+// src/controllers/catalogMappingController.js
+// 번개장터 카테고리/브랜드 매핑 관리와 미매핑 카테고리 보고서 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const catalogMappingService = require('../services/catalogMappingService');
+
+/**
+ * GET /api/catalog-mappings/categories
+ */
+async function listCategoryMappings(req, res) {
+  const mappings = await catalogMappingService.listCategoryMappings();
+  res.status(200).json({ count: mappings.length, mappings });
+}
+
+/**
+ * GET /api/catalog-mappings/categories/unmapped?days=7&limit=100
+ * 최근 카탈로그 실행에서 리스팅 대상이었지만 매핑이 없는 카테고리를 행 수 순으로 반환합니다.
+ */
+async function getUnmappedCategories(req, res) {
+  const report = await catalogMappingService.getUnmappedCategoriesReport({
+    days: req.query.days ?? 7,
+    limit: req.query.limit ?? 100,
+  });
+  res.status(200).json({ count: report.categories.length, ...report });
+}
+
+/**
+ * GET /api/catalog-mappings/categories/:categoryId
+ */
+async function getCategoryMapping(req, res) {
+  const mapping = await catalogMappingService.getCategoryMapping(req.params.categoryId);
+  res.status(200).json(mapping);
+}
+
+/**
+ * PUT /api/catalog-mappings/categories/:categoryId
+ */
+async function upsertCategoryMapping(req, res) {
+  const { categoryId } = req.params;
+  const { bunjangCategoryName, shopifyProductType, collectionGids, tags, includeSubcategories, enabled, notes } = req.body;
+  const mapping = await catalogMappingService.upsertCategoryMapping(categoryId, {
+    bunjangCategoryName, shopifyProductType, collectionGids, tags, includeSubcategories, enabled, notes, updatedBy: req.ip,
+  });
+  logger.info(`[CatalogMappingCtrlr] Category mapping ${categoryId} saved via API.`);
+  res.status(200).json(mapping);
+}
+
+/**
+ * DELETE /api/catalog-mappings/categories/:categoryId
+ */
+async function deleteCategoryMapping(req, res) {
+  const mapping = await catalogMappingService.deleteCategoryMapping(req.params.categoryId);
+  logger.info(`[CatalogMappingCtrlr] Category mapping ${mapping.bunjangCategoryId} deleted via API.`);
+  res.status(200).json({ message: '카테고리 매핑이 삭제되었습니다.', bunjangCategoryId: mapping.bunjangCategoryId });
+}
+
+/**
+ * GET /api/catalog-mappings/brands?search=나이키&limit=50&skip=0
+ */
+async function listBrandMappings(req, res) {
+  const limit = req.query.limit ?? 50;
+  const skip = req.query.skip ?? 0;
+  const { total, brands } = await catalogMappingService.listBrandMappings({ search: req.query.search, limit, skip });
+  res.status(200).json({ total, limit, skip, brands });
+}
+
+/**
+ * PUT /api/catalog-mappings/brands/:brandId
+ */
+async function upsertBrandMapping(req, res) {
+  const { brandId } = req.params;
+  const { displayName, bunjangBrandName, enabled } = req.body;
+  const brand = await catalogMappingService.upsertBrandMapping(brandId, { displayName, bunjangBrandName, enabled, updatedBy: req.ip });
+  logger.info(`[CatalogMappingCtrlr] Brand mapping ${brandId} saved via API.`);
+  res.status(200).json(brand);
+}
+
+/**
+ * DELETE /api/catalog-mappings/brands/:brandId
+ */
+async function deleteBrandMapping(req, res) {
+  const brand = await catalogMappingService.deleteBrandMapping(req.params.brandId);
+  logger.info(`[CatalogMappingCtrlr] Brand mapping ${brand.bunjangBrandId} deleted via API.`);
+  res.status(200).json({ message: '브랜드 매핑이 삭제되었습니다.', bunjangBrandId: brand.bunjangBrandId });
+}
+
+/**
+ * POST /api/catalog-mappings/brands/seed
+ * 번개장터 브랜드 목록을 다시 가져와 브랜드 매핑을 추가/갱신합니다. (displayName은 유지)
+ */
+async function seedBrands(req, res) {
+  logger.info(`[CatalogMappingCtrlr] API call to seed brands from Bunjang by ${req.ip}.`);
+  const result = await catalogMappingService.seedBrandsFromBunjang();
+  await catalogMappingService.refreshCatalogMappings();
+  res.status(200).json(result);
+}
+
+module.exports = {
+  listCategoryMappings,
+  getUnmappedCategories,
+  getCategoryMapping,
+  upsertCategoryMapping,
+  deleteCategoryMapping,
+  listBrandMappings,
+  upsertBrandMapping,
+  deleteBrandMapping,
+  seedBrands,
+};
@@ -0,0 +1,94 @@
+// src/controllers/catalogRunController.js
+// 카탈로그 처리 실행 기록(CatalogRun) 조회 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const catalogRunService = require('../services/catalogRunService');
+
+const REPORT_CSV_COLUMNS = ['pid', 'action', 'reason', 'title', 'shopifyGid', 'priceUsd', 'changes', 'note'];
+
+function toCsvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /api/sync/catalog/runs?catalogType=full&status=FAILED&jobId=123&dryRun=false&limit=20&skip=0
+ * 카탈로그 실행 기록을 최신순으로 반환합니다. (errorSamples 제외)
+ */
+async function listCatalogRuns(req, res, next) {
+  const { catalogType, status, jobId, dryRun } = req.query;
+  const limit = req.query.limit ?? 20;
+  const skip = req.query.skip ?? 0;
+
+  try {
+    const { total, runs } = await catalogRunService.listCatalogRuns({ catalogType, status, jobId, dryRun, limit, skip });
+    res.status(200).json({ total, limit, skip, runs });
+  } catch (error) {
+    logger.error(`[CatalogRunCtrlr] Error listing catalog runs: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/runs/:id
+ * 카탈로그 실행 기록 하나를 에러 샘플과 함께 반환합니다. id는 CatalogRun ID 또는 BullMQ 작업 ID입니다.
+ */
+async function getCatalogRun(req, res, next) {
+  try {
+    const run = await catalogRunService.getCatalogRun(req.params.id);
+    res.status(200).json(run);
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      logger.error(`[CatalogRunCtrlr] Error fetching catalog run ${req.params.id}: ${error.message}`);
+    }
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/runs/:id/report?format=json|csv&action=UPDATE&limit=100&skip=0
+ * 드라이런 실행의 보고서를 반환합니다. format=csv이면 조건에 맞는 전체 항목을 CSV 파일로 스트리밍합니다.
+ * changes 열은 [{ field, from, to }] JSON입니다.
+ */
+async function getCatalogRunReport(req, res, next) {
+  const { id } = req.params;
+  const { action, format } = req.query;
+
+  try {
+    if (format === 'csv') {
+      const { run, cursor } = await catalogRunService.openCatalogRunReportCursor(id, { action });
+      res.status(200);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="catalog-run-${run._id}${action ? `-${action.toLowerCase()}` : ''}-report.csv"`);
+      res.write(`\uFEFF${REPORT_CSV_COLUMNS.join(',')}\n`); // BOM: 엑셀에서 한글 깨짐 방지
+      for await (const entry of cursor) {
+        const line = REPORT_CSV_COLUMNS.map(column => toCsvCell(column === 'changes' && !entry.changes?.length ? null : entry[column])).join(',');
+        if (!res.write(`${line}\n`)) await new Promise(resolve => res.once('drain', resolve));
+      }
+      res.end();
+      return;
+    }
+
+    const limit = req.query.limit ?? 100;
+    const skip = req.query.skip ?? 0;
+    const { run, total, entries } = await catalogRunService.getCatalogRunReport(id, { action, limit, skip });
+    res.status(200).json({ runId: run._id, status: run.status, report: run.report, total, limit, skip, entries });
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error(`[CatalogRunCtrlr] Error streaming report for catalog run ${id}: ${error.message}`);
+      res.destroy(error);
+      return;
+    }
+    if (error.statusCode !== 404) {
+      logger.error(`[CatalogRunCtrlr] Error fetching report for catalog run ${id}: ${error.message}`);
+    }
+    next(error);
+  }
+}
+
+module.exports = {
+  listCatalogRuns,
+  getCatalogRun,
+  getCatalogRunReport,
+};
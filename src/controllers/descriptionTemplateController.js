@@ -0,0 +1,75 @@
+// src/controllers/descriptionTemplateController.js
+// 상품 설명 템플릿(DescriptionTemplate) CRUD와 PID별 렌더링 미리보기 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const descriptionTemplateService = require('../services/descriptionTemplateService');
+
+const TEMPLATE_FIELDS = ['name', 'body', 'categoryIds', 'isDefault', 'priority', 'enabled', 'notes'];
+
+function pickTemplateFields(body) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([field, value]) => TEMPLATE_FIELDS.includes(field) && value !== undefined)
+  );
+}
+
+/**
+ * GET /api/description-templates
+ */
+async function listDescriptionTemplates(req, res) {
+  const templates = await descriptionTemplateService.listTemplates();
+  res.status(200).json({ count: templates.length, placeholders: descriptionTemplateService.PLACEHOLDERS, templates });
+}
+
+/**
+ * GET /api/description-templates/:templateId
+ */
+async function getDescriptionTemplate(req, res) {
+  const template = await descriptionTemplateService.getTemplate(req.params.templateId);
+  res.status(200).json(template);
+}
+
+/**
+ * POST /api/description-templates
+ */
+async function createDescriptionTemplate(req, res) {
+  const template = await descriptionTemplateService.createTemplate({ ...pickTemplateFields(req.body), updatedBy: req.ip });
+  logger.info(`[DescTemplateCtrlr] Description template '${template.name}' created via API.`);
+  res.status(201).json(template);
+}
+
+/**
+ * PATCH /api/description-templates/:templateId
+ * 변경된 템플릿은 이후 동기화되는 상품부터 적용됩니다.
+ */
+async function updateDescriptionTemplate(req, res) {
+  const template = await descriptionTemplateService.updateTemplate(req.params.templateId, { ...pickTemplateFields(req.body), updatedBy: req.ip });
+  res.status(200).json(template);
+}
+
+/**
+ * DELETE /api/description-templates/:templateId
+ */
+async function deleteDescriptionTemplate(req, res) {
+  const template = await descriptionTemplateService.deleteTemplate(req.params.templateId);
+  logger.info(`[DescTemplateCtrlr] Description template '${template.name}' deleted via API.`);
+  res.status(200).json({ message: '설명 템플릿이 삭제되었습니다.', templateId: template._id });
+}
+
+/**
+ * POST /api/description-templates/preview
+ * 동기화된 상품의 설명을 현재(또는 지정한) 템플릿으로 렌더링해 반환합니다. (Shopify에는 반영하지 않음)
+ */
+async function previewDescriptionTemplate(req, res) {
+  const { bunjangPid, templateId, body } = req.body;
+  const preview = await descriptionTemplateService.previewDescription({ bunjangPid, templateId, body });
+  res.status(200).json(preview);
+}
+
+module.exports = {
+  listDescriptionTemplates,
+  getDescriptionTemplate,
+  createDescriptionTemplate,
+  updateDescriptionTemplate,
+  deleteDescriptionTemplate,
+  previewDescriptionTemplate,
+};
@@ -0,0 +1,43 @@
+// src/controllers/duplicateController.js
+// 같은 판매자의 근사 중복 리스팅 그룹(DuplicateGroup) 조회/검토 API 핸들러입니다.
+
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+
+/**
+ * GET /api/duplicates?status=OPEN&sellerUid=&limit=&skip=
+ */
+async function listDuplicateGroups(req, res) {
+  const { status, sellerUid } = req.query;
+  const limit = req.query.limit ?? 50;
+  const skip = req.query.skip ?? 0;
+  const { total, groups } = await duplicateDetectionService.listDuplicateGroups({ status, sellerUid, limit, skip });
+  res.status(200).json({ total, limit, skip, groups });
+}
+
+/**
+ * GET /api/duplicates/:groupId
+ * 그룹 구성원과 각 상품의 현재 Shopify 리스팅 상태를 반환합니다.
+ */
+async function getDuplicateGroup(req, res) {
+  const group = await duplicateDetectionService.getDuplicateGroup(req.params.groupId);
+  res.status(200).json(group);
+}
+
+/**
+ * PATCH /api/duplicates/:groupId
+ * 검토 결과 기록. DISMISSED(중복 아님)이면 숨겨진 상품은 다음 카탈로그 동기화 때 다시 리스팅됩니다.
+ */
+async function reviewDuplicateGroup(req, res) {
+  const group = await duplicateDetectionService.reviewDuplicateGroup(req.params.groupId, {
+    status: req.body.status,
+    note: req.body.note,
+    reviewedBy: req.ip,
+  });
+  res.status(200).json(group);
+}
+
+module.exports = {
+  listDuplicateGroups,
+  getDuplicateGroup,
+  reviewDuplicateGroup,
+};
@@ -0,0 +1,65 @@
+// src/controllers/exchangeRateController.js
+// 환율 상태/이력 조회, 즉시 갱신, 수동 환율 지정 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const exchangeRateService = require('../services/exchangeRateService');
+
+/**
+ * GET /api/exchange-rates
+ */
+async function getExchangeRateStatus(req, res) {
+  const status = await exchangeRateService.getExchangeRateStatus();
+  res.status(200).json(status);
+}
+
+/**
+ * GET /api/exchange-rates/history
+ */
+async function getExchangeRateHistory(req, res) {
+  const { days = 30, provider, limit = 500 } = req.query;
+  const history = await exchangeRateService.getExchangeRateHistory({ days, provider, limit });
+  res.status(200).json({ days, provider: provider || null, count: history.length, history });
+}
+
+/**
+ * POST /api/exchange-rates/refresh
+ */
+async function refreshExchangeRates(req, res) {
+  const stored = await exchangeRateService.updateAndStoreExchangeRates();
+  logger.info(`[ExchangeRateCtrlr] Exchange rates refreshed via API from ${stored.provider}.`);
+  res.status(200).json({
+    provider: stored.provider,
+    failures: stored.failures,
+    rates: stored.rates,
+    krwToUsdRate: stored.krwToUsdRate,
+    sourceApiTimestamp: stored.sourceApiTimestamp,
+    pricingRate: await exchangeRateService.getPricingRate(),
+  });
+}
+
+/**
+ * PUT /api/exchange-rates/manual
+ */
+async function setManualOverride(req, res) {
+  const { rates, force, expiresAt, reason } = req.body;
+  const override = await exchangeRateService.setManualOverride({ rates, force, expiresAt, reason, updatedBy: req.ip });
+  logger.info(`[ExchangeRateCtrlr] Manual exchange rate set via API (force: ${override.force}).`);
+  res.status(200).json(override);
+}
+
+/**
+ * DELETE /api/exchange-rates/manual
+ */
+async function clearManualOverride(req, res) {
+  await exchangeRateService.clearManualOverride();
+  logger.info('[ExchangeRateCtrlr] Manual exchange rate cleared via API.');
+  res.status(200).json({ message: '수동 환율이 삭제되었습니다.' });
+}
+
+module.exports = {
+  getExchangeRateStatus,
+  getExchangeRateHistory,
+  refreshExchangeRates,
+  setManualOverride,
+  clearManualOverride,
+};
@@ -0,0 +1,60 @@
+// src/controllers/listingRuleController.js
+// 카탈로그 리스팅 규칙(ListingRule) CRUD API 핸들러입니다.
+
+const logger = require('../config/logger');
+const listingRuleService = require('../services/listingRuleService');
+
+/**
+ * GET /api/listing-rules?action=exclude&enabled=true
+ */
+async function listListingRules(req, res) {
+  const rules = await listingRuleService.listRules({ action: req.query.action, enabled: req.query.enabled });
+  res.status(200).json({ count: rules.length, rules });
+}
+
+/**
+ * GET /api/listing-rules/:ruleId
+ */
+async function getListingRule(req, res) {
+  const rule = await listingRuleService.getRule(req.params.ruleId);
+  res.status(200).json(rule);
+}
+
+/**
+ * POST /api/listing-rules
+ */
+async function createListingRule(req, res) {
+  const { name, description, action, enabled, priority, criteria } = req.body;
+  const rule = await listingRuleService.createRule({ name, description, action, enabled, priority, criteria, updatedBy: req.ip });
+  logger.info(`[ListingRuleCtrlr] Listing rule '${rule.name}' created via API.`);
+  res.status(201).json(rule);
+}
+
+/**
+ * PATCH /api/listing-rules/:ruleId
+ */
+async function updateListingRule(req, res) {
+  const allowedFields = ['name', 'description', 'action', 'enabled', 'priority', 'criteria'];
+  const updates = Object.fromEntries(
+    Object.entries(req.body).filter(([field, value]) => allowedFields.includes(field) && value !== undefined)
+  );
+  const rule = await listingRuleService.updateRule(req.params.ruleId, { ...updates, updatedBy: req.ip });
+  res.status(200).json(rule);
+}
+
+/**
+ * DELETE /api/listing-rules/:ruleId
+ */
+async function deleteListingRule(req, res) {
+  const rule = await listingRuleService.deleteRule(req.params.ruleId);
+  logger.info(`[ListingRuleCtrlr] Listing rule '${rule.name}' deleted via API.`);
+  res.status(200).json({ message: '리스팅 규칙이 삭제되었습니다.', ruleId: rule._id });
+}
+
+module.exports = {
+  listListingRules,
+  getListingRule,
+  createListingRule,
+  updateListingRule,
+  deleteListingRule,
+};
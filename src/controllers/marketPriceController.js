@@ -0,0 +1,48 @@
+// src/controllers/marketPriceController.js
+// Shopify Markets 가격 목록 상태 조회와 동기화 작업 등록 API 핸들러입니다.
+
+const config = require('../config');
+const marketPricingService = require('../services/marketPricingService');
+const { AppError, ValidationError } = require('../utils/customErrors');
+
+/**
+ * GET /api/market-prices
+ */
+async function getMarketPricingStatus(req, res) {
+  const markets = await marketPricingService.getMarketPricingStatus();
+  res.status(200).json({
+    enabled: config.marketPricing.enabled,
+    rateChangeThresholdPercent: config.marketPricing.rateChangeThresholdPercent,
+    markets,
+  });
+}
+
+/**
+ * POST /api/market-prices/sync
+ */
+async function triggerMarketPriceSync(req, res) {
+  if (!config.marketPricing.enabled) {
+    throw new AppError('마켓 가격이 비활성화되어 있습니다. (MARKET_PRICING_ENABLED)', 409, 'MARKET_PRICING_DISABLED');
+  }
+  const { currencies, force } = req.body;
+  const unknownCurrencies = (currencies || []).filter(currency => !config.marketPricing.currencies.includes(currency));
+  if (unknownCurrencies.length > 0) {
+    throw new ValidationError('설정되지 않은 통화가 있습니다.', unknownCurrencies.map(currency => ({
+      field: 'currencies', message: `${currency} is not in MARKET_PRICING_CURRENCIES`, value: currency,
+    })));
+  }
+
+  const queued = await marketPricingService.enqueueMarketPriceSync({ currencies, force, triggeredBy: `api_manual:${req.ip}` });
+  if (!queued) {
+    throw new AppError('Redis is disabled, market price list sync job cannot be queued.', 503, 'QUEUE_SYSTEM_DISABLED');
+  }
+  res.status(202).json({
+    message: queued.alreadyQueued ? '이미 등록된 가격 목록 동기화 작업이 있습니다.' : '가격 목록 동기화 작업이 등록되었습니다.',
+    ...queued,
+  });
+}
+
+module.exports = {
+  getMarketPricingStatus,
+  triggerMarketPriceSync,
+};
@@ -0,0 +1,43 @@
+// src/controllers/metricsController.js
+// 운영 지표(Shopify GraphQL 비용 버킷 등) 조회 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const shopifyThrottleService = require('../services/shopifyThrottleService');
+
+const SHOPIFY_THROTTLE_GAUGES = [
+  ['shopify_graphql_bucket_available', 'gauge', 'Currently available Shopify GraphQL query cost points (restored to now).', 'available'],
+  ['shopify_graphql_bucket_maximum', 'gauge', 'Shopify GraphQL cost bucket size.', 'maximum'],
+  ['shopify_graphql_bucket_restore_rate', 'gauge', 'Shopify GraphQL cost points restored per second.', 'restoreRate'],
+  ['shopify_graphql_delayed_requests_total', 'counter', 'GraphQL requests delayed to wait for query budget.', 'delayedRequests'],
+  ['shopify_graphql_delay_ms_total', 'counter', 'Total milliseconds GraphQL requests waited for query budget.', 'delayMsTotal'],
+  ['shopify_graphql_throttled_responses_total', 'counter', 'GraphQL requests rejected by Shopify as THROTTLED.', 'throttledResponses'],
+];
+
+/**
+ * GET /api/metrics?format=prometheus|json
+ * Shopify GraphQL 비용 버킷 수준과 대기/THROTTLED 누적 횟수를 반환합니다. 기본은 Prometheus 텍스트 형식입니다.
+ * Redis를 쓰면 모든 프로세스(API 서버, 워커)가 공유하는 값입니다.
+ */
+async function getMetrics(req, res, next) {
+  try {
+    const shopifyThrottle = await shopifyThrottleService.getThrottleMetrics();
+
+    if (req.query.format === 'json') {
+      res.status(200).json({ shopifyGraphqlThrottle: shopifyThrottle });
+      return;
+    }
+
+    const lines = [];
+    for (const [name, type, help, field] of SHOPIFY_THROTTLE_GAUGES) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name}{source="${shopifyThrottle.source}"} ${shopifyThrottle[field]}`);
+    }
+    res.status(200).type('text/plain; version=0.0.4').send(`${lines.join('\n')}\n`);
+  } catch (error) {
+    logger.error(`[MetricsCtrlr] Error collecting metrics: ${error.message}`);
+    next(error);
+  }
+}
+
+module.exports = {
+  getMetrics,
+};
@@ -6,6 +6,7 @@ const logger = require('../config/logger');
 const { getQueue } = require('../jobs/queues');
 const { ApiError, AppError } = require('../utils/customErrors');
 const redis = require('../config/redisClient');
+const orderService = require('../services/orderService');
 
 /**
  * Shopify 'orders/create' 또는 'orders/paid' 웹훅을 처리합니다.
@@ -255,9 +256,45 @@ async function checkOrderProcessingStatus(req, res, next) {
   }
 }
 
+/**
+ * POST /api/sync/order/:shopifyOrderId/reprocess
+ * Shopify 주문을 다시 조회해 주문 처리 큐에 재처리 작업을 추가하고, 끝나면 line item별 결과를 반환합니다.
+ * body: { reason: string, lineItemIds?: Array<string|number>, force?: boolean } (이미 주문된 상품은 force가 아니면 건너뜀)
+ */
+async function reprocessShopifyOrder(req, res, next) {
+  const { shopifyOrderId } = req.params;
+  const { reason, lineItemIds, force = false } = req.body;
+  logger.info(`[OrderSyncCtrlr] API call to reprocess Shopify order ${shopifyOrderId} (reason: ${reason}${lineItemIds?.length ? `, line items: ${lineItemIds.join(', ')}` : ''}${force ? ', forced' : ''}).`);
+
+  try {
+    const outcome = await orderService.queueShopifyOrderReprocess(shopifyOrderId, { reason, lineItemIds, force, requestedBy: req.ip });
+    if (outcome.state !== 'completed') {
+      return res.status(202).json({
+        message: `주문 재처리 작업이 아직 끝나지 않았습니다 (Order ID: ${outcome.shopifyOrderId}). 작업 상태를 확인하세요.`,
+        ...outcome,
+        queueName: config.bullmq.queues.order,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    res.status(200).json({
+      ...outcome,
+      success: Boolean(outcome.result?.success),
+      itemResults: outcome.result?.itemResults || [],
+      bunjangOrderIds: outcome.result?.bunjangOrderIds || [],
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (![404, 409, 422].includes(error.statusCode)) {
+      logger.error(`[OrderSyncCtrlr] Error reprocessing Shopify order ${shopifyOrderId}: ${error.message}`);
+    }
+    next(error);
+  }
+}
+
 module.exports = {
   handleShopifyOrderCreateWebhook,
   handleShopifyOrderUpdateWebhook,
   handleShopifyOrderCancelWebhook,
-  checkOrderProcessingStatus
+  checkOrderProcessingStatus,
+  reprocessShopifyOrder
 };
\ No newline at end of file
@@ -2,13 +2,55 @@
 // 가격 계산 로직 테스트용 API 엔드포인트 핸들러. (내부 관리용 또는 개발용)
 
 const logger = require('../config/logger');
-const { calculateShopifyPriceUsd, calculateInternalTotalCostUsd } = require('../services/priceCalculationService');
+const { calculateShopifyPrice, calculateInternalTotalCostUsd } = require('../services/priceCalculationService');
+const pricingProfileService = require('../services/pricingProfileService');
+const bunjangService = require('../services/bunjangService');
+const { buildCatalogRowFromProductDetails } = require('../services/catalogService');
+const SyncedProduct = require('../models/syncedProduct.model');
 const { validationResult } = require('express-validator'); // express-validator 결과 처리
-const { ValidationError, AppError } = require('../utils/customErrors'); // 커스텀 에러
+const { ValidationError, NotFoundError } = require('../utils/customErrors'); // 커스텀 에러
 
 /**
- * GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000]
- * 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD) 및 내부 비용을 계산하여 반환합니다.
+ * 가격 프로필 선택에 사용할 상품 정보를 만듭니다. pid가 있으면 SyncedProduct, 없으면 번개장터 상세 API에서 가져옵니다.
+ * @throws {NotFoundError} pid의 상품을 찾을 수 없으면.
+ */
+async function buildPricingSubject({ pid, categoryId, brandId, tags }) {
+  if (!pid) {
+    return { categoryId, brandId, keywords: tags ? tags.split(',') : [] };
+  }
+
+  const syncedProduct = await SyncedProduct.findOne({ bunjangPid: pid })
+    .select('bunjangPid bunjangOriginalPriceKrw bunjangOriginalShippingFeeKrw bunjangCategoryId bunjangBrandId bunjangKeywordsJson')
+    .lean();
+  if (syncedProduct) {
+    return {
+      pid,
+      source: 'syncedProduct',
+      price: syncedProduct.bunjangOriginalPriceKrw,
+      shippingFee: syncedProduct.bunjangOriginalShippingFeeKrw,
+      categoryId: syncedProduct.bunjangCategoryId,
+      brandId: syncedProduct.bunjangBrandId,
+      keywords: syncedProduct.bunjangKeywordsJson,
+    };
+  }
+
+  const details = await bunjangService.getBunjangProductDetails(pid);
+  if (!details) throw new NotFoundError('번개장터 상품을 찾을 수 없습니다.', 'BunjangProduct', pid);
+  const row = buildCatalogRowFromProductDetails({ pid, ...details });
+  return {
+    pid,
+    source: 'bunjangApi',
+    price: parseFloat(row.price),
+    shippingFee: parseFloat(row.shippingFee),
+    categoryId: row.categoryId,
+    brandId: row.brandId,
+    keywords: row.keywords || [],
+  };
+}
+
+/**
+ * GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000][&pid=123|&categoryId=310&brandId=1&tags=a,b][&destination=GB]
+ * 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD), 적용될 가격 프로필, 원가 구성, 내부 비용을 계산하여 반환합니다.
  */
 async function getCalculatedShopifyPrice(req, res, next) {
   // express-validator를 사용한 경우, 에러는 handleValidationErrors 미들웨어에서 처리됨.
@@ -19,28 +61,47 @@ async function getCalculatedShopifyPrice(req, res, next) {
     throw new ValidationError('입력값 유효성 검사 실패.', errors.array());
   }
 
-  const krwPrice = parseFloat(req.query.krwPrice); // express-validator toFloat() 사용 시 이미 숫자
-  const krwShippingFee = req.query.krwShippingFee ? parseFloat(req.query.krwShippingFee) : 0;
-
+  const { pid, categoryId, brandId, tags, destination } = req.query;
 
-  logger.info(`[PriceCtrlr] API call to calculate Shopify price for KRW: ${krwPrice}, ShippingKRW: ${krwShippingFee}`);
   try {
-    const shopifyPriceUsd = await calculateShopifyPriceUsd(krwPrice);
-    const internalCostDetails = await calculateInternalTotalCostUsd(krwPrice, krwShippingFee);
+    const subject = await buildPricingSubject({ pid, categoryId, brandId, tags });
+    const krwPrice = req.query.krwPrice !== undefined ? parseFloat(req.query.krwPrice) : subject.price; // express-validator toFloat() 사용 시 이미 숫자
+    const krwShippingFee = req.query.krwShippingFee !== undefined ? parseFloat(req.query.krwShippingFee) : (subject.shippingFee || 0);
+    if (!(krwPrice > 0)) {
+      throw new ValidationError('상품에 가격 정보가 없습니다. krwPrice를 함께 지정하세요.', [{ field: 'krwPrice', message: `No KRW price for PID ${pid}.` }]);
+    }
+
+    logger.info(`[PriceCtrlr] API call to calculate Shopify price for KRW: ${krwPrice}, ShippingKRW: ${krwShippingFee}${pid ? `, PID: ${pid}` : ''}`);
+    const { priceUsd, profile, breakdown } = await calculateShopifyPrice({ ...subject, price: krwPrice, shippingFee: krwShippingFee }, { destination });
+    const internalCostDetails = await calculateInternalTotalCostUsd(krwPrice, krwShippingFee, { categoryId: subject.categoryId, destination });
+    const profileDetails = profile.id ? await pricingProfileService.getProfile(profile.id) : pricingProfileService.getBuiltInProfile();
 
     res.status(200).json({
       inputs: {
         bunjangPriceKrw: krwPrice,
         bunjangShippingFeeKrw: krwShippingFee,
+        ...(pid && { pid, productSource: subject.source }),
+        categoryId: subject.categoryId || null,
+        brandId: subject.brandId || null,
+        destination: breakdown.destination,
+      },
+      calculatedShopifyListingPriceUsd: priceUsd,
+      pricingProfile: {
+        ...profile,
+        builtIn: !profile.id,
+        criteria: profileDetails.criteria,
+        pricing: profileDetails.pricing,
       },
-      calculatedShopifyListingPriceUsd: shopifyPriceUsd,
+      priceBreakdown: breakdown,
       estimatedInternalCostsUsd: internalCostDetails,
     });
   } catch (error) {
     // priceCalculationService에서 AppError, ValidationError, ExternalServiceError 등을 throw 할 수 있음
-    logger.error(`[PriceCtrlr] Error calculating Shopify price for KRW ${krwPrice}: ${error.message}`, {
-        errorCode: error.errorCode, details: error.details, stack: error.stack?.substring(0,300)
-    });
+    if (![404, 422].includes(error.statusCode)) {
+      logger.error(`[PriceCtrlr] Error calculating Shopify price${pid ? ` for PID ${pid}` : ''}: ${error.message}`, {
+          errorCode: error.errorCode, details: error.details, stack: error.stack?.substring(0,300)
+      });
+    }
     // 에러를 중앙 에러 핸들러로 전달
     next(error);
   }
@@ -0,0 +1,85 @@
+// src/controllers/pricingProfileController.js
+// 가격 프로필(PricingProfile) CRUD와 버전 이력 조회 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const pricingProfileService = require('../services/pricingProfileService');
+const { previewPriceRounding } = require('../services/priceCalculationService');
+
+const PROFILE_FIELDS = ['name', 'description', 'enabled', 'priority', 'isDefault', 'criteria', 'pricing'];
+
+function pickProfileFields(body) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([field, value]) => PROFILE_FIELDS.includes(field) && value !== undefined)
+  );
+}
+
+/**
+ * GET /api/pricing-profiles?enabled=true
+ */
+async function listPricingProfiles(req, res) {
+  const profiles = await pricingProfileService.listProfiles({ enabled: req.query.enabled });
+  res.status(200).json({ count: profiles.length, builtInProfile: pricingProfileService.getBuiltInProfile(), profiles });
+}
+
+/**
+ * GET /api/pricing-profiles/:profileId
+ */
+async function getPricingProfile(req, res) {
+  const profile = await pricingProfileService.getProfile(req.params.profileId);
+  res.status(200).json(profile);
+}
+
+/**
+ * GET /api/pricing-profiles/:profileId/versions
+ */
+async function listPricingProfileVersions(req, res) {
+  const versions = await pricingProfileService.listProfileVersions(req.params.profileId);
+  res.status(200).json({ profileId: req.params.profileId, count: versions.length, versions });
+}
+
+/**
+ * GET /api/pricing-profiles/rounding-preview?strategy=CHARM_99&limit=20
+ */
+async function previewRounding(req, res) {
+  const { strategy, thresholdUsd, profileId, limit } = req.query;
+  const rounding = strategy ? { strategy, ...(thresholdUsd !== undefined && { thresholdUsd }) } : undefined;
+  const preview = await previewPriceRounding({ rounding, profileId, limit: limit ?? 20 });
+  res.status(200).json({ rounding: rounding || 'profile', ...preview });
+}
+
+/**
+ * POST /api/pricing-profiles
+ */
+async function createPricingProfile(req, res) {
+  const profile = await pricingProfileService.createProfile({ ...pickProfileFields(req.body), updatedBy: req.ip });
+  logger.info(`[PricingProfileCtrlr] Pricing profile '${profile.name}' created via API.`);
+  res.status(201).json(profile);
+}
+
+/**
+ * PATCH /api/pricing-profiles/:profileId
+ * 변경된 프로필은 이후 동기화되는 상품부터 적용됩니다.
+ */
+async function updatePricingProfile(req, res) {
+  const profile = await pricingProfileService.updateProfile(req.params.profileId, { ...pickProfileFields(req.body), updatedBy: req.ip });
+  res.status(200).json(profile);
+}
+
+/**
+ * DELETE /api/pricing-profiles/:profileId
+ */
+async function deletePricingProfile(req, res) {
+  const profile = await pricingProfileService.deleteProfile(req.params.profileId, { updatedBy: req.ip });
+  logger.info(`[PricingProfileCtrlr] Pricing profile '${profile.name}' deleted via API.`);
+  res.status(200).json({ message: '가격 프로필이 삭제되었습니다.', profileId: profile._id });
+}
+
+module.exports = {
+  listPricingProfiles,
+  getPricingProfile,
+  listPricingProfileVersions,
+  previewRounding,
+  createPricingProfile,
+  updatePricingProfile,
+  deletePricingProfile,
+};
@@ -4,8 +4,10 @@
 const logger = require('../config/logger');
 const config = require('../config');
 const { getQueue } = require('../jobs/queues');
-const { AppError, ValidationError } = require('../utils/customErrors');
-const { param, validationResult } = require('express-validator');
+const productSyncQueueService = require('../services/productSyncQueueService');
+const productResyncService = require('../services/productResyncService');
+const { AppError } = require('../utils/customErrors');
+const { param } = require('express-validator');
 
 /**
  * POST /api/sync/catalog/full
@@ -117,71 +119,33 @@ async function triggerSegmentCatalogSync(req, res, next) {
 }
 
 /**
- * POST /api/sync/product/:bunjangPid
- * 특정 번개장터 상품 ID를 받아 해당 상품만 재동기화하는 작업을 큐에 추가합니다.
+ * POST /api/sync/product/:bunjangPid/resync[?wait=true]
+ * 번개장터 상세 API로 상품을 다시 조회해 카탈로그와 같은 경로(productSync 큐)로 재동기화합니다.
+ * wait=true이면 작업이 끝날 때까지 기다려 SyncedProduct 문서와 바뀐 Shopify 필드(changes)를 반환합니다.
  */
 async function triggerSingleProductSync(req, res, next) {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    throw new ValidationError('잘못된 상품 ID 형식입니다.', errors.array());
-  }
-
   const { bunjangPid } = req.params;
-  const jobName = 'ManualTrigger-SyncSingleProduct';
-  const queueName = config.bullmq.queues.productSync;
-  logger.info(`[ProductSyncCtrlr] API call to resync Bunjang product PID: ${bunjangPid}. Adding to queue: ${queueName}`);
+  const wait = req.query.wait === true;
+  logger.info(`[ProductSyncCtrlr] API call to resync Bunjang product PID: ${bunjangPid}${wait ? ' (waiting for result)' : ''}.`);
 
-  if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_SYSTEM_DISABLED'));
-  const productSyncQueue = getQueue(queueName);
-  if (!productSyncQueue) return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_INSTANCE_UNAVAILABLE'));
-  
   try {
-    const jobData = { bunjangPid, triggeredBy: 'api_manual_single_product_sync', requestedBy: req.ip };
-    
-    // 중복 방지: PID만 사용하여 고유 ID 생성
-    const jobId = `manual-single-product-${bunjangPid}`;
-    
-    // 기존 작업이 있는지 확인
-    const existingJob = await productSyncQueue.getJob(jobId);
-    if (existingJob) {
-      const state = await existingJob.getState();
-      if (['waiting', 'active', 'delayed'].includes(state)) {
-        logger.info(`[ProductSyncCtrlr] Product sync job already in progress for PID: ${bunjangPid}. Job ID: ${jobId}, State: ${state}`);
-        return res.status(409).json({
-          message: `이미 처리 중인 동기화 작업이 있습니다 (PID: ${bunjangPid})`,
-          existingJobId: existingJob.id,
-          state: state,
-          timestamp: new Date().toISOString(),
-        });
-      } else if (state === 'completed') {
-        // 완료된 작업은 제거하고 새로 추가
-        await existingJob.remove();
-      }
+    const outcome = await productResyncService.resyncProduct(bunjangPid, { wait, requestedBy: req.ip });
+    if (outcome.state !== 'completed') {
+      return res.status(202).json({
+        message: outcome.timedOut
+          ? `재동기화 작업이 아직 끝나지 않았습니다 (PID: ${bunjangPid}). 작업 상태를 확인하세요.`
+          : `번개장터 상품(PID: ${bunjangPid}) 재동기화 작업이 큐에 추가되었습니다.`,
+        ...outcome,
+        queueName: config.bullmq.queues.productSync,
+        timestamp: new Date().toISOString(),
+      });
     }
-    
-    const job = await productSyncQueue.add(jobName, jobData, { 
-      jobId,
-      removeOnComplete: true,
-      removeOnFail: false,
-      attempts: 3,
-      backoff: {
-        type: 'exponential',
-        delay: 5000,
-      }
-    });
-
-    logger.info(`[ProductSyncCtrlr] Job "${jobName}" (ID: ${job.id}) for Bunjang PID ${bunjangPid} added to queue "${queueName}".`);
-    res.status(202).json({
-      message: `번개장터 상품(PID: ${bunjangPid}) 재동기화 작업이 큐에 추가되었습니다.`,
-      jobId: job.id,
-      queueName: queueName,
-      jobName: job.name,
-      bunjangPid,
-      timestamp: new Date().toISOString(),
-    });
+    res.status(200).json({ ...outcome, timestamp: new Date().toISOString() });
   } catch (error) {
-    logger.error(`[ProductSyncCtrlr] Error adding single product sync job for PID ${bunjangPid} to queue "${queueName}":`, error);
-    next(new AppError(`개별 상품(PID: ${bunjangPid}) 동기화 작업 추가 실패.`, 500, 'QUEUE_JOB_ADD_FAILED_SINGLE_PRODUCT', true, error));
+    if (![404, 409, 422].includes(error.statusCode)) {
+      logger.error(`[ProductSyncCtrlr] Error resyncing Bunjang PID ${bunjangPid}: ${error.message}`);
+    }
+    next(error);
   }
 }
 
@@ -232,6 +196,68 @@ async function checkJobStatus(req, res, next) {
   }
 }
 
+/**
+ * GET /api/sync/product-sync/dead-letter?limit=50&skip=0
+ * 재시도를 모두 실패해 데드레터 큐로 옮겨진 상품(PID)과 마지막 에러를 최근 실패 순으로 반환합니다.
+ */
+async function listDeadLetteredProducts(req, res, next) {
+  if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_SYSTEM_DISABLED'));
+  const limit = req.query.limit ?? 50;
+  const skip = req.query.skip ?? 0;
+
+  try {
+    const { total, entries } = await productSyncQueueService.listDeadLetteredProducts({ limit, skip });
+    res.status(200).json({ total, limit, skip, entries });
+  } catch (error) {
+    logger.error(`[ProductSyncCtrlr] Error listing dead-lettered products: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/product-sync/dead-letter/:bunjangPid/requeue
+ * 데드레터 항목 하나를 상품 동기화 큐에 다시 추가합니다.
+ */
+async function requeueDeadLetteredProduct(req, res, next) {
+  if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_SYSTEM_DISABLED'));
+  const { bunjangPid } = req.params;
+
+  try {
+    const result = await productSyncQueueService.requeueDeadLetteredProduct(bunjangPid, { requestedBy: req.ip });
+    res.status(202).json({
+      message: `데드레터 상품(PID: ${bunjangPid})이 동기화 큐에 다시 추가되었습니다.`,
+      ...result,
+      queueName: config.bullmq.queues.productSync,
+    });
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      logger.error(`[ProductSyncCtrlr] Error requeueing dead-lettered PID ${bunjangPid}: ${error.message}`);
+    }
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/product-sync/dead-letter/requeue
+ * body: { pids?: string[] } - 생략하면 데드레터 큐 전체를 다시 추가합니다.
+ */
+async function requeueDeadLetteredProducts(req, res, next) {
+  if (!config.redis.enabled) return next(new AppError('Redis is disabled.', 503, 'QUEUE_SYSTEM_DISABLED'));
+
+  try {
+    const result = await productSyncQueueService.requeueDeadLetteredProducts({ pids: req.body?.pids, requestedBy: req.ip });
+    res.status(202).json({
+      message: `${result.requeued.length}개 상품이 동기화 큐에 다시 추가되었습니다.`,
+      requeuedCount: result.requeued.length,
+      ...result,
+      queueName: config.bullmq.queues.productSync,
+    });
+  } catch (error) {
+    logger.error(`[ProductSyncCtrlr] Error bulk requeueing dead-lettered products: ${error.message}`);
+    next(error);
+  }
+}
+
 /**
  * Validation middleware for bunjangPid
  */
@@ -248,5 +274,8 @@ module.exports = {
   triggerSegmentCatalogSync,
   triggerSingleProductSync,
   checkJobStatus,
+  listDeadLetteredProducts,
+  requeueDeadLetteredProduct,
+  requeueDeadLetteredProducts,
   validateBunjangPid
 };
\ No newline at end of file
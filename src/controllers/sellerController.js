@@ -0,0 +1,42 @@
+// src/controllers/sellerController.js
+// 번개장터 판매자 레지스트리(차단/허용/주의) API 핸들러입니다.
+
+const logger = require('../config/logger');
+const sellerRegistryService = require('../services/sellerRegistryService');
+
+/**
+ * GET /api/sellers?status=blocked&limit=50&skip=0
+ */
+async function listSellers(req, res) {
+  const { status } = req.query;
+  const limit = req.query.limit ?? 50;
+  const skip = req.query.skip ?? 0;
+  const { total, sellers } = await sellerRegistryService.listSellers({ status, limit, skip });
+  res.status(200).json({ total, limit, skip, sellers });
+}
+
+/**
+ * GET /api/sellers/:sellerUid
+ */
+async function getSeller(req, res) {
+  const seller = await sellerRegistryService.getSeller(req.params.sellerUid);
+  res.status(200).json(seller);
+}
+
+/**
+ * PUT /api/sellers/:sellerUid
+ * 판매자 상태/메모를 변경합니다. blocked로 변경되면 리스팅 중인 상품을 DRAFT 처리하고 결과를 함께 반환합니다.
+ */
+async function updateSeller(req, res) {
+  const { sellerUid } = req.params;
+  const { status, notes } = req.body;
+  logger.info(`[SellerCtrlr] API call to update seller ${sellerUid}. Status: ${status || '(unchanged)'}`);
+  const result = await sellerRegistryService.updateSeller(sellerUid, { status, notes, changedBy: req.ip });
+  res.status(200).json(result);
+}
+
+module.exports = {
+  listSellers,
+  getSeller,
+  updateSeller,
+};
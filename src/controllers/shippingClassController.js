@@ -0,0 +1,46 @@
+// src/controllers/shippingClassController.js
+// 국제 운임 추정용 무게/크기 등급(ShippingClass) 관리 API 핸들러입니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const landedCostService = require('../services/landedCostService');
+
+/**
+ * GET /api/shipping-classes
+ */
+async function listShippingClasses(req, res) {
+  const classes = await landedCostService.listShippingClasses();
+  const { enabled, defaultDestination, freight, destinationSurchargesUsd } = config.landedCost;
+  res.status(200).json({
+    landedCost: { enabled, defaultDestination, freight, destinationSurchargesUsd },
+    count: classes.length,
+    shippingClasses: classes.map(shippingClass => ({ ...shippingClass, estimatedFreight: landedCostService.estimateFreight(shippingClass) })),
+  });
+}
+
+/**
+ * PUT /api/shipping-classes/:code
+ */
+async function upsertShippingClass(req, res) {
+  const { name, weightKg, lengthCm, widthCm, heightCm, freightOverrideUsd, categoryIds, isDefault, priority, enabled, notes } = req.body;
+  const shippingClass = await landedCostService.upsertShippingClass(req.params.code, {
+    name, weightKg, lengthCm, widthCm, heightCm, freightOverrideUsd, categoryIds, isDefault, priority, enabled, notes, updatedBy: req.ip,
+  });
+  logger.info(`[ShippingClassCtrlr] Shipping class ${shippingClass.code} saved via API.`);
+  res.status(200).json(shippingClass);
+}
+
+/**
+ * DELETE /api/shipping-classes/:code
+ */
+async function deleteShippingClass(req, res) {
+  const shippingClass = await landedCostService.deleteShippingClass(req.params.code);
+  logger.info(`[ShippingClassCtrlr] Shipping class ${shippingClass.code} deleted via API.`);
+  res.status(200).json({ message: '배송 등급이 삭제되었습니다.', code: shippingClass.code });
+}
+
+module.exports = {
+  listShippingClasses,
+  upsertShippingClass,
+  deleteShippingClass,
+};
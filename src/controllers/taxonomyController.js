@@ -0,0 +1,88 @@
+// src/controllers/taxonomyController.js
+// 자동 태깅/컬렉션 분류 규칙(TaxonomyRule) CRUD, PID별 미리보기, 재태깅 작업 등록 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const taxonomyService = require('../services/taxonomyService');
+const { AppError } = require('../utils/customErrors');
+
+const RULE_FIELDS = ['name', 'description', 'enabled', 'priority', 'matchers', 'minScore', 'exclusions', 'tags', 'collectionGids'];
+
+function pickRuleFields(body) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([field, value]) => RULE_FIELDS.includes(field) && value !== undefined)
+  );
+}
+
+/**
+ * GET /api/taxonomy/rules?enabled=true
+ */
+async function listTaxonomyRules(req, res) {
+  const rules = await taxonomyService.listRules({ enabled: req.query.enabled });
+  res.status(200).json({ count: rules.length, rulesVersion: taxonomyService.getRulesVersion(), rules });
+}
+
+/**
+ * GET /api/taxonomy/rules/:ruleId
+ */
+async function getTaxonomyRule(req, res) {
+  const rule = await taxonomyService.getRule(req.params.ruleId);
+  res.status(200).json(rule);
+}
+
+/**
+ * POST /api/taxonomy/rules
+ */
+async function createTaxonomyRule(req, res) {
+  const rule = await taxonomyService.createRule({ ...pickRuleFields(req.body), updatedBy: req.ip });
+  logger.info(`[TaxonomyCtrlr] Taxonomy rule '${rule.name}' created via API.`);
+  res.status(201).json(rule);
+}
+
+/**
+ * PATCH /api/taxonomy/rules/:ruleId
+ */
+async function updateTaxonomyRule(req, res) {
+  const rule = await taxonomyService.updateRule(req.params.ruleId, { ...pickRuleFields(req.body), updatedBy: req.ip });
+  res.status(200).json(rule);
+}
+
+/**
+ * DELETE /api/taxonomy/rules/:ruleId
+ */
+async function deleteTaxonomyRule(req, res) {
+  const rule = await taxonomyService.deleteRule(req.params.ruleId);
+  logger.info(`[TaxonomyCtrlr] Taxonomy rule '${rule.name}' deleted via API.`);
+  res.status(200).json({ message: '분류 규칙이 삭제되었습니다.', ruleId: rule._id });
+}
+
+/**
+ * GET /api/taxonomy/preview/:bunjangPid
+ * 현재 규칙으로 받게 될 태그/컬렉션과 일치한 규칙을 반환합니다. (Shopify에는 반영하지 않음)
+ */
+async function previewTaxonomy(req, res) {
+  const preview = await taxonomyService.previewTaxonomyForPid(req.params.bunjangPid);
+  res.status(200).json(preview);
+}
+
+/**
+ * POST /api/taxonomy/backfill
+ * 현재 규칙 버전으로 분류되지 않은 동기화 상품 재태깅 작업을 등록합니다.
+ */
+async function triggerTaxonomyBackfill(req, res) {
+  await taxonomyService.refreshTaxonomyRules();
+  const queued = await taxonomyService.enqueueTaxonomyBackfill({ triggeredBy: `api_manual:${req.ip}` });
+  if (!queued) {
+    throw new AppError('Redis is disabled, taxonomy backfill job cannot be queued.', 503, 'QUEUE_SYSTEM_DISABLED');
+  }
+  res.status(202).json({ message: '재태깅 작업이 등록되었습니다.', ...queued });
+}
+
+module.exports = {
+  listTaxonomyRules,
+  getTaxonomyRule,
+  createTaxonomyRule,
+  updateTaxonomyRule,
+  deleteTaxonomyRule,
+  previewTaxonomy,
+  triggerTaxonomyBackfill,
+};
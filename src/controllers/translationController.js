@@ -0,0 +1,51 @@
+// src/controllers/translationController.js
+// 번역 용어집 관리와 번역 미리보기 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const translationService = require('../services/translationService');
+
+/**
+ * GET /api/translations/glossary
+ */
+async function listGlossaryTerms(req, res) {
+  const glossary = await translationService.listGlossaryTerms();
+  res.status(200).json({ count: glossary.terms.length, ...glossary });
+}
+
+/**
+ * PUT /api/translations/glossary/:term
+ * 용어집 항목 추가/수정. 기본 용어집 항목은 같은 term으로 덮어쓰거나 enabled=false로 비활성화합니다.
+ */
+async function upsertGlossaryTerm(req, res) {
+  const { term } = req.params;
+  const { aliases, category, matchWholeWord, enabled, notes } = req.body;
+  const glossaryTerm = await translationService.upsertGlossaryTerm(term, { aliases, category, matchWholeWord, enabled, notes, updatedBy: req.ip });
+  logger.info(`[TranslationCtrlr] Glossary term '${term}' saved via API.`);
+  res.status(200).json(glossaryTerm);
+}
+
+/**
+ * DELETE /api/translations/glossary/:term
+ */
+async function deleteGlossaryTerm(req, res) {
+  const glossaryTerm = await translationService.deleteGlossaryTerm(req.params.term);
+  logger.info(`[TranslationCtrlr] Glossary term '${glossaryTerm.term}' deleted via API.`);
+  res.status(200).json({ message: '용어집 항목이 삭제되었습니다.', term: glossaryTerm });
+}
+
+/**
+ * POST /api/translations/preview  { "texts": ["방탄소년단 정국 포카"], "provider": "local" }
+ * 캐시를 사용해 번역 결과를 미리 확인합니다. (상품에는 반영하지 않음)
+ */
+async function previewTranslation(req, res) {
+  const { texts, provider } = req.body;
+  const result = await translationService.translateTexts(texts, { provider });
+  res.status(200).json({ ...result, sources: texts });
+}
+
+module.exports = {
+  listGlossaryTerms,
+  upsertGlossaryTerm,
+  deleteGlossaryTerm,
+  previewTranslation,
+};
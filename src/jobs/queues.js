@@ -1,12 +1,13 @@
 // src/jobs/queues.js
 // BullMQ 큐 인스턴스를 생성하고 관리합니다.
 
-const { Queue, Worker } = require('bullmq');
+const { Queue, QueueEvents, Worker } = require('bullmq');
 const config = require('../config');
 const logger = require('../config/logger');
 const { getBullMQRedisConnection } = require('../config/redisClient'); // BullMQ용 Redis 연결
 
 const queues = {};
+const queueEventsByName = {};
 
 /**
  * 지정된 이름으로 BullMQ 큐를 생성하거나 가져옵니다.
@@ -47,6 +48,24 @@ function getQueue(queueName) {
   return queues[queueName];
 }
 
+/**
+ * 지정된 큐의 QueueEvents를 생성하거나 가져옵니다. (job.waitUntilFinished 용)
+ * @param {string} queueName
+ * @returns {QueueEvents|null} Redis 비활성화 시 null.
+ */
+function getQueueEvents(queueName) {
+  if (!config.redis.enabled) return null;
+
+  if (!queueEventsByName[queueName]) {
+    logger.info(`Initializing BullMQ queue events: ${queueName}`);
+    queueEventsByName[queueName] = new QueueEvents(queueName, { connection: getBullMQRedisConnection() });
+    queueEventsByName[queueName].on('error', (error) => {
+      logger.error(`BullMQ queue events "${queueName}" error:`, error);
+    });
+  }
+  return queueEventsByName[queueName];
+}
+
 /**
  * 모든 활성 BullMQ 큐와 연결된 워커를 정상적으로 종료합니다.
  * 애플리케이션 종료 시 호출됩니다.
@@ -63,7 +82,15 @@ async function closeAllQueues() {
       }
     }
   });
-  await Promise.allSettled(closePromises);
+  const closeEventsPromises = Object.entries(queueEventsByName).map(async ([queueName, queueEvents]) => {
+    try {
+      await queueEvents.close();
+      delete queueEventsByName[queueName];
+    } catch (error) {
+      logger.error(`Error closing BullMQ queue events "${queueName}":`, error);
+    }
+  });
+  await Promise.allSettled([...closePromises, ...closeEventsPromises]);
   logger.info('All BullMQ queues have been requested to close.');
 }
 
@@ -80,6 +107,7 @@ function initializeQueues() {
 
 module.exports = {
   getQueue,
+  getQueueEvents,
   initializeQueues, // index.js에서 호출하여 미리 큐 인스턴스 생성
   closeAllQueues,
 };
@@ -28,9 +28,9 @@ async function processCatalogJob(job) {
   // Use a distinct variable name for the job identifier string within this function
   // to ensure clarity and avoid potential scope confusion if 'jobIdForLog' was used elsewhere.
   const currentJobIdentifier = `Job ${job.id} (Name: ${job.name}, Trigger: ${job.data.triggeredBy || 'unknown'})`;
-  const { catalogType } = job.data;
+  const { catalogType, sourceFile } = job.data;
 
-  logger.info(`[Worker: ${job.queueName}] Starting ${currentJobIdentifier}. Type: ${catalogType}`);
+  logger.info(`[Worker: ${job.queueName}] Starting ${currentJobIdentifier}. Type: ${catalogType}${job.data.dryRun ? ' (dry run)' : ''}`);
 
   if (!['full', 'segment'].includes(catalogType)) {
     logger.error(`[Worker: ${job.queueName}] ${currentJobIdentifier} has invalid catalogType: ${catalogType}`);
@@ -40,7 +40,19 @@ async function processCatalogJob(job) {
 
   try {
     // Pass the well-defined 'currentJobIdentifier' to the service layer for consistent logging
-    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier);
+    // BullMQ 작업 정보는 CatalogRun 기록에 함께 저장됨
+    const runContext = {
+      jobId: String(job.id),
+      jobName: job.name,
+      triggeredBy: job.data.triggeredBy,
+      attempt: job.attemptsMade + 1,
+      maxAttempts: job.opts?.attempts || 1, // 재시도가 남아 있으면 CSV를 남겨 체크포인트부터 재개
+      // POST /api/sync/catalog/import 로 추가된 작업은 다운로드 대신 로컬 파일을 처리
+      ...(sourceFile && { source: job.data.source, sourcePath: sourceFile.path, sourceFile }),
+      // dryRun: Shopify 변경 없이 변경 예정 보고서만 생성
+      ...(job.data.dryRun && { dryRun: true }),
+    };
+    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier, runContext);
     logger.info(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: ${catalogType}) completed successfully. Summary:`, resultSummary);
     return { success: true, catalogType, summary: resultSummary };
   } catch (error) { // This 'error' is whatever was thrown from fetchAndProcessBunjangCatalog
@@ -1,26 +1,38 @@
 // src/jobs/workers/exchangeRateWorker.js
-// BullMQ 워커: 환율 정보 업데이트 작업을 처리합니다.
+// BullMQ 워커: 환율 정보 업데이트 작업과 Shopify Markets 가격 목록 동기화 작업을 처리합니다.
 
 const { Worker } = require('bullmq');
 const config = require('../../config'); // 경로 수정
 const logger = require('../../config/logger'); // 경로 수정
 const { updateAndStoreExchangeRates } = require('../../services/exchangeRateService'); // 경로 수정
+const marketPricingService = require('../../services/marketPricingService');
 const { JobQueueError } = require('../../utils/customErrors'); // 경로 수정
 
 const CONCURRENCY = parseInt(process.env.EXCHANGE_RATE_WORKER_CONCURRENCY, 10) || 1; // 동시 처리 작업 수
 
 /**
  * 환율 업데이트 작업을 처리하는 워커 로직입니다.
+ * 환율을 저장한 뒤 마켓 가격이 켜져 있으면 가격 목록 동기화 작업을 등록합니다. (적용 환율 변경 여부는 동기화 작업이 판단)
+ * SyncMarketPriceLists 작업(API 또는 카탈로그 실행 후 등록)은 가격 목록 동기화만 수행합니다.
  * @param {import('bullmq').Job} job - BullMQ 작업 객체.
  */
 async function processExchangeRateUpdate(job) {
   logger.info(`[Worker: ${job.queueName}] Starting job ${job.id} (Name: ${job.name}). Data: ${JSON.stringify(job.data)}`);
   
   try {
+    if (job.name === marketPricingService.SYNC_JOB_NAME) {
+      const syncResult = await marketPricingService.syncMarketPriceLists({ ...job.data, jobId: job.id });
+      return { success: syncResult.results.every(result => !result.error), ...syncResult };
+    }
+
     const result = await updateAndStoreExchangeRates(); // 서비스 함수 호출
     if (result) {
-      logger.info(`[Worker: ${job.queueName}] Job ${job.id} completed successfully. Exchange rates updated.`);
-      return { success: true, rates: { krwToUsd: result.krwToUsdRate, lastUpdated: result.lastUpdatedByApp } };
+      logger.info(`[Worker: ${job.queueName}] Job ${job.id} completed successfully. Exchange rates updated from ${result.provider}.`);
+      if (config.marketPricing.enabled) {
+        await marketPricingService.enqueueMarketPriceSync({ triggeredBy: 'exchange_rate_update' })
+          .catch(enqueueError => logger.warn(`[Worker: ${job.queueName}] Failed to queue market price list sync: ${enqueueError.message}`));
+      }
+      return { success: true, provider: result.provider, rates: { krwToUsd: result.krwToUsdRate, lastUpdated: result.lastUpdatedByApp } };
     } else {
       logger.warn(`[Worker: ${job.queueName}] Job ${job.id} completed, but exchange rates might not have been updated (check service logs).`);
       // 실패로 간주하지 않고, 서비스 로직에서 이미 로깅했다고 가정
@@ -9,7 +9,8 @@ const { getBullMQRedisConnection } = require('../../config/redisClient'); // 경
 const createExchangeRateWorker = require('./exchangeRateWorker');
 const createCatalogWorker = require('./catalogWorker');
 const createOrderWorker = require('./orderWorker');
-// const createProductSyncWorker = require('./productSyncWorker'); // 필요시
+const createTaxonomyBackfillWorker = require('./taxonomyBackfillWorker');
+const createProductSyncWorker = require('./productSyncWorker');
 
 const workers = []; // 활성 워커 인스턴스 저장 배열
 
@@ -43,11 +44,17 @@ function initializeAllWorkers() {
   workers.push(orderWorker);
   logger.info(`[Workers] Order Processing Worker for queue "${orderQueueName}" initialized.`);
 
-  // 4. (선택) 개별 상품 동기화 워커
-  // const productSyncQueueName = config.bullmq.queues.productSync;
-  // const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
-  // workers.push(productSyncWorker);
-  // logger.info(`[Workers] Product Sync Worker for queue "${productSyncQueueName}" initialized.`);
+  // 4. 분류 규칙 재태깅 워커
+  const taxonomyBackfillQueueName = config.bullmq.queues.taxonomyBackfill;
+  const taxonomyBackfillWorker = createTaxonomyBackfillWorker(taxonomyBackfillQueueName, getBullMQRedisConnection());
+  workers.push(taxonomyBackfillWorker);
+  logger.info(`[Workers] Taxonomy Backfill Worker for queue "${taxonomyBackfillQueueName}" initialized.`);
+
+  // 5. 개별 상품 동기화 워커 (데드레터 큐는 워커 없이 API로 재등록)
+  const productSyncQueueName = config.bullmq.queues.productSync;
+  const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
+  workers.push(productSyncWorker);
+  logger.info(`[Workers] Product Sync Worker for queue "${productSyncQueueName}" initialized.`);
 
 
   logger.info(`[Workers] All ${workers.length} BullMQ workers have been initialized.`);
@@ -11,7 +11,7 @@ const CONCURRENCY = parseInt(process.env.ORDER_WORKER_CONCURRENCY, 10) || 5; //
 
 /**
  * Shopify 주문 처리 작업을 수행하는 워커 로직입니다.
- * @param {import('bullmq').Job} job - BullMQ 작업 객체. 작업 데이터는 Shopify 주문 객체.
+ * @param {import('bullmq').Job} job - BullMQ 작업 객체. 작업 데이터: { shopifyOrder, reprocess? } (reprocess는 재처리 API 작업)
  */
 async function processOrderJob(job) {
   const shopifyOrder = job.data.shopifyOrder; // 작업 데이터에서 Shopify 주문 객체 가져오기
@@ -24,9 +24,10 @@ async function processOrderJob(job) {
   }
 
   try {
-    await processShopifyOrderForBunjang(shopifyOrder); // 실제 주문 처리 서비스 호출
+    // 실제 주문 처리 서비스 호출
+    const result = await processShopifyOrderForBunjang(shopifyOrder, String(job.id), { reprocess: job.data.reprocess });
     logger.info(`[Worker: ${job.queueName}] Job ${job.id} for Shopify Order ID: ${shopifyOrderId} completed successfully.`);
-    return { success: true, shopifyOrderId };
+    return { success: true, shopifyOrderId, result };
   } catch (error) {
     logger.error(`[Worker: ${job.queueName}] Job ${job.id} for Shopify Order ID: ${shopifyOrderId} failed: ${error.message}`, {
       stack: error.stack, errorCode: error.errorCode, details: error.details,
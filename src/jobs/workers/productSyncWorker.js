@@ -0,0 +1,74 @@
+// src/jobs/workers/productSyncWorker.js
+// BullMQ 워커: 번개장터 상품 하나를 Shopify에 동기화합니다. (카탈로그 실행, 데드레터 재등록 등에서 추가한 작업)
+// 재시도를 모두 실패한 작업은 데드레터 큐로 옮깁니다.
+
+const { Worker, UnrecoverableError } = require('bullmq');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { syncBunjangProductToShopify, refreshSyncCachesIfStale } = require('../../services/catalogService');
+const { evaluateListingRules, getRejectionKey } = require('../../services/listingRuleService');
+const productSyncQueueService = require('../../services/productSyncQueueService');
+
+/**
+ * 작업이 등록된 뒤 규칙이나 판매자 상태가 바뀌었을 수 있으므로(재시작 후 데드레터 재등록 등) 최신 캐시로 리스팅 규칙을 다시 평가합니다.
+ * @param {import('bullmq').Job} job - 작업 데이터: { bunjangPid, product, triggeredBy, catalogRunId?, force? }
+ */
+async function processProductSyncJob(job) {
+  const { bunjangPid, product, triggeredBy } = job.data;
+  const attempts = job.opts.attempts || 1;
+  logger.info(`[Worker: ${job.queueName}] Starting job ${job.id} for PID ${bunjangPid} (Trigger: ${triggeredBy || 'unknown'}, Attempt: ${job.attemptsMade + 1}/${attempts})`);
+
+  try {
+    if (!product) {
+      throw new UnrecoverableError(`Job ${job.id} has no product data for PID ${bunjangPid}.`);
+    }
+    const catalogProduct = productSyncQueueService.reviveCatalogProduct(product);
+    await refreshSyncCachesIfStale();
+    const eligibility = evaluateListingRules(catalogProduct);
+    if (!eligibility.eligible) {
+      logger.info(`[Worker: ${job.queueName}] Job ${job.id} skipped: PID ${bunjangPid} is no longer listable (${getRejectionKey(eligibility.reason)}).`);
+      return { status: 'skipped_filter', message: eligibility.reason.message, ruleRejection: eligibility.reason };
+    }
+    const result = await syncBunjangProductToShopify(catalogProduct, String(job.id), { force: Boolean(job.data.force) });
+    if (result?.status === 'error') {
+      throw new Error(result.message || `Product sync failed for PID ${bunjangPid}.`); // 재시도 대상
+    }
+    return result;
+  } catch (error) {
+    const isFinalAttempt = error instanceof UnrecoverableError || job.attemptsMade + 1 >= attempts;
+    if (isFinalAttempt) {
+      try {
+        await productSyncQueueService.moveToDeadLetter(job, error);
+      } catch (dlqError) {
+        logger.error(`[Worker: ${job.queueName}] Failed to move job ${job.id} (PID ${bunjangPid}) to the dead-letter queue: ${dlqError.message}`);
+      }
+    }
+    throw error;
+  }
+}
+
+function createProductSyncWorker(queueName, connection) {
+  const { concurrency } = config.bullmq.productSync;
+  const worker = new Worker(queueName, processProductSyncJob, {
+    connection,
+    concurrency,
+    lockDuration: 5 * 60 * 1000, // 이미지 업로드/번역 포함 시 오래 걸릴 수 있음
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.info(`[Worker: ${worker.name}] Job ${job.id} (PID ${job.data.bunjangPid}) completed with status ${returnValue?.status}.`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.warn(`[Worker: ${worker.name}] Job ${job?.id} (PID ${job?.data?.bunjangPid}) failed on attempt ${job?.attemptsMade}/${job?.opts?.attempts || 1}: ${error.message}`);
+  });
+
+  worker.on('error', err => {
+    logger.error(`[Worker: ${worker.name}] General error in product sync worker:`, err);
+  });
+
+  logger.info(`[Worker] Product Sync Worker listening on queue "${queueName}" with concurrency ${concurrency}.`);
+  return worker;
+}
+
+module.exports = createProductSyncWorker;
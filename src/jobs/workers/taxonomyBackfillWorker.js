@@ -0,0 +1,51 @@
+// src/jobs/workers/taxonomyBackfillWorker.js
+// BullMQ 워커: 분류 규칙(TaxonomyRule) 변경 후 동기화된 상품의 태그/컬렉션을 다시 적용합니다.
+
+const { Worker } = require('bullmq');
+const logger = require('../../config/logger');
+const { runTaxonomyBackfill } = require('../../services/taxonomyService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+const CONCURRENCY = 1; // 같은 상품을 두 작업이 동시에 재태깅하지 않도록 1로 고정
+
+/**
+ * @param {import('bullmq').Job} job - 작업 데이터: { triggeredBy, rulesVersion }
+ */
+async function processTaxonomyBackfillJob(job) {
+  logger.info(`[Worker: ${job.queueName}] Starting job ${job.id} (Trigger: ${job.data.triggeredBy || 'unknown'}, Rules version at enqueue: ${job.data.rulesVersion})`);
+  try {
+    const summary = await runTaxonomyBackfill({
+      jobId: String(job.id),
+      onProgress: progress => job.updateProgress(progress),
+    });
+    return { success: true, summary };
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] Job ${job.id} failed: ${error.message}`, { stack: error.stack });
+    throw new JobQueueError(job.queueName, job, error, `분류 규칙 재태깅 작업 실패 (Job ID: ${job.id})`);
+  }
+}
+
+function createTaxonomyBackfillWorker(queueName, connection) {
+  const worker = new Worker(queueName, processTaxonomyBackfillJob, {
+    connection,
+    concurrency: CONCURRENCY,
+    lockDuration: 10 * 60 * 1000, // 상품 수에 따라 오래 걸릴 수 있음
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.info(`[Worker: ${worker.name}] Job ${job.id} completed. Return: ${JSON.stringify(returnValue)}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker: ${worker.name}] Job ${job?.id} failed: ${error.message}`, { jobData: job?.data });
+  });
+
+  worker.on('error', err => {
+    logger.error(`[Worker: ${worker.name}] General error in taxonomy backfill worker:`, err);
+  });
+
+  logger.info(`[Worker] Taxonomy Backfill Worker listening on queue "${queueName}" with concurrency ${CONCURRENCY}.`);
+  return worker;
+}
+
+module.exports = createTaxonomyBackfillWorker;
@@ -4,6 +4,35 @@
 
 const logger = require('../config/logger');
 const { AppError, ValidationError } = require('../utils/customErrors');
+const { parseBunjangSku, mapBunjangOptionsToShopifyVariants } = require('./productMapper');
+
+/**
+ * 옵션 상품 line item에서 번개장터 주문에 전달할 선택 옵션을 찾습니다.
+ * SKU(BJ-<pid>-<n>)의 variant 번호로 현재 번개장터 옵션 조합을 찾고,
+ * 리스팅 이후 옵션이 바뀌어 Shopify variant 제목과 다르면 제목으로 다시 찾습니다.
+ * @param {object} shopifyLineItem - Shopify line_item 객체 (sku, variant_title).
+ * @param {string} bunjangPid
+ * @param {object} bunjangProductDetails - 번개장터 상품 상세 (options: [{ id, value }]).
+ * @returns {Array<{id: string, value: string}>|null} 옵션 상품이 아니면 null.
+ * @throws {AppError} 선택한 옵션이 번개장터 상품에 더 이상 없는 경우 (BUNJANG_OPTION_UNAVAILABLE).
+ */
+function resolveSelectedBunjangOptions(shopifyLineItem, bunjangPid, bunjangProductDetails) {
+  const parsedSku = parseBunjangSku(shopifyLineItem.sku || shopifyLineItem.variant?.sku);
+  if (!parsedSku?.variantNumber) return null;
+
+  const variantTitle = String(shopifyLineItem.variant_title || shopifyLineItem.variantTitle || '').trim();
+  const optionVariants = mapBunjangOptionsToShopifyVariants(bunjangPid, bunjangProductDetails.options, '0');
+  const titleOf = variant => variant.optionValues.map(optionValue => optionValue.name).join(' / ');
+
+  let selected = optionVariants?.variants[parsedSku.variantNumber - 1];
+  if (optionVariants && variantTitle && (!selected || titleOf(selected) !== variantTitle)) {
+    selected = optionVariants.variants.find(variant => titleOf(variant) === variantTitle);
+  }
+  if (!selected) {
+    throw new AppError(`번개장터 상품(PID: ${bunjangPid})에서 선택한 옵션(${variantTitle || shopifyLineItem.sku})을 찾을 수 없습니다.`, 409, 'BUNJANG_OPTION_UNAVAILABLE', true, { bunjangPid, sku: shopifyLineItem.sku, variantTitle });
+  }
+  return selected.bunjangOptions;
+}
 
 /**
  * Shopify 주문의 특정 line item과 해당 번개장터 상품 상세 정보를 바탕으로
@@ -48,12 +77,16 @@ function mapShopifyItemToBunjangOrderPayload(shopifyLineItem, bunjangPid, bunjan
     throw new ValidationError(`번개장터 상품(PID: ${bunjangPid})의 가격이 최소 금액(500원) 미만입니다: ${currentBunjangPriceKrw}원`, [{ field: 'bunjangProductDetails.price', message: '최소 금액 미만' }]);
   }
 
+  // 옵션 상품이면 구매자가 선택한 옵션 (카탈로그 options와 같은 [{ id, value }] 형식)
+  const selectedOptions = resolveSelectedBunjangOptions(shopifyLineItem, bunjangPid, bunjangProductDetails);
+
   // 번개장터 "Create Order V2" API 페이로드:
-  // { product: { id: integer, price: integer }, deliveryPrice: integer }
+  // { product: { id: integer, price: integer, options?: [{ id, value }] }, deliveryPrice: integer }
   const payload = {
     product: {
       id: parseInt(bunjangPid, 10),   // 번개장터 상품 ID (숫자)
       price: currentBunjangPriceKrw,   // 주문 시점의 실제 번개장터 상품 가격 (KRW, 정수)
+      ...(selectedOptions && { options: selectedOptions }),
     },
     // 실제 상품 상세 API에서 조회한 배송비를 그대로 사용
     deliveryPrice: currentBunjangShippingFeeKrw,
@@ -81,11 +114,12 @@ function mapMultipleItemsToBunjangOrders(shopifyLineItems, bunjangProductDetails
   const payloads = [];
   
   for (const item of shopifyLineItems) {
-    if (!item.sku || !item.sku.startsWith('BJ-')) {
+    const parsedSku = parseBunjangSku(item.sku);
+    if (!parsedSku) {
       continue; // 번개장터 연동 상품이 아님
     }
     
-    const bunjangPid = item.sku.substring(3);
+    const bunjangPid = parsedSku.pid;
     const bunjangProductDetails = bunjangProductDetailsMap.get(bunjangPid);
     
     if (!bunjangProductDetails) {
@@ -127,10 +161,11 @@ function extractBunjangMetadataFromOrder(shopifyOrder) {
   }
   
   for (const item of shopifyOrder.line_items) {
-    if (item.sku && item.sku.startsWith('BJ-')) {
+    const parsedSku = parseBunjangSku(item.sku);
+    if (parsedSku) {
       metadata.hasBunjangItems = true;
       metadata.bunjangItemCount++;
-      metadata.bunjangPids.push(item.sku.substring(3));
+      metadata.bunjangPids.push(parsedSku.pid);
       metadata.totalBunjangValue += (parseFloat(item.price) || 0) * (item.quantity || 1);
     }
   }
@@ -140,6 +175,7 @@ function extractBunjangMetadataFromOrder(shopifyOrder) {
 
 module.exports = {
   mapShopifyItemToBunjangOrderPayload,
+  resolveSelectedBunjangOptions,
   mapMultipleItemsToBunjangOrders,
   extractBunjangMetadataFromOrder,
 };
\ No newline at end of file
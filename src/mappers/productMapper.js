@@ -5,16 +5,116 @@
 const config = require('../config');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/customErrors');
+const catalogMappingService = require('../services/catalogMappingService');
+const descriptionTemplateService = require('../services/descriptionTemplateService');
 
 /**
  * 번개장터 카테고리 ID를 Shopify 상품 유형 문자열로 매핑합니다.
+ * CategoryMapping(DB) → 환경변수 BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_<id> → 기본값 순으로 찾습니다.
  * @param {string} bunjangCategoryId - 번개장터 카테고리 ID.
  * @returns {string} Shopify 상품 유형 문자열.
  */
 function mapBunjangCategoryToShopifyProductType(bunjangCategoryId) {
-  if (!bunjangCategoryId) return config.bunjang.defaultShopifyProductType;
-  const mapping = config.bunjang.categoryToShopifyType; // .env에서 로드된 매핑 객체
-  return mapping[String(bunjangCategoryId).trim()] || config.bunjang.defaultShopifyProductType;
+  return catalogMappingService.resolveCategoryMapping(bunjangCategoryId)?.shopifyProductType || config.bunjang.defaultShopifyProductType;
+}
+
+const SKU_PREFIX = 'BJ-';
+const MAX_SHOPIFY_OPTIONS = 3; // Shopify 상품당 옵션 이름 최대 개수
+const MAX_OPTION_VARIANTS = 100;
+
+/**
+ * 번개장터 연동 SKU를 만듭니다. 옵션 variant는 `BJ-<pid>-<n>` (n은 1부터), 단일 variant는 `BJ-<pid>`.
+ * @param {string|number} pid
+ * @param {number} [variantNumber]
+ * @returns {string}
+ */
+function buildBunjangSku(pid, variantNumber) {
+  return variantNumber ? `${SKU_PREFIX}${pid}-${variantNumber}` : `${SKU_PREFIX}${pid}`;
+}
+
+/**
+ * 번개장터 연동 SKU에서 PID와 옵션 variant 번호를 추출합니다.
+ * @param {string} sku
+ * @returns {{pid: string, variantNumber: number|null}|null} 번개장터 연동 SKU가 아니면 null.
+ */
+function parseBunjangSku(sku) {
+  const match = /^BJ-(\d+)(?:-(\d+))?$/.exec(String(sku || '').trim());
+  if (!match) return null;
+  return { pid: match[1], variantNumber: match[2] ? parseInt(match[2], 10) : null };
+}
+
+/**
+ * 번개장터 options 값(JSON 문자열 또는 배열)을 [{ id, value }] 목록으로 정규화합니다.
+ * 예: "[{ \"id\": \"버전\", \"value\": \"A ver.\" }, { \"id\": \"버전\", \"value\": \"B ver.\" }]"
+ * @param {string|Array} optionsRaw
+ * @returns {Array<{id: string, value: string}>}
+ */
+function parseBunjangOptions(optionsRaw) {
+  let parsed = optionsRaw;
+  if (typeof optionsRaw === 'string') {
+    if (!optionsRaw.trim()) return [];
+    try {
+      parsed = JSON.parse(optionsRaw.trim());
+    } catch (e) {
+      logger.warn(`[ProductMapper] Failed to parse Bunjang options JSON: "${optionsRaw.substring(0, 200)}"`);
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(option => option && option.id !== undefined && option.value !== undefined)
+    .map(option => ({ id: String(option.id).trim(), value: String(option.value).trim() }))
+    .filter(option => option.id && option.value);
+}
+
+/**
+ * 번개장터 옵션을 Shopify productOptions와 variant 목록으로 변환합니다.
+ * 같은 id(옵션 이름)의 값들을 하나의 Shopify 옵션으로 묶고, 옵션이 여러 개면 값의 조합마다 variant를 만듭니다.
+ * @param {string|number} pid
+ * @param {string|Array} optionsRaw - 번개장터 options 값.
+ * @param {string} price - variant 가격 (USD 문자열). 모든 variant가 같은 가격을 사용합니다.
+ * @returns {{productOptions: object[], variants: object[]}|null} 옵션이 없으면 null.
+ *   variants[n]: { sku, price, optionValues: [{ optionName, name }], bunjangOptions: [{ id, value }] }
+ */
+function mapBunjangOptionsToShopifyVariants(pid, optionsRaw, price) {
+  const bunjangOptions = parseBunjangOptions(optionsRaw);
+  if (bunjangOptions.length === 0) return null;
+
+  const valuesByName = new Map(); // 옵션 이름 → 값 목록 (입력 순서 유지, 중복 제거)
+  for (const { id, value } of bunjangOptions) {
+    if (!valuesByName.has(id)) valuesByName.set(id, []);
+    const values = valuesByName.get(id);
+    if (!values.includes(value)) values.push(value);
+  }
+
+  let optionNames = [...valuesByName.keys()];
+  if (optionNames.length > MAX_SHOPIFY_OPTIONS) {
+    logger.warn(`[ProductMapper] PID ${pid} has ${optionNames.length} option names. Only the first ${MAX_SHOPIFY_OPTIONS} are mapped to Shopify options.`);
+    optionNames = optionNames.slice(0, MAX_SHOPIFY_OPTIONS);
+  }
+
+  // 옵션 값 조합 (카티션 곱)
+  let combinations = [[]];
+  for (const name of optionNames) {
+    combinations = combinations.flatMap(combination => valuesByName.get(name).map(value => [...combination, { id: name, value }]));
+  }
+  if (combinations.length > MAX_OPTION_VARIANTS) {
+    logger.warn(`[ProductMapper] PID ${pid} has ${combinations.length} option combinations. Only the first ${MAX_OPTION_VARIANTS} variants are created.`);
+    combinations = combinations.slice(0, MAX_OPTION_VARIANTS);
+  }
+
+  return {
+    productOptions: optionNames.map(name => ({
+      name,
+      values: valuesByName.get(name).map(value => ({ name: value })),
+    })),
+    variants: combinations.map((combination, index) => ({
+      sku: buildBunjangSku(pid, index + 1),
+      price: String(price),
+      optionValues: combination.map(({ id, value }) => ({ optionName: id, name: value })),
+      bunjangOptions: combination,
+    })),
+  };
 }
 
 /**
@@ -33,20 +133,18 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
 
   try {
     const {
-      pid, name, description, quantity, price: bunjangPriceKrw, shippingFee: bunjangShippingFeeKrw,
-      condition, keywords, images, categoryId, brandId, options: bunjangOptions, uid: sellerUid,
+      pid, name, quantity, price: bunjangPriceKrw, shippingFee: bunjangShippingFeeKrw,
+      condition, keywords, images, categoryId, brandId, optionsRaw, options, uid: sellerUid,
       updatedAt: bunjangUpdatedAt, createdAt: bunjangCreatedAt, saleStatus
     } = bunjangProduct; // catalogService.processCatalogRow에서 이미 기본 처리됨
 
     const productType = mapBunjangCategoryToShopifyProductType(categoryId);
 
-    // HTML 정제: description 필드는 HTML일 수 있으므로 정제 필요.
-    // 실제 운영에서는 XSS 방지를 위해 DOMPurify 같은 신뢰할 수 있는 HTML Sanitizer 사용 필수!
-    // 여기서는 간단히 줄바꿈만 처리하고, 위험할 수 있는 태그 제거 시도.
-    let bodyHtml = description ? description.replace(/\n/g, '<br />') : '<p>상품 설명이 제공되지 않았습니다.</p>';
-    bodyHtml = bodyHtml.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, ''); // 기본적인 script 태그 제거
+    // 설명: 허용 목록으로 정제·문단화한 뒤 카테고리별 설명 템플릿에 넣음 (descriptionTemplateService)
+    const bodyHtml = descriptionTemplateService.renderProductDescription(bunjangProduct).html;
 
-    const sku = `BJ-${pid}`; // Shopify 스토어 내 고유 SKU
+    const sku = buildBunjangSku(pid); // Shopify 스토어 내 고유 SKU
+    const bunjangOptions = parseBunjangOptions(optionsRaw ?? options);
 
     // 이미지: ProductImageInput[] 타입 ({ src, altText })
     const imagesInput = images && images.length > 0
@@ -86,29 +184,34 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
 
     // 상품 옵션 및 변형(Variants) 처리
     // 번개장터 'options' 필드: "[{ \"id\": \"색상\", \"value\": \"빨강\" }, { \"id\": \"사이즈\", \"value\": \"M\" }]"
-    // Shopify ProductInput:
-    //   options: ["색상", "사이즈"] (옵션 이름 배열)
-    //   variants: [{ option1: "빨강", option2: "M", price: "...", sku: "...", ... }, ...]
-    // 이 부분은 매우 복잡하며, 번개장터 옵션 구조에 따라 동적으로 Shopify variants를 생성해야 함.
-    // 현재 구현은 단일 variant를 기본으로 하고, 옵션 정보는 메타필드에 JSON으로 저장.
-    // TODO: 실제 다중 옵션 상품 처리 로직 구현 필요.
-    const productVariantsInput = [
+    // → productOptions: [{ name: "색상", values: [{ name: "빨강" }] }, ...], variant마다 SKU BJ-<pid>-<n>
+    // 옵션이 없으면 단일 variant(SKU BJ-<pid>)
+    // inventoryPolicy: 재고 0일 때 판매 계속 여부 ('DENY' 또는 'CONTINUE')
+    // 카탈로그 quantity가 0이면 CONTINUE (품절이지만 계속 표시), 0보다 크면 DENY (재고 없으면 판매 중지)
+    const inventoryPolicy = quantity > 0 ? 'DENY' : 'CONTINUE';
+    const inventoryQuantities = [
       {
-        price: shopifyPriceString, // 계산된 USD 가격
-        sku: sku,
-        // inventoryPolicy: 재고 0일 때 판매 계속 여부 ('DENY' 또는 'CONTINUE')
-        // 카탈로그 quantity가 0이면 CONTINUE (품절이지만 계속 표시), 0보다 크면 DENY (재고 없으면 판매 중지)
-        inventoryPolicy: quantity > 0 ? 'DENY' : 'CONTINUE',
-        inventoryQuantities: [
-          {
-            availableQuantity: quantity > 0 ? quantity : 0,
-            locationId: config.shopify.defaultLocationId, // .env 설정된 기본 Location GID
-          },
-        ],
-        // 단일 variant의 경우 Shopify가 자동으로 "Default Title" 옵션을 생성하거나,
-        // option1: "Default" 등을 설정할 수 있음. 여기서는 비워둠.
+        availableQuantity: quantity > 0 ? quantity : 0,
+        locationId: config.shopify.defaultLocationId, // .env 설정된 기본 Location GID
       },
     ];
+    const optionVariants = mapBunjangOptionsToShopifyVariants(pid, bunjangOptions, shopifyPriceString);
+    const productVariantsInput = optionVariants
+      ? optionVariants.variants.map(variant => ({
+          price: variant.price,
+          sku: variant.sku,
+          optionValues: variant.optionValues,
+          inventoryPolicy,
+          inventoryQuantities,
+        }))
+      : [
+          {
+            price: shopifyPriceString, // 계산된 USD 가격
+            sku: sku,
+            inventoryPolicy,
+            inventoryQuantities,
+          },
+        ];
     
     // 상품 상태: 번개장터 saleStatus가 'SELLING'이면 'ACTIVE', 아니면 'DRAFT' 또는 'ARCHIVED'
     // 카탈로그에는 SELLING만 온다고 가정했으므로 ACTIVE.
@@ -117,7 +220,7 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
     const productInput = {
       title: String(name).substring(0, 255), // Shopify 제목 길이 제한
       bodyHtml: bodyHtml,
-      vendor: brandId ? `Bunjang (Brand: ${brandId})` : `Bunjang (Seller: ${sellerUid})`, // 공급업체
+      vendor: catalogMappingService.resolveBrandVendor(brandId) || (brandId ? `Bunjang (Brand: ${brandId})` : `Bunjang (Seller: ${sellerUid})`), // 공급업체 (브랜드 매핑 우선)
       productType: productType,
       tags: tags,
       status: productStatus, // 상품 상태 (ACTIVE, DRAFT, ARCHIVED)
@@ -126,8 +229,8 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
       
       metafields: metafields.length > 0 ? metafields : undefined, // 메타필드 없으면 제외
 
+      productOptions: optionVariants ? optionVariants.productOptions : undefined,
       variants: productVariantsInput,
-      // options: ["옵션1 이름", "옵션2 이름"] // 다중 옵션 시 여기에 옵션 이름 배열 설정
     };
 
     return productInput;
@@ -145,5 +248,9 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
 
 module.exports = {
   mapBunjangToShopifyInput,
+  buildBunjangSku,
+  parseBunjangSku,
+  parseBunjangOptions,
+  mapBunjangOptionsToShopifyVariants,
   // mapBunjangCategoryToShopifyProductType, // 내부 사용으로 변경
 };
@@ -0,0 +1,56 @@
+// src/middleware/catalogUploadMiddleware.js
+// 카탈로그 파일(.csv / .csv.gz) multipart 업로드 처리 미들웨어입니다. (POST /api/sync/catalog/import)
+
+const path = require('path');
+const fs = require('fs-extra');
+const multer = require('multer');
+const config = require('../config');
+const { ValidationError } = require('../utils/customErrors');
+
+const UPLOAD_DIR = path.join(config.tempDir, 'uploads');
+const ALLOWED_EXTENSIONS = /\.csv(\.gz)?$/i;
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.ensureDir(UPLOAD_DIR)
+      .then(() => cb(null, UPLOAD_DIR))
+      .catch(cb);
+  },
+  filename: (req, file, cb) => {
+    const safeName = path.basename(file.originalname).replace(/[^\w.-]/g, '_');
+    cb(null, `${Date.now()}_${safeName}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: config.bunjang.catalogImport.maxUploadBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_EXTENSIONS.test(file.originalname)) {
+      return cb(new ValidationError('카탈로그 파일은 .csv 또는 .csv.gz 형식이어야 합니다.', [
+        { field: file.fieldname, message: 'Unsupported file extension', value: file.originalname },
+      ]));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+/**
+ * 'file' 필드의 카탈로그 업로드를 받아 req.file에 저장합니다.
+ * multipart가 아닌 요청(JSON의 filePath 지정)은 그대로 통과합니다.
+ */
+function catalogFileUpload(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return next(new ValidationError(`카탈로그 파일 업로드 실패: ${error.message}`, [
+        { field: error.field || 'file', message: error.code },
+      ]));
+    }
+    next(error);
+  });
+}
+
+module.exports = {
+  catalogFileUpload,
+};
@@ -0,0 +1,15 @@
+// src/models/appSetting.model.js
+// 키별 단일 문서로 저장하는 애플리케이션 설정/상태 값입니다. (예: 기본 데이터 시드 완료 표시 'seed:taxonomyRules')
+const mongoose = require('mongoose');
+
+const appSettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const AppSetting = mongoose.model('AppSetting', appSettingSchema);
+
+module.exports = AppSetting;
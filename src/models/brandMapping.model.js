@@ -0,0 +1,35 @@
+// src/models/brandMapping.model.js
+// 번개장터 브랜드 ID → Shopify vendor(표시 이름) 매핑입니다. 목록은 번개장터 브랜드 API로 채우고 displayName으로 덮어씁니다.
+const mongoose = require('mongoose');
+
+const brandMappingSchema = new mongoose.Schema({
+  bunjangBrandId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  bunjangBrandName: { type: String, trim: true }, // 번개장터 브랜드 API의 이름
+  bunjangBrandNameEn: { type: String, trim: true }, // 번개장터 브랜드 API의 영문 이름 (있는 경우)
+  displayName: { type: String, trim: true }, // 운영자가 지정한 vendor 이름 (브랜드 목록 갱신 시에도 유지)
+  source: { type: String, enum: ['bunjang_api', 'manual'], default: 'manual' },
+  enabled: { type: Boolean, default: true },
+  lastSeededAt: { type: Date }, // 마지막으로 번개장터 브랜드 목록에서 확인된 시각
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+brandMappingSchema.index({ bunjangBrandName: 1 });
+
+/**
+ * Shopify vendor로 쓸 이름. displayName → 영문 이름 → 번개장터 이름 순.
+ */
+brandMappingSchema.statics.resolveVendorName = function (brand) {
+  return brand?.displayName || brand?.bunjangBrandNameEn || brand?.bunjangBrandName || null;
+};
+
+const BrandMapping = mongoose.model('BrandMapping', brandMappingSchema);
+
+module.exports = BrandMapping;
@@ -0,0 +1,50 @@
+// src/models/bunjangSeller.model.js
+// 번개장터 판매자 레지스트리: 차단/허용/주의 상태와 우리 주문 결과 기반 통계를 기록합니다.
+const mongoose = require('mongoose');
+
+const SELLER_STATUSES = ['neutral', 'allowed', 'watch', 'blocked'];
+
+const bunjangSellerSchema = new mongoose.Schema({
+  sellerUid: { // 번개장터 판매자 uid (카탈로그 CSV의 uid)
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    trim: true,
+  },
+  // neutral: 주문 결과만 기록된 판매자 (기본값)
+  // allowed: 신뢰 판매자 (BUNJANG_SELLER_ALLOWLIST_ONLY=true이면 이 판매자의 상품만 리스팅)
+  // watch: 주의 판매자 (주문은 진행하되 Shopify 주문에 태그)
+  // blocked: 차단 판매자 (카탈로그 동기화 제외, 기존 상품 DRAFT, 주문 거부)
+  status: {
+    type: String,
+    enum: SELLER_STATUSES,
+    default: 'neutral',
+    index: true,
+  },
+  statusChangedAt: { type: Date },
+  statusChangedBy: { type: String, trim: true },
+  notes: { type: String, trim: true },
+
+  // 우리가 번개장터에 넣은 주문 결과 통계 (sellerRegistryService.recordOrderOutcome)
+  counters: {
+    ordersPlaced: { type: Number, default: 0 },
+    ordersFailed: { type: Number, default: 0 }, // 주문 생성 API 실패
+    ordersCompleted: { type: Number, default: 0 }, // 구매 확정
+    ordersCancelled: { type: Number, default: 0 }, // 판매자 취소/환불
+    ordersReturned: { type: Number, default: 0 },
+  },
+  lastOrderAt: { type: Date },
+  lastCancelledAt: { type: Date },
+  // 같은 주문 결과가 상태 동기화마다 중복 집계되지 않도록 기록 (`${bunjangOrderId}:${outcome}`, 최근 maxRecordedOutcomeKeys개만 유지)
+  recordedOutcomeKeys: { type: [String], default: [], select: false },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+bunjangSellerSchema.statics.SELLER_STATUSES = SELLER_STATUSES;
+
+const BunjangSeller = mongoose.model('BunjangSeller', bunjangSellerSchema);
+
+module.exports = BunjangSeller;
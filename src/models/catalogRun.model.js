@@ -0,0 +1,98 @@
+// src/models/catalogRun.model.js
+// 번개장터 카탈로그 처리(fetchAndProcessBunjangCatalog) 1회 실행의 기록입니다.
+const mongoose = require('mongoose');
+
+const MAX_ERROR_SAMPLES = 50; // 실행당 보관할 상품별 에러 샘플 최대 개수
+
+const errorSampleSchema = new mongoose.Schema({
+  pid: { type: String, trim: true },
+  message: { type: String, trim: true },
+  occurredAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const catalogRunSchema = new mongoose.Schema({
+  catalogType: { // 'full' | 'segment'
+    type: String,
+    required: true,
+    trim: true,
+    index: true,
+  },
+  filename: { type: String, trim: true }, // 예: full-20250101.csv.gz
+  source: { // 카탈로그 파일 출처
+    type: String,
+    enum: ['bunjang_api', 'upload', 'server_path'],
+    default: 'bunjang_api',
+  },
+  sourcePath: { type: String, trim: true }, // upload/server_path인 경우 원본 파일 경로
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+    index: true,
+  },
+
+  // BullMQ 작업 정보 (catalogWorker에서 전달, API/스크립트 직접 호출 시 비어 있음)
+  jobId: { type: String, trim: true, index: true },
+  jobName: { type: String, trim: true },
+  triggeredBy: { type: String, trim: true },
+  attempt: { type: Number, default: 1 }, // BullMQ 재시도 시 몇 번째 시도인지
+  dryRun: { type: Boolean, default: false, index: true }, // true이면 Shopify/상품 기록을 바꾸지 않고 변경 예정 내역(report)만 기록
+
+  // 재개(resume) 정보: 같은 BullMQ 작업의 이전 시도가 남긴 체크포인트부터 이어서 처리한 경우
+  resumedFromRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun' },
+  resumedFromRow: { type: Number },
+
+  // 체크포인트: row 이하의 모든 CSV 행은 처리 완료됨. csvPath는 압축 해제된 CSV (TEMP_DOWNLOAD_DIR)
+  checkpoint: {
+    row: { type: Number, default: 0 },
+    csvPath: { type: String, trim: true },
+    updatedAt: { type: Date },
+  },
+
+  startedAt: { type: Date, default: Date.now, index: true },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+
+  // fetchAndProcessBunjangCatalog 요약 결과
+  counts: {
+    totalOriginalCsvRows: { type: Number, default: 0 },
+    validProductsToProcess: { type: Number, default: 0 },
+    successfullyProcessed: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    skippedByFilter: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+    skippedDuplicates: { type: Number, default: 0 }, // 같은 판매자의 근사 중복으로 리스팅하지 않은 건수
+    mediaErrors: { type: Number, default: 0 }, // 상품 동기화는 성공했지만 이미지 첨부가 실패한 건수
+  },
+  skippedByFilterReasons: { type: mongoose.Schema.Types.Mixed }, // 리스팅 규칙 제외 사유별 건수
+  // 리스팅 대상 행의 카테고리별 건수 (catalogMappingService 미매핑 카테고리 보고서에 사용)
+  categoryStats: {
+    type: [new mongoose.Schema({ categoryId: String, categoryName: String, rows: Number }, { _id: false })],
+    default: undefined,
+  },
+  delisted: { type: mongoose.Schema.Types.Mixed }, // catalogDeltaService 결과 (full 카탈로그만)
+  // 드라이런 보고서 요약 (상품별 항목은 CatalogRunReportEntry)
+  report: {
+    counts: { type: mongoose.Schema.Types.Mixed }, // { CREATE, UPDATE, DRAFT, SKIP }
+    skipReasons: { type: mongoose.Schema.Types.Mixed }, // SKIP/DRAFT 사유별 건수
+    entries: { type: Number }, // 저장된 항목 수
+    truncated: { type: Boolean }, // maxReportEntries를 넘어 일부 항목을 저장하지 않았는지
+  },
+
+  errorSamples: { type: [errorSampleSchema], default: [] },
+
+  // 실행 자체가 실패한 경우 (다운로드 실패 등)
+  failureMessage: { type: String, trim: true },
+  failureCode: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+catalogRunSchema.index({ catalogType: 1, startedAt: -1 });
+
+catalogRunSchema.statics.MAX_ERROR_SAMPLES = MAX_ERROR_SAMPLES;
+
+const CatalogRun = mongoose.model('CatalogRun', catalogRunSchema);
+
+module.exports = CatalogRun;
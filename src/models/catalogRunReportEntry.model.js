@@ -0,0 +1,34 @@
+// src/models/catalogRunReportEntry.model.js
+// 드라이런(dryRun) 카탈로그 실행의 상품별 변경 예정 내역입니다. (CatalogRun 하나에 여러 항목, /api/sync/catalog/runs/:id/report로 다운로드)
+const mongoose = require('mongoose');
+
+const REPORT_ACTIONS = ['CREATE', 'UPDATE', 'DRAFT', 'SKIP'];
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed },
+  to: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+const catalogRunReportEntrySchema = new mongoose.Schema({
+  runId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun', required: true },
+  pid: { type: String, required: true, trim: true },
+  action: { type: String, enum: REPORT_ACTIONS, required: true },
+  reason: { type: String, trim: true }, // SKIP/DRAFT 사유 (예: NO_CHANGE, rule:고가품 제외, DUPLICATE, DELISTED)
+  title: { type: String, trim: true },
+  shopifyGid: { type: String, trim: true },
+  priceUsd: { type: String },
+  changes: { type: [fieldChangeSchema], default: undefined }, // UPDATE(및 NO_CHANGE 스킵)의 필드별 변경
+  note: { type: String, trim: true, maxlength: 500 },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+catalogRunReportEntrySchema.index({ runId: 1, action: 1, pid: 1 });
+
+catalogRunReportEntrySchema.statics.REPORT_ACTIONS = REPORT_ACTIONS;
+
+const CatalogRunReportEntry = mongoose.model('CatalogRunReportEntry', catalogRunReportEntrySchema);
+
+module.exports = CatalogRunReportEntry;
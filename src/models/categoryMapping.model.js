@@ -0,0 +1,28 @@
+// src/models/categoryMapping.model.js
+// 번개장터 카테고리 → Shopify 상품 유형/컬렉션/태그 매핑입니다. (catalogMappingService에서 조회)
+const mongoose = require('mongoose');
+
+const categoryMappingSchema = new mongoose.Schema({
+  bunjangCategoryId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  bunjangCategoryName: { type: String, trim: true }, // 참고용 (카탈로그의 category_name)
+  shopifyProductType: { type: String, trim: true },
+  collectionGids: { type: [{ type: String, trim: true }], default: [] },
+  tags: { type: [{ type: String, trim: true }], default: [] },
+  // true이면 하위 카테고리(ID가 이 ID로 시작)에도 적용. 더 긴(구체적인) ID의 매핑이 우선
+  includeSubcategories: { type: Boolean, default: true },
+  enabled: { type: Boolean, default: true },
+  notes: { type: String, trim: true },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const CategoryMapping = mongoose.model('CategoryMapping', categoryMappingSchema);
+
+module.exports = CategoryMapping;
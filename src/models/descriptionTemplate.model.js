@@ -0,0 +1,30 @@
+// src/models/descriptionTemplate.model.js
+// 상품 설명(descriptionHtml) 템플릿입니다. 카테고리별로 선택되며 descriptionTemplateService에서 렌더링합니다.
+const mongoose = require('mongoose');
+
+const descriptionTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  // HTML + {{placeholder}}. 렌더링 결과는 템플릿 허용 목록(htmlSanitizer.TEMPLATE_POLICY)으로 정제됨
+  body: { type: String, required: true },
+  // 적용할 번개장터 카테고리 ID. 하위 카테고리에도 적용되며 더 긴(구체적인) ID가 우선
+  categoryIds: { type: [{ type: String, trim: true }], default: [] },
+  isDefault: { type: Boolean, default: false }, // 카테고리가 일치하는 템플릿이 없을 때 사용
+  priority: { type: Number, default: 100 }, // 같은 카테고리 길이에서 낮을수록 우선
+  enabled: { type: Boolean, default: true },
+  notes: { type: String, trim: true },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+descriptionTemplateSchema.index({ enabled: 1, categoryIds: 1 });
+
+const DescriptionTemplate = mongoose.model('DescriptionTemplate', descriptionTemplateSchema);
+
+module.exports = DescriptionTemplate;
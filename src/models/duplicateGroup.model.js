@@ -0,0 +1,42 @@
+// src/models/duplicateGroup.model.js
+// 같은 판매자가 다른 PID로 올린 근사 중복 상품 그룹입니다. (duplicateDetectionService에서 기록, /api/duplicates로 검토)
+const mongoose = require('mongoose');
+
+const DUPLICATE_POLICIES = ['keep_newest', 'keep_oldest', 'keep_lowest_price', 'report_only'];
+// OPEN: 검토 전, CONFIRMED: 중복 맞음, DISMISSED: 중복 아님 (이 그룹의 상품끼리는 다시 묶지 않음)
+const REVIEW_STATUSES = ['OPEN', 'CONFIRMED', 'DISMISSED'];
+
+const duplicateMemberSchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, trim: true },
+  title: { type: String, trim: true },
+  priceKrw: { type: Number },
+  bunjangCreatedAt: { type: Date },
+  shopifyGid: { type: String, trim: true },
+  matchSignals: [{ type: String, enum: ['title', 'price', 'image'] }], // 그룹에 들어올 때 일치한 신호
+  suppressed: { type: Boolean, default: false }, // true이면 Shopify에 리스팅하지 않음
+}, { _id: false });
+
+const duplicateGroupSchema = new mongoose.Schema({
+  sellerUid: { type: String, required: true, index: true, trim: true },
+  titleKey: { type: String, trim: true },
+  memberPids: { type: [String], index: true },
+  members: [duplicateMemberSchema],
+  primaryPid: { type: String, trim: true }, // 리스팅하는 상품
+  policy: { type: String, enum: DUPLICATE_POLICIES },
+  status: { type: String, enum: REVIEW_STATUSES, default: 'OPEN', index: true },
+  reviewedBy: { type: String, trim: true },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, trim: true, maxlength: 1000 },
+  firstDetectedAt: { type: Date, default: Date.now },
+  lastDetectedAt: { type: Date, default: Date.now, index: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+duplicateGroupSchema.statics.DUPLICATE_POLICIES = DUPLICATE_POLICIES;
+duplicateGroupSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+const DuplicateGroup = mongoose.model('DuplicateGroup', duplicateGroupSchema);
+
+module.exports = DuplicateGroup;
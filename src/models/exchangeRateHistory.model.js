@@ -0,0 +1,33 @@
+// src/models/exchangeRateHistory.model.js
+// 공급자에서 가져온 환율 기록 (가져올 때마다 한 건). 가격 계산용 환율 평활화와 환율 이력 조회에 사용합니다.
+const mongoose = require('mongoose');
+
+// 환율 공급자: OpenExchangeRates API, ECB 기준환율 XML, 관리자 수동 환율
+const PROVIDERS = ['openexchangerates', 'ecb', 'manual'];
+// 가격 계산용 KRW→USD 환율: 최신 값 / 기간 평균 / 기간 중 원가가 가장 높아지는 값
+const SMOOTHING_METHODS = ['NONE', 'TRAILING_AVERAGE', 'WORST_OF_WINDOW'];
+
+const exchangeRateHistorySchema = new mongoose.Schema({
+  base: { type: String, required: true, default: 'USD', uppercase: true, trim: true },
+  provider: { type: String, required: true, enum: PROVIDERS },
+  rates: { // 1 USD = ? 통화
+    type: Map,
+    of: Number,
+    required: true,
+  },
+  krwToUsdRate: { type: Number, required: true }, // 1 KRW = ? USD
+  sourceTimestamp: { type: Date }, // 공급자 데이터 기준 시각
+  fetchedAt: { type: Date, required: true, default: Date.now },
+}, {
+  versionKey: false,
+});
+
+exchangeRateHistorySchema.index({ fetchedAt: -1 });
+exchangeRateHistorySchema.index({ provider: 1, fetchedAt: -1 });
+
+exchangeRateHistorySchema.statics.PROVIDERS = PROVIDERS;
+exchangeRateHistorySchema.statics.SMOOTHING_METHODS = SMOOTHING_METHODS;
+
+const ExchangeRateHistory = mongoose.model('ExchangeRateHistory', exchangeRateHistorySchema);
+
+module.exports = ExchangeRateHistory;
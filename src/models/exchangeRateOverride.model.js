@@ -0,0 +1,24 @@
+// src/models/exchangeRateOverride.model.js
+// 관리자가 지정한 수동 환율 (base별 단일 문서). 기본적으로 환율 공급자 체인의 마지막 대안이며,
+// force가 켜져 있으면 만료될 때까지 다른 공급자보다 먼저, 평활화 없이 사용합니다.
+const mongoose = require('mongoose');
+
+const exchangeRateOverrideSchema = new mongoose.Schema({
+  base: { type: String, required: true, unique: true, default: 'USD', uppercase: true, trim: true },
+  rates: { // 1 USD = ? 통화. KRW 필수
+    type: Map,
+    of: Number,
+    required: true,
+  },
+  force: { type: Boolean, default: false },
+  expiresAt: { type: Date }, // 없으면 삭제할 때까지 유지
+  reason: { type: String, trim: true, maxlength: 500 },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const ExchangeRateOverride = mongoose.model('ExchangeRateOverride', exchangeRateOverrideSchema);
+
+module.exports = ExchangeRateOverride;
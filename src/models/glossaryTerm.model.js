@@ -0,0 +1,34 @@
+// src/models/glossaryTerm.model.js
+// 번역 용어집 항목 (K-pop 그룹/멤버/앨범명 등). 기본 용어집(config/translationGlossary.js)에 추가하거나 덮어씁니다.
+const mongoose = require('mongoose');
+
+const GLOSSARY_CATEGORIES = ['group', 'member', 'album', 'brand', 'other'];
+
+const glossaryTermSchema = new mongoose.Schema({
+  term: { // 번역문에 반드시 사용할 영문 표기 (예: "BTS")
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  aliases: { // 원문(한국어) 표기들 (예: ["방탄소년단", "방탄"])
+    type: [String],
+    required: true,
+    validate: [aliases => aliases.length > 0, 'aliases must not be empty'],
+  },
+  category: { type: String, enum: GLOSSARY_CATEGORIES, default: 'other' },
+  // true이면 앞뒤가 다른 한글에 붙어 있을 때는 치환하지 않음 (조사는 허용). 미지정 시 2글자 이하 표기만 적용
+  matchWholeWord: { type: Boolean },
+  enabled: { type: Boolean, default: true }, // false이면 같은 term의 기본 용어집 항목도 비활성화
+  notes: { type: String, trim: true },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+glossaryTermSchema.statics.GLOSSARY_CATEGORIES = GLOSSARY_CATEGORIES;
+
+const GlossaryTerm = mongoose.model('GlossaryTerm', glossaryTermSchema);
+
+module.exports = GlossaryTerm;
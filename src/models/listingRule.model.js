@@ -0,0 +1,45 @@
+// src/models/listingRule.model.js
+// 카탈로그 행의 Shopify 리스팅 여부를 결정하는 포함/제외 규칙입니다. (listingRuleService에서 평가)
+const mongoose = require('mongoose');
+
+const criteriaSchema = new mongoose.Schema({
+  minPriceKrw: { type: Number, min: 0 },
+  maxPriceKrw: { type: Number, min: 0 },
+  maxShippingFeeKrw: { type: Number, min: 0 },
+  conditions: { type: [{ type: String, trim: true, uppercase: true }], default: undefined }, // 예: ['NEW', 'LIKE_NEW']
+  brandIds: { type: [{ type: String, trim: true }], default: undefined },
+  sellerUids: { type: [{ type: String, trim: true }], default: undefined },
+  categoryIds: { type: [{ type: String, trim: true }], default: undefined },
+  keywords: { type: [{ type: String, trim: true, lowercase: true }], default: undefined }, // 상품명 또는 설명에 포함 (대소문자 무시)
+}, { _id: false });
+
+const listingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: { type: String, trim: true },
+  // include: 포함 규칙이 하나라도 있으면 그중 하나에 맞는 행만 리스팅
+  // exclude: 조건에 맞는 행은 리스팅하지 않음 (include보다 먼저 평가)
+  action: {
+    type: String,
+    enum: ['include', 'exclude'],
+    required: true,
+  },
+  enabled: { type: Boolean, default: true, index: true },
+  priority: { type: Number, default: 100 }, // 낮을수록 먼저 평가 (거부 사유로 보고되는 규칙 결정)
+  // 지정된 조건을 모두 만족해야 규칙에 해당 (AND)
+  criteria: { type: criteriaSchema, required: true },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+listingRuleSchema.index({ enabled: 1, action: 1, priority: 1 });
+
+const ListingRule = mongoose.model('ListingRule', listingRuleSchema);
+
+module.exports = ListingRule;
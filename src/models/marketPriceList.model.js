@@ -0,0 +1,36 @@
+// src/models/marketPriceList.model.js
+// Shopify Market별(통화별) 가격 목록 연결 정보와 가격 계산에 적용 중인 환율입니다. marketPricingService에서 관리합니다.
+const mongoose = require('mongoose');
+
+const marketPriceListSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  marketId: { type: String, trim: true }, // gid://shopify/Market/...
+  catalogId: { type: String, trim: true }, // gid://shopify/MarketCatalog/...
+  priceListId: { type: String, trim: true }, // gid://shopify/PriceList/...
+  // 고정 가격 계산에 쓰는 환율 (1 USD = ? 통화). 실제 환율이 임계값 이상 움직였을 때만 바뀜
+  appliedRate: { type: Number },
+  appliedRateProvider: { type: String, trim: true }, // 적용 환율을 가져온 환율 공급자 (openexchangerates | ecb | manual)
+  appliedRateAt: { type: Date },
+  lastSyncedAt: { type: Date },
+  lastSyncStats: {
+    _id: false,
+    scanned: Number,
+    updated: Number,
+    unchanged: Number,
+    failed: Number,
+  },
+  lastError: { type: String, maxlength: 1000 },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const MarketPriceList = mongoose.model('MarketPriceList', marketPriceListSchema);
+
+module.exports = MarketPriceList;
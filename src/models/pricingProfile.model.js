@@ -0,0 +1,62 @@
+// src/models/pricingProfile.model.js
+// Shopify 판매 가격 계산 프로필입니다. 원화 가격대, 카테고리, 브랜드, 태그로 선택되며 priceCalculationService에서 적용합니다.
+// 수정할 때마다 version이 올라가고 이전 내용은 PricingProfileVersion에 남습니다.
+const mongoose = require('mongoose');
+
+// 마크업 후 가격 끝자리 처리 방식 (priceCalculationService.applyPriceRounding)
+// CHARM_99: 다음 x.99로 올림, CHARM_49_99: 다음 x.49 또는 x.99로 올림, WHOLE_DOLLAR: 가장 가까운 1달러,
+// NEAREST_5_ABOVE_THRESHOLD: thresholdUsd 이상인 가격만 가장 가까운 5달러
+const ROUNDING_STRATEGIES = ['NONE', 'CHARM_99', 'CHARM_49_99', 'WHOLE_DOLLAR', 'NEAREST_5_ABOVE_THRESHOLD'];
+
+const criteriaSchema = new mongoose.Schema({
+  minPriceKrw: { type: Number, min: 0 },
+  maxPriceKrw: { type: Number, min: 0 },
+  // 번개장터 카테고리 ID. 하위 카테고리에도 적용 (접두사 일치)
+  categoryIds: { type: [{ type: String, trim: true }], default: undefined },
+  brandIds: { type: [{ type: String, trim: true }], default: undefined },
+  tags: { type: [{ type: String, trim: true, lowercase: true }], default: undefined }, // 번개장터 상품 태그(keywords) 중 하나라도 일치
+}, { _id: false });
+
+const roundingSchema = new mongoose.Schema({
+  strategy: { type: String, enum: ROUNDING_STRATEGIES, default: 'NONE' },
+  thresholdUsd: { type: Number, min: 0 }, // NEAREST_5_ABOVE_THRESHOLD 기준 가격
+}, { _id: false });
+
+const pricingSchema = new mongoose.Schema({
+  markupPercentage: { type: Number, required: true, min: 0 },
+  handlingFeeUsd: { type: Number, required: true, min: 0 },
+  minMarginUsd: { type: Number, min: 0 }, // 판매가 - 원가(USD 환산)가 이 값보다 작으면 올림
+  priceFloorUsd: { type: Number, min: 0 },
+  priceCeilingUsd: { type: Number, min: 0 }, // 가장 마지막에 적용 (최소 마진보다 우선)
+  // 최저가 적용 후, 최고가 적용 전에 처리. 없으면 환경변수 설정값(PRICE_ROUNDING_STRATEGY)
+  rounding: { type: roundingSchema, default: undefined },
+}, { _id: false });
+
+const pricingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: { type: String, trim: true },
+  enabled: { type: Boolean, default: true, index: true },
+  priority: { type: Number, default: 100 }, // 조건이 일치하는 프로필 중 낮을수록 우선
+  isDefault: { type: Boolean, default: false }, // 일치하는 프로필이 없을 때 사용 (없으면 환경변수 설정값)
+  // 지정된 조건을 모두 만족해야 적용 (AND). 비어 있으면 모든 상품에 일치
+  criteria: { type: criteriaSchema, default: () => ({}) },
+  pricing: { type: pricingSchema, required: true },
+  version: { type: Number, default: 1 },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+pricingProfileSchema.index({ enabled: 1, priority: 1 });
+
+pricingProfileSchema.statics.ROUNDING_STRATEGIES = ROUNDING_STRATEGIES;
+
+const PricingProfile = mongoose.model('PricingProfile', pricingProfileSchema);
+
+module.exports = PricingProfile;
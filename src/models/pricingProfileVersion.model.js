@@ -0,0 +1,23 @@
+// src/models/pricingProfileVersion.model.js
+// 가격 프로필(PricingProfile)의 버전별 내용입니다. 생성/수정/삭제할 때마다 한 건씩 추가됩니다.
+// SyncedProduct.pricingProfileVersion과 함께 어떤 설정으로 가격이 계산되었는지 확인하는 데 사용합니다.
+const mongoose = require('mongoose');
+
+const pricingProfileVersionSchema = new mongoose.Schema({
+  profileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  name: { type: String, required: true, trim: true },
+  version: { type: Number, required: true },
+  changeType: { type: String, enum: ['created', 'updated', 'deleted'], required: true },
+  // 해당 버전의 프로필 내용 (criteria, pricing, priority, enabled, isDefault, description)
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+pricingProfileVersionSchema.index({ profileId: 1, version: -1 }, { unique: true });
+
+const PricingProfileVersion = mongoose.model('PricingProfileVersion', pricingProfileVersionSchema);
+
+module.exports = PricingProfileVersion;
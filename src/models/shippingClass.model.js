@@ -0,0 +1,37 @@
+// src/models/shippingClass.model.js
+// 해외 배송비(국제 운임) 추정용 무게/크기 등급입니다. 번개장터 카테고리로 선택되며 landedCostService에서 사용합니다.
+const mongoose = require('mongoose');
+
+const shippingClassSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  name: { type: String, trim: true },
+  // 포장 후 예상 실무게와 크기. 운임은 실무게와 부피무게(가로*세로*높이/volumetricDivisor) 중 큰 값으로 계산
+  weightKg: { type: Number, required: true, min: 0 },
+  lengthCm: { type: Number, min: 0 },
+  widthCm: { type: Number, min: 0 },
+  heightCm: { type: Number, min: 0 },
+  // 지정하면 무게 기반 계산 대신 이 운임(USD)을 사용
+  freightOverrideUsd: { type: Number, min: 0 },
+  // 적용할 번개장터 카테고리 ID. 하위 카테고리에도 적용되며 더 긴(구체적인) ID가 우선
+  categoryIds: { type: [{ type: String, trim: true }], default: [] },
+  isDefault: { type: Boolean, default: false }, // 카테고리가 일치하는 등급이 없을 때 사용
+  priority: { type: Number, default: 100 }, // 같은 카테고리 길이에서 낮을수록 우선
+  enabled: { type: Boolean, default: true },
+  notes: { type: String, trim: true },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+shippingClassSchema.index({ enabled: 1, categoryIds: 1 });
+
+const ShippingClass = mongoose.model('ShippingClass', shippingClassSchema);
+
+module.exports = ShippingClass;
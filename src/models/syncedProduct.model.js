@@ -42,7 +42,13 @@ const syncedProductSchema = new mongoose.Schema({
   // 번개장터 원본 정보
   bunjangProductName: { type: String, trim: true },
   englishTitle: { type: String, trim: true, index: true },
+  englishDescription: { type: String },
+  translationSourceHash: { type: String }, // 번역한 원문(제목+설명)과 용어집 버전의 해시. 같으면 재번역하지 않음
+  translationProvider: { type: String },
+  translatedAt: { type: Date },
+  bunjangDescription: { type: String }, // 분류 규칙 재평가용 원문 설명
   bunjangCategoryId: { type: String, index: true, trim: true },
+  bunjangCategoryName: { type: String, trim: true },
   bunjangBrandId: { type: String, index: true, trim: true },
   bunjangSellerUid: { type: String, index: true, trim: true },
   bunjangCondition: { type: String, trim: true },
@@ -58,6 +64,49 @@ const syncedProductSchema = new mongoose.Schema({
   // Shopify 연동 정보
   shopifyProductType: { type: String, index: true, trim: true },
   shopifyListedPriceUsd: { type: String },
+  // 가격을 계산한 가격 프로필 (id가 없으면 환경변수 설정값으로 만든 내장 프로필)
+  pricingProfileId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  pricingProfileName: { type: String, trim: true },
+  pricingProfileVersion: { type: Number },
+  // 가격 계산에 쓰인 설정(프로필 버전, 끝자리 처리, 배송 등급 운임)의 키. 현재 설정과 다르면 번개장터 변경이 없어도 다시 동기화 (priceCalculationService.getPricingInputsKey)
+  pricingInputsKey: { type: String },
+  // 리스팅 가격의 원가 구성 (calculateShopifyPrice breakdown). 마진 보고서와 주문 시 원가 확인에 사용
+  priceCostBreakdown: {
+    _id: false,
+    bunjangPriceKrw: Number,
+    bunjangShippingFeeKrw: Number,
+    exchangeRate: Number,
+    exchangeRateProvider: String, // openexchangerates | ecb | manual
+    exchangeRateSmoothing: String,
+    exchangeRateAsOf: Date,
+    itemCostUsd: Number,
+    bunjangShippingUsd: Number,
+    freightUsd: Number,
+    destinationSurchargeUsd: Number,
+    landedCostUsd: Number,
+    shippingClass: String,
+    chargeableWeightKg: Number,
+    destination: String,
+    markupPercentage: Number,
+    handlingFeeUsd: Number,
+    adjustments: [String],
+    roundingStrategy: String,
+    marginUsd: Number,
+    calculatedAt: Date,
+  },
+  // Shopify Markets 가격 목록에 쓴 통화별 고정 가격 (키: 통화 코드). priceUsd는 환산 기준이 된 리스팅 가격
+  marketPrices: {
+    type: Map,
+    of: new mongoose.Schema({
+      amount: String,
+      priceUsd: String,
+      rate: Number,
+      rateProvider: String,
+      syncedAt: Date,
+    }, { _id: false }),
+    default: undefined,
+  },
+  shopifyVariantSkus: [String], // 옵션 상품은 BJ-<pid>-<n> 목록, 단일 상품은 [BJ-<pid>]
   shopifyStatus: { 
     type: String, 
     enum: ['ACTIVE', 'DRAFT', 'ARCHIVED', 'SOLD_OUT'],
@@ -92,6 +141,43 @@ const syncedProductSchema = new mongoose.Schema({
   processingJobId: { type: String },
   processingLockExpiry: { type: Date }, // 락 만료 시간
   
+  // 이미지(미디어) 동기화 상태 - 상품 동기화 결과(syncStatus)와 별도로 기록
+  mediaSyncStatus: {
+    type: String,
+    enum: ['PENDING', 'SYNCED', 'PARTIAL_ERROR', 'ERROR', 'NO_IMAGES'],
+    default: 'PENDING',
+    index: true,
+  },
+  mediaSourceHash: { type: String }, // 마지막으로 붙인 이미지 URL 목록의 해시 (변경 감지용)
+  shopifyMediaIds: [String], // 우리가 붙인 Shopify 미디어 ID (이미지 교체 시 삭제 대상)
+  mediaErrorMessage: { type: String, maxlength: 1000 },
+  mediaErrors: [{
+    _id: false,
+    url: String,
+    code: String,
+    message: String,
+  }],
+  lastMediaSyncAt: { type: Date },
+
+  // 마지막으로 Shopify에 보낸 리스팅 내용 요약 (드라이런 보고서의 필드별 비교 기준)
+  listingSnapshot: {
+    title: String,
+    vendor: String,
+    productType: String,
+    tags: { type: [String], default: undefined },
+    priceUsd: String,
+    status: String,
+    skus: { type: [String], default: undefined },
+    imageSetHash: String,
+    descriptionHash: String,
+  },
+
+  // 자동 분류(taxonomyService) 결과 - 규칙이 바뀌면 이 태그/컬렉션만 교체하고 수동 태그는 유지
+  taxonomyTags: { type: [String], default: undefined },
+  taxonomyCollectionGids: { type: [String], default: undefined },
+  taxonomyVersion: { type: String, index: true }, // 적용한 규칙 버전 (다르면 재태깅 대상)
+  taxonomyAppliedAt: { type: Date },
+
   // 판매 상태 관리 필드
   soldFrom: {
     type: String,
@@ -108,6 +194,23 @@ const syncedProductSchema = new mongoose.Schema({
   bunjangOrderIds: [String],
   lastBunjangOrderId: String,
   
+  // 전체 카탈로그에서 사라진 상품 (카탈로그 델타 감지)
+  delistedAt: { type: Date, index: true },
+  delistedInCatalog: { type: String, trim: true }, // 감지된 카탈로그 파일명
+
+  // 판매자 레지스트리에서 차단되어 DRAFT 처리된 시각 (차단 해제 후 재동기화 시 초기화)
+  blockedSellerDraftedAt: { type: Date },
+
+  // 근사 중복 감지(duplicateDetectionService)용 지문과 결과
+  duplicateTitleKey: { type: String, trim: true }, // 정규화한 제목
+  bunjangImageKeys: { type: [String], default: undefined }, // 해상도/쿼리를 뺀 이미지 URL
+  duplicateGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'DuplicateGroup', index: true },
+  duplicateSuppressedAt: { type: Date, index: true }, // 중복으로 리스팅하지 않기로 한 시각 (다시 리스팅되면 초기화)
+
+  // 카테고리/브랜드 매핑 변경으로 상품 유형·vendor가 바뀌어 다시 동기화해야 하는 상품 (번개장터 변경이 없어도 건너뛰지 않음, 동기화 성공 시 초기화)
+  resyncRequestedAt: { type: Date, index: true },
+  resyncReason: { type: String, trim: true },
+
   // 추가 관리 필드
   isFilteredOut: { type: Boolean, default: false, index: true },
   notes: { type: String, maxlength: 500 },
@@ -125,6 +228,7 @@ syncedProductSchema.index({ shopifyProductType: 1, shopifyListedPriceUsd: 1 });
 syncedProductSchema.index({ soldFrom: 1, soldAt: -1 });
 syncedProductSchema.index({ pendingBunjangOrder: 1, shopifySoldAt: -1 });
 syncedProductSchema.index({ processingStatus: 1, processingStartedAt: 1 }); // 동시성 제어용
+syncedProductSchema.index({ bunjangSellerUid: 1, duplicateTitleKey: 1 }); // 판매자별 중복 후보 조회용
 
 // 텍스트 인덱스 (검색용)
 syncedProductSchema.index({ 
@@ -0,0 +1,50 @@
+// src/models/taxonomyRule.model.js
+// 상품 자동 태깅/컬렉션 분류 규칙입니다. (taxonomyService에서 평가)
+const mongoose = require('mongoose');
+
+// keyword: 상품명/설명/카테고리명(원문+번역)에 포함 (대소문자 무시)
+// regex: 같은 텍스트에 대한 정규식 (대소문자 무시)
+// category: 번개장터 카테고리 ID. 하위 카테고리도 포함 (예: '310'은 '310100'에도 해당)
+// brand: 번개장터 브랜드 ID (정확히 일치)
+const MATCHER_TYPES = ['keyword', 'regex', 'category', 'brand'];
+
+const matcherSchema = new mongoose.Schema({
+  type: { type: String, enum: MATCHER_TYPES, required: true },
+  value: { type: String, required: true, trim: true },
+  weight: { type: Number, default: 1 }, // 제외 조건에서는 사용하지 않음
+}, { _id: false });
+
+const taxonomyRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: { type: String, trim: true },
+  enabled: { type: Boolean, default: true, index: true },
+  priority: { type: Number, default: 100 }, // 낮을수록 먼저 평가 (미리보기/태그 순서)
+  // 일치한 matcher의 weight 합이 minScore 이상이면 규칙 적용
+  matchers: {
+    type: [matcherSchema],
+    validate: [matchers => matchers.length > 0, 'matchers must not be empty'],
+  },
+  minScore: { type: Number, default: 1 },
+  // 하나라도 일치하면 점수와 관계없이 규칙 미적용
+  exclusions: { type: [matcherSchema], default: [] },
+  // 규칙 적용 시 붙일 Shopify 태그와 상품을 넣을 컬렉션 GID
+  tags: { type: [{ type: String, trim: true }], default: [] },
+  collectionGids: { type: [{ type: String, trim: true }], default: [] },
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+taxonomyRuleSchema.index({ enabled: 1, priority: 1 });
+
+taxonomyRuleSchema.statics.MATCHER_TYPES = MATCHER_TYPES;
+
+const TaxonomyRule = mongoose.model('TaxonomyRule', taxonomyRuleSchema);
+
+module.exports = TaxonomyRule;
@@ -0,0 +1,27 @@
+// src/models/translationCache.model.js
+// 번역 결과 캐시: 원문 해시 + 언어 + 번역 제공자 + 용어집 버전이 같으면 제공자를 다시 호출하지 않습니다.
+const mongoose = require('mongoose');
+
+const translationCacheSchema = new mongoose.Schema({
+  sourceHash: { type: String, required: true }, // 원문 sha256
+  sourceLang: { type: String, required: true },
+  targetLang: { type: String, required: true },
+  provider: { type: String, required: true },
+  glossaryVersion: { type: String, required: true }, // 용어집이 바뀌면 다른 캐시 항목이 됨
+  sourceText: { type: String },
+  translatedText: { type: String, required: true },
+  hitCount: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: Date.now },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+translationCacheSchema.index(
+  { sourceHash: 1, sourceLang: 1, targetLang: 1, provider: 1, glossaryVersion: 1 },
+  { unique: true }
+);
+
+const TranslationCache = mongoose.model('TranslationCache', translationCacheSchema);
+
+module.exports = TranslationCache;
@@ -40,12 +40,8 @@ async function initializeExchangeRate() {
     
   } catch (error) {
     logger.error('[InitExchangeRate] Failed to initialize exchange rate:', error);
-    
-    // 초기화 실패 시 기본값 사용
-    const fallbackRate = 0.00074; // 1 USD = 1350 KRW
-    logger.warn(`[InitExchangeRate] Using fallback rate: ${fallbackRate}`);
-    
-    return fallbackRate;
+    // 고정 환율로 대체하지 않음. 모든 공급자가 실패하면 수동 환율(PUT /api/exchange-rates/manual)을 지정
+    throw error;
   }
 }
 
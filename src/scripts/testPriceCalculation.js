@@ -43,7 +43,7 @@ async function runPriceCalculationTest() {
     
   } catch (error) {
     console.error('❌ 환율 가져오기 실패:', error.message);
-    console.log('Fallback 환율 사용: 1 KRW = 0.00074 USD');
+    console.log('환율을 가져올 수 없어 가격 계산이 실패합니다. 수동 환율(PUT /api/exchange-rates/manual)을 지정하세요.');
   }
   
   // 3. 가격 계산 테스트
@@ -0,0 +1,359 @@
+// src/services/catalogBulkSyncService.js
+// 전체 카탈로그를 Shopify Bulk Operations로 동기화합니다. (config.bunjang.bulkSync.enabled)
+// catalogService.prepareBulkProductSync가 판단을 마친 항목을 batchSize개씩 productSet 벌크 mutation으로 보내고,
+// 결과 JSONL의 상품/variant/미디어 ID를 SyncedProduct에 기록합니다.
+// 상품별 경로의 생성·가격 확인·재고·게시 호출 대신: 재고는 productSet의 inventoryQuantities, 게시는 publishablePublish 벌크 작업으로 처리합니다.
+// 세그먼트 동기화와 단일 상품 재동기화는 기존 상품별 경로(syncBunjangProductToShopify)를 사용합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const shopifyBulkOperationService = require('./shopifyBulkOperationService');
+const productMediaService = require('./productMediaService');
+const productSyncQueueService = require('./productSyncQueueService');
+const taxonomyService = require('./taxonomyService');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogBulkSyncSvc';
+
+const PRODUCT_INDEX_QUERY = `
+  {
+    products(query: "tag:bunjang_import") {
+      edges {
+        node {
+          id
+          variants {
+            edges {
+              node {
+                id
+                sku
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_SET_MUTATION = `
+  mutation productSet($input: ProductSetInput!) {
+    productSet(input: $input, synchronous: true) {
+      product {
+        id
+        handle
+        variants(first: 100) {
+          nodes {
+            id
+            sku
+          }
+        }
+        media(first: 50) {
+          nodes {
+            id
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+const PUBLISH_MUTATION = `
+  mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+    publishablePublish(id: $id, input: $input) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+/**
+ * Shopify에 있는 번개장터 상품(bunjang_import 태그)의 상품 ID와 SKU별 variant ID를 벌크 쿼리로 읽습니다.
+ * productSet은 id가 없는 variant를 새로 만들기 때문에, 기존 variant ID를 넘겨 유지하는 데 사용합니다.
+ * @param {object} [options]
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<{productIds: Set<string>, variantsBySku: Map<string, {id: string, productId: string}>}>}
+ */
+async function loadShopifyProductIndex({ jobId = 'N/A' } = {}) {
+  const productIds = new Set();
+  const variantsBySku = new Map();
+
+  await shopifyBulkOperationService.runBulkQuery(PRODUCT_INDEX_QUERY, (line) => {
+    if (!line.__parentId) {
+      productIds.add(line.id);
+    } else if (line.sku) {
+      variantsBySku.set(line.sku, { id: line.id, productId: line.__parentId });
+    }
+  }, { label: 'bunjang product index', jobId });
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Loaded ${productIds.size} Shopify products and ${variantsBySku.size} variant SKUs for bulk sync.`);
+  return { productIds, variantsBySku };
+}
+
+/**
+ * 준비된 항목을 productSet 입력으로 변환합니다.
+ * Shopify에 남아 있는 상품이면 id와 SKU가 같은 기존 variant id를 넣어 갱신하고, 없으면 새로 만듭니다.
+ * 이미지는 새 상품이거나 이미지 세트가 바뀌었을 때만 넘깁니다. (files는 상품 미디어 전체를 교체)
+ * @param {object} item - catalogService.prepareBulkProductSync 결과의 item.
+ * @param {object} productIndex - loadShopifyProductIndex 결과.
+ * @returns {{input: object, existingId: string|null, includeMedia: boolean, collectionGids: string[]}}
+ */
+function buildProductSetInput(item, productIndex) {
+  const { productInput, variantData, inventoryInfo, optionVariants, imageUrls, mediaInputs, taxonomy } = item.transformResult;
+  const existingId = item.shopifyGid && productIndex.productIds.has(item.shopifyGid) ? item.shopifyGid : null;
+
+  const target = optionVariants || {
+    productOptions: [{ name: 'Title', values: [{ name: 'Default Title' }] }],
+    variants: [{ sku: variantData.sku, price: variantData.price, optionValues: [{ optionName: 'Title', name: 'Default Title' }] }],
+  };
+  const existingVariantId = (sku) => {
+    const variant = productIndex.variantsBySku.get(sku);
+    return existingId && variant?.productId === existingId ? variant.id : null;
+  };
+
+  const imageSetHash = productMediaService.computeImageSetHash(imageUrls);
+  const includeMedia = mediaInputs.length > 0 && (
+    !existingId ||
+    item.syncedDoc.mediaSourceHash !== imageSetHash ||
+    item.syncedDoc.mediaSyncStatus !== 'SYNCED'
+  );
+  // 새 상품: 기본 번개장터 컬렉션 + 분류 규칙 컬렉션을 생성과 함께 지정 (기존 상품은 결과 기록 후 변경분만 반영)
+  const collectionGids = existingId
+    ? taxonomy.collectionGids
+    : [config.shopify.defaultCollectionGid, ...taxonomy.collectionGids].filter(Boolean);
+
+  const input = {
+    ...(existingId && { id: existingId }),
+    title: productInput.title,
+    descriptionHtml: productInput.descriptionHtml,
+    vendor: productInput.vendor,
+    productType: productInput.productType,
+    tags: productInput.tags,
+    status: productInput.status,
+    metafields: productInput.metafields,
+    productOptions: target.productOptions,
+    variants: target.variants.map((variant) => {
+      const id = existingVariantId(variant.sku);
+      return {
+        ...(id && { id }),
+        optionValues: variant.optionValues,
+        price: String(variant.price),
+        inventoryPolicy: variantData.inventoryPolicy,
+        inventoryItem: { sku: variant.sku, tracked: true },
+        inventoryQuantities: [{ locationId: inventoryInfo.locationId, name: 'available', quantity: 1 }],
+      };
+    }),
+    ...(includeMedia && {
+      files: mediaInputs.map(media => ({ originalSource: media.originalSource, alt: media.alt, contentType: 'IMAGE' })),
+    }),
+    ...(!existingId && collectionGids.length > 0 && { collections: collectionGids }),
+  };
+  return { input, existingId, includeMedia, collectionGids };
+}
+
+function formatUserErrors(userErrors) {
+  return userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+}
+
+/**
+ * 새로 만든 상품을 판매 채널(온라인 스토어 등)에 벌크로 게시합니다. 실패는 로그로만 남깁니다. (상품은 이미 ACTIVE)
+ */
+async function publishCreatedProducts(productIds, { jobId }) {
+  if (productIds.length === 0) return;
+  try {
+    const publications = await shopifyService.getSalesChannelPublications();
+    if (publications.length === 0) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] No online store publication found. ${productIds.length} new products may not be visible.`);
+      return;
+    }
+    const input = publications.map(publication => ({ publicationId: publication.node.id }));
+    const { operation, results } = await shopifyBulkOperationService.runBulkMutation(
+      PUBLISH_MUTATION,
+      productIds.map(id => ({ id, input })),
+      { label: 'publish new products', jobId }
+    );
+    const failed = results.filter(line => !line || line.errors || line.data?.publishablePublish?.userErrors?.length > 0).length;
+    if (operation.status !== 'COMPLETED' || failed > 0) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Publishing ${productIds.length} new products finished with status ${operation.status}. ${failed} failed.`);
+    }
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to publish ${productIds.length} new products: ${error.message}`);
+  }
+}
+
+/**
+ * 항목 묶음을 productSet 벌크 작업 하나로 동기화하고 결과를 SyncedProduct에 기록합니다.
+ * 결과가 있는 항목마다 onItemResult(item, { status, operation?, shopifyGid?, message? })를 호출합니다.
+ * @throws {ExternalServiceError} 벌크 작업이 COMPLETED로 끝나지 않으면. (결과가 있는 항목은 먼저 기록)
+ */
+async function syncBatch(items, { productIndex, jobId, onItemResult }) {
+  const prepared = items.map(item => buildProductSetInput(item, productIndex));
+  const { operation, results } = await shopifyBulkOperationService.runBulkMutation(
+    PRODUCT_SET_MUTATION,
+    prepared.map(({ input }) => ({ input })),
+    { label: 'bunjang productSet', jobId }
+  );
+
+  const now = new Date();
+  const writes = [];
+  const outcomes = [];
+  const createdProductIds = [];
+  const collectionUpdates = [];
+
+  items.forEach((item, index) => {
+    const line = results[index];
+    if (!line) return; // 결과 없음: 작업 실패 시 재개에서 다시 처리
+    const { existingId, includeMedia, collectionGids } = prepared[index];
+    const productSet = line.data?.productSet;
+    const product = productSet?.product;
+    const errorMessage = line.errors?.length > 0
+      ? line.errors.map(e => e.message).join('; ')
+      : (productSet?.userErrors?.length > 0 ? formatUserErrors(productSet.userErrors) : (!product?.id ? 'productSet returned no product.' : null));
+
+    if (errorMessage) {
+      writes.push({
+        updateOne: {
+          filter: { bunjangPid: item.bunjangPid },
+          update: {
+            $set: {
+              syncStatus: 'ERROR',
+              syncErrorMessage: errorMessage.substring(0, 1000),
+              syncErrorStackSample: null,
+              bunjangUpdatedAt: item.successSet.bunjangUpdatedAt,
+              ...(existingId && { shopifyGid: existingId }),
+            },
+          },
+        },
+      });
+      outcomes.push([item, { status: 'error', message: errorMessage.substring(0, 255) }]);
+      return;
+    }
+
+    const { imageUrls } = item.transformResult;
+    const mediaIds = (product.media?.nodes || []).map(media => media.id);
+    writes.push({
+      updateOne: {
+        filter: { bunjangPid: item.bunjangPid },
+        update: {
+          $set: {
+            shopifyGid: product.id,
+            shopifyProductId: product.id.split('/').pop(),
+            shopifyHandle: product.handle,
+            ...item.successSet,
+            shopifyVariantSkus: (product.variants?.nodes || []).map(variant => variant.sku).filter(Boolean),
+            ...(includeMedia && {
+              mediaSyncStatus: mediaIds.length > 0 ? 'SYNCED' : 'ERROR',
+              mediaErrorMessage: mediaIds.length > 0 ? null : 'Shopify did not return any created media.',
+              mediaErrors: [],
+              lastMediaSyncAt: now,
+              ...(mediaIds.length > 0 && {
+                mediaSourceHash: productMediaService.computeImageSetHash(imageUrls),
+                shopifyMediaIds: mediaIds,
+                bunjangImagesJson: JSON.stringify(imageUrls),
+              }),
+            }),
+            ...(!existingId && { taxonomyCollectionGids: item.transformResult.taxonomy.collectionGids }),
+          },
+          $inc: { syncSuccessCount: 1 },
+        },
+      },
+    });
+
+    if (!existingId) {
+      createdProductIds.push(product.id);
+    } else {
+      const previousCollectionGids = item.syncedDoc.taxonomyCollectionGids || [];
+      const changed = collectionGids.length !== previousCollectionGids.length || collectionGids.some(gid => !previousCollectionGids.includes(gid));
+      if (changed) collectionUpdates.push({ item, shopifyProductGid: product.id, collectionGids, previousCollectionGids });
+    }
+    outcomes.push([item, { status: 'success', operation: existingId ? 'update' : 'create', shopifyGid: product.id }]);
+  });
+
+  if (writes.length > 0) await SyncedProduct.bulkWrite(writes, { ordered: false });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] productSet bulk operation ${operation.id}: ${outcomes.filter(([, outcome]) => outcome.status === 'success').length} synced, ${outcomes.filter(([, outcome]) => outcome.status === 'error').length} failed, ${items.length - outcomes.length} without result.`);
+
+  await publishCreatedProducts(createdProductIds, { jobId });
+
+  // 기존 상품의 분류 규칙 컬렉션 변경분만 상품별로 반영
+  for (const { item, shopifyProductGid, collectionGids, previousCollectionGids } of collectionUpdates) {
+    try {
+      const taxonomyCollectionGids = await taxonomyService.syncProductCollections({ shopifyProductGid, collectionGids, previousCollectionGids, jobId });
+      await SyncedProduct.updateOne({ bunjangPid: item.bunjangPid }, { $set: { taxonomyCollectionGids } });
+    } catch (collectionError) {
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Collection sync failed for PID ${item.bunjangPid} (${shopifyProductGid}): ${collectionError.message}`);
+    }
+  }
+
+  for (const [item, outcome] of outcomes) onItemResult(item, outcome);
+  await productSyncQueueService.removeDeadLetteredProducts(outcomes.filter(([, outcome]) => outcome.status === 'success').map(([item]) => item.bunjangPid));
+
+  if (operation.status !== 'COMPLETED') {
+    throw new ExternalServiceError(SERVICE_NAME, null, `productSet bulk operation ${operation.id} ended with status ${operation.status}.`, 'SHOPIFY_BULK_OPERATION_FAILED', {
+      bulkOperationId: operation.id,
+      errorCode: operation.errorCode,
+      itemsWithoutResult: items.length - outcomes.length,
+    });
+  }
+}
+
+/**
+ * 준비된 항목을 모아 config.bunjang.bulkSync.batchSize개마다 벌크 작업으로 동기화하는 batcher를 만듭니다.
+ * 벌크 mutation은 상점당 하나씩만 실행되므로 묶음은 순서대로 처리되고, 처리 중에는 add()가 끝날 때까지 기다리게 해 메모리를 제한합니다.
+ * 벌크 작업이 실패하면 이후 묶음은 보내지 않고 finish()에서 에러를 던집니다.
+ * @param {object} options
+ * @param {object} options.productIndex - loadShopifyProductIndex 결과.
+ * @param {function(object, object): void} options.onItemResult - (item, outcome) 항목별 결과 콜백.
+ * @param {string} [options.jobId='N/A']
+ * @returns {{failed: boolean, add: function(object): Promise<void>, finish: function(): Promise<{operations: number, products: number}>}}
+ */
+function createBulkProductSyncBatcher({ productIndex, onItemResult, jobId = 'N/A' }) {
+  const batchSize = config.bunjang.bulkSync.batchSize;
+  let batch = [];
+  let flushing = Promise.resolve();
+  let fatalError = null;
+  const stats = { operations: 0, products: 0 };
+
+  const flush = () => {
+    if (batch.length === 0) return flushing;
+    const items = batch;
+    batch = [];
+    flushing = flushing.then(async () => {
+      if (fatalError) return;
+      try {
+        stats.operations++;
+        stats.products += items.length;
+        await syncBatch(items, { productIndex, jobId, onItemResult });
+      } catch (error) {
+        fatalError = error;
+        logger.error(`[${SERVICE_NAME}:Job-${jobId}] Bulk product sync failed. Remaining products will not be sent: ${error.message}`);
+      }
+    });
+    return flushing;
+  };
+
+  return {
+    get failed() {
+      return Boolean(fatalError);
+    },
+    async add(item) {
+      batch.push(item);
+      if (batch.length >= batchSize) await flush();
+    },
+    async finish() {
+      await flush();
+      if (fatalError) throw fatalError;
+      return stats;
+    },
+  };
+}
+
+module.exports = {
+  loadShopifyProductIndex,
+  buildProductSetInput,
+  createBulkProductSyncBatcher,
+};
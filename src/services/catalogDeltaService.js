@@ -0,0 +1,107 @@
+// src/services/catalogDeltaService.js
+// 전체 카탈로그(full-*.csv.gz)의 SELLING PID 집합과 SyncedProduct 컬렉션을 비교하여
+// 카탈로그에서 사라진(판매 완료/삭제된) 상품을 찾아 Shopify에서 DRAFT 처리합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const inventoryService = require('./inventoryService');
+
+// Shopify에 현재 리스팅 중인 상품만 비교 대상 (이미 판매/비활성화 처리된 상품 제외)
+const LISTED_PRODUCT_FILTER = {
+  shopifyGid: { $exists: true, $ne: null },
+  shopifyStatus: { $nin: ['DRAFT', 'ARCHIVED', 'SOLD_OUT'] },
+  soldFrom: null,
+  pendingBunjangOrder: { $ne: true }, // Shopify에서 팔려 번개장터 주문 대기 중인 상품은 카탈로그에서 사라지는 것이 정상
+  delistedAt: null,
+};
+
+/**
+ * 카탈로그에 없는 리스팅 상품을 찾습니다.
+ * @param {Set<string>} sellingPids - 전체 카탈로그에서 saleStatus가 SELLING인 PID 집합.
+ * @returns {Promise<{listedCount: number, missing: Array<{bunjangPid: string, shopifyGid: string}>}>}
+ */
+async function findDelistedProducts(sellingPids) {
+  const missing = [];
+  let listedCount = 0;
+
+  const cursor = SyncedProduct.find(LISTED_PRODUCT_FILTER)
+    .select({ bunjangPid: 1, shopifyGid: 1 })
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    listedCount++;
+    if (!sellingPids.has(doc.bunjangPid)) {
+      missing.push({ bunjangPid: doc.bunjangPid, shopifyGid: doc.shopifyGid });
+    }
+  }
+  return { listedCount, missing };
+}
+
+/**
+ * 전체 카탈로그에서 사라진 PID를 감지하고 inventoryService.markProductAsDraft로 비활성화합니다.
+ * 잘린(truncated) 다운로드로 스토어 전체가 DRAFT 되는 것을 막기 위해
+ * 감지 건수가 config.bunjang.delistDetection의 maxRatio/maxCount를 넘으면 아무것도 처리하지 않습니다.
+ * @param {Set<string>} sellingPids - 전체 카탈로그에서 saleStatus가 SELLING인 PID 집합.
+ * @param {object} [options]
+ * @param {string} [options.catalogFilename] - 비교 기준 카탈로그 파일명 (기록용).
+ * @param {string} [options.jobIdForLog='N/A'] - 로깅용 작업 ID.
+ * @param {boolean} [options.dryRun=false] - true이면 DRAFT 처리하지 않고 대상 목록(wouldDraft)만 반환합니다.
+ * @returns {Promise<object>} { listed, candidates, drafted, failed, aborted, abortReason?, wouldDraft? }
+ */
+async function detectAndDraftDelistedProducts(sellingPids, { catalogFilename, jobIdForLog = 'N/A', dryRun = false } = {}) {
+  const { maxRatio, maxCount } = config.bunjang.delistDetection;
+  const result = { listed: 0, candidates: 0, drafted: 0, failed: 0, aborted: false };
+
+  if (!sellingPids || sellingPids.size === 0) {
+    logger.warn(`[CatalogDeltaSvc:Job-${jobIdForLog}] Catalog ${catalogFilename} has no SELLING PIDs. Skipping delist detection to avoid drafting the whole store.`);
+    return { ...result, aborted: true, abortReason: 'EMPTY_CATALOG' };
+  }
+
+  const { listedCount, missing } = await findDelistedProducts(sellingPids);
+  result.listed = listedCount;
+  result.candidates = missing.length;
+
+  if (missing.length === 0) {
+    logger.info(`[CatalogDeltaSvc:Job-${jobIdForLog}] No delisted PIDs found (${listedCount} listed, ${sellingPids.size} SELLING in ${catalogFilename}).`);
+    return result;
+  }
+
+  const ratio = listedCount > 0 ? missing.length / listedCount : 0;
+  if (missing.length > maxCount || ratio > maxRatio) {
+    logger.error(`[CatalogDeltaSvc:Job-${jobIdForLog}] Delist safety cap exceeded: ${missing.length} of ${listedCount} listed products (${(ratio * 100).toFixed(1)}%) missing from ${catalogFilename}. Limits: ${maxCount} items / ${(maxRatio * 100).toFixed(1)}%. No products were drafted.`);
+    return { ...result, aborted: true, abortReason: 'SAFETY_CAP_EXCEEDED' };
+  }
+
+  if (dryRun) {
+    logger.info(`[CatalogDeltaSvc:Job-${jobIdForLog}] Dry run: ${missing.length} listed products are missing from ${catalogFilename} and would be drafted.`);
+    return { ...result, wouldDraft: missing };
+  }
+
+  logger.info(`[CatalogDeltaSvc:Job-${jobIdForLog}] ${missing.length} listed products are missing from ${catalogFilename}. Drafting...`);
+
+  for (const { bunjangPid, shopifyGid } of missing) {
+    try {
+      await inventoryService.markProductAsDraft(shopifyGid, bunjangPid, 'bunjang_delisted');
+      await SyncedProduct.updateOne(
+        { bunjangPid },
+        { $set: { shopifyStatus: 'DRAFT', delistedAt: new Date(), delistedInCatalog: catalogFilename } }
+      );
+      result.drafted++;
+      logger.info(`[CatalogDeltaSvc:Job-${jobIdForLog}] PID ${bunjangPid} (${shopifyGid}) drafted: missing from ${catalogFilename}.`);
+    } catch (error) {
+      result.failed++;
+      logger.error(`[CatalogDeltaSvc:Job-${jobIdForLog}] Failed to draft delisted PID ${bunjangPid} (${shopifyGid}): ${error.message}`);
+    }
+  }
+
+  logger.info(`[CatalogDeltaSvc:Job-${jobIdForLog}] Delist detection finished for ${catalogFilename}.`, result);
+  return result;
+}
+
+module.exports = {
+  LISTED_PRODUCT_FILTER,
+  findDelistedProducts,
+  detectAndDraftDelistedProducts,
+};
@@ -0,0 +1,340 @@
+// src/services/catalogMappingService.js
+// 번개장터 카테고리 매핑(CategoryMapping)과 브랜드 매핑(BrandMapping)의 저장/조회, 브랜드 목록 시드, 미매핑 카테고리 보고서를 담당합니다.
+// 상품 변환(transformBunjangRowToShopifyInput)은 동기 함수이므로 매핑은 메모리에 캐시하고, 카탈로그 실행 시작 시와 매핑 변경 시 새로 읽습니다.
+// 상품 유형이나 vendor가 바뀌는 매핑 변경은 분류 백필(태그/컬렉션)로 반영되지 않으므로, 해당 SyncedProduct를 재동기화 대상으로 표시합니다.
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../config/logger');
+const CategoryMapping = require('../models/categoryMapping.model');
+const BrandMapping = require('../models/brandMapping.model');
+const CatalogRun = require('../models/catalogRun.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const bunjangService = require('./bunjangService');
+const { NotFoundError } = require('../utils/customErrors');
+
+const BRAND_SEED_BATCH_SIZE = 500;
+
+let cachedMappings = { categories: new Map(), brands: new Map(), categoryVersion: null };
+
+/**
+ * 활성화된 카테고리/브랜드 매핑을 DB에서 다시 읽어 캐시합니다. 실패하면 기존 캐시를 유지합니다.
+ * 브랜드 매핑이 하나도 없으면 번개장터 브랜드 목록으로 먼저 채웁니다.
+ */
+async function refreshCatalogMappings() {
+  try {
+    if (await BrandMapping.estimatedDocumentCount() === 0) {
+      await seedBrandsFromBunjang().catch(error => logger.warn(`[CatalogMappingSvc] Initial brand seed failed: ${error.message}`));
+    }
+    const [categories, brands] = await Promise.all([
+      CategoryMapping.find({ enabled: true }).lean(),
+      BrandMapping.find({ enabled: true }).select({ bunjangBrandId: 1, bunjangBrandName: 1, bunjangBrandNameEn: 1, displayName: 1 }).lean(),
+    ]);
+    const categoryContent = categories
+      .map(({ bunjangCategoryId, shopifyProductType, collectionGids, tags, includeSubcategories }) => ({ bunjangCategoryId, shopifyProductType, collectionGids, tags, includeSubcategories }))
+      .sort((a, b) => a.bunjangCategoryId.localeCompare(b.bunjangCategoryId));
+    cachedMappings = {
+      categories: new Map(categories.map(mapping => [mapping.bunjangCategoryId, mapping])),
+      brands: new Map(brands.map(brand => [brand.bunjangBrandId, brand])),
+      categoryVersion: crypto.createHash('sha256').update(JSON.stringify(categoryContent)).digest('hex').substring(0, 12),
+    };
+    logger.info(`[CatalogMappingSvc] Loaded ${categories.length} category mappings and ${brands.length} brand mappings.`);
+  } catch (error) {
+    logger.warn(`[CatalogMappingSvc] Failed to load catalog mappings. Keeping cached mappings: ${error.message}`);
+  }
+  return cachedMappings;
+}
+
+/**
+ * 카테고리 매핑 내용의 버전 해시. (분류 결과가 매핑에 따라 달라지므로 taxonomyService 규칙 버전에 포함)
+ */
+function getCategoryMappingsVersion() {
+  return cachedMappings.categoryVersion;
+}
+
+/**
+ * 카테고리 ID에 적용할 매핑을 찾습니다. 정확히 일치하는 매핑을 우선하고, 없으면 includeSubcategories인 가장 긴 상위 카테고리 매핑을 씁니다.
+ * DB 매핑이 없으면 환경변수 BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_<id>의 상품 유형을 사용합니다.
+ * @param {string} categoryId
+ * @returns {{bunjangCategoryId: string, shopifyProductType?: string, collectionGids: string[], tags: string[], source: string}|null}
+ */
+function resolveCategoryMapping(categoryId) {
+  if (!categoryId) return null;
+  const id = String(categoryId).trim();
+
+  let mapping = cachedMappings.categories.get(id);
+  if (!mapping) {
+    for (let length = id.length - 1; length > 0 && !mapping; length--) {
+      const parent = cachedMappings.categories.get(id.substring(0, length));
+      if (parent?.includeSubcategories) mapping = parent;
+    }
+  }
+  if (mapping) {
+    return {
+      bunjangCategoryId: mapping.bunjangCategoryId,
+      shopifyProductType: mapping.shopifyProductType || undefined,
+      collectionGids: mapping.collectionGids || [],
+      tags: mapping.tags || [],
+      source: 'database',
+    };
+  }
+
+  const envProductType = config.bunjang.categoryToShopifyType?.[id];
+  return envProductType ? { bunjangCategoryId: id, shopifyProductType: envProductType, collectionGids: [], tags: [], source: 'env' } : null;
+}
+
+/**
+ * 브랜드 ID의 Shopify vendor 이름을 찾습니다.
+ * @param {string} brandId
+ * @returns {string|null}
+ */
+function resolveBrandVendor(brandId) {
+  if (!brandId) return null;
+  return BrandMapping.resolveVendorName(cachedMappings.brands.get(String(brandId).trim()));
+}
+
+/**
+ * 번개장터 브랜드 API 목록으로 BrandMapping을 채웁니다. 운영자가 지정한 displayName/enabled는 유지합니다.
+ * @returns {Promise<{fetched: number, upserted: number, updated: number, skipped: number}>}
+ */
+async function seedBrandsFromBunjang() {
+  const brands = await bunjangService.getBunjangBrands();
+  const now = new Date();
+  const result = { fetched: brands.length, upserted: 0, updated: 0, skipped: 0 };
+
+  const operations = [];
+  for (const brand of brands) {
+    const brandId = brand?.id ?? brand?.brandId;
+    const brandName = brand?.name ?? brand?.brandName;
+    if (brandId == null || !brandName) {
+      result.skipped++;
+      continue;
+    }
+    const brandNameEn = brand.nameEn ?? brand.englishName ?? brand.engName;
+    operations.push({
+      updateOne: {
+        filter: { bunjangBrandId: String(brandId) },
+        update: {
+          $set: { bunjangBrandName: String(brandName).trim(), ...(brandNameEn && { bunjangBrandNameEn: String(brandNameEn).trim() }), lastSeededAt: now },
+          $setOnInsert: { bunjangBrandId: String(brandId), source: 'bunjang_api', enabled: true },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  for (let i = 0; i < operations.length; i += BRAND_SEED_BATCH_SIZE) {
+    const bulkResult = await BrandMapping.bulkWrite(operations.slice(i, i + BRAND_SEED_BATCH_SIZE), { ordered: false });
+    result.upserted += bulkResult.upsertedCount || 0;
+    result.updated += bulkResult.modifiedCount || 0;
+  }
+  logger.info(`[CatalogMappingSvc] Seeded brands from Bunjang: ${JSON.stringify(result)}`);
+  return result;
+}
+
+/**
+ * 매핑 변경 후 캐시를 갱신하고 분류 결과(태그/컬렉션) 재적용을 요청합니다.
+ */
+async function onMappingsChanged() {
+  await refreshCatalogMappings();
+  // taxonomyService가 이 모듈을 사용하므로 순환 참조를 피하기 위해 여기서 로드
+  await require('./taxonomyService').onRulesChanged();
+}
+
+/**
+ * 동기화된 상품을 재동기화 대상으로 표시합니다. 다음 카탈로그 실행에서 번개장터 변경이 없어도 다시 동기화됩니다.
+ * 매핑 저장은 이미 끝났으므로 실패해도 오류를 던지지 않고 경고만 남깁니다.
+ * @param {object} filter - SyncedProduct 조건.
+ * @param {string} reason - 예: category-mapping:600700
+ * @returns {Promise<number>} 표시한 상품 수.
+ */
+async function markProductsForResync(filter, reason) {
+  try {
+    const result = await SyncedProduct.updateMany(
+      { ...filter, syncStatus: 'SYNCED' },
+      { $set: { resyncRequestedAt: new Date(), resyncReason: reason } }
+    );
+    const marked = result.modifiedCount || 0;
+    if (marked > 0) logger.info(`[CatalogMappingSvc] Marked ${marked} synced products for resync (${reason}).`);
+    return marked;
+  } catch (error) {
+    logger.warn(`[CatalogMappingSvc] Failed to mark products for resync (${reason}): ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * 카테고리 매핑이 적용되는 동기화 상품을 재동기화 대상으로 표시합니다. (매핑 캐시 갱신 후 호출)
+ * 하위 카테고리 중 더 구체적인 DB 매핑이 적용되는 카테고리는 이번 변경과 무관하므로 제외합니다.
+ * @param {string} bunjangCategoryId
+ * @param {boolean} includeSubcategories - 변경 전이나 후에 하위 카테고리까지 적용되었는지.
+ * @returns {Promise<number>}
+ */
+async function markCategoryProductsForResync(bunjangCategoryId, includeSubcategories) {
+  const reason = `category-mapping:${bunjangCategoryId}`;
+  if (!includeSubcategories) return markProductsForResync({ bunjangCategoryId }, reason);
+
+  const prefix = new RegExp(`^${bunjangCategoryId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+  let categoryIds;
+  try {
+    categoryIds = await SyncedProduct.distinct('bunjangCategoryId', { bunjangCategoryId: prefix, syncStatus: 'SYNCED' });
+  } catch (error) {
+    logger.warn(`[CatalogMappingSvc] Failed to find products to resync (${reason}): ${error.message}`);
+    return 0;
+  }
+  categoryIds = categoryIds.filter(categoryId => {
+    const mapping = resolveCategoryMapping(categoryId);
+    return !(mapping?.source === 'database' && mapping.bunjangCategoryId.length > bunjangCategoryId.length);
+  });
+  return categoryIds.length ? markProductsForResync({ bunjangCategoryId: { $in: categoryIds } }, reason) : 0;
+}
+
+/** 매핑이 상품에 적용하는 상품 유형. (비활성 매핑은 적용되지 않음) */
+function effectiveProductType(mapping) {
+  return mapping?.enabled ? mapping.shopifyProductType || null : null;
+}
+
+/** 브랜드 매핑이 상품에 적용하는 vendor 이름. (비활성 매핑은 적용되지 않음) */
+function effectiveVendorName(brand) {
+  return brand?.enabled ? BrandMapping.resolveVendorName(brand) : null;
+}
+
+async function listCategoryMappings() {
+  return CategoryMapping.find({}).sort({ bunjangCategoryId: 1 }).lean();
+}
+
+async function getCategoryMapping(bunjangCategoryId) {
+  const mapping = await CategoryMapping.findOne({ bunjangCategoryId }).lean();
+  if (!mapping) throw new NotFoundError('카테고리 매핑을 찾을 수 없습니다.', 'CategoryMapping', bunjangCategoryId);
+  return mapping;
+}
+
+/**
+ * 카테고리 매핑을 추가하거나 수정합니다. 상품 유형이나 적용 범위가 바뀌면 해당 카테고리의 동기화 상품을 재동기화 대상으로 표시합니다.
+ * @param {string} bunjangCategoryId
+ * @param {object} fields - { bunjangCategoryName, shopifyProductType, collectionGids, tags, includeSubcategories, enabled, notes, updatedBy }
+ */
+async function upsertCategoryMapping(bunjangCategoryId, fields) {
+  const $set = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  const previous = await CategoryMapping.findOne({ bunjangCategoryId }).lean();
+  const mapping = await CategoryMapping.findOneAndUpdate(
+    { bunjangCategoryId },
+    { $set, $setOnInsert: { bunjangCategoryId } },
+    { upsert: true, new: true, runValidators: true, lean: true }
+  );
+  logger.info(`[CatalogMappingSvc] Category mapping ${bunjangCategoryId} saved (productType: ${mapping.shopifyProductType || '-'}).`);
+  await onMappingsChanged();
+  const wasApplied = Boolean(previous?.enabled);
+  const scopeChanged = wasApplied !== Boolean(mapping.enabled) || Boolean(previous?.includeSubcategories) !== Boolean(mapping.includeSubcategories);
+  if (effectiveProductType(previous) !== effectiveProductType(mapping) || scopeChanged) {
+    await markCategoryProductsForResync(bunjangCategoryId, Boolean((wasApplied && previous.includeSubcategories) || (mapping.enabled && mapping.includeSubcategories)));
+  }
+  return mapping;
+}
+
+async function deleteCategoryMapping(bunjangCategoryId) {
+  const mapping = await CategoryMapping.findOneAndDelete({ bunjangCategoryId }).lean();
+  if (!mapping) throw new NotFoundError('카테고리 매핑을 찾을 수 없습니다.', 'CategoryMapping', bunjangCategoryId);
+  logger.info(`[CatalogMappingSvc] Category mapping ${bunjangCategoryId} deleted.`);
+  await onMappingsChanged();
+  if (mapping.enabled) await markCategoryProductsForResync(bunjangCategoryId, Boolean(mapping.includeSubcategories));
+  return mapping;
+}
+
+async function listBrandMappings({ search, limit = 50, skip = 0 } = {}) {
+  const query = {};
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ bunjangBrandId: search }, { bunjangBrandName: pattern }, { bunjangBrandNameEn: pattern }, { displayName: pattern }];
+  }
+  const [total, brands] = await Promise.all([
+    BrandMapping.countDocuments(query),
+    BrandMapping.find(query).sort({ bunjangBrandName: 1 }).skip(skip).limit(limit).lean(),
+  ]);
+  return { total, brands: brands.map(brand => ({ ...brand, vendorName: BrandMapping.resolveVendorName(brand) })) };
+}
+
+/**
+ * 브랜드 매핑을 추가하거나 수정합니다. (번개장터 목록에 없는 브랜드는 source: manual)
+ * vendor 이름이 바뀌면 해당 브랜드의 동기화 상품을 재동기화 대상으로 표시합니다.
+ * @param {string} bunjangBrandId
+ * @param {object} fields - { displayName, bunjangBrandName, enabled, updatedBy }
+ */
+async function upsertBrandMapping(bunjangBrandId, fields) {
+  const $set = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  const previous = await BrandMapping.findOne({ bunjangBrandId }).lean();
+  const brand = await BrandMapping.findOneAndUpdate(
+    { bunjangBrandId },
+    { $set, $setOnInsert: { bunjangBrandId, source: 'manual' } },
+    { upsert: true, new: true, runValidators: true, lean: true }
+  );
+  cachedMappings.brands.delete(bunjangBrandId);
+  if (brand.enabled) cachedMappings.brands.set(bunjangBrandId, brand);
+  logger.info(`[CatalogMappingSvc] Brand mapping ${bunjangBrandId} saved (vendor: ${BrandMapping.resolveVendorName(brand) || '-'}).`);
+  if (effectiveVendorName(previous) !== effectiveVendorName(brand)) {
+    await markProductsForResync({ bunjangBrandId }, `brand-mapping:${bunjangBrandId}`);
+  }
+  return { ...brand, vendorName: BrandMapping.resolveVendorName(brand) };
+}
+
+async function deleteBrandMapping(bunjangBrandId) {
+  const brand = await BrandMapping.findOneAndDelete({ bunjangBrandId }).lean();
+  if (!brand) throw new NotFoundError('브랜드 매핑을 찾을 수 없습니다.', 'BrandMapping', bunjangBrandId);
+  cachedMappings.brands.delete(bunjangBrandId);
+  logger.info(`[CatalogMappingSvc] Brand mapping ${bunjangBrandId} deleted.`);
+  if (effectiveVendorName(brand)) await markProductsForResync({ bunjangBrandId }, `brand-mapping:${bunjangBrandId}`);
+  return brand;
+}
+
+/**
+ * 최근 완료된 카탈로그 실행에서 리스팅 대상이었던 행의 카테고리 중 매핑이 없는 카테고리를 행 수 순으로 반환합니다.
+ * @param {object} [options]
+ * @param {number} [options.days=7] - 최근 며칠의 실행을 볼지.
+ * @param {number} [options.limit=100]
+ * @returns {Promise<{since: Date, runs: number, categories: Array<{bunjangCategoryId: string, bunjangCategoryName: string, rows: number, lastSeenAt: Date}>}>}
+ */
+async function getUnmappedCategoriesReport({ days = 7, limit = 100 } = {}) {
+  await refreshCatalogMappings();
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const match = { status: 'COMPLETED', dryRun: { $ne: true }, startedAt: { $gte: since }, 'categoryStats.0': { $exists: true } };
+
+  const [runs, categories] = await Promise.all([
+    CatalogRun.countDocuments(match),
+    CatalogRun.aggregate([
+      { $match: match },
+      { $sort: { startedAt: 1 } },
+      { $unwind: '$categoryStats' },
+      {
+        $group: {
+          _id: '$categoryStats.categoryId',
+          bunjangCategoryName: { $last: '$categoryStats.categoryName' },
+          rows: { $sum: '$categoryStats.rows' },
+          lastSeenAt: { $last: '$startedAt' },
+        },
+      },
+      { $sort: { rows: -1 } },
+    ]),
+  ]);
+
+  const unmapped = categories
+    .filter(category => category._id && !resolveCategoryMapping(category._id))
+    .slice(0, limit)
+    .map(({ _id, ...rest }) => ({ bunjangCategoryId: _id, ...rest }));
+  return { since, runs, categories: unmapped };
+}
+
+module.exports = {
+  refreshCatalogMappings,
+  getCategoryMappingsVersion,
+  resolveCategoryMapping,
+  resolveBrandVendor,
+  seedBrandsFromBunjang,
+  listCategoryMappings,
+  getCategoryMapping,
+  upsertCategoryMapping,
+  deleteCategoryMapping,
+  listBrandMappings,
+  upsertBrandMapping,
+  deleteBrandMapping,
+  getUnmappedCategoriesReport,
+};
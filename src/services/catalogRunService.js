@@ -0,0 +1,276 @@
+// src/services/catalogRunService.js
+// 카탈로그 처리 실행 기록(CatalogRun)을 저장하고 조회합니다.
+// 기록 저장 실패가 카탈로그 동기화 자체를 실패시키지 않도록 쓰기 함수는 에러를 로그로만 남깁니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const CatalogRun = require('../models/catalogRun.model');
+const CatalogRunReportEntry = require('../models/catalogRunReportEntry.model');
+const { NotFoundError } = require('../utils/customErrors');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+const REPORT_BATCH_SIZE = 500;
+
+/**
+ * 새 카탈로그 실행 기록을 RUNNING 상태로 생성합니다.
+ * @param {object} runInfo - { catalogType, filename, jobId, jobName, triggeredBy, attempt }
+ * @returns {Promise<object|null>} 생성된 CatalogRun 문서 또는 저장 실패 시 null.
+ */
+async function startCatalogRun(runInfo) {
+  try {
+    return await CatalogRun.create({ ...runInfo, status: 'RUNNING', startedAt: new Date() });
+  } catch (error) {
+    logger.warn(`[CatalogRunSvc] Failed to create catalog run record for ${runInfo.filename}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 실행 기록을 COMPLETED로 마감하고 요약 결과와 에러 샘플을 저장합니다.
+ * @param {object|null} run - startCatalogRun이 반환한 문서.
+ * @param {object} summary - fetchAndProcessBunjangCatalog 요약 결과.
+ * @param {Array<object>} [errorSamples=[]] - { pid, message, occurredAt } 배열.
+ */
+async function completeCatalogRun(run, summary, errorSamples = []) {
+  if (!run) return;
+  const finishedAt = new Date();
+  try {
+    await CatalogRun.updateOne({ _id: run._id }, {
+      $set: {
+        status: 'COMPLETED',
+        filename: summary.filename,
+        finishedAt,
+        durationMs: finishedAt - run.startedAt,
+        counts: {
+          totalOriginalCsvRows: summary.totalOriginalCsvRows,
+          validProductsToProcess: summary.validProductsToProcess,
+          successfullyProcessed: summary.successfullyProcessed,
+          errors: summary.errors,
+          skippedByFilter: summary.skippedByFilter,
+          skippedNoChange: summary.skippedNoChange,
+          skippedDuplicates: summary.skippedDuplicates,
+          mediaErrors: summary.mediaErrors,
+        },
+        skippedByFilterReasons: summary.skippedByFilterReasons,
+        categoryStats: summary.categoryStats,
+        delisted: summary.delisted,
+        ...(summary.report && { report: summary.report }),
+        errorSamples: errorSamples.slice(0, CatalogRun.MAX_ERROR_SAMPLES),
+      },
+    });
+  } catch (error) {
+    logger.warn(`[CatalogRunSvc] Failed to complete catalog run record ${run._id}: ${error.message}`);
+  }
+}
+
+/**
+ * 실행 기록을 FAILED로 마감합니다.
+ * @param {object|null} run - startCatalogRun이 반환한 문서.
+ * @param {Error} runError - 실행을 중단시킨 에러.
+ * @param {Array<object>} [errorSamples] - 실패 전까지 수집된 상품별 에러 샘플. 생략하면 기존 샘플 유지.
+ */
+async function failCatalogRun(run, runError, errorSamples) {
+  if (!run) return;
+  const finishedAt = new Date();
+  try {
+    await CatalogRun.updateOne({ _id: run._id }, {
+      $set: {
+        status: 'FAILED',
+        finishedAt,
+        durationMs: finishedAt - run.startedAt,
+        failureMessage: (runError.message || String(runError)).substring(0, 1000),
+        failureCode: runError.errorCode || runError.code,
+        ...(errorSamples && { errorSamples: errorSamples.slice(0, CatalogRun.MAX_ERROR_SAMPLES) }),
+      },
+    });
+  } catch (error) {
+    logger.warn(`[CatalogRunSvc] Failed to mark catalog run record ${run._id} as FAILED: ${error.message}`);
+  }
+}
+
+/**
+ * 체크포인트를 저장합니다. row 이하의 모든 CSV 행은 처리가 끝난 상태여야 합니다.
+ * @param {object|null} run - startCatalogRun이 반환한 문서.
+ * @param {object} checkpoint - { row, csvPath }
+ */
+async function saveCheckpoint(run, { row, csvPath }) {
+  if (!run) return;
+  try {
+    await CatalogRun.updateOne({ _id: run._id }, {
+      $set: { checkpoint: { row, csvPath, updatedAt: new Date() } },
+    });
+  } catch (error) {
+    logger.warn(`[CatalogRunSvc] Failed to save checkpoint (row ${row}) for catalog run ${run._id}: ${error.message}`);
+  }
+}
+
+/**
+ * 같은 BullMQ 작업 ID의 가장 최근 실행 기록을 조회합니다. (재시도 시 이전 시도의 체크포인트 확인용)
+ * @param {string} jobId
+ * @returns {Promise<object|null>}
+ */
+async function findLatestRunForJob(jobId) {
+  if (!jobId) return null;
+  try {
+    return await CatalogRun.findOne({ jobId }).sort({ startedAt: -1 }).lean();
+  } catch (error) {
+    logger.warn(`[CatalogRunSvc] Failed to look up previous catalog run for job ${jobId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 실행 기록 목록을 최신순으로 조회합니다. (errorSamples 제외)
+ * @param {object} [filters] - { catalogType, status, jobId, dryRun, limit, skip }
+ * @returns {Promise<{total: number, runs: Array<object>}>}
+ */
+async function listCatalogRuns({ catalogType, status, jobId, dryRun, limit = 20, skip = 0 } = {}) {
+  const query = {};
+  if (catalogType) query.catalogType = catalogType;
+  if (status) query.status = status;
+  if (jobId) query.jobId = jobId;
+  if (dryRun !== undefined) query.dryRun = dryRun ? true : { $ne: true };
+
+  const [total, runs] = await Promise.all([
+    CatalogRun.countDocuments(query),
+    CatalogRun.find(query)
+      .select('-errorSamples')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+  return { total, runs };
+}
+
+/**
+ * 실행 기록 하나를 조회합니다. id는 CatalogRun ObjectId 또는 BullMQ 작업 ID(가장 최근 시도)입니다.
+ * @param {string} id
+ * @returns {Promise<object>}
+ * @throws {NotFoundError}
+ */
+async function getCatalogRun(id) {
+  const run = OBJECT_ID_PATTERN.test(id)
+    ? await CatalogRun.findById(id).lean()
+    : await CatalogRun.findOne({ jobId: id }).sort({ startedAt: -1 }).lean();
+  if (!run) {
+    throw new NotFoundError('카탈로그 실행 기록을 찾을 수 없습니다.', 'CatalogRun', id);
+  }
+  return run;
+}
+
+/**
+ * 드라이런 보고서 항목을 모아 배치로 저장하는 writer를 만듭니다.
+ * 건수(counts/skipReasons)는 항상 전체를 집계하고, 항목은 config.bunjang.dryRun.maxReportEntries까지만 저장합니다.
+ * 저장 실패는 로그로만 남깁니다. (run이 null이면 집계만)
+ * @param {object|null} run - startCatalogRun이 반환한 문서.
+ * @returns {{add: function(object): Promise<void>, finish: function(): Promise<object>}}
+ */
+function createReportWriter(run) {
+  const maxEntries = config.bunjang.dryRun?.maxReportEntries || 200000;
+  const counts = Object.fromEntries(CatalogRunReportEntry.REPORT_ACTIONS.map(action => [action, 0]));
+  const skipReasons = {};
+  let buffer = [];
+  let stored = 0;
+  let truncated = false;
+  let flushing = Promise.resolve();
+
+  const flush = () => {
+    if (buffer.length === 0 || !run) return flushing;
+    const batch = buffer;
+    buffer = [];
+    flushing = flushing
+      .then(() => CatalogRunReportEntry.insertMany(batch, { ordered: false, lean: true }))
+      .catch(error => logger.warn(`[CatalogRunSvc] Failed to store ${batch.length} report entries for run ${run._id}: ${error.message}`));
+    return flushing;
+  };
+
+  return {
+    async add(entry) {
+      counts[entry.action] = (counts[entry.action] || 0) + 1;
+      if (entry.reason && entry.action !== 'CREATE' && entry.action !== 'UPDATE') {
+        skipReasons[entry.reason] = (skipReasons[entry.reason] || 0) + 1;
+      }
+      if (stored >= maxEntries) {
+        truncated = true;
+        return;
+      }
+      stored++;
+      buffer.push({ ...entry, runId: run?._id });
+      if (buffer.length >= REPORT_BATCH_SIZE) await flush();
+    },
+    async finish() {
+      await flush();
+      return { counts, skipReasons, entries: run ? stored : 0, truncated };
+    },
+  };
+}
+
+/**
+ * 드라이런 보고서 항목을 조회합니다.
+ * @param {string} id - CatalogRun ID 또는 BullMQ 작업 ID.
+ * @param {object} [filters] - { action, limit, skip }
+ * @returns {Promise<{run: object, total: number, entries: object[]}>}
+ */
+async function getCatalogRunReport(id, { action, limit = 100, skip = 0 } = {}) {
+  const run = await getCatalogRun(id);
+  assertHasReport(run);
+  const query = { runId: run._id, ...(action && { action }) };
+  const [total, entries] = await Promise.all([
+    CatalogRunReportEntry.countDocuments(query),
+    CatalogRunReportEntry.find(query).select({ _id: 0, runId: 0 }).sort({ _id: 1 }).skip(skip).limit(limit).lean(),
+  ]);
+  return { run, total, entries };
+}
+
+/**
+ * 드라이런 보고서 항목을 커서로 반환합니다. (CSV 다운로드용)
+ * @param {string} id - CatalogRun ID 또는 BullMQ 작업 ID.
+ * @param {object} [filters] - { action }
+ * @returns {Promise<{run: object, cursor: object}>}
+ */
+async function openCatalogRunReportCursor(id, { action } = {}) {
+  const run = await getCatalogRun(id);
+  assertHasReport(run);
+  const cursor = CatalogRunReportEntry.find({ runId: run._id, ...(action && { action }) })
+    .select({ _id: 0, runId: 0 })
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+  return { run, cursor };
+}
+
+function assertHasReport(run) {
+  if (!run.dryRun) {
+    throw new NotFoundError('드라이런 실행이 아니어서 보고서가 없습니다.', 'CatalogRunReport', String(run._id));
+  }
+}
+
+/**
+ * 최근 config.bunjang.dryRun.keepReports개 드라이런 실행의 보고서 항목만 남기고 삭제합니다. (실행 기록 자체는 유지)
+ */
+async function pruneDryRunReports() {
+  const keep = config.bunjang.dryRun?.keepReports || 10;
+  try {
+    const oldRuns = await CatalogRun.find({ dryRun: true }).select({ _id: 1 }).sort({ startedAt: -1 }).skip(keep).lean();
+    if (oldRuns.length === 0) return;
+    const { deletedCount } = await CatalogRunReportEntry.deleteMany({ runId: { $in: oldRuns.map(run => run._id) } });
+    if (deletedCount > 0) logger.info(`[CatalogRunSvc] Pruned ${deletedCount} report entries of old dry runs.`);
+  } catch (error) {
+    logger.warn(`[CatalogRunSvc] Failed to prune old dry-run reports: ${error.message}`);
+  }
+}
+
+module.exports = {
+  startCatalogRun,
+  completeCatalogRun,
+  failCatalogRun,
+  saveCheckpoint,
+  findLatestRunForJob,
+  listCatalogRuns,
+  getCatalogRun,
+  createReportWriter,
+  getCatalogRunReport,
+  openCatalogRunReportCursor,
+  pruneDryRunReports,
+};
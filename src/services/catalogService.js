@@ -2,6 +2,7 @@
 
 const fs = require('fs-extra');
 const path = require('node:path');
+const crypto = require('node:crypto');
 const zlib = require('node:zlib');
 const { pipeline } = require('node:stream/promises');
 const axios = require('axios');
@@ -12,8 +13,24 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
+const productMediaService = require('./productMediaService');
+const translationService = require('./translationService');
+const taxonomyService = require('./taxonomyService');
+const catalogMappingService = require('./catalogMappingService');
+const descriptionTemplateService = require('./descriptionTemplateService');
+const duplicateDetectionService = require('./duplicateDetectionService');
+const catalogBulkSyncService = require('./catalogBulkSyncService');
+const productSyncQueueService = require('./productSyncQueueService');
+const { buildBunjangSku, parseBunjangSku, parseBunjangOptions, mapBunjangOptionsToShopifyVariants } = require('../mappers/productMapper');
 const SyncedProduct = require('../models/syncedProduct.model');
-const { calculateShopifyPriceUsd } = require('./priceCalculationService');
+const CatalogRun = require('../models/catalogRun.model');
+const { calculateShopifyPrice, getPricingInputsKey } = require('./priceCalculationService');
+const pricingProfileService = require('./pricingProfileService');
+const landedCostService = require('./landedCostService');
+const marketPricingService = require('./marketPricingService');
+const { detectAndDraftDelistedProducts } = require('./catalogDeltaService');
+const catalogRunService = require('./catalogRunService');
+const { evaluateListingRules, refreshListingRules, refreshListingRulesIfStale, getRejectionKey } = require('./listingRuleService');
 const { AppError, ExternalServiceError } = require('../utils/customErrors');
 
 const BUNJANG_COLLECTION_GID = process.env.SHOPIFY_BUNJANG_COLLECTION_GID;
@@ -93,6 +110,48 @@ async function downloadAndProcessFile(fileUrl, downloadDir, baseOutputFileName,
   }
 }
 
+/**
+ * 로컬 카탈로그 파일(.csv 또는 .csv.gz)을 작업용 CSV로 복사합니다. gzip 여부는 파일 앞부분(magic bytes)으로 판단합니다.
+ * 원본 파일은 그대로 두므로, 처리 후 작업용 CSV를 지워도 서버 경로로 지정된 원본은 남습니다.
+ * @param {string} sourcePath - 가져올 파일 경로.
+ * @param {string} outputDir - 작업용 CSV를 만들 디렉토리 (TEMP_DOWNLOAD_DIR).
+ * @param {string} baseOutputFileName - 확장자를 뺀 작업용 CSV 파일명.
+ * @returns {Promise<string>} 작업용 CSV 파일 경로.
+ * @throws {AppError} 파일이 없거나 읽기/압축 해제에 실패한 경우.
+ */
+async function prepareLocalCatalogFile(sourcePath, outputDir, baseOutputFileName) {
+  await fs.ensureDir(outputDir);
+  const finalCsvFilePath = path.join(outputDir, `${baseOutputFileName}.csv`);
+
+  try {
+    const stats = await fs.stat(sourcePath);
+    if (!stats.isFile() || stats.size === 0) {
+      throw new Error(`${sourcePath} is not a file or is empty.`);
+    }
+
+    const header = Buffer.alloc(2);
+    const fd = await fs.open(sourcePath, 'r');
+    try {
+      await fs.read(fd, header, 0, 2, 0);
+    } finally {
+      await fs.close(fd);
+    }
+
+    if (header[0] === 0x1f && header[1] === 0x8b) {
+      logger.info(`[CatalogSvc] Local catalog file ${sourcePath} is gzip. Unzipping to ${finalCsvFilePath}...`);
+      await pipeline(fs.createReadStream(sourcePath), zlib.createGunzip(), fs.createWriteStream(finalCsvFilePath));
+    } else {
+      logger.info(`[CatalogSvc] Local catalog file ${sourcePath} is plain CSV. Copying to ${finalCsvFilePath}...`);
+      await fs.copy(sourcePath, finalCsvFilePath, { overwrite: true });
+    }
+    return finalCsvFilePath;
+  } catch (error) {
+    logger.error(`[CatalogSvc] Error preparing local catalog file ${sourcePath}: ${error.message}`);
+    await fs.remove(finalCsvFilePath).catch(err => logger.warn(`[CatalogSvc] Failed to remove temp .csv file during error: ${finalCsvFilePath}`, err));
+    throw new AppError(`카탈로그 파일을 읽을 수 없습니다: ${sourcePath}. 원인: ${error.message}`, 400, 'CATALOG_IMPORT_FILE_ERROR', true, error);
+  }
+}
+
 async function parseCsvFileWithRowProcessor(csvFilePath, rowProcessor) {
   const products = [];
   let rowNumber = 0;
@@ -117,6 +176,62 @@ async function parseCsvFileWithRowProcessor(csvFilePath, rowProcessor) {
   });
 }
 
+/**
+ * CSV 파일을 스트리밍으로 읽으면서 필터를 통과한 행을 바로 productHandler에 넘깁니다.
+ * 처리 중인 상품 수가 concurrency에 도달하면 다음 행을 읽지 않고 기다리므로(backpressure)
+ * 카탈로그 전체를 메모리에 올리지 않고도 대용량 파일을 처리할 수 있습니다.
+ * @param {string} csvFilePath - 처리할 CSV 파일 경로.
+ * @param {function} rowProcessor - (row, rowNumber) => 상품 객체 또는 null (processCatalogRow).
+ * @param {function} productHandler - async (product, rowNumber) => 처리 결과 (syncBunjangProductToShopify 래퍼).
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - 동시에 처리할 최대 상품 수.
+ * @param {function} [options.onResult] - ({ status, value | reason }, product, rowNumber) 형태로 각 상품 처리 결과를 전달받는 콜백.
+ * @returns {Promise<{totalRows: number, validRows: number}>} 읽은 전체 행 수와 필터를 통과한 행 수.
+ * @throws {AppError} 파일 읽기 또는 CSV 파싱 실패 시.
+ */
+async function streamCsvFileWithRowProcessor(csvFilePath, rowProcessor, productHandler, { concurrency = 1, onResult } = {}) {
+  const limit = Math.max(1, parseInt(concurrency, 10) || 1);
+  const inFlight = new Set();
+  let rowNumber = 0;
+  let validRows = 0;
+
+  const startTask = (product, currentRowNumber) => {
+    const task = Promise.resolve()
+      .then(() => productHandler(product, currentRowNumber))
+      .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+      .then((outcome) => {
+        inFlight.delete(task);
+        if (onResult) onResult(outcome, product, currentRowNumber);
+      });
+    inFlight.add(task);
+  };
+
+  const source = fs.createReadStream(csvFilePath);
+  const parser = source.pipe(csv());
+  source.on('error', error => parser.destroy(error)); // pipe()는 소스 스트림 에러를 전달하지 않음
+
+  try {
+    for await (const row of parser) {
+      rowNumber++;
+      const product = rowProcessor(row, rowNumber);
+      if (!product) continue;
+      validRows++;
+      startTask(product, rowNumber);
+      if (inFlight.size >= limit) {
+        await Promise.race(inFlight); // 슬롯이 빌 때까지 다음 행 읽기 중단
+      }
+    }
+  } catch (error) {
+    await Promise.all(inFlight); // 이미 시작된 동기화는 끝까지 기다린 뒤 에러 전파
+    logger.error(`[CatalogSvc] Error streaming CSV file ${csvFilePath}:`, error);
+    throw new AppError(`CSV 파일 파싱 오류: ${csvFilePath}`, 500, 'CSV_PARSE_ERROR', true, error);
+  }
+
+  await Promise.all(inFlight);
+  logger.info(`[CatalogSvc] Streamed ${validRows} valid products (from ${rowNumber} CSV data rows) from ${csvFilePath}`);
+  return { totalRows: rowNumber, validRows };
+}
+
 function generateBunjangCatalogFilename(type, date = new Date()) {
   const year = date.getFullYear();
   const month = (date.getMonth() + 1).toString().padStart(2, '0');
@@ -130,7 +245,16 @@ function generateBunjangCatalogFilename(type, date = new Date()) {
   throw new AppError('유효하지 않은 카탈로그 타입입니다.', 400, 'INVALID_CATALOG_TYPE');
 }
 
-function processCatalogRow(row, rowNumber) {
+/**
+ * CSV 행을 상품 객체로 변환하고 리스팅 대상인지 확인합니다.
+ * 데이터 유효성(SELLING, 필수 값) 검사 후 listingRuleService의 규칙으로 리스팅 여부를 평가합니다.
+ * @param {object} row - csv-parser가 읽은 행.
+ * @param {number} rowNumber - 데이터 행 번호 (1부터).
+ * @param {object} [options]
+ * @param {function} [options.onRuleReject] - (reason, product) 리스팅 규칙에 의해 제외된 행을 전달받는 콜백.
+ * @returns {object|null} 상품 객체 또는 처리 대상이 아니면 null.
+ */
+function processCatalogRow(row, rowNumber, { onRuleReject } = {}) {
   // 가격 파싱을 더 강력하게 처리
   const parsePrice = (priceStr) => {
     if (!priceStr) return NaN;
@@ -154,6 +278,7 @@ function processCatalogRow(row, rowNumber) {
     saleStatus: (row.saleStatus || '').trim().toUpperCase(),
     keywords: row.keywords ? String(row.keywords).split(',').map(k => k.trim()).filter(Boolean) : [],
     images: row.images,
+    imageCount: parseInt(row.imageCount, 10) || undefined, // images가 {cnt} 템플릿일 때 사용
     categoryId: (row.categoryId || '').trim(),
     categoryName: (row.category_name || row.categoryName || '').trim(),
     brandId: (row.brandId || '').trim(),
@@ -193,43 +318,69 @@ function processCatalogRow(row, rowNumber) {
     logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to missing essential data (pid, name, valid price > 0, or valid updatedAt).`);
     return null;
   }
-  if (row.canInstantTrade !== 'true' && row.canInstantTrade !== true && row.canInstantTrade !== '1') {
-    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: canInstantTrade is '${row.canInstantTrade}' (not true).`);
-    return null;
-  }
-  const filterCategoryIds = config.bunjang.filterCategoryIds || [];
-  if (filterCategoryIds.length > 0 && product.categoryId && !filterCategoryIds.includes(product.categoryId)) {
-    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: categoryId '${product.categoryId}' not in filter list [${filterCategoryIds.join(', ')}].`);
-    return null;
-  }
-  if (product.price < 0) {
-    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to invalid price (${product.price}).`);
+  const ruleResult = evaluateListingRules(product);
+  if (!ruleResult.eligible) {
+    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped by listing rules (${ruleResult.reason.code}): ${ruleResult.reason.message}`);
+    if (onRuleReject) onRuleReject(ruleResult.reason, product);
     return null;
   }
   return product;
 }
 
-function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
+/**
+ * 번개장터 상품 상세 API 응답(bunjangService.getBunjangProductDetails)을 카탈로그 CSV 행 형태로 바꿉니다.
+ * processCatalogRow에 넘기면 카탈로그 실행과 같은 상품 객체와 리스팅 판단을 얻습니다.
+ * 상세 응답에 updatedAt이 없으면 조회 시각을 사용합니다.
+ * @param {object} details
+ * @returns {object} CSV 행과 같은 키의 객체.
+ */
+function buildCatalogRowFromProductDetails(details) {
+  const toText = value => (value === undefined || value === null ? '' : String(value));
+  const images = Array.isArray(details.images)
+    ? details.images.map(image => (typeof image === 'string' ? image : image?.url || image?.imageUrl)).filter(Boolean)
+    : (details.images ?? details.imageUrl);
+
+  return {
+    pid: toText(details.pid ?? details.id),
+    name: toText(details.name),
+    description: toText(details.description),
+    price: toText(details.price),
+    shippingFee: toText(details.shippingFee ?? details.deliveryPrice ?? 0),
+    condition: toText(details.condition),
+    saleStatus: toText(details.saleStatus ?? details.status),
+    keywords: Array.isArray(details.keywords) ? details.keywords.join(',') : details.keywords,
+    images,
+    imageCount: details.imageCount,
+    categoryId: toText(details.category?.id ?? details.categoryId),
+    categoryName: toText(details.category?.name ?? details.categoryName),
+    brandId: toText(details.brand?.id ?? details.brandId),
+    options: details.options,
+    uid: toText(details.uid ?? details.seller?.uid),
+    updatedAt: details.updatedAt || details.modifiedAt || new Date().toISOString(),
+    createdAt: details.createdAt,
+    canInstantTrade: details.canInstantTrade,
+  };
+}
+
+/**
+ * 카탈로그 상품을 Shopify 상품 입력으로 변환합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {string} shopifyPriceUsd
+ * @param {object} [options]
+ * @param {object} [options.translation] - translationService.translateProduct 결과. 없으면 원문(한국어)을 그대로 사용.
+ */
+function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd, { translation } = {}) {
   logger.info(`[CatalogSvc] Transforming Bunjang product ${bunjangProduct.pid} with price: ${bunjangProduct.price} KRW -> ${shopifyPriceUsd} USD, Quantity: 1 (always)`);
   
   // 환경변수에서 위치 ID 가져오기
   const locationId = process.env.SHOPIFY_DEFAULT_LOCATION_ID;
   logger.info(`[CatalogSvc] Using location ID from environment: ${locationId}`);
   
-  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`];
-  const titleLower = (bunjangProduct.name || '').toLowerCase();
-  const descriptionLower = (bunjangProduct.description || '').toLowerCase();
-  const categoryLower = (bunjangProduct.categoryName || '').toLowerCase();
-
-  const kpopKeywords = config.bunjang.kpopKeywords || [];
-  const kidultKeywords = config.bunjang.kidultKeywords || [];
+  const title = translation?.title || bunjangProduct.name;
 
-  if (kpopKeywords.length > 0 && kpopKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('K-Pop');
-  }
-  if (kidultKeywords.length > 0 && kidultKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('Kidult');
-  }
+  // 자동 분류 태그/컬렉션 (TaxonomyRule, 원문과 번역문 모두에서 확인)
+  const taxonomy = taxonomyService.evaluateTaxonomy(taxonomyService.buildSubjectFromCatalogProduct(bunjangProduct, translation));
+  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`, ...taxonomy.tags];
 
   // 항상 ACTIVE 상태로 설정하여 바로 게시되도록 함
   let shopifyStatus = 'ACTIVE';
@@ -237,10 +388,16 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
   // *** 중요: 번개장터 상품은 항상 재고를 1로 설정 ***
   const variantQuantity = 1;
   
+  // 옵션 상품: 번개장터 options → Shopify productOptions + variant(SKU BJ-<pid>-<n>). 없으면 null
+  const optionVariants = mapBunjangOptionsToShopifyVariants(bunjangProduct.pid, bunjangProduct.optionsRaw, shopifyPriceUsd);
+  if (optionVariants) {
+    logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has ${optionVariants.productOptions.length} options mapped to ${optionVariants.variants.length} variants.`);
+  }
+
   // Variant data - 재고 추적 활성화, 가격은 문자열로 확실히 전달
   const variantData = {
     price: String(shopifyPriceUsd), // 문자열로 확실히 변환
-    sku: `BJ-${bunjangProduct.pid}`,
+    sku: optionVariants ? optionVariants.variants[0].sku : buildBunjangSku(bunjangProduct.pid),
     inventoryPolicy: 'DENY',  // 재고가 0이 되면 판매 중지
     inventoryManagement: 'SHOPIFY'  // 재고 추적 활성화
   };
@@ -261,31 +418,33 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     enableInventoryTracking: true  
   });
 
-  if (bunjangProduct.optionsRaw) {
-    try {
-      let parsedOptions = [];
-      if (typeof bunjangProduct.optionsRaw === 'string' && bunjangProduct.optionsRaw.trim()) {
-        parsedOptions = JSON.parse(bunjangProduct.optionsRaw.trim());
-      } else if (Array.isArray(bunjangProduct.optionsRaw)) {
-        parsedOptions = bunjangProduct.optionsRaw;
-      }
-      if (Array.isArray(parsedOptions) && parsedOptions.length > 0 && parsedOptions[0].id && parsedOptions[0].value) {
-        logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has Bunjang options: ${JSON.stringify(parsedOptions)}. Advanced variant/option mapping may be needed.`);
-      }
-    } catch (e) {
-      logger.warn(`[CatalogSvc] Failed to parse Bunjang options for PID ${bunjangProduct.pid}: "${bunjangProduct.optionsRaw}"`, e);
-    }
+  // 이미지: images 컬럼의 URL 목록/템플릿을 파싱해 미디어 입력으로 변환 (첨부는 상품 생성/수정 후 productMediaService에서)
+  const imageUrls = productMediaService.parseBunjangImageUrls(bunjangProduct.images, { imageCount: bunjangProduct.imageCount });
+  const mediaInputs = productMediaService.buildMediaInputs(imageUrls, title);
+  if (imageUrls.length === 0) {
+    logger.warn(`[CatalogSvc] Product PID ${bunjangProduct.pid} has no usable images. Raw images value: "${String(bunjangProduct.images || '').substring(0, 200)}"`);
   }
-  
+
+  // 설명: 판매자 설명을 허용 목록으로 정제·문단화해 카테고리별 템플릿(상태 배지, 한국 발송 안내, PID)에 넣음
+  const renderedDescription = descriptionTemplateService.renderProductDescription(bunjangProduct, { translation });
+
   const productInput = {
-    title: bunjangProduct.name,
-    descriptionHtml: bunjangProduct.description || `Imported from Bunjang. Product ID: ${bunjangProduct.pid}`,
-    vendor: config.bunjang.defaultVendor || "BunjangImport",
-    productType: bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized",
+    title,
+    descriptionHtml: renderedDescription.html,
+    // vendor/productType: 브랜드·카테고리 매핑(catalogMappingService) 우선
+    vendor: catalogMappingService.resolveBrandVendor(bunjangProduct.brandId) || config.bunjang.defaultVendor || "BunjangImport",
+    productType: taxonomy.categoryMapping?.shopifyProductType || bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized",
     tags: [...new Set(tags)],
     status: shopifyStatus,
     // Add publishedAt to ensure product is published
-    publishedAt: new Date().toISOString()
+    publishedAt: new Date().toISOString(),
+    // 번역 여부와 관계없이 한국어 원문 보관
+    metafields: [
+      { namespace: 'bunjang', key: 'original_title_ko', value: bunjangProduct.name, type: 'single_line_text_field' },
+      bunjangProduct.description
+        ? { namespace: 'bunjang', key: 'original_description_ko', value: bunjangProduct.description, type: 'multi_line_text_field' }
+        : null,
+    ].filter(Boolean),
   };
   
   logger.info(`[CatalogSvc] ProductInput for PID ${bunjangProduct.pid}:`, { 
@@ -295,10 +454,62 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     locationId: inventoryInfo.locationId,
     price: variantData.price,
     quantity: inventoryInfo.quantity,  // 재고 수량 확인
-    inventoryManagement: variantData.inventoryManagement
+    inventoryManagement: variantData.inventoryManagement,
+    images: imageUrls.length,
+    descriptionTemplate: renderedDescription.templateName
   });
 
-  return { productInput, variantData, inventoryInfo };
+  return { productInput, variantData, inventoryInfo, imageUrls, mediaInputs, optionVariants, taxonomy };
+}
+
+// 드라이런 보고서에서 비교하는 리스팅 필드 (SyncedProduct.listingSnapshot)
+const LISTING_SNAPSHOT_FIELDS = ['title', 'vendor', 'productType', 'tags', 'priceUsd', 'status', 'skus', 'imageSetHash', 'descriptionHash'];
+
+/**
+ * 변환 결과에서 Shopify에 보내는 리스팅 내용의 요약을 만듭니다. 설명은 길이 때문에 해시로만 보관합니다.
+ * @param {object} transformResult - transformBunjangRowToShopifyInput 결과.
+ * @returns {object}
+ */
+function buildListingSnapshot({ productInput, variantData, optionVariants, imageUrls }) {
+  return {
+    title: productInput.title,
+    vendor: productInput.vendor,
+    productType: productInput.productType,
+    tags: [...productInput.tags].sort(),
+    priceUsd: variantData.price,
+    status: productInput.status,
+    skus: optionVariants ? optionVariants.variants.map(variant => variant.sku) : [variantData.sku],
+    imageSetHash: productMediaService.computeImageSetHash(imageUrls),
+    descriptionHash: crypto.createHash('sha256').update(productInput.descriptionHtml || '').digest('hex'),
+  };
+}
+
+/**
+ * 마지막으로 리스팅한 내용의 요약. listingSnapshot이 저장되기 전에 동기화된 상품은 따로 기록된 필드만 사용합니다.
+ */
+function getPreviousListingSnapshot(syncedDoc) {
+  if (syncedDoc.listingSnapshot?.title) return syncedDoc.listingSnapshot;
+  return {
+    priceUsd: syncedDoc.shopifyListedPriceUsd,
+    skus: syncedDoc.shopifyVariantSkus?.length ? syncedDoc.shopifyVariantSkus : undefined,
+    imageSetHash: syncedDoc.mediaSourceHash,
+  };
+}
+
+/**
+ * 이전 리스팅 요약과 새 요약을 필드별로 비교합니다. 이전 값이 없는 필드는 비교하지 않습니다.
+ * @param {object} previous
+ * @param {object} next
+ * @param {object} [options]
+ * @param {string[]} [options.ignoreFields]
+ * @returns {{field: string, from: *, to: *}[]}
+ */
+function diffListingSnapshot(previous, next, { ignoreFields = [] } = {}) {
+  return LISTING_SNAPSHOT_FIELDS
+    .filter(field => !ignoreFields.includes(field))
+    .filter(field => previous[field] !== undefined && previous[field] !== null)
+    .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+    .map(field => ({ field, from: previous[field], to: next[field] }));
 }
 
 // 가격 업데이트 검증 함수
@@ -333,7 +544,7 @@ async function ensureInventoryIsOne(shopifyProductGid, bunjangPid, jobId) {
       query getProductVariants($id: ID!) {
         product(id: $id) {
           id
-          variants(first: 1) {
+          variants(first: 100) {
             edges {
               node {
                 id
@@ -348,12 +559,15 @@ async function ensureInventoryIsOne(shopifyProductGid, bunjangPid, jobId) {
       }`;
     
     const response = await shopifyService.shopifyGraphqlRequest(query, { id: shopifyProductGid });
-    const variant = response.data?.product?.variants?.edges?.[0]?.node;
+    const variants = (response.data?.product?.variants?.edges || []).map(edge => edge.node).filter(variant => variant.inventoryItem?.id);
     
-    if (variant?.inventoryItem?.id) {
+    if (variants.length > 0) {
       const locationId = process.env.SHOPIFY_DEFAULT_LOCATION_ID;
-      await shopifyService.updateInventoryLevel(variant.inventoryItem.id, locationId, 1);
-      logger.info(`[CatalogSvc:Job-${jobId}] Ensured inventory is 1 for existing product ${bunjangPid}`);
+      // 옵션 상품은 variant마다 재고 1
+      for (const variant of variants) {
+        await shopifyService.updateInventoryLevel(variant.inventoryItem.id, locationId, 1);
+      }
+      logger.info(`[CatalogSvc:Job-${jobId}] Ensured inventory is 1 for ${variants.length} variant(s) of existing product ${bunjangPid}`);
       return { success: true };
     } else {
       return { success: false, message: 'No variant found' };
@@ -363,32 +577,75 @@ async function ensureInventoryIsOne(shopifyProductGid, bunjangPid, jobId) {
   }
 }
 
-async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
-  const bunjangPid = bunjangProduct.pid;
-  const bunjangName = bunjangProduct.name;
-  const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
-  const sku = `BJ-${bunjangPid}`; // SKU 미리 생성
+/**
+ * 옵션 상품의 Shopify 옵션/variant를 번개장터 options에 맞춥니다.
+ * 이전에 옵션 variant가 있었는데 옵션이 사라졌으면 단일 variant(SKU BJ-<pid>)로 되돌립니다.
+ * 옵션 값이 같은 기존 variant는 ID를 유지하고, 모든 variant의 재고를 기본 위치에 1로 설정합니다.
+ * @returns {Promise<string[]|null>} 적용된 variant SKU 목록. 옵션 처리가 필요 없으면 null.
+ */
+async function applyOptionVariants(shopifyProductGid, bunjangPid, optionVariants, { price, locationId, previousVariantSkus = [], jobId }) {
+  const hadOptionVariants = previousVariantSkus.some(sku => parseBunjangSku(sku)?.variantNumber);
+  if (!optionVariants && !hadOptionVariants) return null;
 
-  logger.info(`[CatalogSvc:Job-${jobId}] Syncing Bunjang PID: ${bunjangPid}, SKU: ${sku}, Name: ${bunjangName}, Price: ${bunjangProduct.price} KRW, Quantity: 1 (always)`);
-  
-  // 가격이 유효한지 먼저 체크
-  if (!bunjangProduct.price || bunjangProduct.price <= 0) {
-    logger.error(`[CatalogSvc:Job-${jobId}] Invalid price for PID ${bunjangPid}: ${bunjangProduct.price}`);
-    return { status: 'error', message: 'Invalid price' };
+  const target = optionVariants || {
+    productOptions: [{ name: 'Title', values: [{ name: 'Default Title' }] }],
+    variants: [{ sku: buildBunjangSku(bunjangPid), price, optionValues: [{ optionName: 'Title', name: 'Default Title' }] }],
+  };
+
+  const optionKey = pairs => pairs.map(pair => `${pair.name}=${pair.value}`).join('|');
+  const existingVariants = await shopifyService.getProductVariants(shopifyProductGid);
+  const existingByOptions = new Map(existingVariants.map(variant => [optionKey(variant.selectedOptions || []), variant]));
+  const existingBySku = new Map(existingVariants.filter(variant => variant.sku).map(variant => [variant.sku, variant]));
+
+  const variantsInput = target.variants.map(variant => {
+    const existing = existingByOptions.get(optionKey(variant.optionValues.map(v => ({ name: v.optionName, value: v.name }))))
+      || existingBySku.get(variant.sku);
+    return { ...variant, id: existing?.id };
+  });
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Applying ${target.variants.length} option variant(s) to product ${shopifyProductGid} (PID ${bunjangPid}). Reusing ${variantsInput.filter(v => v.id).length} existing variant(s).`);
+  const updatedVariants = await shopifyService.setProductOptionsAndVariants(shopifyProductGid, target.productOptions, variantsInput, { locationId });
+
+  for (const variant of updatedVariants) {
+    if (!variant.inventoryItem?.id) continue;
+    try {
+      await shopifyService.updateInventoryLevel(variant.inventoryItem.id, locationId, 1);
+    } catch (invError) {
+      logger.error(`[CatalogSvc:Job-${jobId}] Failed to set inventory for variant ${variant.id} (${variant.sku}): ${invError.message}`);
+    }
   }
-  
-  let syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
-  const now = new Date();
+  return updatedVariants.map(variant => variant.sku).filter(Boolean);
+}
 
+/**
+ * 동기화 시도를 기록하고(카탈로그 값 저장, 없으면 PENDING으로 생성) 갱신된 SyncedProduct를 반환합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {Date} now
+ * @param {object} [options]
+ * @param {boolean} [options.recordUpdatedAt=true] - false이면 bunjangUpdatedAt은 결과를 기록할 때 저장 (벌크 동기화용).
+ * @returns {Promise<object>} SyncedProduct (lean).
+ */
+async function recordSyncAttempt(bunjangProduct, now, { recordUpdatedAt = true } = {}) {
+  const bunjangPid = bunjangProduct.pid;
   await SyncedProduct.updateOne(
     { bunjangPid },
     {
       $set: {
         lastSyncAttemptAt: now,
-        bunjangProductName: bunjangName,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+        bunjangProductName: bunjangProduct.name,
+        ...(recordUpdatedAt && { bunjangUpdatedAt: bunjangProduct.updatedAt }),
         bunjangOriginalPriceKrw: bunjangProduct.price,
         bunjangOriginalShippingFeeKrw: bunjangProduct.shippingFee,
+        // 분류 규칙 재평가(taxonomy backfill)용
+        bunjangDescription: bunjangProduct.description,
+        bunjangCategoryId: bunjangProduct.categoryId,
+        bunjangCategoryName: bunjangProduct.categoryName,
+        bunjangBrandId: bunjangProduct.brandId,
+        bunjangCondition: bunjangProduct.condition, // 설명 템플릿 미리보기용
+        bunjangKeywordsJson: JSON.stringify(bunjangProduct.keywords || []), // 가격 프로필 태그 조건 미리보기용
+        ...(bunjangProduct.createdAt && { bunjangCreatedAt: bunjangProduct.createdAt }),
+        ...duplicateDetectionService.buildFingerprint(bunjangProduct), // 다른 PID와의 근사 중복 비교용
+        ...(bunjangProduct.uid && { bunjangSellerUid: bunjangProduct.uid }), // 판매자 레지스트리 연동용
         bunjangQuantity: 1  // 항상 재고를 1로 설정
       },
       $inc: { syncAttemptCount: 1 },
@@ -396,14 +653,161 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
     },
     { upsert: true }
   );
-  syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
-
-  if (syncedDoc.syncStatus === 'SYNCED' &&
-      bunjangCatalogUpdatedAt && syncedDoc.bunjangUpdatedAt &&
-      new Date(syncedDoc.bunjangUpdatedAt).getTime() >= bunjangCatalogUpdatedAt.getTime() &&
-      !config.forceResyncAll
-      ) {
-    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no updates from Bunjang catalog (based on bunjangUpdatedAt). Skipping.`);
+  return SyncedProduct.findOne({ bunjangPid }).lean();
+}
+
+/**
+ * 마지막 동기화 이후 가격 계산 설정(가격 프로필, 끝자리 처리, 배송 등급)이 바뀌지 않았으면 true.
+ * pricingInputsKey가 없는 이전 문서는 가격 프로필 ID/버전만 비교합니다.
+ * @param {object} syncedDoc - SyncedProduct (lean).
+ * @param {object} bunjangProduct
+ * @returns {boolean}
+ */
+function isPricingUnchangedSinceLastSync(syncedDoc, bunjangProduct) {
+  if (syncedDoc.pricingInputsKey) {
+    return syncedDoc.pricingInputsKey === getPricingInputsKey(bunjangProduct);
+  }
+  const profile = pricingProfileService.selectPricingProfile(bunjangProduct);
+  return String(syncedDoc.pricingProfileId ?? null) === String(profile._id ?? null)
+    && (syncedDoc.pricingProfileVersion ?? null) === (profile.version ?? null);
+}
+
+/**
+ * 이미 동기화된 상품이고 카탈로그의 updatedAt과 가격 계산 설정이 마지막 동기화 이후 바뀌지 않았으면 true (동기화 생략 대상).
+ * @param {object} syncedDoc - SyncedProduct (lean).
+ * @param {Date} bunjangCatalogUpdatedAt
+ * @param {object} bunjangProduct - 가격 계산 설정 비교용.
+ * @returns {boolean}
+ */
+function isUnchangedSinceLastSync(syncedDoc, bunjangCatalogUpdatedAt, bunjangProduct) {
+  return Boolean(syncedDoc.syncStatus === 'SYNCED' &&
+    !syncedDoc.delistedAt && // 카탈로그 누락으로 DRAFT 처리됐던 상품이 다시 나타나면 재동기화
+    !syncedDoc.blockedSellerDraftedAt && // 판매자 차단 해제 후에도 재동기화
+    !syncedDoc.duplicateSuppressedAt && // 중복으로 숨긴 상품은 매번 다시 판단 (리스팅 상품이 팔리거나 검토에서 중복 아님으로 바뀐 경우)
+    !syncedDoc.resyncRequestedAt && // 카테고리/브랜드 매핑 변경으로 상품 유형·vendor를 다시 보내야 하는 상품
+    bunjangCatalogUpdatedAt && syncedDoc.bunjangUpdatedAt &&
+    new Date(syncedDoc.bunjangUpdatedAt).getTime() >= bunjangCatalogUpdatedAt.getTime() &&
+    isPricingUnchangedSinceLastSync(syncedDoc, bunjangProduct) && // 프로필 수정/재지정, 배송 등급·끝자리 처리 변경 시 가격 재계산
+    !config.forceResyncAll);
+}
+
+/**
+ * 동기화 성공 시 SyncedProduct에 저장할 값 (Shopify 상품 ID/핸들 제외). 상품별 동기화와 벌크 동기화가 함께 사용합니다.
+ * @param {object} params
+ * @param {object} params.bunjangProduct
+ * @param {object} params.syncedDoc - 동기화 전 SyncedProduct (lean).
+ * @param {string} params.shopifyPriceString
+ * @param {object} [params.pricingProfile] - 가격을 계산한 프로필 { id, name, version } (calculateShopifyPrice 결과).
+ * @param {object} [params.priceBreakdown] - 가격의 원가 구성 (calculateShopifyPrice 결과의 breakdown).
+ * @param {string} [params.pricingInputsKey] - 가격 계산 설정 키 (calculateShopifyPrice 결과의 inputsKey).
+ * @param {object} params.transformResult - transformBunjangRowToShopifyInput 결과.
+ * @param {object} params.translation - translationService.translateProduct 결과.
+ * @param {string[]|null} [params.variantSkus] - 옵션 variant SKU 목록. 없으면 단일 SKU.
+ * @param {Date} params.now
+ * @returns {object} $set 값.
+ */
+function buildSyncSuccessSet({ bunjangProduct, syncedDoc, shopifyPriceString, pricingProfile, priceBreakdown, pricingInputsKey, transformResult, translation, variantSkus = null, now }) {
+  const { variantData, optionVariants, taxonomy } = transformResult;
+  return {
+    lastSuccessfulSyncAt: now,
+    syncStatus: 'SYNCED',
+    syncErrorMessage: null,
+    syncErrorStackSample: null,
+    shopifyListedPriceUsd: shopifyPriceString,
+    ...(pricingProfile && {
+      pricingProfileId: pricingProfile.id,
+      pricingProfileName: pricingProfile.name,
+      pricingProfileVersion: pricingProfile.version,
+    }),
+    ...(pricingInputsKey && { pricingInputsKey }),
+    ...(priceBreakdown && {
+      priceCostBreakdown: {
+        bunjangPriceKrw: priceBreakdown.bunjangPriceKrw,
+        bunjangShippingFeeKrw: priceBreakdown.bunjangShippingFeeKrw,
+        exchangeRate: priceBreakdown.exchangeRate,
+        exchangeRateProvider: priceBreakdown.exchangeRateProvider,
+        exchangeRateSmoothing: priceBreakdown.exchangeRateSmoothing,
+        exchangeRateAsOf: priceBreakdown.exchangeRateAsOf,
+        itemCostUsd: priceBreakdown.itemCostUsd,
+        bunjangShippingUsd: priceBreakdown.bunjangShippingUsd,
+        freightUsd: priceBreakdown.freightUsd,
+        destinationSurchargeUsd: priceBreakdown.destinationSurchargeUsd,
+        landedCostUsd: priceBreakdown.landedCostUsd,
+        shippingClass: priceBreakdown.shippingClass,
+        chargeableWeightKg: priceBreakdown.chargeableWeightKg,
+        destination: priceBreakdown.destination,
+        markupPercentage: priceBreakdown.markupPercentage,
+        handlingFeeUsd: priceBreakdown.handlingFeeUsd,
+        adjustments: priceBreakdown.adjustments,
+        roundingStrategy: priceBreakdown.rounding?.strategy,
+        marginUsd: priceBreakdown.marginUsd,
+        calculatedAt: now,
+      },
+    }),
+    bunjangUpdatedAt: bunjangProduct.updatedAt,
+    syncAttemptCount: 0,
+    bunjangQuantity: 1,  // DB에도 재고 1로 저장
+    lastInventorySyncAt: now,  // 재고 동기화 시간 업데이트
+    shopifyVariantSkus: variantSkus || [variantData.sku],
+    listingSnapshot: buildListingSnapshot(transformResult), // 드라이런 보고서의 필드별 비교 기준
+    taxonomyTags: taxonomy.tags, // productInput.tags에 포함되어 상품 태그가 통째로 교체됨
+    taxonomyVersion: taxonomy.version,
+    taxonomyAppliedAt: now,
+    ...(translation.translated && {
+      englishTitle: translation.title,
+      englishDescription: translation.description,
+      translationSourceHash: translation.sourceHash,
+      translationProvider: translation.provider,
+      ...(!translation.reused && { translatedAt: now }),
+    }),
+    bunjangOptionsJson: optionVariants ? JSON.stringify(parseBunjangOptions(bunjangProduct.optionsRaw)) : null,
+    ...((syncedDoc.delistedAt || syncedDoc.blockedSellerDraftedAt || syncedDoc.duplicateSuppressedAt)
+      ? { shopifyStatus: 'ACTIVE', delistedAt: null, delistedInCatalog: null, blockedSellerDraftedAt: null, duplicateSuppressedAt: null }
+      : {}),
+    ...(syncedDoc.resyncRequestedAt && { resyncRequestedAt: null, resyncReason: null }),
+  };
+}
+
+/**
+ * 상품 변환에 쓰는 메모리 캐시(리스팅 규칙/판매자, 분류 규칙, 카테고리/브랜드 매핑, 설명 템플릿, 가격 프로필, 배송 등급)가 TTL보다 오래되었으면 다시 읽습니다.
+ * 카탈로그 실행 시작 갱신을 거치지 않는 경로(단일 상품 재동기화, 큐 작업, 데드레터 재등록)에서 빈 캐시로 변환하지 않도록 동기화 전에 호출합니다.
+ */
+async function refreshSyncCachesIfStale() {
+  await refreshListingRulesIfStale();
+  await taxonomyService.refreshTaxonomyRulesIfStale();
+  await descriptionTemplateService.refreshTemplatesIfStale();
+  await pricingProfileService.refreshPricingProfilesIfStale(); // 변경 없음 판단(isUnchangedSinceLastSync)에서 가격 계산 설정 비교용
+  await landedCostService.refreshShippingClassesIfStale();
+}
+
+/**
+ * 번개장터 상품 하나를 Shopify에 생성/수정하고 SyncedProduct에 결과를 기록합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 형태의 상품 객체.
+ * @param {string} [jobId='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - true이면 마지막 동기화 이후 변경이 없어도 동기화 (수동 재동기화용).
+ * @returns {Promise<object>} { status: 'success'|'skipped_*'|'error', ... }
+ */
+async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A', { force = false } = {}) {
+  const bunjangPid = bunjangProduct.pid;
+  const bunjangName = bunjangProduct.name;
+  const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
+  const sku = buildBunjangSku(bunjangPid); // SKU 미리 생성 (옵션 상품의 variant SKU는 BJ-<pid>-<n>)
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Syncing Bunjang PID: ${bunjangPid}, SKU: ${sku}, Name: ${bunjangName}, Price: ${bunjangProduct.price} KRW, Quantity: 1 (always)`);
+  
+  // 가격이 유효한지 먼저 체크
+  if (!bunjangProduct.price || bunjangProduct.price <= 0) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Invalid price for PID ${bunjangPid}: ${bunjangProduct.price}`);
+    return { status: 'error', message: 'Invalid price' };
+  }
+
+  await refreshSyncCachesIfStale();
+  const now = new Date();
+  let syncedDoc = await recordSyncAttempt(bunjangProduct, now);
+
+  if (!force && isUnchangedSinceLastSync(syncedDoc, bunjangCatalogUpdatedAt, bunjangProduct)) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no updates from Bunjang catalog (bunjangUpdatedAt) or pricing settings. Skipping.`);
     
     // 이미 동기화된 상품도 재고를 1로 확인
     if (syncedDoc.shopifyGid) {
@@ -417,7 +821,20 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       }
     }
     
-    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog based on bunjangUpdatedAt.' };
+    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog (bunjangUpdatedAt) or pricing settings.' };
+  }
+
+  // ===== 근사 중복(같은 판매자의 재등록) 체크 =====
+  // 정책상 그룹의 다른 상품을 리스팅하면 이 상품은 동기화하지 않음 (감지 오류는 리스팅을 막지 않음)
+  try {
+    const duplicateResult = await duplicateDetectionService.resolveDuplicateListing(bunjangProduct, { syncedDoc, jobId });
+    if (duplicateResult.suppressed) {
+      logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} is a duplicate of PID ${duplicateResult.primaryPid} (group ${duplicateResult.groupId}). Skipping.`);
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+      return { status: 'skipped_duplicate', message: `Duplicate of PID ${duplicateResult.primaryPid}.`, duplicateGroupId: duplicateResult.groupId };
+    }
+  } catch (duplicateError) {
+    logger.warn(`[CatalogSvc:Job-${jobId}] Duplicate detection failed for PID ${bunjangPid}. Continuing with sync: ${duplicateError.message}`);
   }
 
   let shopifyProductGid = syncedDoc.shopifyGid;
@@ -531,6 +948,8 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
     if (rateInfo) {
       logger.info(`[CatalogSvc:Job-${jobId}] Exchange rate cache info:`, {
         rate: rateInfo.rate,
+        provider: rateInfo.provider,
+        smoothing: rateInfo.smoothing,
         ageMinutes: rateInfo.ageMinutes,
         isExpired: rateInfo.isExpired
       });
@@ -538,8 +957,9 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       logger.warn(`[CatalogSvc:Job-${jobId}] No cached exchange rate available`);
     }
     
-    const shopifyPriceString = await calculateShopifyPriceUsd(bunjangProduct.price);
-    logger.info(`[CatalogSvc:Job-${jobId}] Calculated price for PID ${bunjangPid}: ${bunjangProduct.price} KRW -> ${shopifyPriceString} USD`);
+    const pricing = await calculateShopifyPrice(bunjangProduct);
+    const shopifyPriceString = pricing.priceUsd;
+    logger.info(`[CatalogSvc:Job-${jobId}] Calculated price for PID ${bunjangPid}: ${bunjangProduct.price} KRW -> ${shopifyPriceString} USD (pricing profile: ${pricing.profile.name})`);
     
     // 가격이 제대로 계산되었는지 확인
     const calculatedPrice = parseFloat(shopifyPriceString);
@@ -548,7 +968,9 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       throw new Error(`Invalid calculated price: ${shopifyPriceString}`);
     }
     
-    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString);
+    // 제목/설명 번역 (원문이 바뀌지 않았으면 저장된 번역 재사용, 실패 시 원문 사용)
+    const translation = await translationService.translateProduct(bunjangProduct, { syncedDoc, jobId });
+    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString, { translation });
 
     if (!transformResult || !transformResult.productInput) {
       logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) skipped by transformBunjangRowToShopifyInput.`);
@@ -556,7 +978,7 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       return { status: 'skipped_filter', message: 'Filtered out by transformation logic.' };
     }
     
-    const { productInput: shopifyProductInput, variantData, inventoryInfo } = transformResult;
+    const { productInput: shopifyProductInput, variantData, inventoryInfo, imageUrls, mediaInputs, optionVariants, taxonomy } = transformResult;
 
     let shopifyApiResult;
     let operationType = '';
@@ -800,6 +1222,14 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       throw new Error('Shopify API did not return a valid product ID after create/update.');
     }
 
+    // 옵션 상품이면 옵션/variant 교체 (실패 시 상품 동기화 에러로 처리되어 다음 동기화에서 재시도)
+    const variantSkus = await applyOptionVariants(createdOrUpdatedProductId, bunjangPid, optionVariants, {
+      price: shopifyPriceString,
+      locationId: inventoryInfo.locationId,
+      previousVariantSkus: operationType === 'update' ? (syncedDoc.shopifyVariantSkus || []) : [],
+      jobId,
+    });
+
     // 최종 가격 및 재고 확인
     try {
       const finalCheckQuery = `
@@ -892,139 +1322,49 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       logger.error(`[CatalogSvc:Job-${jobId}] Failed to perform final check: ${finalCheckError.message}`);
     }
 
-    // 이미지 첨부 단계
-    const bunjangImageUrls = bunjangProduct.images;
-    let mediaInputsToAttach = [];
-    const productNameForAlt = bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image';
-
-    // 이미지 URL 유효성 검사 및 변환 함수
-    const processImageUrl = (url) => {
-        if (!url || typeof url !== 'string') return null;
-        let processedUrl = url.trim();
-        
-        // Ensure HTTPS for better Shopify compatibility
-        if (processedUrl.startsWith('http://')) {
-            processedUrl = processedUrl.replace('http://', 'https://');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Converted HTTP to HTTPS: ${processedUrl}`);
-        }
-        
-        // Replace {res} placeholder with standard resolution
-        if (processedUrl.includes('{res}')) {
-            processedUrl = processedUrl.replace('{res}', '856');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Replaced {res} placeholder with 856 in URL: ${processedUrl}`);
-        }
-        
-        // Basic URL validation
-        if (!processedUrl.startsWith('https://')) return null;
-        
-        // 번개장터 이미지 서버 도메인 확인
-        const bunjangDomains = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
-        try {
-            const urlObj = new URL(processedUrl);
-            const isBunjangUrl = bunjangDomains.some(domain => urlObj.hostname.includes(domain));
-            
-            // Accept Bunjang URLs (even though they might fail later) and standard image files
-            if (isBunjangUrl) {
-                logger.debug(`[CatalogSvc:Job-${jobId}] Bunjang image URL will be attempted: ${processedUrl}`);
-                return processedUrl;
-            }
-            
-            // For non-Bunjang URLs, check for image extensions
-            if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) {
-                return processedUrl;
-            }
-            
-            // Also accept URLs without extensions if they're from known CDNs
-            const knownCdns = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
-            if (knownCdns.some(cdn => urlObj.hostname.includes(cdn))) {
-                return processedUrl;
-            }
-            
-            return null;
-        } catch (e) {
-            return null;
-        }
-    };
-
-    if (typeof bunjangImageUrls === 'string' && bunjangImageUrls.trim() !== '') {
-        mediaInputsToAttach = bunjangImageUrls.split(',')
-            .map(url => url.trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    } else if (Array.isArray(bunjangImageUrls)) {
-        mediaInputsToAttach = bunjangImageUrls
-            .map(url => String(url || '').trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    }
-    
-    if (mediaInputsToAttach.length > 0) {
-        if (shopifyService.appendMediaToProduct) {
-            try {
-                logger.info(`[CatalogSvc:Job-${jobId}] Attaching ${mediaInputsToAttach.length} media items to product ${createdOrUpdatedProductId}`);
-                const mediaResult = await shopifyService.appendMediaToProduct(createdOrUpdatedProductId, mediaInputsToAttach.slice(0, 250));
-                
-                // Log warning if some images failed (common with Bunjang URLs)
-                if (mediaResult?.warning) {
-                    logger.warn(`[CatalogSvc:Job-${jobId}] Media attachment warning: ${mediaResult.warning}`);
-                }
-                
-                const successfulMedia = mediaResult?.media?.filter(m => m.status !== 'FAILED')?.length || 0;
-                if (successfulMedia > 0) {
-                    logger.info(`[CatalogSvc:Job-${jobId}] Successfully attached ${successfulMedia} media items to product.`);
-                }
-            } catch (mediaError) {
-                // Don't fail the entire sync if media attachment fails
-                logger.error(`[CatalogSvc:Job-${jobId}] Failed to attach media to product ${createdOrUpdatedProductId}: ${mediaError.message}`, { stack: mediaError.stack });
-                // Continue with the sync - product is already created/updated
-            }
-        } else {
-            logger.warn(`[CatalogSvc:Job-${jobId}] shopifyService.appendMediaToProduct function is not defined. Skipping media attachment for product ${createdOrUpdatedProductId}.`);
-        }
-    }
-
     await SyncedProduct.updateOne({ bunjangPid }, {
       $set: {
         shopifyGid: createdOrUpdatedProductId,
         shopifyProductId: createdOrUpdatedProductId.split('/').pop(),
         shopifyHandle: shopifyApiResult.handle,
-        lastSuccessfulSyncAt: now,
-        syncStatus: 'SYNCED',
-        syncErrorMessage: null,
-        syncErrorStackSample: null,
-        shopifyListedPriceUsd: shopifyPriceString,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
-        syncAttemptCount: 0,
-        bunjangQuantity: 1,  // DB에도 재고 1로 저장
-        lastInventorySyncAt: now  // 재고 동기화 시간 업데이트
+        ...buildSyncSuccessSet({ bunjangProduct, syncedDoc, shopifyPriceString, pricingProfile: pricing.profile, priceBreakdown: pricing.breakdown, pricingInputsKey: pricing.inputsKey, transformResult, translation, variantSkus, now }),
       },
       $inc: { syncSuccessCount: 1 },
     });
 
+    // 이미지 첨부/교체 - 실패해도 상품 동기화는 성공으로 두고 mediaSyncStatus에 따로 기록
+    let mediaSync = { status: 'skipped' };
+    try {
+      mediaSync = await productMediaService.syncProductMedia({
+        bunjangPid,
+        shopifyProductGid: createdOrUpdatedProductId,
+        imageUrls,
+        mediaInputs,
+        syncedDoc: createdOrUpdatedProductId === syncedDoc.shopifyGid ? syncedDoc : null,
+        productRecreated: operationType === 'create',
+        jobId,
+      });
+    } catch (mediaError) {
+      mediaSync = { status: 'error' };
+      logger.error(`[CatalogSvc:Job-${jobId}] Media sync failed for PID ${bunjangPid} (${createdOrUpdatedProductId}): ${mediaError.message}`);
+    }
+
+    // 분류 규칙 컬렉션 추가/제거 - 실패해도 상품 동기화는 성공으로 둠
+    try {
+      const taxonomyCollectionGids = await taxonomyService.syncProductCollections({
+        shopifyProductGid: createdOrUpdatedProductId,
+        collectionGids: taxonomy.collectionGids,
+        previousCollectionGids: createdOrUpdatedProductId === syncedDoc.shopifyGid ? (syncedDoc.taxonomyCollectionGids || []) : [],
+        jobId,
+      });
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { taxonomyCollectionGids } });
+    } catch (collectionError) {
+      logger.error(`[CatalogSvc:Job-${jobId}] Collection sync failed for PID ${bunjangPid} (${createdOrUpdatedProductId}): ${collectionError.message}`);
+    }
+
     logger.info(`[CatalogSvc:Job-${jobId}] Successfully ${operationType}d Shopify product ${createdOrUpdatedProductId} for Bunjang PID ${bunjangPid}. Price: ${shopifyPriceString}, Inventory: 1 at location ${inventoryInfo.locationId}`);
-    return { status: 'success', operation: operationType, shopifyGid: createdOrUpdatedProductId };
+    await productSyncQueueService.removeDeadLetteredProducts([bunjangPid]); // 이전에 재시도를 모두 실패했던 상품이면 데드레터 항목 정리
+    return { status: 'success', operation: operationType, shopifyGid: createdOrUpdatedProductId, mediaStatus: mediaSync.status };
 
   } catch (error) {
     let errorMessage = error.message;
@@ -1049,95 +1389,547 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   }
 }
 
-async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A') {
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}`);
-  let catalogFileUrl;
-  let catalogFileNameGz;
-  let baseFileNameWithoutExt;
+/**
+ * 드라이런: syncBunjangProductToShopify와 같은 순서로 판단(변경 여부, 근사 중복, 가격 계산, 변환)하되
+ * Shopify 호출과 SyncedProduct 쓰기 없이 보고서 항목만 만듭니다.
+ * 번역은 저장된 번역만 재사용하며, 새로 번역해야 하는 상품은 제목/설명을 비교하지 않고 note에 표시합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {string} [jobId='N/A']
+ * @returns {Promise<{status: string, entries: object[]}>} status는 syncBunjangProductToShopify 결과와 같은 값 (실행 집계용).
+ *   entries는 CatalogRunReportEntry 형식 (이번 상품 때문에 DRAFT될 다른 중복 상품 포함).
+ */
+async function planBunjangProductSync(bunjangProduct, jobId = 'N/A') {
+  const bunjangPid = bunjangProduct.pid;
+  const baseEntry = { pid: bunjangPid, title: bunjangProduct.name };
+
+  if (!bunjangProduct.price || bunjangProduct.price <= 0) {
+    return { status: 'error', entries: [{ ...baseEntry, action: 'SKIP', reason: 'INVALID_PRICE' }] };
+  }
+
+  await refreshSyncCachesIfStale();
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+  const entries = [];
+  // 실제 동기화는 판단 직전에 bunjangUpdatedAt을 카탈로그 값으로 기록하므로 같은 상태로 판단
+  const unchanged = Boolean(syncedDoc) && isUnchangedSinceLastSync({ ...syncedDoc, bunjangUpdatedAt: bunjangProduct.updatedAt }, bunjangProduct.updatedAt, bunjangProduct);
+
+  if (!unchanged) {
+    try {
+      const duplicateResult = await duplicateDetectionService.resolveDuplicateListing(bunjangProduct, { syncedDoc, jobId, dryRun: true });
+      for (const member of duplicateResult.newlySuppressed || []) {
+        if (!member.listed) continue;
+        entries.push({ pid: member.bunjangPid, action: 'DRAFT', reason: 'DUPLICATE', shopifyGid: member.shopifyGid, note: `Duplicate of PID ${bunjangPid}` });
+      }
+      if (duplicateResult.suppressed) {
+        const listed = Boolean(syncedDoc?.shopifyGid) && !['DRAFT', 'ARCHIVED', 'SOLD_OUT'].includes(syncedDoc.shopifyStatus);
+        entries.push({ ...baseEntry, action: listed ? 'DRAFT' : 'SKIP', reason: 'DUPLICATE', shopifyGid: syncedDoc?.shopifyGid, note: `Duplicate of PID ${duplicateResult.primaryPid}` });
+        return { status: 'skipped_duplicate', entries };
+      }
+    } catch (duplicateError) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] [DryRun] Duplicate detection failed for PID ${bunjangPid}: ${duplicateError.message}`);
+    }
+  }
+
+  const { priceUsd: shopifyPriceString } = await calculateShopifyPrice(bunjangProduct);
+  const calculatedPrice = parseFloat(shopifyPriceString);
+  if (isNaN(calculatedPrice) || calculatedPrice <= 0) {
+    entries.push({ ...baseEntry, action: 'SKIP', reason: 'INVALID_CALCULATED_PRICE', note: `Calculated price: ${shopifyPriceString}` });
+    return { status: 'error', entries };
+  }
+
+  const translation = await translationService.translateProduct(bunjangProduct, { syncedDoc, jobId, reuseOnly: true });
+  const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString, { translation });
+  if (!transformResult || !transformResult.productInput) {
+    entries.push({ ...baseEntry, action: 'SKIP', reason: 'TRANSFORM_FILTER', priceUsd: shopifyPriceString });
+    return { status: 'skipped_filter', entries };
+  }
+
+  const snapshot = buildListingSnapshot(transformResult);
+  const entry = { ...baseEntry, title: snapshot.title, shopifyGid: syncedDoc?.shopifyGid, priceUsd: shopifyPriceString };
+  const translationNote = translation.pending ? 'Translation pending; title and description not compared.' : undefined;
+
+  if (!syncedDoc?.shopifyGid) {
+    entries.push({ ...entry, action: 'CREATE', note: translationNote });
+    return { status: 'success', entries };
+  }
 
-  const fileDate = new Date();
-  catalogFileNameGz = generateBunjangCatalogFilename(catalogType, fileDate);
-  baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
+  const changes = diffListingSnapshot(getPreviousListingSnapshot(syncedDoc), snapshot, {
+    ignoreFields: translation.pending ? ['title', 'descriptionHash'] : [],
+  });
+  if (unchanged) {
+    entries.push({
+      ...entry,
+      action: 'SKIP',
+      reason: 'NO_CHANGE',
+      changes,
+      note: changes.length > 0 ? 'Catalog row unchanged; listed fields differ and would update on a forced resync.' : translationNote,
+    });
+    return { status: 'skipped_no_change', entries };
+  }
+  entries.push({ ...entry, action: 'UPDATE', changes, note: translationNote });
+  return { status: 'success', entries };
+}
+
+/**
+ * 벌크 동기화: syncBunjangProductToShopify에서 Shopify 호출 전까지의 판단(변경 여부, 근사 중복, 가격 계산, 번역, 변환)을 하고
+ * productSet 벌크 작업에 넣을 항목을 만듭니다. Shopify 쓰기와 성공 기록은 catalogBulkSyncService가 합니다.
+ * bunjangUpdatedAt은 결과를 기록할 때 저장하므로, 벌크 작업 전에 실행이 중단되면 재개 시 같은 상품을 다시 처리합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {string} [jobId='N/A']
+ * @param {object} options
+ * @param {object} options.productIndex - catalogBulkSyncService.loadShopifyProductIndex 결과 (SKU로 기존 상품 찾기).
+ * @returns {Promise<{status: string, message?: string, item?: object}>} status가 'queued_bulk'이면 item을 벌크 작업에 추가.
+ */
+async function prepareBulkProductSync(bunjangProduct, jobId = 'N/A', { productIndex }) {
+  const bunjangPid = bunjangProduct.pid;
+  const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
+
+  if (!bunjangProduct.price || bunjangProduct.price <= 0) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Invalid price for PID ${bunjangPid}: ${bunjangProduct.price}`);
+    return { status: 'error', message: 'Invalid price' };
+  }
 
-  if (!config.bunjang?.catalogApiUrl) {
-    logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
-    throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
+  await refreshSyncCachesIfStale();
+  const now = new Date();
+  const syncedDoc = await recordSyncAttempt(bunjangProduct, now, { recordUpdatedAt: false });
+  if (isUnchangedSinceLastSync(syncedDoc, bunjangCatalogUpdatedAt, bunjangProduct)) {
+    logger.debug(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no updates from Bunjang catalog. Skipping (bulk).`);
+    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog (bunjangUpdatedAt) or pricing settings.' };
   }
-  catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
 
-  if (!TEMP_DOWNLOAD_DIR) {
-    logger.error(`[CatalogSvc:Job-${jobIdForLog}] Temporary directory (TEMP_DOWNLOAD_DIR from config.tempDir) is not configured.`);
-    throw new AppError("Temporary directory for downloads is not configured.", 500, "TEMP_DIR_MISSING");
+  try {
+    const duplicateResult = await duplicateDetectionService.resolveDuplicateListing(bunjangProduct, { syncedDoc, jobId });
+    if (duplicateResult.suppressed) {
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+      return { status: 'skipped_duplicate', message: `Duplicate of PID ${duplicateResult.primaryPid}.`, duplicateGroupId: duplicateResult.groupId };
+    }
+  } catch (duplicateError) {
+    logger.warn(`[CatalogSvc:Job-${jobId}] Duplicate detection failed for PID ${bunjangPid}. Continuing with sync: ${duplicateError.message}`);
   }
-  const localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Parsing CSV file: ${localCsvPath}`);
-  const { products: bunjangProducts, totalRows: originalCsvRowCount } = await parseCsvFileWithRowProcessor(localCsvPath, processCatalogRow);
-
-  if (!bunjangProducts || bunjangProducts.length === 0) {
-    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
-    if (await fs.pathExists(localCsvPath)) await fs.remove(localCsvPath);
-    return { filename: catalogFileNameGz, totalOriginalCsvRows: originalCsvRowCount || 0, validProductsToProcess: 0, successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0 };
+
+  try {
+    const pricing = await calculateShopifyPrice(bunjangProduct);
+    const shopifyPriceString = pricing.priceUsd;
+    const calculatedPrice = parseFloat(shopifyPriceString);
+    if (isNaN(calculatedPrice) || calculatedPrice <= 0) {
+      throw new Error(`Invalid calculated price: ${shopifyPriceString}`);
+    }
+
+    const translation = await translationService.translateProduct(bunjangProduct, { syncedDoc, jobId });
+    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString, { translation });
+    if (!transformResult || !transformResult.productInput) {
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'SKIPPED_FILTER', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+      return { status: 'skipped_filter', message: 'Filtered out by transformation logic.' };
+    }
+
+    const { variantData, optionVariants } = transformResult;
+    // DB에 Shopify 상품이 없으면 SKU로 기존 상품 찾기 (상품별 동기화의 SKU 검색과 같은 역할)
+    const shopifyGid = syncedDoc.shopifyGid || productIndex.variantsBySku.get(variantData.sku)?.productId || null;
+    const variantSkus = optionVariants ? optionVariants.variants.map(variant => variant.sku) : null;
+
+    return {
+      status: 'queued_bulk',
+      item: {
+        bunjangPid,
+        shopifyGid,
+        syncedDoc,
+        transformResult,
+        successSet: buildSyncSuccessSet({ bunjangProduct, syncedDoc, shopifyPriceString, pricingProfile: pricing.profile, priceBreakdown: pricing.breakdown, pricingInputsKey: pricing.inputsKey, transformResult, translation, variantSkus, now }),
+      },
+    };
+  } catch (error) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Failed to prepare Bunjang PID ${bunjangPid} for bulk sync: ${error.message}`);
+    await SyncedProduct.updateOne({ bunjangPid }, {
+      $set: {
+        syncStatus: 'ERROR',
+        syncErrorMessage: error.message.substring(0, 1000),
+        syncErrorStackSample: error.stack ? error.stack.substring(0, 1000) : null,
+        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+      },
+    });
+    return { status: 'error', message: error.message.substring(0, 255) };
   }
+}
 
-  let successfullyProcessed = 0;
-  let errorCount = 0;
-  let skippedByFilterCount = 0;
-  let skippedNoChangeCount = 0;
+/**
+ * 동시 처리 중에도 "이 행 번호까지는 모두 처리가 끝났다"는 연속 구간의 끝(체크포인트)을 추적합니다.
+ * @param {number} [startAfterRow=0] - 이미 처리된 것으로 간주할 마지막 행 번호 (재개 시).
+ */
+function createRowCheckpointTracker(startAfterRow = 0) {
+  const pendingRows = new Set();
+  let lastSeenRow = startAfterRow;
+  return {
+    seen(rowNumber) { lastSeenRow = rowNumber; },
+    started(rowNumber) { pendingRows.add(rowNumber); },
+    finished(rowNumber) { pendingRows.delete(rowNumber); },
+    get committedRow() {
+      return pendingRows.size > 0 ? Math.min(...pendingRows) - 1 : lastSeenRow;
+    },
+  };
+}
 
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Processing ${bunjangProducts.length} valid items from Bunjang catalog...`);
-  const concurrency = config.bunjang?.syncConcurrency || 1;
-  const productChunks = [];
-  for (let i = 0; i < bunjangProducts.length; i += concurrency) {
-    productChunks.push(bunjangProducts.slice(i, i + concurrency));
+/**
+ * 같은 BullMQ 작업의 이전 시도가 남긴 체크포인트를 확인합니다.
+ * 이전 시도가 RUNNING 상태로 남아 있으면(워커 중단) FAILED로 정리합니다.
+ * @returns {Promise<object|null>} 재개 가능한 이전 실행 기록 또는 null.
+ */
+async function findResumableCatalogRun(catalogType, runContext, jobIdForLog) {
+  const previousRun = await catalogRunService.findLatestRunForJob(runContext.jobId);
+  if (!previousRun || previousRun.status === 'COMPLETED') return null;
+
+  if (previousRun.status === 'RUNNING') {
+    await catalogRunService.failCatalogRun(previousRun, new AppError('워커 중단으로 카탈로그 처리가 완료되지 않았습니다.', 500, 'RUN_INTERRUPTED'));
   }
 
-  for (const chunk of productChunks) {
-    const chunkResults = await Promise.allSettled(
-      chunk.map(product => syncBunjangProductToShopify(product, jobIdForLog))
-    );
-    chunkResults.forEach(result => {
+  const { checkpoint } = previousRun;
+  if (previousRun.catalogType !== catalogType || !checkpoint?.csvPath) return null;
+  if (!(await fs.pathExists(checkpoint.csvPath))) {
+    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Checkpoint CSV ${checkpoint.csvPath} from run ${previousRun._id} no longer exists. Starting over.`);
+    return null;
+  }
+  return previousRun;
+}
+
+/**
+ * 번개장터 카탈로그를 다운로드하여 Shopify에 동기화하고, 실행 결과를 CatalogRun으로 기록합니다.
+ * runContext.sourceFile이 주어지면 다운로드 대신 해당 로컬 파일(업로드 또는 서버 경로)을 같은 파이프라인으로 처리합니다.
+ * 가져온(import) 파일은 일부만 담긴 추출본일 수 있으므로 판매 중지 감지(catalogDeltaService)는 실행하지 않습니다.
+ * 처리 진행 상황은 체크포인트(연속 처리 완료된 마지막 행 번호)로 저장되며,
+ * 같은 BullMQ 작업이 재시도되면 남아 있는 CSV를 다시 다운로드하지 않고 체크포인트 다음 행부터 이어서 처리합니다.
+ * 재개된 실행의 처리 건수는 재개 이후 처리분만 집계됩니다.
+ * runContext.dryRun이면 Shopify와 SyncedProduct를 변경하지 않고 각 행의 예상 결과(생성/수정과 필드별 변경/DRAFT/제외 사유)를
+ * 실행 보고서(CatalogRunReportEntry)로만 저장합니다. 드라이런은 체크포인트에서 재개하지 않습니다.
+ * 전체(full) 카탈로그는 config.bunjang.bulkSync.enabled이면 상품별 API 호출 대신 productSet 벌크 작업(catalogBulkSyncService)으로 동기화하며,
+ * 이때 행은 벌크 작업 결과가 기록된 뒤에 처리 완료(체크포인트)로 봅니다.
+ * 그 외에는 상품마다 productSync 큐 작업을 추가하고 (재시도를 포함해) 끝날 때까지 기다리며,
+ * 재시도를 모두 실패한 상품은 워커가 데드레터 큐로 옮깁니다. (bullmq.productSync.enabled=false 또는 Redis 비활성화 시 직접 동기화)
+ * @param {'full'|'segment'} catalogType - 카탈로그 타입.
+ * @param {string} [jobIdForLog='N/A'] - 로깅용 작업 식별자.
+ * @param {object} [runContext={}] - CatalogRun에 기록할 BullMQ 작업 정보 { jobId, jobName, triggeredBy, attempt, maxAttempts, source }.
+ * @param {object} [runContext.sourceFile] - 가져올 로컬 파일 { path, name, removeAfterRun }.
+ * @param {boolean} [runContext.dryRun=false] - 변경 없이 보고서만 만들지 여부.
+ * @returns {Promise<object>} 처리 요약 결과 (runId 포함).
+ */
+async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A', runContext = {}) {
+  const { maxAttempts, sourceFile, dryRun = false, ...runInfo } = runContext;
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}${dryRun ? ' (dry run)' : ''}`);
+  let catalogFileUrl;
+  let catalogFileNameGz;
+  let baseFileNameWithoutExt;
+
+  const resumableRun = runInfo.jobId && !dryRun ? await findResumableCatalogRun(catalogType, runInfo, jobIdForLog) : null;
+  const startAfterRow = resumableRun ? resumableRun.checkpoint.row || 0 : 0;
+
+  if (resumableRun) {
+    catalogFileNameGz = resumableRun.filename; // 재시도가 자정을 넘겨도 같은 파일을 이어서 처리
+  } else if (sourceFile) {
+    catalogFileNameGz = sourceFile.name || path.basename(sourceFile.path);
+  } else {
+    const fileDate = new Date();
+    catalogFileNameGz = generateBunjangCatalogFilename(catalogType, fileDate);
+  }
+  baseFileNameWithoutExt = catalogFileNameGz.replace(/(\.csv)?(\.gz)?$/, '');
+  if (sourceFile) {
+    // 같은 이름의 번개장터 다운로드 파일과 작업용 CSV가 겹치지 않도록 구분
+    baseFileNameWithoutExt = `import_${runInfo.jobId || Date.now()}_${baseFileNameWithoutExt.replace(/[^\w.-]/g, '_')}`;
+  }
+
+  const catalogRun = await catalogRunService.startCatalogRun({
+    ...runInfo,
+    catalogType,
+    filename: catalogFileNameGz,
+    ...(dryRun && { dryRun: true }),
+    ...(resumableRun && { resumedFromRunId: resumableRun._id, resumedFromRow: startAfterRow }),
+  });
+  const errorSamples = [];
+  const recordErrorSample = (pid, message) => {
+    if (errorSamples.length < CatalogRun.MAX_ERROR_SAMPLES) {
+      errorSamples.push({ pid, message: String(message || 'Unknown error').substring(0, 500), occurredAt: new Date() });
+    }
+  };
+
+  // 드라이런 보고서: 항목은 실행 ID로 따로 저장하고 건수만 CatalogRun.report에 기록
+  const reportWriter = dryRun ? catalogRunService.createReportWriter(catalogRun) : null;
+
+  let localCsvPath;
+  let runSucceeded = false;
+  try {
+    if (resumableRun) {
+      localCsvPath = resumableRun.checkpoint.csvPath;
+      logger.info(`[CatalogSvc:Job-${jobIdForLog}] Resuming ${catalogFileNameGz} from run ${resumableRun._id} after row ${startAfterRow} using ${localCsvPath}.`);
+    } else if (sourceFile) {
+      logger.info(`[CatalogSvc:Job-${jobIdForLog}] Importing local catalog file ${sourceFile.path} (${catalogFileNameGz}).`);
+      localCsvPath = await prepareLocalCatalogFile(sourceFile.path, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
+    } else {
+      if (!config.bunjang?.catalogApiUrl) {
+        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
+        throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
+      }
+      catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
+      logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
+
+      if (!TEMP_DOWNLOAD_DIR) {
+        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Temporary directory (TEMP_DOWNLOAD_DIR from config.tempDir) is not configured.`);
+        throw new AppError("Temporary directory for downloads is not configured.", 500, "TEMP_DIR_MISSING");
+      }
+      localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
+    }
+    await catalogRunService.saveCheckpoint(catalogRun, { row: startAfterRow, csvPath: localCsvPath });
+
+    let successfullyProcessed = 0;
+    let errorCount = 0;
+    let skippedByFilterCount = 0;
+    let skippedNoChangeCount = 0;
+    let skippedDuplicateCount = 0; // 같은 판매자의 근사 중복으로 리스팅하지 않은 건수
+    let mediaErrorCount = 0; // 상품은 동기화됐지만 이미지 첨부가 (일부) 실패한 건수
+    const skippedByFilterReasons = {}; // 제외 사유별 건수 (예: { 'rule:고가품 제외': 12, SYSTEM_NOT_INSTANT_TRADE: 300 })
+    const countFilterSkip = (key) => {
+      skippedByFilterCount++;
+      skippedByFilterReasons[key] = (skippedByFilterReasons[key] || 0) + 1;
+    };
+    const categoryStats = new Map(); // 리스팅 대상 행의 카테고리별 건수 (미매핑 카테고리 보고서용)
+    const countCategory = ({ categoryId, categoryName }) => {
+      if (!categoryId) return;
+      const stat = categoryStats.get(categoryId) || { categoryId, categoryName, rows: 0 };
+      stat.rows++;
+      categoryStats.set(categoryId, stat);
+    };
+
+    await refreshListingRules(); // API로 변경된 리스팅 규칙을 실행마다 반영
+    await translationService.refreshGlossary(); // API로 변경된 번역 용어집 반영
+    await taxonomyService.refreshTaxonomyRules(); // API로 변경된 분류 규칙과 카테고리/브랜드 매핑 반영
+    await descriptionTemplateService.refreshDescriptionTemplates(); // API로 변경된 설명 템플릿 반영
+    await pricingProfileService.refreshPricingProfiles(); // API로 변경된 가격 프로필 반영
+    await landedCostService.refreshShippingClasses(); // API로 변경된 배송 등급 반영
+
+    // 체크포인트: 연속으로 처리 완료된 마지막 행 번호를 checkpointIntervalRows 간격으로 저장
+    const checkpointTracker = createRowCheckpointTracker(startAfterRow);
+    const checkpointInterval = config.bunjang?.checkpointIntervalRows || 200;
+    let lastSavedCheckpointRow = startAfterRow;
+    let checkpointSaving = null;
+    const maybeSaveCheckpoint = () => {
+      const row = checkpointTracker.committedRow;
+      if (checkpointSaving || row - lastSavedCheckpointRow < checkpointInterval) return;
+      checkpointSaving = catalogRunService.saveCheckpoint(catalogRun, { row, csvPath: localCsvPath })
+        .then(() => { lastSavedCheckpointRow = row; })
+        .finally(() => { checkpointSaving = null; });
+    };
+
+    // 전체 카탈로그 벌크 동기화 (아래에서 Shopify 상품 인덱스를 읽은 뒤 batcher 생성)
+    const useBulkSync = catalogType === 'full' && !dryRun && config.bunjang.bulkSync?.enabled;
+    let bulkBatcher = null;
+    let bulkProductIndex = null;
+
+    // 번개장터에서 받은 전체 카탈로그일 때만 SELLING PID를 모아 카탈로그에서 사라진 상품을 감지 (재개 시 건너뛰는 행 포함)
+    const detectDelisted = catalogType === 'full' && !sourceFile && config.bunjang.delistDetection?.enabled;
+    const sellingPids = new Set();
+    const rowProcessor = (row, rowNumber) => {
+      if (detectDelisted) {
+        const pid = (row.pid || '').trim();
+        if (pid && (row.saleStatus || '').trim().toUpperCase() === 'SELLING') sellingPids.add(pid);
+      }
+      if (rowNumber <= startAfterRow) return null; // 이전 시도에서 이미 처리된 행
+      if (bulkBatcher?.failed) return null; // 벌크 작업 실패: 남은 행은 재시도에서 체크포인트부터 처리
+      checkpointTracker.seen(rowNumber);
+      const product = processCatalogRow(row, rowNumber, {
+        onRuleReject: (reason, rejectedProduct) => {
+          const key = getRejectionKey(reason);
+          countFilterSkip(key);
+          if (reportWriter) reportWriter.add({ pid: rejectedProduct.pid, title: rejectedProduct.name, action: 'SKIP', reason: key, note: reason.message });
+        },
+      });
+      if (product) {
+        checkpointTracker.started(rowNumber);
+        countCategory(product);
+      }
+      return product;
+    };
+
+    const concurrency = config.bunjang?.syncConcurrency || 1;
+
+    const tallyResult = (result, product, rowNumber) => {
+      if (result.status === 'fulfilled' && result.value?.status === 'queued_bulk') return; // 벌크 작업 결과 기록 후 집계
+      checkpointTracker.finished(rowNumber);
+      maybeSaveCheckpoint();
       if (result.status === 'fulfilled' && result.value) {
-        if (result.value.status === 'success') successfullyProcessed++;
-        else if (result.value.status === 'skipped_filter') skippedByFilterCount++;
+        if (result.value.status === 'success') {
+          successfullyProcessed++;
+          if (result.value.mediaStatus === 'error' || result.value.mediaStatus === 'partial_error') mediaErrorCount++;
+        }
+        else if (result.value.status === 'skipped_filter') countFilterSkip('TRANSFORM_FILTER');
         else if (result.value.status === 'skipped_no_change') skippedNoChangeCount++;
-        else if (result.value.status === 'skipped_duplicate') skippedNoChangeCount++; // 중복도 스킵으로 카운트
+        else if (result.value.status === 'skipped_duplicate') skippedDuplicateCount++;
         else if (result.value.status === 'error') errorCount++;
       } else if (result.status === 'rejected') {
         errorCount++;
-        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled promise rejection in sync chunk for a product:`, result.reason);
+        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled promise rejection while syncing a product:`, result.reason);
       }
-    });
-    logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Processed a chunk. Totals - Success: ${successfullyProcessed}, FilterSkip: ${skippedByFilterCount}, NoChangeSkip: ${skippedNoChangeCount}, Errors: ${errorCount} / TotalValid: ${bunjangProducts.length}`);
-  }
+    };
 
-  if (await fs.pathExists(localCsvPath)) {
-    await fs.remove(localCsvPath)
-      .then(() => logger.info(`[CatalogSvc:Job-${jobIdForLog}] Cleaned up local CSV file: ${localCsvPath}`))
-      .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
-  }
+    // 벌크 동기화: Shopify 상품 인덱스를 먼저 읽고, 실패하면 상품별 경로로 진행
+    if (useBulkSync) {
+      try {
+        const productIndex = await catalogBulkSyncService.loadShopifyProductIndex({ jobId: jobIdForLog });
+        bulkBatcher = catalogBulkSyncService.createBulkProductSyncBatcher({
+          productIndex,
+          jobId: jobIdForLog,
+          onItemResult: (item, outcome) => {
+            if (outcome.status === 'error') recordErrorSample(item.bunjangPid, outcome.message);
+            tallyResult({ status: 'fulfilled', value: outcome }, item.product, item.rowNumber);
+          },
+        });
+        bulkProductIndex = productIndex;
+      } catch (indexError) {
+        logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to load Shopify product index for bulk sync. Falling back to per-product sync: ${indexError.message}`);
+      }
+    }
 
-  const summary = {
-    filename: catalogFileNameGz,
-    totalOriginalCsvRows: originalCsvRowCount || 0,
-    validProductsToProcess: bunjangProducts.length,
-    successfullyProcessed,
-    errors: errorCount,
-    skippedByFilter: skippedByFilterCount,
-    skippedNoChange: skippedNoChangeCount,
-  };
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing finished. Summary:`, summary);
-  return summary;
+    // 상품별 경로는 상품마다 productSync 큐 작업으로 보내고 결과를 기다림 (재시도/데드레터는 워커가 처리)
+    const useProductSyncQueue = !dryRun && !bulkBatcher && productSyncQueueService.isProductSyncQueueEnabled();
+
+    // 상품별 에러는 CatalogRun.errorSamples에 PID와 함께 기록
+    const syncProduct = async (product, rowNumber) => {
+      if (reportWriter) {
+        try {
+          const { status, entries } = await planBunjangProductSync(product, jobIdForLog);
+          for (const entry of entries) await reportWriter.add(entry);
+          return { status };
+        } catch (error) {
+          recordErrorSample(product.pid, error.message);
+          await reportWriter.add({ pid: product.pid, title: product.name, action: 'SKIP', reason: 'ERROR', note: String(error.message).substring(0, 500) });
+          return { status: 'error', message: error.message };
+        }
+      }
+      if (bulkBatcher) {
+        try {
+          const prepared = await prepareBulkProductSync(product, jobIdForLog, { productIndex: bulkProductIndex });
+          if (prepared.status !== 'queued_bulk') {
+            if (prepared.status === 'error') recordErrorSample(product.pid, prepared.message);
+            return prepared;
+          }
+          await bulkBatcher.add({ ...prepared.item, product, rowNumber });
+          return { status: 'queued_bulk' };
+        } catch (error) {
+          recordErrorSample(product.pid, error.message);
+          throw error;
+        }
+      }
+      try {
+        const result = useProductSyncQueue
+          ? await productSyncQueueService.syncProductThroughQueue(product, {
+            jobId: `catalog-${catalogRun?._id || jobIdForLog}-${product.pid}`,
+            triggeredBy: `catalog_${catalogType}`,
+            catalogRunId: catalogRun?._id,
+          })
+          : await syncBunjangProductToShopify(product, jobIdForLog);
+        if (result?.status === 'error') recordErrorSample(product.pid, result.message);
+        return result;
+      } catch (error) {
+        recordErrorSample(product.pid, error.message);
+        throw error;
+      }
+    };
+
+    const syncTarget = dryRun ? 'dry-run report' : (bulkBatcher ? 'Shopify bulk sync' : (useProductSyncQueue ? 'product sync queue' : 'Shopify sync'));
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Streaming CSV file ${localCsvPath} into ${syncTarget} (concurrency: ${concurrency})...`);
+    let streamResult;
+    let bulkStats;
+    try {
+      streamResult = await streamCsvFileWithRowProcessor(
+        localCsvPath,
+        rowProcessor,
+        syncProduct,
+        { concurrency, onResult: tallyResult }
+      );
+      if (bulkBatcher) bulkStats = await bulkBatcher.finish(); // 남은 항목 전송 (벌크 작업 실패 시 실행 실패)
+    } finally {
+      await checkpointSaving;
+      await catalogRunService.saveCheckpoint(catalogRun, { row: checkpointTracker.committedRow, csvPath: localCsvPath });
+    }
+    const { totalRows: originalCsvRowCount, validRows: validProductCount } = streamResult;
+
+    if (validProductCount === 0) {
+      logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
+    }
+
+    const summary = {
+      filename: catalogFileNameGz,
+      totalOriginalCsvRows: originalCsvRowCount || 0,
+      validProductsToProcess: validProductCount,
+      successfullyProcessed,
+      errors: errorCount,
+      skippedByFilter: skippedByFilterCount,
+      skippedByFilterReasons,
+      skippedNoChange: skippedNoChangeCount,
+      skippedDuplicates: skippedDuplicateCount,
+      mediaErrors: mediaErrorCount,
+      ...(resumableRun && { resumedFromRow: startAfterRow }),
+      ...(dryRun && { dryRun: true }),
+      ...(bulkStats && { bulkOperations: bulkStats.operations }),
+    };
+
+    if (detectDelisted) {
+      try {
+        const { wouldDraft, ...delisted } = await detectAndDraftDelistedProducts(sellingPids, { catalogFilename: catalogFileNameGz, jobIdForLog, dryRun });
+        summary.delisted = delisted;
+        for (const { bunjangPid, shopifyGid } of wouldDraft || []) {
+          await reportWriter.add({ pid: bunjangPid, action: 'DRAFT', reason: 'DELISTED', shopifyGid });
+        }
+      } catch (delistError) {
+        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Delist detection failed for ${catalogFileNameGz}: ${delistError.message}`);
+        summary.delisted = { aborted: true, abortReason: 'ERROR', error: delistError.message };
+      }
+    }
+
+    if (reportWriter) summary.report = await reportWriter.finish();
+
+    // 카테고리별 건수는 실행 기록에만 저장 (작업 결과/로그에는 넣지 않음)
+    await catalogRunService.completeCatalogRun(catalogRun, { ...summary, categoryStats: [...categoryStats.values()] }, errorSamples);
+    if (catalogRun) summary.runId = String(catalogRun._id);
+    runSucceeded = true;
+    if (dryRun) await catalogRunService.pruneDryRunReports();
+    if (!dryRun && config.marketPricing.enabled && successfullyProcessed > 0) {
+      // 새로 리스팅되거나 가격이 바뀐 상품의 마켓 고정 가격 반영
+      await marketPricingService.enqueueMarketPriceSync({ triggeredBy: `catalog_run:${catalogType}` })
+        .catch(enqueueError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to queue market price list sync: ${enqueueError.message}`));
+    }
+
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing finished. Summary:`, summary);
+    return summary;
+  } catch (error) {
+    await catalogRunService.failCatalogRun(catalogRun, error, errorSamples);
+    throw error;
+  } finally {
+    // 재시도가 남아 있으면 CSV를 남겨 두어 다음 시도가 체크포인트부터 재개하도록 함
+    const willRetry = Boolean(runInfo.jobId) && (runInfo.attempt || 1) < (maxAttempts || 1);
+    if (localCsvPath && (runSucceeded || !willRetry) && await fs.pathExists(localCsvPath)) {
+      await fs.remove(localCsvPath)
+        .then(() => logger.info(`[CatalogSvc:Job-${jobIdForLog}] Cleaned up local CSV file: ${localCsvPath}`))
+        .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
+    } else if (localCsvPath && !runSucceeded) {
+      logger.info(`[CatalogSvc:Job-${jobIdForLog}] Keeping local CSV file ${localCsvPath} for resume on retry.`);
+    }
+    // 업로드된 원본 파일은 더 이상 재시도가 없을 때 삭제 (서버 경로로 지정된 파일은 그대로 둠)
+    if (sourceFile?.removeAfterRun && (runSucceeded || !willRetry)) {
+      await fs.remove(sourceFile.path)
+        .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to remove uploaded catalog file ${sourceFile.path}:`, unlinkError));
+    }
+  }
 }
 
 module.exports = {
   fetchAndProcessBunjangCatalog,
   generateBunjangCatalogFilename,
   syncBunjangProductToShopify,
+  refreshSyncCachesIfStale,
+  planBunjangProductSync,
+  prepareBulkProductSync,
   transformBunjangRowToShopifyInput,
   processCatalogRow,
+  buildCatalogRowFromProductDetails,
   parseCsvFileWithRowProcessor,
+  streamCsvFileWithRowProcessor,
   downloadAndProcessFile,
+  prepareLocalCatalogFile,
   generateBunjangAuthHeader,
   ensureInventoryIsOne
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+// src/services/defaultSeedService.js
+// 기본 데이터(분류 규칙, 배송 등급 등)를 컬렉션에 한 번만 넣습니다. 시드 완료는 AppSetting('seed:<이름>')에 기록하므로,
+// 운영자가 기본 항목을 삭제하거나 컬렉션을 비워도 다시 생성되지 않습니다.
+
+const logger = require('../config/logger');
+const AppSetting = require('../models/appSetting.model');
+
+/**
+ * 아직 시드하지 않았으면 기본 문서를 넣고 완료를 기록합니다.
+ * 완료 표시가 없어도 컬렉션에 문서가 있으면(완료 표시 도입 전에 시드된 경우) 완료로 기록만 합니다.
+ * 넣기에 실패하면(중복 키 제외) 완료로 기록하지 않고 경고만 남겨 다음 갱신에서 다시 시도합니다.
+ * @param {object} params
+ * @param {string} params.name - 완료 표시 키 이름 (예: 'taxonomyRules').
+ * @param {mongoose.Model} params.Model
+ * @param {object[]} params.defaults
+ * @param {string} params.logTag - 로그 접두사 (예: 'TaxonomySvc').
+ * @param {string} params.label - 로그용 항목 이름 (예: 'default taxonomy rules').
+ * @returns {Promise<number|null>} 새로 넣은 문서 수. 실패하면 null.
+ */
+async function seedDefaultsOnce({ name, Model, defaults, logTag, label }) {
+  const key = `seed:${name}`;
+  if (await AppSetting.exists({ key })) return 0;
+
+  let insertedCount = 0;
+  if (await Model.estimatedDocumentCount() === 0) {
+    try {
+      const inserted = await Model.insertMany(defaults.map(doc => ({ ...doc, updatedBy: 'system_default' })), { ordered: false });
+      insertedCount = inserted.length;
+    } catch (error) {
+      // 다른 프로세스가 동시에 시드한 경우(중복 키)만 완료로 보고 나머지 에러는 다시 시도
+      const writeErrors = error.writeErrors || [];
+      if (error.code !== 11000 && (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000))) {
+        logger.warn(`[${logTag}] Failed to seed ${label}. Will retry on next refresh: ${error.message}`);
+        return null;
+      }
+      insertedCount = error.insertedDocs?.length ?? error.result?.insertedCount ?? 0;
+    }
+    logger.info(`[${logTag}] Seeded ${insertedCount} ${label}.`);
+  }
+
+  await AppSetting.updateOne({ key }, { $setOnInsert: { value: { seededAt: new Date(), insertedCount } } }, { upsert: true })
+    .catch(error => {
+      if (error.code !== 11000) throw error; // 동시에 기록한 경우
+    });
+  return insertedCount;
+}
+
+module.exports = {
+  seedDefaultsOnce,
+};
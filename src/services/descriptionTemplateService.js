@@ -0,0 +1,237 @@
+// src/services/descriptionTemplateService.js
+// 상품 설명(descriptionHtml) 렌더링을 담당합니다. 판매자 설명을 허용 목록으로 정제해 문단으로 바꾼 뒤,
+// 카테고리별 DescriptionTemplate(상태 배지, 한국 발송 안내, 번개장터 PID 등)에 넣고 결과 전체를 다시 정제합니다.
+// 상품 변환(transformBunjangRowToShopifyInput)은 동기 함수이므로 템플릿은 메모리에 캐시하고, 변경 시와 캐시 TTL 경과 시 다시 읽습니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const DescriptionTemplate = require('../models/descriptionTemplate.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const builtInTemplate = require('../config/descriptionTemplates');
+const catalogMappingService = require('./catalogMappingService');
+const { escapeHtml, sanitizeHtml, textToParagraphs, TEMPLATE_POLICY } = require('../utils/htmlSanitizer');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+const PLACEHOLDERS = ['title', 'originalTitle', 'description', 'condition', 'conditionLabel', 'bunjangPid', 'categoryName', 'brandName'];
+const CONDITION_LABELS = {
+  NEW: 'New',
+  LIKE_NEW: 'Like New',
+  USED: 'Used',
+};
+
+let cachedState = { templates: [], loadedAt: 0 };
+
+/**
+ * 활성화된 템플릿을 DB에서 다시 읽어 캐시합니다. 실패하면 기존 캐시를 유지합니다.
+ */
+async function refreshDescriptionTemplates() {
+  try {
+    const templates = await DescriptionTemplate.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+    cachedState = { templates, loadedAt: Date.now() };
+    logger.info(`[DescTemplateSvc] Loaded ${templates.length} description templates.`);
+  } catch (error) {
+    logger.warn(`[DescTemplateSvc] Failed to load description templates. Keeping cached templates: ${error.message}`);
+  }
+  return cachedState.templates;
+}
+
+/**
+ * 캐시가 TTL보다 오래되었으면 다시 읽습니다. (API 서버 외 프로세스에서도 변경된 템플릿이 반영되도록)
+ */
+async function refreshTemplatesIfStale() {
+  if (Date.now() - cachedState.loadedAt >= config.descriptionTemplates.cacheTtlMs) {
+    await refreshDescriptionTemplates();
+  }
+}
+
+/**
+ * 카테고리에 적용할 템플릿을 고릅니다.
+ * categoryIds 중 상품 카테고리의 접두사인 가장 긴 ID를 가진 템플릿 → priority 순 → isDefault 템플릿 → 기본 내장 템플릿.
+ * @param {string} categoryId
+ * @param {object[]} [templates] - 기본값은 캐시된 활성 템플릿.
+ * @returns {{name: string, body: string, _id?: *, matchedCategoryId?: string}}
+ */
+function selectTemplate(categoryId, templates = cachedState.templates) {
+  const id = String(categoryId || '').trim();
+  let selected = null;
+  let selectedLength = 0;
+
+  if (id) {
+    for (const template of templates) {
+      for (const templateCategoryId of template.categoryIds || []) {
+        if (!templateCategoryId || !id.startsWith(templateCategoryId)) continue;
+        // templates는 priority 순이므로 길이가 같으면 먼저 나온 템플릿 유지
+        if (templateCategoryId.length > selectedLength) {
+          selected = { ...template, matchedCategoryId: templateCategoryId };
+          selectedLength = templateCategoryId.length;
+        }
+      }
+    }
+  }
+  return selected || templates.find(template => template.isDefault) || builtInTemplate;
+}
+
+function formatConditionLabel(condition) {
+  const normalized = String(condition || 'USED').trim().toUpperCase();
+  return CONDITION_LABELS[normalized] || normalized.toLowerCase().split(/[_\s]+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * 템플릿 본문의 {{placeholder}}를 값으로 치환합니다. description은 이미 정제된 HTML이고 나머지는 이스케이프합니다.
+ */
+function applyTemplate(body, values) {
+  return body.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (name === 'description') return values.description;
+    return values[name] !== undefined && values[name] !== null ? escapeHtml(values[name]) : '';
+  });
+}
+
+/**
+ * 상품 설명 HTML을 렌더링합니다.
+ * 사용할 수 있는 자리표시자: title, originalTitle, description, condition, conditionLabel, bunjangPid, categoryName, brandName
+ * @param {object} bunjangProduct - processCatalogRow 결과 (pid, name, description, condition, categoryId, categoryName, brandId).
+ * @param {object} [options]
+ * @param {object} [options.translation] - translationService.translateProduct 결과. 있으면 번역된 제목/설명 사용.
+ * @param {object} [options.template] - 지정하면 카테고리 선택 대신 이 템플릿 사용 (미리보기용).
+ * @returns {{html: string, templateName: string}}
+ */
+function renderProductDescription(bunjangProduct, { translation, template } = {}) {
+  const selectedTemplate = template || selectTemplate(bunjangProduct.categoryId);
+  const values = {
+    title: translation?.title || bunjangProduct.name,
+    originalTitle: bunjangProduct.name,
+    description: textToParagraphs(translation?.description || bunjangProduct.description),
+    condition: bunjangProduct.condition || 'USED',
+    conditionLabel: formatConditionLabel(bunjangProduct.condition),
+    bunjangPid: bunjangProduct.pid,
+    categoryName: bunjangProduct.categoryName,
+    brandName: catalogMappingService.resolveBrandVendor(bunjangProduct.brandId),
+  };
+
+  const html = sanitizeHtml(applyTemplate(selectedTemplate.body, values), TEMPLATE_POLICY).trim();
+  return { html, templateName: selectedTemplate.name };
+}
+
+/**
+ * 템플릿 본문을 검사합니다. {{description}}이 있어야 하고 알 수 없는 자리표시자는 허용하지 않습니다.
+ */
+function assertValidTemplateBody(body) {
+  if (body === undefined) return;
+  const errors = [];
+  const names = [...String(body).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  if (!names.includes('description')) {
+    errors.push({ field: 'body', message: '템플릿 본문에 {{description}} 자리표시자가 있어야 합니다.' });
+  }
+  for (const name of new Set(names)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      errors.push({ field: 'body', message: `알 수 없는 자리표시자입니다: {{${name}}}`, value: name });
+    }
+  }
+  if (errors.length > 0) throw new ValidationError('설명 템플릿이 유효하지 않습니다.', errors);
+}
+
+async function saveTemplate(template) {
+  try {
+    await template.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 이름의 설명 템플릿이 이미 있습니다: ${template.name}`, 409, 'DESCRIPTION_TEMPLATE_DUPLICATE', true, { name: template.name });
+    }
+    throw error;
+  }
+}
+
+async function listTemplates() {
+  return DescriptionTemplate.find({}).sort({ priority: 1, createdAt: 1 }).lean();
+}
+
+async function getTemplate(templateId) {
+  const template = await DescriptionTemplate.findById(templateId).lean();
+  if (!template) throw new NotFoundError('설명 템플릿을 찾을 수 없습니다.', 'DescriptionTemplate', templateId);
+  return template;
+}
+
+async function createTemplate(templateData) {
+  assertValidTemplateBody(templateData.body);
+  const template = new DescriptionTemplate(templateData);
+  await saveTemplate(template);
+  logger.info(`[DescTemplateSvc] Description template '${template.name}' created.`);
+  await refreshDescriptionTemplates();
+  return template.toObject();
+}
+
+async function updateTemplate(templateId, updates) {
+  const template = await DescriptionTemplate.findById(templateId);
+  if (!template) throw new NotFoundError('설명 템플릿을 찾을 수 없습니다.', 'DescriptionTemplate', templateId);
+
+  assertValidTemplateBody(updates.body);
+  template.set(updates);
+  await saveTemplate(template);
+  logger.info(`[DescTemplateSvc] Description template '${template.name}' (${template._id}) updated.`);
+  await refreshDescriptionTemplates();
+  return template.toObject();
+}
+
+async function deleteTemplate(templateId) {
+  const template = await DescriptionTemplate.findByIdAndDelete(templateId).lean();
+  if (!template) throw new NotFoundError('설명 템플릿을 찾을 수 없습니다.', 'DescriptionTemplate', templateId);
+  logger.info(`[DescTemplateSvc] Description template '${template.name}' (${template._id}) deleted.`);
+  await refreshDescriptionTemplates();
+  return template;
+}
+
+/**
+ * 동기화된 상품(SyncedProduct)에 대해 설명을 렌더링해 봅니다. 저장하지 않은 템플릿 본문(body)을 넘기면 그 본문으로 렌더링합니다.
+ * 상품에 반영하려면 상품을 다시 동기화해야 합니다.
+ * @param {object} params
+ * @param {string} params.bunjangPid
+ * @param {string} [params.templateId]
+ * @param {string} [params.body]
+ * @returns {Promise<{bunjangPid: string, templateName: string, html: string}>}
+ */
+async function previewDescription({ bunjangPid, templateId, body }) {
+  await refreshTemplatesIfStale();
+
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid })
+    .select({ bunjangPid: 1, bunjangProductName: 1, bunjangDescription: 1, bunjangCondition: 1, bunjangCategoryId: 1, bunjangCategoryName: 1, bunjangBrandId: 1, englishTitle: 1, englishDescription: 1 })
+    .lean();
+  if (!syncedDoc) throw new NotFoundError('동기화된 상품을 찾을 수 없습니다.', 'SyncedProduct', bunjangPid);
+
+  let template;
+  if (body !== undefined) {
+    assertValidTemplateBody(body);
+    template = { name: '(preview)', body };
+  } else if (templateId) {
+    template = await getTemplate(templateId);
+  }
+
+  const bunjangProduct = {
+    pid: syncedDoc.bunjangPid,
+    name: syncedDoc.bunjangProductName,
+    description: syncedDoc.bunjangDescription,
+    condition: syncedDoc.bunjangCondition,
+    categoryId: syncedDoc.bunjangCategoryId,
+    categoryName: syncedDoc.bunjangCategoryName,
+    brandId: syncedDoc.bunjangBrandId,
+  };
+  const translation = syncedDoc.englishTitle || syncedDoc.englishDescription
+    ? { title: syncedDoc.englishTitle, description: syncedDoc.englishDescription }
+    : null;
+  const { html, templateName } = renderProductDescription(bunjangProduct, { translation, template });
+  return { bunjangPid, templateName, html };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  refreshDescriptionTemplates,
+  refreshTemplatesIfStale,
+  selectTemplate,
+  renderProductDescription,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewDescription,
+};
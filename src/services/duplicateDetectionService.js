@@ -0,0 +1,327 @@
+// src/services/duplicateDetectionService.js
+// 같은 판매자가 같은 물건을 새 PID로 다시 올린 근사 중복을 감지합니다. (SKU 중복만 보는 SyncedProduct.findDuplicates와 별개)
+// 판매자 uid가 같은 상품끼리 정규화 제목 유사도, 가격 차이, 이미지 URL을 비교해 그룹(DuplicateGroup)으로 묶고,
+// config.bunjang.duplicateDetection.policy에 따라 그룹에서 한 상품만 리스팅하고 나머지는 Shopify에서 DRAFT 처리합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const DuplicateGroup = require('../models/duplicateGroup.model');
+const inventoryService = require('./inventoryService');
+const productMediaService = require('./productMediaService');
+const { NotFoundError } = require('../utils/customErrors');
+
+// 재등록할 때 제목에 붙이는 말 (비교에서 제외)
+const TITLE_NOISE_WORDS = new Set([
+  '급처', '급매', '재업', '재업로드', '재등록', '판매', '판매합니다', '팝니다', '팔아요', '택포', '네고', '네고가능', '가격내림', '가격인하', '최저가',
+]);
+
+// 중복 비교 대상: 리스팅 중이거나 중복으로 숨긴 상품 (판매/삭제된 상품 제외)
+const CANDIDATE_FILTER = {
+  soldFrom: null,
+  delistedAt: null,
+  pendingBunjangOrder: { $ne: true },
+  $or: [{ shopifyGid: { $ne: null } }, { duplicateSuppressedAt: { $ne: null } }],
+};
+const CANDIDATE_FIELDS = {
+  bunjangPid: 1, bunjangProductName: 1, duplicateTitleKey: 1, bunjangImageKeys: 1, bunjangOriginalPriceKrw: 1,
+  bunjangCreatedAt: 1, createdAt: 1, shopifyGid: 1, shopifyStatus: 1, duplicateSuppressedAt: 1,
+};
+const UNLISTED_STATUSES = ['DRAFT', 'ARCHIVED', 'SOLD_OUT'];
+
+/**
+ * 비교용 제목 키: NFKC 정규화, 소문자, 문자/숫자 외 제거, 재등록 문구 제거 후 토큰을 정렬해 이어 붙입니다.
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  const tokens = String(title || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token && !TITLE_NOISE_WORDS.has(token));
+  return [...new Set(tokens)].sort().join(' ');
+}
+
+/**
+ * 이미지 URL 비교 키: 쿼리/해시와 해상도 표기(_w500, {res})를 뺀 호스트+경로.
+ * @param {string[]} imageUrls - productMediaService.parseBunjangImageUrls 결과.
+ * @returns {string[]}
+ */
+function buildImageKeys(imageUrls) {
+  return [...new Set((imageUrls || []).map(url => {
+    try {
+      const { host, pathname } = new URL(url);
+      return `${host}${pathname}`.toLowerCase().replace(/_w\d+(?=\.\w+$)|_w%7bres%7d/, ''); // URL 객체는 {res}를 %7Bres%7D로 인코딩
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean))];
+}
+
+/**
+ * 카탈로그 상품의 중복 감지용 지문. (SyncedProduct에 저장해 이후 다른 PID와 비교)
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @returns {{duplicateTitleKey: string, bunjangImageKeys: string[]}}
+ */
+function buildFingerprint(bunjangProduct) {
+  const imageUrls = productMediaService.parseBunjangImageUrls(bunjangProduct.images, { imageCount: bunjangProduct.imageCount });
+  return {
+    duplicateTitleKey: normalizeTitle(bunjangProduct.name),
+    bunjangImageKeys: buildImageKeys(imageUrls),
+  };
+}
+
+function titleSimilarity(keyA, keyB) {
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+  const tokensA = new Set(keyA.split(' '));
+  const tokensB = new Set(keyB.split(' '));
+  const intersection = [...tokensA].filter(token => tokensB.has(token)).length;
+  return intersection / (tokensA.size + tokensB.size - intersection);
+}
+
+/**
+ * 두 상품에서 일치하는 신호(title/price/image) 목록을 반환합니다.
+ */
+function compareMembers(a, b, settings) {
+  const signals = [];
+  if (titleSimilarity(a.titleKey, b.titleKey) >= settings.titleSimilarity) signals.push('title');
+  if (a.priceKrw > 0 && b.priceKrw > 0 &&
+      Math.abs(a.priceKrw - b.priceKrw) <= Math.max(a.priceKrw, b.priceKrw) * (settings.priceTolerancePercent / 100)) {
+    signals.push('price');
+  }
+  if (a.imageKeys.length > 0 && a.imageKeys.some(key => b.imageKeys.includes(key))) signals.push('image');
+  return signals;
+}
+
+function memberFromProduct(bunjangProduct, fingerprint) {
+  return {
+    bunjangPid: bunjangProduct.pid,
+    title: bunjangProduct.name,
+    titleKey: fingerprint.duplicateTitleKey,
+    imageKeys: fingerprint.bunjangImageKeys,
+    priceKrw: bunjangProduct.price,
+    bunjangCreatedAt: bunjangProduct.createdAt || null,
+  };
+}
+
+function memberFromDoc(doc) {
+  return {
+    bunjangPid: doc.bunjangPid,
+    title: doc.bunjangProductName,
+    titleKey: doc.duplicateTitleKey || normalizeTitle(doc.bunjangProductName),
+    imageKeys: doc.bunjangImageKeys || [],
+    priceKrw: doc.bunjangOriginalPriceKrw,
+    bunjangCreatedAt: doc.bunjangCreatedAt || doc.createdAt || null,
+    shopifyGid: doc.shopifyGid,
+  };
+}
+
+/**
+ * 정책에 따라 그룹에서 리스팅할 상품을 고릅니다. report_only는 기록용으로 keep_newest와 같은 기준을 씁니다.
+ * @param {object[]} members
+ * @param {string} policy
+ * @returns {string} primary PID
+ */
+function choosePrimary(members, policy) {
+  const createdTime = member => (member.bunjangCreatedAt ? new Date(member.bunjangCreatedAt).getTime() : 0);
+  const newestFirst = (a, b) => (createdTime(b) - createdTime(a)) || (Number(b.bunjangPid) - Number(a.bunjangPid));
+  const comparators = {
+    keep_newest: newestFirst,
+    keep_oldest: (a, b) => -newestFirst(a, b),
+    keep_lowest_price: (a, b) => ((a.priceKrw || Infinity) - (b.priceKrw || Infinity)) || newestFirst(a, b),
+  };
+  return [...members].sort(comparators[policy] || newestFirst)[0].bunjangPid;
+}
+
+/**
+ * 중복으로 숨길 상품을 Shopify에서 DRAFT 처리하고 표시합니다.
+ * DRAFT 처리에 실패해도 duplicateSuppressedAt은 기록해 다음 동기화 때 다시 시도되도록 합니다.
+ */
+async function suppressListing({ bunjangPid, shopifyGid, shopifyStatus }, groupId, jobId) {
+  const $set = { duplicateSuppressedAt: new Date(), duplicateGroupId: groupId };
+  if (shopifyGid && !UNLISTED_STATUSES.includes(shopifyStatus)) {
+    try {
+      await inventoryService.markProductAsDraft(shopifyGid, bunjangPid, 'bunjang_duplicate');
+      $set.shopifyStatus = 'DRAFT';
+      logger.info(`[DuplicateSvc:Job-${jobId}] PID ${bunjangPid} (${shopifyGid}) drafted as a duplicate listing (group ${groupId}).`);
+    } catch (error) {
+      logger.error(`[DuplicateSvc:Job-${jobId}] Failed to draft duplicate PID ${bunjangPid} (${shopifyGid}): ${error.message}`);
+    }
+  }
+  await SyncedProduct.updateOne({ bunjangPid }, { $set });
+}
+
+/**
+ * 동기화하려는 상품이 같은 판매자의 다른 상품과 근사 중복인지 확인하고, 그룹과 리스팅 상품을 갱신합니다.
+ * 다른 구성원 중 더 이상 리스팅하지 않을 상품은 여기서 DRAFT 처리합니다.
+ * 검토에서 DISMISSED된 그룹에 함께 있던 상품끼리는 다시 묶지 않습니다.
+ *
+ * @param {object} bunjangProduct - processCatalogRow 결과.
+ * @param {object} [options]
+ * @param {object} [options.syncedDoc] - 이 상품의 SyncedProduct 문서.
+ * @param {string} [options.jobId='N/A']
+ * @param {boolean} [options.dryRun=false] - true이면 그룹 저장과 DRAFT 처리 없이 결과만 계산 (드라이런 보고서용).
+ * @returns {Promise<{suppressed: boolean, groupId?: string, primaryPid?: string, newlySuppressed?: Array<{bunjangPid: string, shopifyGid?: string, listed: boolean}>}>}
+ *   suppressed이면 이 상품은 리스팅하지 않음. newlySuppressed는 이번에 새로 숨겨지는 다른 구성원.
+ */
+async function resolveDuplicateListing(bunjangProduct, { syncedDoc = null, jobId = 'N/A', dryRun = false } = {}) {
+  const settings = config.bunjang.duplicateDetection;
+  if (!settings?.enabled || !bunjangProduct.uid) return { suppressed: false };
+
+  const bunjangPid = bunjangProduct.pid;
+  const current = memberFromProduct(bunjangProduct, buildFingerprint(bunjangProduct));
+  const [candidateDocs, dismissedGroups] = await Promise.all([
+    SyncedProduct.find({ ...CANDIDATE_FILTER, bunjangSellerUid: bunjangProduct.uid, bunjangPid: { $ne: bunjangPid } })
+      .select(CANDIDATE_FIELDS)
+      .sort({ bunjangCreatedAt: -1 })
+      .limit(settings.maxCandidates)
+      .lean(),
+    DuplicateGroup.find({ status: 'DISMISSED', memberPids: bunjangPid }).select({ memberPids: 1 }).lean(),
+  ]);
+
+  const dismissedPids = new Set(dismissedGroups.flatMap(group => group.memberPids));
+  const matches = candidateDocs
+    .filter(doc => !dismissedPids.has(doc.bunjangPid))
+    .map(doc => ({ doc, member: memberFromDoc(doc) }))
+    .map(match => ({ ...match, signals: compareMembers(current, match.member, settings) }))
+    .filter(match => match.signals.length >= settings.minSignals);
+  if (matches.length === 0) return { suppressed: false };
+
+  // 매칭된 상품이 이미 속한 그룹(검토 중/확정)과 합침. 가장 먼저 감지된 그룹을 남김
+  const matchedPids = [bunjangPid, ...matches.map(match => match.member.bunjangPid)];
+  const existingGroups = await DuplicateGroup.find({ status: { $ne: 'DISMISSED' }, memberPids: { $in: matchedPids } }).sort({ firstDetectedAt: 1 });
+  const now = new Date();
+  const group = existingGroups[0] || new DuplicateGroup({ sellerUid: bunjangProduct.uid, firstDetectedAt: now });
+
+  const candidateByPid = new Map(candidateDocs.map(doc => [doc.bunjangPid, doc]));
+  const membersByPid = new Map();
+  for (const existingGroup of existingGroups) {
+    for (const member of existingGroup.members) membersByPid.set(member.bunjangPid, member.toObject());
+  }
+  for (const { member, signals } of matches) membersByPid.set(member.bunjangPid, { ...membersByPid.get(member.bunjangPid), ...member, matchSignals: signals });
+  membersByPid.set(bunjangPid, { ...membersByPid.get(bunjangPid), ...current, shopifyGid: syncedDoc?.shopifyGid, matchSignals: [...new Set(matches.flatMap(match => match.signals))] });
+
+  // 리스팅 후보: 이 상품 + 아직 판매 중인 구성원 (판매/삭제된 구성원은 기록만 유지)
+  const liveMembers = [...membersByPid.values()].filter(member => member.bunjangPid === bunjangPid || candidateByPid.has(member.bunjangPid));
+  const primaryPid = choosePrimary(liveMembers, settings.policy);
+  const suppress = settings.policy !== 'report_only';
+  const livePids = new Set(liveMembers.map(member => member.bunjangPid));
+
+  const newlySuppressed = liveMembers
+    .filter(member => suppress && member.bunjangPid !== bunjangPid && member.bunjangPid !== primaryPid && !candidateByPid.get(member.bunjangPid).duplicateSuppressedAt)
+    .map(({ bunjangPid: pid }) => {
+      const doc = candidateByPid.get(pid);
+      return { bunjangPid: pid, shopifyGid: doc.shopifyGid, listed: Boolean(doc.shopifyGid) && !UNLISTED_STATUSES.includes(doc.shopifyStatus) };
+    });
+  const currentSuppressed = suppress && bunjangPid !== primaryPid;
+  if (dryRun) {
+    return { suppressed: currentSuppressed, groupId: existingGroups[0] ? String(existingGroups[0]._id) : undefined, primaryPid, newlySuppressed };
+  }
+
+  group.set({
+    titleKey: current.titleKey,
+    members: [...membersByPid.values()].map(({ titleKey, imageKeys, ...member }) => ({
+      ...member,
+      suppressed: livePids.has(member.bunjangPid) ? (suppress && member.bunjangPid !== primaryPid) : Boolean(member.suppressed),
+    })),
+    memberPids: [...membersByPid.keys()],
+    primaryPid,
+    policy: settings.policy,
+    lastDetectedAt: now,
+  });
+  await group.save();
+  if (existingGroups.length > 1) {
+    await DuplicateGroup.deleteMany({ _id: { $in: existingGroups.slice(1).map(existing => existing._id) } });
+  }
+  await SyncedProduct.updateMany({ bunjangPid: { $in: [...livePids] } }, { $set: { duplicateGroupId: group._id } });
+
+  for (const { bunjangPid: pid } of newlySuppressed) {
+    await suppressListing(candidateByPid.get(pid), group._id, jobId);
+  }
+  if (primaryPid !== bunjangPid && candidateByPid.get(primaryPid)?.duplicateSuppressedAt) {
+    logger.info(`[DuplicateSvc:Job-${jobId}] PID ${primaryPid} is now the primary listing of group ${group._id} and will be relisted on its next sync.`);
+  }
+
+  if (currentSuppressed) {
+    await suppressListing({ bunjangPid, shopifyGid: syncedDoc?.shopifyGid, shopifyStatus: syncedDoc?.shopifyStatus }, group._id, jobId);
+  }
+  logger.info(`[DuplicateSvc:Job-${jobId}] PID ${bunjangPid} matched ${matches.length} listing(s) of seller ${bunjangProduct.uid} (group ${group._id}, policy ${settings.policy}, primary ${primaryPid}).`);
+  return { suppressed: currentSuppressed, groupId: String(group._id), primaryPid, newlySuppressed };
+}
+
+/**
+ * 중복 그룹 목록 (최근 감지 순).
+ * @param {object} [options] - { status, sellerUid, limit, skip }
+ */
+async function listDuplicateGroups({ status, sellerUid, limit = 50, skip = 0 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (sellerUid) query.sellerUid = sellerUid;
+  const [total, groups] = await Promise.all([
+    DuplicateGroup.countDocuments(query),
+    DuplicateGroup.find(query).sort({ lastDetectedAt: -1 }).skip(skip).limit(limit).lean(),
+  ]);
+  return { total, groups };
+}
+
+/**
+ * 중복 그룹과 구성원 상품의 현재 리스팅 상태.
+ * @param {string} groupId
+ */
+async function getDuplicateGroup(groupId) {
+  const group = await DuplicateGroup.findById(groupId).lean();
+  if (!group) throw new NotFoundError('중복 그룹을 찾을 수 없습니다.', 'DuplicateGroup', groupId);
+
+  const docs = await SyncedProduct.find({ bunjangPid: { $in: group.memberPids } })
+    .select({ bunjangPid: 1, shopifyGid: 1, shopifyStatus: 1, soldFrom: 1, delistedAt: 1, duplicateSuppressedAt: 1 })
+    .lean();
+  const docByPid = new Map(docs.map(doc => [doc.bunjangPid, doc]));
+  return {
+    ...group,
+    members: group.members.map(member => {
+      const doc = docByPid.get(member.bunjangPid);
+      return {
+        ...member,
+        current: doc ? {
+          shopifyGid: doc.shopifyGid || null,
+          shopifyStatus: doc.shopifyStatus || null,
+          soldFrom: doc.soldFrom || null,
+          delistedAt: doc.delistedAt || null,
+          duplicateSuppressedAt: doc.duplicateSuppressedAt || null,
+        } : null,
+      };
+    }),
+  };
+}
+
+/**
+ * 중복 그룹 검토 결과를 기록합니다.
+ * DISMISSED(중복 아님)이면 이 그룹의 상품끼리는 다시 묶지 않으며, 숨겨진 상품은 다음 카탈로그 동기화 때 다시 리스팅됩니다.
+ * @param {string} groupId
+ * @param {object} review - { status, note, reviewedBy }
+ */
+async function reviewDuplicateGroup(groupId, { status, note, reviewedBy }) {
+  const group = await DuplicateGroup.findByIdAndUpdate(
+    groupId,
+    { $set: { status, reviewedBy, reviewedAt: new Date(), ...(note !== undefined && { reviewNote: note }) } },
+    { new: true, runValidators: true, lean: true }
+  );
+  if (!group) throw new NotFoundError('중복 그룹을 찾을 수 없습니다.', 'DuplicateGroup', groupId);
+  logger.info(`[DuplicateSvc] Duplicate group ${groupId} reviewed as ${status} by ${reviewedBy || 'unknown'}.`);
+  return group;
+}
+
+module.exports = {
+  normalizeTitle,
+  buildImageKeys,
+  buildFingerprint,
+  compareMembers,
+  choosePrimary,
+  resolveDuplicateListing,
+  listDuplicateGroups,
+  getDuplicateGroup,
+  reviewDuplicateGroup,
+};
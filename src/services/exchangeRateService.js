@@ -1,18 +1,25 @@
 // src/services/exchangeRateService.js
+// 환율 공급자 체인(OpenExchangeRates → ECB → 수동 환율)에서 환율을 가져와 이력(ExchangeRateHistory)으로 기록하고,
+// 이력을 평활화(config.exchangeRates.smoothing)한 가격 계산용 KRW→USD 환율과 그 출처를 제공합니다.
 const axios = require('axios');
+const mongoose = require('mongoose');
 const config = require('../config');
 const logger = require('../config/logger');
-const { AppError, ExternalServiceError, NotFoundError } = require('../utils/customErrors');
+const ExchangeRate = require('../models/exchangeRate.model');
+const ExchangeRateHistory = require('../models/exchangeRateHistory.model');
+const ExchangeRateOverride = require('../models/exchangeRateOverride.model');
+const { AppError, ExternalServiceError, NotFoundError, ValidationError } = require('../utils/customErrors');
 
 const SERVICE_NAME = 'ExchangeRateSvc';
-const CACHE_DURATION_MS = 3 * 60 * 60 * 1000; // 3시간 (밀리초)
+const CACHE_DURATION_MS = 3 * 60 * 60 * 1000; // 3시간 (밀리초). 마지막 기록이 이보다 오래되면 공급자에서 새로 가져옴
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// 환율 캐시
-let cachedRate = null;
-let lastFetchTime = null;
+// 가격 계산용 환율 캐시 (getPricingRate 결과)
+let pricingRateCache = { value: null, loadedAt: 0 };
+let pricingRateLoading = null;
 
 /**
- * OpenExchangeRates API에서 최신 환율 정보를 가져옵니다.
+ * OpenExchangeRates API에서 최신 환율 정보를 가져옵니다. KRW와 마켓 가격용 통화(config.marketPricing.currencies)를 함께 요청합니다.
  * @returns {Promise<Object>} 환율 데이터
  */
 async function fetchExchangeRatesFromAPI() {
@@ -33,7 +40,7 @@ async function fetchExchangeRatesFromAPI() {
       params: {
         app_id: appId,
         base: 'USD', // USD 기준 환율
-        symbols: 'KRW' // KRW 환율만 가져오기
+        symbols: [...new Set(['KRW', ...config.marketPricing.currencies])].join(','), // KRW + 마켓 통화
       },
       timeout: 10000 // 10초 타임아웃
     });
@@ -63,84 +70,424 @@ async function fetchExchangeRatesFromAPI() {
 }
 
 /**
- * KRW에서 USD로 변환하는 환율을 가져옵니다. (1 KRW = ? USD)
- * 캐시된 값이 있고 유효하면 사용하고, 그렇지 않으면 새로 가져옵니다.
- * @returns {Promise<number>} 1 KRW당 USD 환율
+ * OpenExchangeRates 공급자: latest.json 응답을 공급자 공통 형태로 바꿉니다.
+ * @returns {Promise<{rates: object, sourceTimestamp: Date}>}
  */
-async function getKrwToUsdRate() {
-  const now = Date.now();
-  
-  // 유효한 캐시된 환율이 있는지 확인
-  if (cachedRate !== null && lastFetchTime !== null) {
-    const timeSinceLastFetch = now - lastFetchTime;
-    if (timeSinceLastFetch < CACHE_DURATION_MS) {
-      logger.debug(`[${SERVICE_NAME}] 캐시된 환율 사용: 1 KRW = ${cachedRate} USD (${Math.round(timeSinceLastFetch / 60000)}분 전 캐시됨)`);
-      return cachedRate;
-    }
+async function fetchFromOpenExchangeRates() {
+  const exchangeData = await fetchExchangeRatesFromAPI();
+  return {
+    rates: exchangeData.rates,
+    sourceTimestamp: exchangeData.timestamp ? new Date(exchangeData.timestamp * 1000) : new Date(),
+  };
+}
+
+/**
+ * ECB 기준환율 XML(EUR 기준)을 USD 기준으로 바꿉니다. KRW와 마켓 가격용 통화만 남깁니다.
+ * 예: <Cube time='2026-10-16'><Cube currency='USD' rate='1.0850'/><Cube currency='KRW' rate='1480.50'/>...
+ * @param {string} xml
+ * @returns {{rates: object, sourceTimestamp: Date}}
+ */
+function parseEcbRates(xml) {
+  const eurRates = { EUR: 1 };
+  for (const [, currency, rate] of String(xml).matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+    eurRates[currency] = parseFloat(rate);
   }
-  
+  if (!(eurRates.USD > 0) || !(eurRates.KRW > 0)) {
+    throw new Error('ECB 환율 XML에 USD 또는 KRW 환율이 없습니다.');
+  }
+
+  const rates = {};
+  for (const currency of new Set(['KRW', ...config.marketPricing.currencies])) {
+    if (eurRates[currency] > 0) rates[currency] = parseFloat((eurRates[currency] / eurRates.USD).toFixed(6));
+  }
+  const time = String(xml).match(/time=['"](\d{4}-\d{2}-\d{2})['"]/)?.[1];
+  return { rates, sourceTimestamp: time ? new Date(`${time}T16:00:00+02:00`) : new Date() }; // ECB는 중부유럽 시간 16시 기준
+}
+
+/**
+ * ECB 공급자: 기준환율 XML(config.exchangeRates.ecbUrl)을 가져옵니다.
+ * @returns {Promise<{rates: object, sourceTimestamp: Date}>}
+ */
+async function fetchFromEcb() {
   try {
-    // 새로운 환율 데이터 가져오기
-    const exchangeData = await fetchExchangeRatesFromAPI();
-    
-    // KRW to USD 환율 계산 (1 KRW = ? USD)
-    // API에서는 USD to KRW (1 USD = X KRW)를 제공하므로 역수 계산
-    const usdToKrw = exchangeData.rates.KRW;
-    const krwToUsd = 1 / usdToKrw;
-    
-    // 캐시 업데이트
-    cachedRate = krwToUsd;
-    lastFetchTime = now;
-    
-    logger.info(`[${SERVICE_NAME}] 환율 캐시 업데이트: 1 KRW = ${krwToUsd.toFixed(8)} USD (1 USD = ${usdToKrw} KRW)`);
-    
-    return krwToUsd;
+    logger.info(`[${SERVICE_NAME}] ECB 기준환율 XML에서 환율 정보를 가져오는 중...`);
+    const response = await axios.get(config.exchangeRates.ecbUrl, { timeout: 10000, responseType: 'text' });
+    const result = parseEcbRates(response.data);
+    logger.info(`[${SERVICE_NAME}] ECB 환율 가져오기 성공. USD to KRW: ${result.rates.KRW}`);
+    return result;
   } catch (error) {
-    // 새로운 환율 가져오기에 실패했지만 캐시된 값이 있으면 사용
-    if (cachedRate !== null) {
-      logger.warn(`[${SERVICE_NAME}] 새로운 환율 가져오기 실패, 캐시된 환율 사용: 1 KRW = ${cachedRate} USD`);
-      return cachedRate;
+    logger.error(`[${SERVICE_NAME}] ECB 환율 가져오기 실패: ${error.message}`);
+    throw new ExternalServiceError(SERVICE_NAME, error, 'ECB에서 환율 정보를 가져올 수 없습니다.');
+  }
+}
+
+/**
+ * 만료되지 않은 수동 환율. 없으면 null.
+ * @returns {Promise<object|null>}
+ */
+async function getActiveOverride() {
+  const override = await ExchangeRateOverride.findOne({ base: 'USD' }).lean();
+  if (!override || (override.expiresAt && override.expiresAt <= new Date())) return null;
+  return override;
+}
+
+/**
+ * 수동 환율 공급자.
+ * @returns {Promise<{rates: object, sourceTimestamp: Date}>}
+ */
+async function fetchFromManualOverride() {
+  const override = await getActiveOverride();
+  if (!override) {
+    throw new AppError('설정된 수동 환율이 없습니다.', 503, 'EXCHANGE_RATE_MANUAL_NOT_SET');
+  }
+  return { rates: Object.fromEntries(Object.entries(override.rates)), sourceTimestamp: override.updatedAt };
+}
+
+const PROVIDER_FETCHERS = {
+  openexchangerates: fetchFromOpenExchangeRates,
+  ecb: fetchFromEcb,
+  manual: fetchFromManualOverride,
+};
+
+/**
+ * 공급자 체인(config.exchangeRates.providers) 순서대로 환율을 가져옵니다. force 수동 환율이 있으면 그것을 먼저 사용합니다.
+ * @returns {Promise<{provider: string, rates: object, sourceTimestamp: Date, failures: object[]}>}
+ * @throws {ExternalServiceError} 모든 공급자가 실패하면.
+ */
+async function fetchRatesFromProviders() {
+  const override = await getActiveOverride();
+  if (override?.force) {
+    logger.info(`[${SERVICE_NAME}] 강제 수동 환율 사용: 1 USD = ${override.rates.KRW} KRW (${override.reason || '사유 없음'})`);
+    return { provider: 'manual', rates: Object.fromEntries(Object.entries(override.rates)), sourceTimestamp: override.updatedAt, failures: [] };
+  }
+
+  const failures = [];
+  for (const provider of config.exchangeRates.providers) {
+    const fetcher = PROVIDER_FETCHERS[provider];
+    if (!fetcher) {
+      logger.warn(`[${SERVICE_NAME}] 알 수 없는 환율 공급자 무시: ${provider}`);
+      continue;
+    }
+    try {
+      const result = await fetcher();
+      if (!(result.rates?.KRW > 0)) throw new Error(`${provider} 응답에 KRW 환율이 없습니다.`);
+      if (failures.length > 0) {
+        logger.warn(`[${SERVICE_NAME}] ${failures.map(failure => failure.provider).join(', ')} 실패, ${provider} 환율 사용: 1 USD = ${result.rates.KRW} KRW`);
+      }
+      return { provider, ...result, failures };
+    } catch (error) {
+      failures.push({ provider, message: error.message });
     }
-    
-    // 캐시된 환율도 없으면 에러 발생
-    logger.error(`[${SERVICE_NAME}] 사용 가능한 캐시된 환율이 없고 새로운 환율도 가져올 수 없습니다.`);
-    throw error;
   }
+
+  logger.error(`[${SERVICE_NAME}] 모든 환율 공급자 실패: ${failures.map(failure => `${failure.provider}(${failure.message})`).join(', ')}`);
+  const error = new ExternalServiceError(SERVICE_NAME, null, '모든 환율 공급자에서 환율 정보를 가져올 수 없습니다.', 'EXCHANGE_RATE_ALL_PROVIDERS_FAILED');
+  error.details.failures = failures;
+  throw error;
+}
+
+/**
+ * 공급자 체인에서 환율을 가져와 이력(ExchangeRateHistory)에 기록하고 최신 환율 문서(ExchangeRate, base: USD)를 갱신합니다. (환율 업데이트 작업)
+ * 공급자가 주지 않은 통화(예: KRW만 지정한 수동 환율)는 이전에 저장된 값을 유지합니다.
+ * @returns {Promise<object>} 저장된 ExchangeRate (lean) + provider, previousRates (이전에 저장된 환율, 없으면 null).
+ */
+async function updateAndStoreExchangeRates() {
+  const { provider, rates, sourceTimestamp, failures } = await fetchRatesFromProviders();
+  const krwToUsdRate = 1 / rates.KRW;
+  const fetchedAt = new Date();
+
+  await ExchangeRateHistory.create({ base: 'USD', provider, rates, krwToUsdRate, sourceTimestamp, fetchedAt });
+  const previous = await ExchangeRate.findOne({ base: 'USD' }).select('rates').lean();
+  const stored = await ExchangeRate.findOneAndUpdate(
+    { base: 'USD' },
+    {
+      $set: {
+        rates: { ...(previous?.rates || {}), ...rates },
+        krwToUsdRate, // findOneAndUpdate는 pre('save')를 거치지 않으므로 직접 계산
+        lastUpdatedByApp: fetchedAt,
+        sourceApiTimestamp: sourceTimestamp || fetchedAt,
+        sourceName: provider,
+      },
+    },
+    { upsert: true, new: true, lean: true }
+  );
+  pricingRateCache = { value: null, loadedAt: 0 }; // 다음 가격 계산에서 새 이력으로 다시 평활화
+
+  const retentionCutoff = new Date(fetchedAt.getTime() - config.exchangeRates.historyRetentionDays * DAY_MS);
+  await ExchangeRateHistory.deleteMany({ fetchedAt: { $lt: retentionCutoff } })
+    .catch(error => logger.warn(`[${SERVICE_NAME}] 오래된 환율 이력 삭제 실패: ${error.message}`));
+
+  logger.info(`[${SERVICE_NAME}] 환율 저장 완료 (${provider}): ${Object.entries(rates).map(([currency, rate]) => `${currency}=${rate}`).join(', ')} (1 USD 기준)`);
+  return { ...stored, provider, failures, previousRates: previous?.rates || null };
+}
+
+/**
+ * 평활화 방식에 따라 KRW→USD 환율 하나를 고릅니다.
+ * WORST_OF_WINDOW는 원화 원가가 USD로 가장 비싸지는 값(1 KRW당 USD가 가장 큰 값)입니다.
+ * @param {number[]} rates - 1 KRW당 USD 환율 목록 (최신 순).
+ * @param {string} method - SMOOTHING_METHODS 중 하나.
+ * @returns {number}
+ */
+function smoothKrwToUsdRate(rates, method) {
+  if (method === 'TRAILING_AVERAGE') return rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+  if (method === 'WORST_OF_WINDOW') return Math.max(...rates);
+  return rates[0];
 }
 
 /**
- * 환율 캐시를 강제로 새로고침합니다.
+ * 환율 이력으로 가격 계산용 환율을 계산합니다. 평활화 기간은 가장 최근 공급자 기록 시각 기준입니다. 이력이 없으면 null.
+ * 수동 환율(provider: manual) 기록은 평활화에 넣지 않습니다. 수동 환율을 삭제하거나 만료된 뒤에도 잘못 입력한 값이
+ * 평균/최악값에 남지 않도록 하기 위함이며, 수동 환율이 아직 유효하고 가장 최근 기록이면 평활화 없이 그 값을 씁니다.
+ * @returns {Promise<object|null>} { rate, spotRate, provider, smoothing, windowDays, sampleCount, asOf }
+ */
+async function computePricingRateFromHistory() {
+  const latestAny = await ExchangeRateHistory.findOne({}).sort({ fetchedAt: -1 }).lean();
+  if (!latestAny) return null;
+  if (latestAny.provider === 'manual' && await getActiveOverride()) {
+    return { rate: latestAny.krwToUsdRate, spotRate: latestAny.krwToUsdRate, provider: 'manual', smoothing: 'NONE', asOf: latestAny.fetchedAt };
+  }
+
+  const latest = latestAny.provider === 'manual'
+    ? await ExchangeRateHistory.findOne({ provider: { $ne: 'manual' } }).sort({ fetchedAt: -1 }).lean()
+    : latestAny;
+  if (!latest) return null;
+
+  let smoothing = config.exchangeRates.smoothing;
+  if (!ExchangeRateHistory.SMOOTHING_METHODS.includes(smoothing)) {
+    logger.warn(`[${SERVICE_NAME}] 알 수 없는 환율 평활화 방식 ${smoothing}. NONE으로 처리합니다.`);
+    smoothing = 'NONE';
+  }
+  const windowDays = config.exchangeRates.smoothingWindowDays;
+  let samples = [latest];
+  if (smoothing !== 'NONE') {
+    samples = await ExchangeRateHistory.find({
+      provider: { $ne: 'manual' },
+      fetchedAt: { $gt: new Date(latest.fetchedAt.getTime() - windowDays * DAY_MS) },
+    })
+      .select('krwToUsdRate provider fetchedAt')
+      .sort({ fetchedAt: -1 })
+      .lean();
+  }
+
+  return {
+    rate: smoothKrwToUsdRate(samples.map(sample => sample.krwToUsdRate), smoothing),
+    spotRate: latest.krwToUsdRate,
+    provider: latest.provider,
+    smoothing,
+    ...(smoothing !== 'NONE' && { windowDays, sampleCount: samples.length }),
+    asOf: latest.fetchedAt,
+  };
+}
+
+/**
+ * 가격 계산용 환율을 새로 계산합니다. 마지막 기록이 갱신 주기보다 오래되었으면 먼저 공급자 체인에서 가져옵니다.
+ * 공급자가 모두 실패해도 저장된 이력이 있으면 그 이력으로 계산합니다. (콜드 스타트 대비)
+ * DB에 연결되어 있지 않으면(스크립트 등) 공급자 체인의 현재 환율을 평활화 없이 사용합니다.
+ * @returns {Promise<object>}
+ */
+async function loadPricingRate() {
+  if (mongoose.connection.readyState !== 1) {
+    const { provider, rates, sourceTimestamp } = await fetchRatesFromProviders();
+    return { rate: 1 / rates.KRW, spotRate: 1 / rates.KRW, provider, smoothing: 'NONE', asOf: sourceTimestamp };
+  }
+
+  const override = await getActiveOverride();
+  if (override?.force) {
+    const rate = 1 / override.rates.KRW;
+    return { rate, spotRate: rate, provider: 'manual', smoothing: 'NONE', asOf: override.updatedAt };
+  }
+
+  const latest = await ExchangeRateHistory.findOne({}).select('fetchedAt').sort({ fetchedAt: -1 }).lean();
+  if (!latest || Date.now() - latest.fetchedAt.getTime() >= CACHE_DURATION_MS) {
+    try {
+      await updateAndStoreExchangeRates();
+    } catch (error) {
+      if (!latest) throw error;
+      logger.warn(`[${SERVICE_NAME}] 환율 갱신 실패, 저장된 환율 이력(${latest.fetchedAt.toISOString()})으로 계산합니다: ${error.message}`);
+    }
+  }
+  return computePricingRateFromHistory();
+}
+
+/**
+ * 가격 계산에 쓸 KRW→USD 환율과 출처. config.exchangeRates.pricingRateCacheTtlMs 동안 메모리에 캐시합니다.
+ * 다시 계산하지 못하면 이전에 계산한 값을 사용합니다.
+ * @returns {Promise<{rate: number, spotRate: number, provider: string, smoothing: string, windowDays?: number, sampleCount?: number, asOf: Date}>}
+ * @throws {AppError} 사용할 수 있는 환율이 없으면.
+ */
+async function getPricingRate() {
+  if (pricingRateCache.value && Date.now() - pricingRateCache.loadedAt < config.exchangeRates.pricingRateCacheTtlMs) {
+    return pricingRateCache.value;
+  }
+  if (!pricingRateLoading) {
+    // 동시에 들어온 가격 계산이 공급자를 여러 번 호출하지 않도록 한 번만 계산
+    pricingRateLoading = loadPricingRate()
+      .then(value => {
+        if (!value) throw new AppError('사용 가능한 환율이 없습니다.', 503, 'EXCHANGE_RATE_UNAVAILABLE');
+        pricingRateCache = { value, loadedAt: Date.now() };
+        logger.info(`[${SERVICE_NAME}] 가격 계산용 환율 갱신: 1 KRW = ${value.rate.toFixed(8)} USD (${value.provider}, ${value.smoothing}, 최신 ${value.spotRate.toFixed(8)})`);
+        return value;
+      })
+      .catch(error => {
+        if (pricingRateCache.value) {
+          logger.warn(`[${SERVICE_NAME}] 가격 계산용 환율 갱신 실패, 이전 값 사용: 1 KRW = ${pricingRateCache.value.rate} USD (${error.message})`);
+          return pricingRateCache.value;
+        }
+        logger.error(`[${SERVICE_NAME}] 사용 가능한 환율 이력이 없고 새로운 환율도 가져올 수 없습니다.`);
+        throw error;
+      })
+      .finally(() => {
+        pricingRateLoading = null;
+      });
+  }
+  return pricingRateLoading;
+}
+
+/**
+ * KRW에서 USD로 변환하는 가격 계산용 환율을 가져옵니다. (1 KRW = ? USD, getPricingRate 참고)
+ * @returns {Promise<number>} 1 KRW당 USD 환율
+ */
+async function getKrwToUsdRate() {
+  const { rate } = await getPricingRate();
+  return rate;
+}
+
+/**
+ * 공급자 체인에서 환율을 새로 가져와 저장하고 가격 계산용 환율을 다시 계산합니다.
  * @returns {Promise<number>} 새로운 1 KRW당 USD 환율
  */
 async function refreshExchangeRate() {
   logger.info(`[${SERVICE_NAME}] 환율 캐시 강제 새로고침 중...`);
-  
-  // 캐시 삭제하여 강제로 새로 가져오도록 함
-  cachedRate = null;
-  lastFetchTime = null;
-  
+  if (mongoose.connection.readyState === 1) {
+    await updateAndStoreExchangeRates();
+  }
+  pricingRateCache = { value: null, loadedAt: 0 };
   return await getKrwToUsdRate();
 }
 
 /**
- * 현재 캐시된 환율 정보를 가져옵니다.
+ * 현재 캐시된 가격 계산용 환율 정보를 가져옵니다.
  * @returns {Object|null} 캐시된 환율 정보 또는 null
  */
 function getCachedRateInfo() {
-  if (cachedRate === null || lastFetchTime === null) {
+  if (!pricingRateCache.value) {
     return null;
   }
-  
-  const now = Date.now();
-  const age = now - lastFetchTime;
-  const expiresIn = Math.max(0, CACHE_DURATION_MS - age);
-  
+
+  const ttl = config.exchangeRates.pricingRateCacheTtlMs;
+  const age = Date.now() - pricingRateCache.loadedAt;
   return {
-    rate: cachedRate,
-    lastFetchTime: new Date(lastFetchTime),
+    ...pricingRateCache.value,
+    lastFetchTime: new Date(pricingRateCache.loadedAt),
     ageMinutes: Math.round(age / 60000),
-    expiresInMinutes: Math.round(expiresIn / 60000),
-    isExpired: age >= CACHE_DURATION_MS
+    expiresInMinutes: Math.round(Math.max(0, ttl - age) / 60000),
+    isExpired: age >= ttl
+  };
+}
+
+/**
+ * 저장된 USD 기준 환율 (1 USD = ? 통화). 환율 업데이트 작업이 한 번도 실행되지 않았으면 null.
+ * @returns {Promise<{rates: object, sourceApiTimestamp: Date, lastUpdatedByApp: Date, sourceName: string}|null>}
+ */
+async function getStoredUsdRates() {
+  return ExchangeRate.findOne({ base: 'USD' }).select('rates sourceApiTimestamp lastUpdatedByApp sourceName').lean();
+}
+
+/**
+ * 환율 이력 (최신 순).
+ * @param {object} [options]
+ * @param {number} [options.days=30]
+ * @param {string} [options.provider]
+ * @param {number} [options.limit=500]
+ * @returns {Promise<object[]>}
+ */
+async function getExchangeRateHistory({ days = 30, provider, limit = 500 } = {}) {
+  const query = { fetchedAt: { $gte: new Date(Date.now() - days * DAY_MS) } };
+  if (provider) query.provider = provider;
+  return ExchangeRateHistory.find(query).sort({ fetchedAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * 수동 환율을 지정합니다. force이면 바로 공급자 체인에 반영해 저장된 환율(마켓 가격 포함)도 갱신합니다.
+ * KRW 환율은 마지막 공급자 환율과 config.exchangeRates.manualMaxDeviationPercent 이내여야 합니다.
+ * @param {object} params
+ * @param {object} params.rates - 1 USD = ? 통화 (KRW 필수).
+ * @param {boolean} [params.force=false]
+ * @param {Date|null} [params.expiresAt]
+ * @param {string} [params.reason]
+ * @param {string} [params.updatedBy]
+ * @returns {Promise<object>} 저장된 수동 환율 (lean).
+ */
+async function setManualOverride({ rates, force = false, expiresAt = null, reason, updatedBy }) {
+  if (!(rates?.KRW > 0)) {
+    throw new ValidationError('수동 환율에는 KRW 환율이 필요합니다.', [{ field: 'rates.KRW', message: 'rates.KRW must be a positive number.', value: rates?.KRW }]);
+  }
+  if (expiresAt && expiresAt <= new Date()) {
+    throw new ValidationError('expiresAt은 현재 이후여야 합니다.', [{ field: 'expiresAt', message: 'expiresAt must be in the future.', value: expiresAt }]);
+  }
+
+  // 마지막 공급자 환율과 크게 다르면 오타(예: 1380 대신 138)로 보고 거부
+  const lastProviderRate = await ExchangeRateHistory.findOne({ provider: { $ne: 'manual' } }).select('krwToUsdRate fetchedAt').sort({ fetchedAt: -1 }).lean();
+  if (lastProviderRate) {
+    const referenceKrw = 1 / lastProviderRate.krwToUsdRate;
+    const deviationPercent = Math.abs(rates.KRW - referenceKrw) / referenceKrw * 100;
+    const maxDeviationPercent = config.exchangeRates.manualMaxDeviationPercent;
+    if (deviationPercent > maxDeviationPercent) {
+      throw new ValidationError(
+        `수동 KRW 환율(${rates.KRW})이 마지막 공급자 환율(${referenceKrw.toFixed(2)})과 ${deviationPercent.toFixed(1)}% 차이 납니다. (허용: ${maxDeviationPercent}%)`,
+        [{ field: 'rates.KRW', message: `rates.KRW must be within ${maxDeviationPercent}% of the last provider rate ${referenceKrw.toFixed(2)}.`, value: rates.KRW }]
+      );
+    }
+  }
+
+  const override = await ExchangeRateOverride.findOneAndUpdate(
+    { base: 'USD' },
+    { $set: { rates, force, expiresAt, reason, updatedBy } },
+    { upsert: true, new: true, runValidators: true, lean: true }
+  );
+  logger.info(`[${SERVICE_NAME}] 수동 환율 지정: 1 USD = ${rates.KRW} KRW (force: ${force}, 만료: ${expiresAt ? expiresAt.toISOString() : '없음'}, 사유: ${reason || '-'})`);
+  pricingRateCache = { value: null, loadedAt: 0 };
+  if (force) {
+    await updateAndStoreExchangeRates();
+  }
+  return override;
+}
+
+/**
+ * 수동 환율을 삭제합니다.
+ * @returns {Promise<object>} 삭제된 수동 환율 (lean).
+ * @throws {NotFoundError} 지정된 수동 환율이 없으면.
+ */
+async function clearManualOverride() {
+  const override = await ExchangeRateOverride.findOneAndDelete({ base: 'USD' }).lean();
+  if (!override) throw new NotFoundError('지정된 수동 환율이 없습니다.', 'ExchangeRateOverride', 'USD');
+  logger.info(`[${SERVICE_NAME}] 수동 환율 삭제 (1 USD = ${override.rates.KRW} KRW, force: ${override.force}).`);
+  pricingRateCache = { value: null, loadedAt: 0 };
+  return override;
+}
+
+/**
+ * 환율 상태: 가격 계산용 환율과 출처, 저장된 최신 환율, 수동 환율, 공급자/평활화 설정.
+ * @returns {Promise<object>}
+ */
+async function getExchangeRateStatus() {
+  const [stored, override] = await Promise.all([getStoredUsdRates(), ExchangeRateOverride.findOne({ base: 'USD' }).lean()]);
+  let pricingRate = null;
+  let pricingRateError = null;
+  try {
+    pricingRate = await getPricingRate();
+  } catch (error) {
+    pricingRateError = error.message;
+  }
+  const { providers, smoothing, smoothingWindowDays } = config.exchangeRates;
+  return {
+    providers,
+    smoothing,
+    smoothingWindowDays,
+    pricingRate: pricingRate && { ...pricingRate, usdToKrw: parseFloat((1 / pricingRate.rate).toFixed(4)) },
+    ...(pricingRateError && { pricingRateError }),
+    stored,
+    manualOverride: override && { ...override, active: !override.expiresAt || override.expiresAt > new Date() },
   };
 }
 
@@ -188,8 +535,18 @@ function stopAutoRefresh() {
 
 module.exports = {
   getKrwToUsdRate,
+  getPricingRate,
   refreshExchangeRate,
   getCachedRateInfo,
+  parseEcbRates,
+  smoothKrwToUsdRate,
+  fetchRatesFromProviders,
+  updateAndStoreExchangeRates,
+  getStoredUsdRates,
+  getExchangeRateHistory,
+  getExchangeRateStatus,
+  setManualOverride,
+  clearManualOverride,
   startAutoRefresh,
   stopAutoRefresh
 };
\ No newline at end of file
@@ -38,7 +38,7 @@ async function syncBunjangInventoryToShopify(bunjangPid, quantity) {
       query getProductVariants($id: ID!) {
         product(id: $id) {
           id
-          variants(first: 5) {
+          variants(first: 100) {
             edges {
               node {
                 id
@@ -72,15 +72,17 @@ async function syncBunjangInventoryToShopify(bunjangPid, quantity) {
       return false;
     }
     
-    // 첫 번째 variant의 inventory item ID 가져오기
-    const inventoryItemId = product.variants.edges[0].node.inventoryItem?.id;
-    if (!inventoryItemId) {
+    // 모든 variant의 inventory item ID 가져오기 (옵션 상품은 variant가 여러 개)
+    const inventoryItemIds = product.variants.edges.map(edge => edge.node.inventoryItem?.id).filter(Boolean);
+    if (inventoryItemIds.length === 0) {
       logger.error(`[InventorySvc] No inventory item found for product ${syncedProduct.shopifyGid}`);
       return false;
     }
     
     // 재고 업데이트 - 환경변수의 위치 사용
-    await shopifyService.updateInventoryLevel(inventoryItemId, BUNJANG_WAREHOUSE_GID, quantity);
+    for (const inventoryItemId of inventoryItemIds) {
+      await shopifyService.updateInventoryLevel(inventoryItemId, BUNJANG_WAREHOUSE_GID, quantity);
+    }
     
     // DB 업데이트
     await SyncedProduct.updateOne(
@@ -199,7 +201,7 @@ async function handleProductSoldStatus(bunjangPid, shopifyGid, soldFrom) {
  * 상품을 DRAFT 상태로 변경합니다.
  * @param {string} shopifyGid - Shopify 상품 GID
  * @param {string} bunjangPid - 번개장터 상품 ID
- * @param {string} platform - 판매 플랫폼 ('bunjang' 또는 'shopify')
+ * @param {string} platform - 판매 플랫폼 ('bunjang', 'shopify', 카탈로그에서 사라진 경우 'bunjang_delisted', 차단된 판매자 상품은 'bunjang_blocked_seller', 중복 리스팅은 'bunjang_duplicate')
  */
 async function markProductAsDraft(shopifyGid, bunjangPid, platform) {
   try {
@@ -229,6 +231,15 @@ async function markProductAsDraft(shopifyGid, bunjangPid, platform) {
       if (platform === 'bunjang' && !newTitle.includes('[번개장터 판매완료]')) {
         newTitle = `[번개장터 판매완료] ${newTitle}`;
         tags.push('sold_bunjang_only');
+      } else if (platform === 'bunjang_delisted') {
+        // 전체 카탈로그에서 사라진 상품: 판매 여부를 알 수 없으므로 제목은 유지하고 태그만 추가
+        tags.push('bunjang_delisted');
+      } else if (platform === 'bunjang_blocked_seller') {
+        // 판매자 레지스트리에서 차단된 판매자의 상품
+        tags.push('bunjang_blocked_seller');
+      } else if (platform === 'bunjang_duplicate') {
+        // 같은 판매자가 다시 올린 중복 상품 중 리스팅하지 않을 상품
+        tags.push('bunjang_duplicate');
       }
       
       // 상품 업데이트
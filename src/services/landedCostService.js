@@ -0,0 +1,179 @@
+// src/services/landedCostService.js
+// 판매가 계산의 원가(landed cost)를 계산합니다: 상품가 + 번개장터 국내 배송비 + 국제 운임 추정 + 배송지 추가 요금.
+// 국제 운임은 카테고리별 무게/크기 등급(ShippingClass)과 운임표(config.landedCost.freight)로 추정합니다.
+// 등급은 가격 계산마다 필요하므로 메모리에 캐시하고, 변경 시와 캐시 TTL 경과 시 다시 읽습니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const ShippingClass = require('../models/shippingClass.model');
+const defaultShippingClasses = require('../config/shippingClassDefaults');
+const { NotFoundError, ValidationError } = require('../utils/customErrors');
+const { seedDefaultsOnce } = require('./defaultSeedService');
+
+let cachedState = { classes: [], loadedAt: 0 };
+
+const roundUsd = value => Math.round(value * 100) / 100;
+
+/**
+ * 활성화된 등급을 DB에서 다시 읽어 캐시합니다. 실패하면 기존 캐시를 유지합니다.
+ * @returns {Promise<object[]>}
+ */
+async function refreshShippingClasses() {
+  try {
+    await seedDefaultsOnce({ name: 'shippingClasses', Model: ShippingClass, defaults: defaultShippingClasses, logTag: 'LandedCostSvc', label: 'default shipping classes' });
+    const classes = await ShippingClass.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+    cachedState = { classes, loadedAt: Date.now() };
+    logger.info(`[LandedCostSvc] Loaded ${classes.length} shipping classes.`);
+  } catch (error) {
+    logger.warn(`[LandedCostSvc] Failed to load shipping classes. Keeping ${cachedState.classes.length} cached classes: ${error.message}`);
+  }
+  return cachedState.classes;
+}
+
+/**
+ * 캐시가 TTL보다 오래되었으면 다시 읽습니다. (API 서버 외 프로세스에서도 변경된 등급이 반영되도록)
+ */
+async function refreshShippingClassesIfStale() {
+  if (Date.now() - cachedState.loadedAt >= config.landedCost.shippingClassCacheTtlMs) {
+    await refreshShippingClasses();
+  }
+}
+
+/**
+ * 카테고리에 적용할 무게/크기 등급을 고릅니다.
+ * categoryIds 중 상품 카테고리의 접두사인 가장 긴 ID를 가진 등급 → priority 순 → isDefault 등급 → 기본 등급 목록의 isDefault.
+ * @param {string} categoryId
+ * @param {object[]} [classes] - 기본값은 캐시된 활성 등급.
+ * @returns {object}
+ */
+function selectShippingClass(categoryId, classes = cachedState.classes) {
+  const id = String(categoryId || '').trim();
+  let selected = null;
+  let selectedLength = 0;
+
+  if (id) {
+    for (const shippingClass of classes) {
+      for (const classCategoryId of shippingClass.categoryIds || []) {
+        if (!classCategoryId || !id.startsWith(classCategoryId)) continue;
+        // classes는 priority 순이므로 길이가 같으면 먼저 나온 등급 유지
+        if (classCategoryId.length > selectedLength) {
+          selected = { ...shippingClass, matchedCategoryId: classCategoryId };
+          selectedLength = classCategoryId.length;
+        }
+      }
+    }
+  }
+  return selected
+    || classes.find(shippingClass => shippingClass.isDefault)
+    || defaultShippingClasses.find(shippingClass => shippingClass.isDefault);
+}
+
+/**
+ * 등급의 국제 운임(USD)을 추정합니다. 기본 요금 + kg당 요금 * 청구 무게(실무게와 부피무게 중 큰 값).
+ * @param {object} shippingClass
+ * @returns {{freightUsd: number, chargeableWeightKg: number}}
+ */
+function estimateFreight(shippingClass) {
+  const { baseFeeUsd, perKgUsd, volumetricDivisor } = config.landedCost.freight;
+  const { weightKg = 0, lengthCm, widthCm, heightCm } = shippingClass;
+  const volumetricWeightKg = lengthCm && widthCm && heightCm ? (lengthCm * widthCm * heightCm) / volumetricDivisor : 0;
+  const chargeableWeightKg = Math.round(Math.max(weightKg, volumetricWeightKg) * 100) / 100;
+
+  if (shippingClass.freightOverrideUsd != null) {
+    return { freightUsd: shippingClass.freightOverrideUsd, chargeableWeightKg };
+  }
+  return { freightUsd: roundUsd(baseFeeUsd + perKgUsd * chargeableWeightKg), chargeableWeightKg };
+}
+
+/**
+ * 배송지 추가 요금(USD). 설정에 없는 배송지는 0.
+ * @param {string} destination - 국가 코드 (예: 'US').
+ * @returns {number}
+ */
+function getDestinationSurchargeUsd(destination) {
+  return config.landedCost.destinationSurchargesUsd[String(destination || '').toUpperCase()] || 0;
+}
+
+/**
+ * 상품의 원가(landed cost)를 USD로 계산합니다. config.landedCost.enabled가 false이면 상품가만 포함합니다.
+ * @param {{price: number, shippingFee?: number, categoryId?: string}} product
+ * @param {number} krwToUsdRate - 1 KRW당 USD 환율.
+ * @param {object} [options]
+ * @param {string} [options.destination] - 배송지 국가 코드 (기본값: config.landedCost.defaultDestination).
+ * @returns {Promise<object>} { itemCostUsd, bunjangShippingUsd, freightUsd, destinationSurchargeUsd, landedCostUsd, shippingClass, chargeableWeightKg, destination }
+ */
+async function calculateLandedCost(product, krwToUsdRate, { destination = config.landedCost.defaultDestination } = {}) {
+  const itemCostUsd = product.price * krwToUsdRate;
+  if (!config.landedCost.enabled) {
+    return {
+      itemCostUsd: roundUsd(itemCostUsd), bunjangShippingUsd: 0, freightUsd: 0, destinationSurchargeUsd: 0,
+      landedCostUsd: itemCostUsd, shippingClass: null, chargeableWeightKg: null, destination: null,
+    };
+  }
+
+  await refreshShippingClassesIfStale();
+  const shippingClass = selectShippingClass(product.categoryId);
+  const { freightUsd, chargeableWeightKg } = estimateFreight(shippingClass);
+  const bunjangShippingUsd = (Number(product.shippingFee) || 0) * krwToUsdRate;
+  const normalizedDestination = String(destination || '').toUpperCase() || null;
+  const destinationSurchargeUsd = getDestinationSurchargeUsd(normalizedDestination);
+  const landedCostUsd = itemCostUsd + bunjangShippingUsd + freightUsd + destinationSurchargeUsd;
+
+  logger.debug(`[LandedCostSvc] Landed cost for category ${product.categoryId || '-'} (${shippingClass.code}, ${chargeableWeightKg}kg → ${normalizedDestination}): item ${itemCostUsd.toFixed(2)} + bunjang shipping ${bunjangShippingUsd.toFixed(2)} + freight ${freightUsd} + surcharge ${destinationSurchargeUsd} = ${landedCostUsd.toFixed(2)}`);
+  return {
+    itemCostUsd: roundUsd(itemCostUsd),
+    bunjangShippingUsd: roundUsd(bunjangShippingUsd),
+    freightUsd,
+    destinationSurchargeUsd,
+    landedCostUsd, // 반올림 전 값 (가격 계산용)
+    shippingClass: shippingClass.code,
+    chargeableWeightKg,
+    destination: normalizedDestination,
+  };
+}
+
+async function listShippingClasses() {
+  return ShippingClass.find({}).sort({ priority: 1, code: 1 }).lean();
+}
+
+/**
+ * 무게/크기 등급을 추가하거나 수정합니다.
+ * @param {string} code
+ * @param {object} fields - { name, weightKg, lengthCm, widthCm, heightCm, freightOverrideUsd, categoryIds, isDefault, priority, enabled, notes, updatedBy }
+ */
+async function upsertShippingClass(code, fields) {
+  const normalizedCode = String(code).trim().toUpperCase();
+  const $set = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  if ($set.weightKg === undefined && !(await ShippingClass.exists({ code: normalizedCode }))) {
+    throw new ValidationError('새 배송 등급에는 weightKg가 필요합니다.', [{ field: 'weightKg', message: 'weightKg is required when creating a shipping class.' }]);
+  }
+  const shippingClass = await ShippingClass.findOneAndUpdate(
+    { code: normalizedCode },
+    { $set, $setOnInsert: { code: normalizedCode } },
+    { upsert: true, new: true, runValidators: true, lean: true }
+  );
+  logger.info(`[LandedCostSvc] Shipping class ${normalizedCode} saved (${shippingClass.weightKg}kg, categories: ${(shippingClass.categoryIds || []).join(', ') || '-'}).`);
+  await refreshShippingClasses();
+  return { ...shippingClass, estimatedFreight: estimateFreight(shippingClass) };
+}
+
+async function deleteShippingClass(code) {
+  const normalizedCode = String(code).trim().toUpperCase();
+  const shippingClass = await ShippingClass.findOneAndDelete({ code: normalizedCode }).lean();
+  if (!shippingClass) throw new NotFoundError('배송 등급을 찾을 수 없습니다.', 'ShippingClass', normalizedCode);
+  logger.info(`[LandedCostSvc] Shipping class ${normalizedCode} deleted.`);
+  await refreshShippingClasses();
+  return shippingClass;
+}
+
+module.exports = {
+  refreshShippingClasses,
+  refreshShippingClassesIfStale,
+  selectShippingClass,
+  estimateFreight,
+  getDestinationSurchargeUsd,
+  calculateLandedCost,
+  listShippingClasses,
+  upsertShippingClass,
+  deleteShippingClass,
+};
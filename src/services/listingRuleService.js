@@ -0,0 +1,197 @@
+// src/services/listingRuleService.js
+// 카탈로그 행 리스팅 규칙(ListingRule)의 저장/조회와 평가를 담당합니다.
+// processCatalogRow는 동기 함수이므로 규칙은 메모리에 캐시하고, 카탈로그 실행 시작 시와 규칙 변경 시, 캐시 TTL 경과 시 새로 읽습니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const ListingRule = require('../models/listingRule.model');
+const { refreshSellerStatusCache, getCachedSellerStatus } = require('./sellerRegistryService');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const CRITERIA_FIELDS = ['minPriceKrw', 'maxPriceKrw', 'maxShippingFeeKrw', 'conditions', 'brandIds', 'sellerUids', 'categoryIds', 'keywords'];
+
+let cachedRules = { include: [], exclude: [] };
+let rulesLoadedAt = 0;
+
+/**
+ * 활성화된 규칙과 차단/허용 판매자 목록을 DB에서 다시 읽어 캐시합니다. 실패하면 기존 캐시를 유지합니다.
+ * @returns {Promise<{include: Array<object>, exclude: Array<object>}>}
+ */
+async function refreshListingRules() {
+  await refreshSellerStatusCache();
+  try {
+    const rules = await ListingRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+    cachedRules = {
+      include: rules.filter(rule => rule.action === 'include'),
+      exclude: rules.filter(rule => rule.action === 'exclude'),
+    };
+    rulesLoadedAt = Date.now();
+    logger.info(`[ListingRuleSvc] Loaded ${cachedRules.include.length} include and ${cachedRules.exclude.length} exclude listing rules.`);
+  } catch (error) {
+    logger.warn(`[ListingRuleSvc] Failed to load listing rules. Keeping ${cachedRules.include.length + cachedRules.exclude.length} cached rules: ${error.message}`);
+  }
+  return cachedRules;
+}
+
+/**
+ * 캐시가 TTL보다 오래되었으면 다시 읽습니다. (카탈로그 실행 시작 갱신을 거치지 않는 재동기화/큐 작업 경로용)
+ */
+async function refreshListingRulesIfStale() {
+  if (Date.now() - rulesLoadedAt >= config.listingRules.cacheTtlMs) {
+    await refreshListingRules();
+  }
+}
+
+/**
+ * 상품이 규칙의 조건을 모두 만족하는지 확인합니다.
+ * @param {object} criteria - ListingRule.criteria
+ * @param {object} product - processCatalogRow가 만든 상품 객체.
+ * @returns {boolean}
+ */
+function matchesCriteria(criteria = {}, product) {
+  if (criteria.minPriceKrw != null && !(product.price >= criteria.minPriceKrw)) return false;
+  if (criteria.maxPriceKrw != null && !(product.price <= criteria.maxPriceKrw)) return false;
+  if (criteria.maxShippingFeeKrw != null && !((product.shippingFee || 0) <= criteria.maxShippingFeeKrw)) return false;
+  if (criteria.conditions?.length && !criteria.conditions.includes(product.condition)) return false;
+  if (criteria.brandIds?.length && !criteria.brandIds.includes(product.brandId)) return false;
+  if (criteria.sellerUids?.length && !criteria.sellerUids.includes(product.uid)) return false;
+  if (criteria.categoryIds?.length && !criteria.categoryIds.includes(product.categoryId)) return false;
+  if (criteria.keywords?.length) {
+    const text = `${product.name || ''}\n${product.description || ''}`.toLowerCase();
+    if (!criteria.keywords.some(keyword => text.includes(keyword))) return false;
+  }
+  return true;
+}
+
+/**
+ * 상품의 리스팅 가능 여부를 평가합니다.
+ * 평가 순서: 시스템 규칙(즉시구매 가능 여부, 판매자 레지스트리, 환경변수 BUNJANG_FILTER_CATEGORY_IDS) → 제외 규칙 → 포함 규칙.
+ * @param {object} product - processCatalogRow가 만든 상품 객체.
+ * @param {{include: Array<object>, exclude: Array<object>}} [rules] - 평가할 규칙 (기본값: 캐시된 규칙).
+ * @returns {{eligible: boolean, reason?: {code: string, ruleId?: string, ruleName?: string, message: string}}}
+ */
+function evaluateListingRules(product, rules = cachedRules) {
+  const { canInstantTrade } = product;
+  if (canInstantTrade !== 'true' && canInstantTrade !== true && canInstantTrade !== '1') {
+    return { eligible: false, reason: { code: 'SYSTEM_NOT_INSTANT_TRADE', message: `canInstantTrade is '${canInstantTrade}' (not true).` } };
+  }
+
+  const sellerStatus = getCachedSellerStatus(product.uid);
+  if (sellerStatus === 'blocked') {
+    return { eligible: false, reason: { code: 'SYSTEM_BLOCKED_SELLER', message: `Seller ${product.uid} is blocked.` } };
+  }
+  if (config.bunjang.sellerRegistry?.allowlistOnly && sellerStatus !== 'allowed') {
+    return { eligible: false, reason: { code: 'SYSTEM_SELLER_NOT_ALLOWED', message: `Seller ${product.uid || '(none)'} is not on the allowlist.` } };
+  }
+
+  const filterCategoryIds = config.bunjang.filterCategoryIds || [];
+  if (filterCategoryIds.length > 0 && product.categoryId && !filterCategoryIds.includes(product.categoryId)) {
+    return { eligible: false, reason: { code: 'SYSTEM_CATEGORY_FILTER', message: `categoryId '${product.categoryId}' not in filter list [${filterCategoryIds.join(', ')}].` } };
+  }
+
+  const excludedBy = rules.exclude.find(rule => matchesCriteria(rule.criteria, product));
+  if (excludedBy) {
+    return {
+      eligible: false,
+      reason: { code: 'RULE_EXCLUDED', ruleId: String(excludedBy._id), ruleName: excludedBy.name, message: `Excluded by rule '${excludedBy.name}'.` },
+    };
+  }
+
+  if (rules.include.length > 0 && !rules.include.some(rule => matchesCriteria(rule.criteria, product))) {
+    return { eligible: false, reason: { code: 'RULE_NO_INCLUDE_MATCH', message: 'Did not match any include rule.' } };
+  }
+
+  return { eligible: true };
+}
+
+/**
+ * 거부 사유를 집계용 키로 변환합니다. (예: 'rule:고가품 제외', 'SYSTEM_NOT_INSTANT_TRADE')
+ * @param {object} reason - evaluateListingRules의 reason.
+ * @returns {string}
+ */
+function getRejectionKey(reason) {
+  return reason.ruleName ? `rule:${reason.ruleName}` : reason.code;
+}
+
+function assertValidCriteria(criteria) {
+  const hasCriterion = criteria && CRITERIA_FIELDS.some((field) => {
+    const value = criteria[field];
+    return Array.isArray(value) ? value.length > 0 : value != null;
+  });
+  if (!hasCriterion) {
+    throw new ValidationError('규칙에는 최소 하나의 조건이 필요합니다.', [
+      { field: 'criteria', message: `One of ${CRITERIA_FIELDS.join(', ')} is required.` },
+    ]);
+  }
+  if (criteria.minPriceKrw != null && criteria.maxPriceKrw != null && criteria.minPriceKrw > criteria.maxPriceKrw) {
+    throw new ValidationError('minPriceKrw는 maxPriceKrw보다 클 수 없습니다.', [
+      { field: 'criteria.minPriceKrw', message: 'minPriceKrw must be <= maxPriceKrw', value: criteria.minPriceKrw },
+    ]);
+  }
+}
+
+async function saveRule(rule) {
+  try {
+    await rule.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 이름의 리스팅 규칙이 이미 있습니다: ${rule.name}`, 409, 'LISTING_RULE_DUPLICATE', true, { name: rule.name });
+    }
+    throw error;
+  }
+}
+
+async function listRules({ action, enabled } = {}) {
+  const query = {};
+  if (action) query.action = action;
+  if (enabled !== undefined) query.enabled = enabled;
+  return ListingRule.find(query).sort({ action: 1, priority: 1, createdAt: 1 }).lean();
+}
+
+async function getRule(ruleId) {
+  const rule = await ListingRule.findById(ruleId).lean();
+  if (!rule) throw new NotFoundError('리스팅 규칙을 찾을 수 없습니다.', 'ListingRule', ruleId);
+  return rule;
+}
+
+async function createRule(ruleData) {
+  assertValidCriteria(ruleData.criteria);
+  const rule = new ListingRule(ruleData);
+  await saveRule(rule);
+  logger.info(`[ListingRuleSvc] Listing rule '${rule.name}' (${rule.action}) created.`);
+  await refreshListingRules();
+  return rule.toObject();
+}
+
+async function updateRule(ruleId, updates) {
+  const rule = await ListingRule.findById(ruleId);
+  if (!rule) throw new NotFoundError('리스팅 규칙을 찾을 수 없습니다.', 'ListingRule', ruleId);
+
+  if (updates.criteria) assertValidCriteria(updates.criteria);
+  rule.set(updates);
+  await saveRule(rule);
+  logger.info(`[ListingRuleSvc] Listing rule '${rule.name}' (${rule._id}) updated.`);
+  await refreshListingRules();
+  return rule.toObject();
+}
+
+async function deleteRule(ruleId) {
+  const rule = await ListingRule.findByIdAndDelete(ruleId).lean();
+  if (!rule) throw new NotFoundError('리스팅 규칙을 찾을 수 없습니다.', 'ListingRule', ruleId);
+  logger.info(`[ListingRuleSvc] Listing rule '${rule.name}' (${rule._id}) deleted.`);
+  await refreshListingRules();
+  return rule;
+}
+
+module.exports = {
+  refreshListingRules,
+  refreshListingRulesIfStale,
+  evaluateListingRules,
+  matchesCriteria,
+  getRejectionKey,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,285 @@
+// src/services/marketPricingService.js
+// Shopify Markets 통화별 가격 목록(price list)에 상품별 고정 가격을 씁니다.
+// 현지 가격 = 리스팅 가격(USD) * 적용 환율 → 통화별 끝자리 처리 (원가 아래로 내려가지 않음).
+// 적용 환율은 저장된 실제 환율이 config.marketPricing.rateChangeThresholdPercent 이상 움직였을 때만 바꾸므로,
+// 환율이 조금씩 움직여도 현지 가격은 그대로 유지되고 고정 가격이 없는 상품만 Shopify 자동 환산을 사용합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { getStoredUsdRates } = require('./exchangeRateService');
+const { applyPriceRounding } = require('./priceCalculationService');
+const MarketPriceList = require('../models/marketPriceList.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { getQueue } = require('../jobs/queues');
+const { AppError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'MarketPricingSvc';
+const SYNC_JOB_NAME = 'SyncMarketPriceLists';
+const SYNC_JOB_ID = 'market-price-sync';
+const PRICE_BATCH_SIZE = 100; // priceListFixedPricesByProductUpdate 한 번에 보낼 상품 수
+const ZERO_DECIMAL_CURRENCIES = new Set(['JPY', 'KRW', 'VND', 'CLP', 'ISK']);
+const IN_PROGRESS_STATES = ['waiting', 'active', 'delayed', 'prioritized', 'waiting-children'];
+
+/**
+ * 통화별 끝자리 처리 설정 문자열을 해석합니다. 예: 'CHARM_99', 'STEP:100', 'NEAREST_5_ABOVE_THRESHOLD:200'
+ * @param {string} currency
+ * @returns {{strategy: string, value?: number}}
+ */
+function getMarketRounding(currency) {
+  const [strategy, value] = String(config.marketPricing.rounding[currency] || 'NONE').split(':');
+  return { strategy, ...(value !== undefined && !isNaN(parseFloat(value)) && { value: parseFloat(value) }) };
+}
+
+/**
+ * 현지 통화 금액에 통화별 끝자리 처리를 적용합니다.
+ * STEP은 value 단위로 올림 (예: JPY 100엔 단위), 그 외 전략은 가격 프로필과 같은 계산(applyPriceRounding)을 사용합니다.
+ * @param {number} amount - 처리 전 현지 통화 금액.
+ * @param {string} currency
+ * @param {number} [floorAmount=0] - 내려갈 수 없는 하한 (현지 통화 원가).
+ * @returns {string} Shopify MoneyInput amount (소수 자릿수는 통화에 맞춤).
+ */
+function roundMarketPrice(amount, currency, floorAmount = 0) {
+  const decimals = ZERO_DECIMAL_CURRENCIES.has(currency) ? 0 : 2;
+  const rounding = getMarketRounding(currency);
+  let rounded;
+  if (rounding.strategy === 'STEP') {
+    const step = rounding.value || 1;
+    rounded = Math.ceil(Math.max(amount, floorAmount) / step) * step;
+  } else {
+    rounded = applyPriceRounding(amount, { strategy: rounding.strategy, thresholdUsd: rounding.value }, floorAmount).priceUsd;
+  }
+  return decimals === 0 ? String(Math.ceil(rounded)) : rounded.toFixed(2);
+}
+
+/**
+ * 리스팅 가격(USD)을 현지 고정 가격으로 환산합니다.
+ * @param {string|number} priceUsd - SyncedProduct.shopifyListedPriceUsd
+ * @param {string} currency
+ * @param {number} rate - 1 USD = ? 통화 (적용 환율).
+ * @param {number} [landedCostUsd] - 원가 (SyncedProduct.priceCostBreakdown.landedCostUsd). 현지 가격 하한.
+ * @returns {string}
+ */
+function calculateMarketPrice(priceUsd, currency, rate, landedCostUsd) {
+  return roundMarketPrice(parseFloat(priceUsd) * rate, currency, (landedCostUsd || 0) * rate);
+}
+
+/**
+ * 가격 목록에 쓸 환율을 정합니다. 적용 중인 환율이 없거나 실제 환율과의 차이가 임계값 이상이면 실제 환율로 바꿉니다.
+ * @param {number|null} appliedRate
+ * @param {number} currentRate
+ * @returns {{rate: number, rateChanged: boolean, driftPercent: number|null}}
+ */
+function resolveAppliedRate(appliedRate, currentRate) {
+  if (!appliedRate) return { rate: currentRate, rateChanged: true, driftPercent: null };
+  const driftPercent = Math.abs(currentRate / appliedRate - 1) * 100;
+  if (driftPercent >= config.marketPricing.rateChangeThresholdPercent) {
+    return { rate: currentRate, rateChanged: true, driftPercent };
+  }
+  return { rate: appliedRate, rateChanged: false, driftPercent };
+}
+
+/**
+ * 통화의 Market에 연결된 가격 목록을 찾거나 만듭니다. (Market 카탈로그의 가격 목록 → 가격 목록 없는 카탈로그에 생성 → 카탈로그와 가격 목록 생성)
+ * @param {import('mongoose').Document} priceListDoc - MarketPriceList 문서 (marketId 설정됨).
+ */
+async function ensurePriceList(priceListDoc) {
+  if (priceListDoc.priceListId) return;
+  const { currency, marketId } = priceListDoc;
+  const market = await shopifyService.getMarketCatalogs(marketId);
+
+  const catalogWithPriceList = market.catalogs.find(catalog => catalog.priceList?.currency === currency);
+  if (catalogWithPriceList) {
+    priceListDoc.set({ catalogId: catalogWithPriceList.id, priceListId: catalogWithPriceList.priceList.id });
+    logger.info(`[${SERVICE_NAME}] Using existing ${currency} price list ${catalogWithPriceList.priceList.id} of market ${market.name}.`);
+    return;
+  }
+
+  const catalog = market.catalogs.find(candidate => !candidate.priceList)
+    || await shopifyService.createMarketCatalog(marketId, `${market.name} (${currency})`);
+  const priceList = await shopifyService.createPriceList({ name: `${market.name} ${currency} fixed prices`, currency, catalogId: catalog.id });
+  priceListDoc.set({ catalogId: catalog.id, priceListId: priceList.id });
+}
+
+/**
+ * 통화 하나의 가격 목록을 동기화합니다. 저장된 현지 가격(SyncedProduct.marketPrices)과 다른 상품만 Shopify에 씁니다.
+ * @param {string} currency
+ * @param {number} currentRate - 저장된 실제 환율 (1 USD = ? 통화).
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - 저장된 현지 가격과 같아도 다시 씀.
+ * @param {string} [options.rateProvider] - 저장된 환율을 가져온 환율 공급자.
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<object>}
+ */
+async function syncCurrencyPriceList(currency, currentRate, { force = false, rateProvider, jobId = 'N/A' } = {}) {
+  const marketId = config.marketPricing.marketIds[currency];
+  if (!marketId) {
+    throw new AppError(`${currency} 마켓 ID가 설정되지 않았습니다. (SHOPIFY_MARKET_ID_${currency})`, 500, 'MARKET_ID_NOT_CONFIGURED', true, { currency });
+  }
+  if (!(currentRate > 0)) {
+    throw new AppError(`${currency} 환율이 저장되어 있지 않습니다.`, 503, 'EXCHANGE_RATE_NOT_STORED', true, { currency });
+  }
+
+  const priceListDoc = await MarketPriceList.findOne({ currency }) || new MarketPriceList({ currency, marketId });
+  if (priceListDoc.marketId !== marketId) {
+    // Market이 바뀌면 가격 목록을 다시 찾음
+    priceListDoc.set({ marketId, catalogId: null, priceListId: null });
+  }
+
+  try {
+    await ensurePriceList(priceListDoc);
+    const { rate, rateChanged, driftPercent } = resolveAppliedRate(priceListDoc.appliedRate, currentRate);
+    if (rateChanged) {
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] ${currency} applied rate ${priceListDoc.appliedRate || '-'} -> ${rate}${driftPercent != null ? ` (moved ${driftPercent.toFixed(2)}%)` : ''}.`);
+      priceListDoc.set({ appliedRate: rate, appliedRateProvider: rateProvider, appliedRateAt: new Date() });
+    }
+
+    const stats = { scanned: 0, updated: 0, unchanged: 0, failed: 0 };
+    let pending = [];
+    const flush = async () => {
+      const batch = pending;
+      pending = [];
+      try {
+        await shopifyService.setPriceListFixedPricesByProduct(
+          priceListDoc.priceListId,
+          batch.map(({ product, amount }) => ({ productId: product.shopifyGid, amount, currencyCode: currency }))
+        );
+        const syncedAt = new Date();
+        await SyncedProduct.bulkWrite(batch.map(({ product, amount }) => ({
+          updateOne: {
+            filter: { _id: product._id },
+            update: { $set: { [`marketPrices.${currency}`]: { amount, priceUsd: product.shopifyListedPriceUsd, rate, rateProvider: priceListDoc.appliedRateProvider, syncedAt } } },
+          },
+        })), { ordered: false });
+        stats.updated += batch.length;
+      } catch (error) {
+        stats.failed += batch.length;
+        logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to write ${batch.length} ${currency} fixed prices: ${error.message}`);
+      }
+    };
+
+    const cursor = SyncedProduct.find({ shopifyGid: { $ne: null }, shopifyStatus: 'ACTIVE', shopifyListedPriceUsd: { $ne: null } })
+      .select('bunjangPid shopifyGid shopifyListedPriceUsd priceCostBreakdown.landedCostUsd marketPrices')
+      .lean()
+      .cursor();
+    for await (const product of cursor) {
+      stats.scanned++;
+      const amount = calculateMarketPrice(product.shopifyListedPriceUsd, currency, rate, product.priceCostBreakdown?.landedCostUsd);
+      if (!force && product.marketPrices?.[currency]?.amount === amount) {
+        stats.unchanged++;
+        continue;
+      }
+      pending.push({ product, amount });
+      if (pending.length >= PRICE_BATCH_SIZE) await flush();
+    }
+    if (pending.length > 0) await flush();
+
+    priceListDoc.set({ lastSyncedAt: new Date(), lastSyncStats: stats, lastError: null });
+    await priceListDoc.save();
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] ${currency} price list ${priceListDoc.priceListId} synced at rate ${rate}: ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.failed} failed.`);
+    return { currency, priceListId: priceListDoc.priceListId, appliedRate: rate, appliedRateProvider: priceListDoc.appliedRateProvider, currentRate, rateChanged, ...stats };
+  } catch (error) {
+    priceListDoc.set({ lastError: String(error.message).substring(0, 1000) });
+    await priceListDoc.save().catch(saveError => logger.warn(`[${SERVICE_NAME}] Failed to save ${currency} price list state: ${saveError.message}`));
+    throw error;
+  }
+}
+
+/**
+ * 설정된 통화(또는 지정한 통화)의 가격 목록을 동기화합니다. 통화별로 실패해도 나머지 통화는 계속 처리합니다.
+ * @param {object} [options]
+ * @param {string[]} [options.currencies] - 기본값은 config.marketPricing.currencies.
+ * @param {boolean} [options.force=false]
+ * @param {string} [options.triggeredBy='unknown']
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<{triggeredBy: string, results: object[]}>}
+ * @throws {AppError} 저장된 환율이 없으면 (503).
+ */
+async function syncMarketPriceLists({ currencies, force = false, triggeredBy = 'unknown', jobId = 'N/A' } = {}) {
+  if (!config.marketPricing.enabled) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Market pricing is disabled. Skipping price list sync (triggered by ${triggeredBy}).`);
+    return { triggeredBy, skipped: true, results: [] };
+  }
+  const stored = await getStoredUsdRates();
+  if (!stored?.rates) {
+    throw new AppError('저장된 환율이 없습니다. 환율 업데이트 작업을 먼저 실행하세요.', 503, 'EXCHANGE_RATE_NOT_STORED');
+  }
+
+  const results = [];
+  for (const currency of currencies?.length ? currencies : config.marketPricing.currencies) {
+    try {
+      results.push(await syncCurrencyPriceList(currency, stored.rates[currency], { force, rateProvider: stored.sourceName, jobId }));
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] ${currency} price list sync failed: ${error.message}`);
+      results.push({ currency, error: error.message });
+    }
+  }
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Market price list sync (triggered by ${triggeredBy}) finished for ${results.length} currencies.`);
+  return { triggeredBy, results };
+}
+
+/**
+ * 가격 목록 동기화 작업을 환율 큐에 등록합니다. 대기/처리 중인 작업이 있으면 새로 만들지 않습니다.
+ * @param {object} [options] - syncMarketPriceLists 옵션 (currencies, force, triggeredBy).
+ * @returns {Promise<{jobId: string, alreadyQueued: boolean}|null>} Redis가 비활성화되어 있으면 null.
+ */
+async function enqueueMarketPriceSync({ currencies, force = false, triggeredBy = 'api' } = {}) {
+  const queue = getQueue(config.bullmq.queues.exchangeRate);
+  if (!queue) {
+    logger.warn(`[${SERVICE_NAME}] Exchange rate queue is not available. Market price list sync was not queued.`);
+    return null;
+  }
+  const existingJob = await queue.getJob(SYNC_JOB_ID);
+  if (existingJob) {
+    if (IN_PROGRESS_STATES.includes(await existingJob.getState())) {
+      return { jobId: existingJob.id, alreadyQueued: true };
+    }
+    await existingJob.remove();
+  }
+  const job = await queue.add(SYNC_JOB_NAME, {
+    triggeredBy,
+    ...(currencies?.length && { currencies }),
+    ...(force && { force: true }),
+  }, { jobId: SYNC_JOB_ID, attempts: 1 });
+  logger.info(`[${SERVICE_NAME}] Market price list sync job ${job.id} queued (triggered by ${triggeredBy}).`);
+  return { jobId: job.id, alreadyQueued: false };
+}
+
+/**
+ * 통화별 가격 목록 상태: 연결된 가격 목록, 적용 환율과 실제 환율의 차이, 마지막 동기화 결과.
+ * @returns {Promise<object[]>}
+ */
+async function getMarketPricingStatus() {
+  const [stored, priceLists] = await Promise.all([getStoredUsdRates(), MarketPriceList.find({}).lean()]);
+  return config.marketPricing.currencies.map(currency => {
+    const priceList = priceLists.find(entry => entry.currency === currency);
+    const currentRate = stored?.rates?.[currency] ?? null;
+    const appliedRate = priceList?.appliedRate ?? null;
+    return {
+      currency,
+      marketId: config.marketPricing.marketIds[currency] || null,
+      priceListId: priceList?.priceListId || null,
+      catalogId: priceList?.catalogId || null,
+      rounding: getMarketRounding(currency),
+      currentRate,
+      currentRateProvider: stored?.sourceName || null,
+      appliedRate,
+      appliedRateProvider: priceList?.appliedRateProvider || null,
+      driftPercent: currentRate && appliedRate ? parseFloat((Math.abs(currentRate / appliedRate - 1) * 100).toFixed(3)) : null,
+      appliedRateAt: priceList?.appliedRateAt || null,
+      lastSyncedAt: priceList?.lastSyncedAt || null,
+      lastSyncStats: priceList?.lastSyncStats || null,
+      lastError: priceList?.lastError || null,
+    };
+  });
+}
+
+module.exports = {
+  SYNC_JOB_NAME,
+  roundMarketPrice,
+  calculateMarketPrice,
+  resolveAppliedRate,
+  syncMarketPriceLists,
+  enqueueMarketPriceSync,
+  getMarketPricingStatus,
+};
@@ -5,6 +5,7 @@ const config = require('../config');
 const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
 const SyncedProduct = require('../models/syncedProduct.model');
+const { parseBunjangSku } = require('../mappers/productMapper');
 const { AppError, ExternalServiceError, NotFoundError, ValidationError } = require('../utils/customErrors');
 
 const SERVICE_NAME = 'OrderCancellationSvc';
@@ -138,8 +139,9 @@ async function processCancellationForOrder(orderId, options = {}) {
       const lineItem = edge.node;
       const sku = lineItem.variant?.sku;
       
-      if (sku && sku.startsWith('BJ-')) {
-        const bunjangPid = sku.substring(3);
+      const parsedSku = parseBunjangSku(sku);
+      if (parsedSku) {
+        const bunjangPid = parsedSku.pid;
         const hasErrorTag = order.tags.some(tag => 
           tag.includes(`PID-${bunjangPid}-`) && tag.includes('Error')
         );
@@ -6,24 +6,66 @@ const logger = require('../config/logger');
 const bunjangService = require('./bunjangService');
 const shopifyService = require('./shopifyService');
 const inventoryService = require('./inventoryService');
+const sellerRegistryService = require('./sellerRegistryService');
 const SyncedProduct = require('../models/syncedProduct.model');
 const { AppError, ExternalServiceError, NotFoundError, ValidationError } = require('../utils/customErrors');
-const { getQueue } = require('../jobs/queues');
+const { getQueue, getQueueEvents } = require('../jobs/queues');
 const { mapShopifyItemToBunjangOrderPayload } = require('../mappers/orderMapper');
 
 // 환경 변수로 상태 체크 스킵 여부 제어
 const SKIP_STATUS_CHECK = process.env.SKIP_BUNJANG_STATUS_CHECK === 'true';
+const IN_PROGRESS_JOB_STATES = ['waiting', 'active', 'delayed', 'prioritized', 'waiting-children'];
+
+/**
+ * Shopify line item ID를 숫자 ID 문자열로 맞춥니다. (REST 숫자 ID와 GraphQL GID 모두 허용)
+ * @param {string|number} lineItemId
+ * @returns {string}
+ */
+function normalizeLineItemId(lineItemId) {
+  return String(lineItemId).split('/').pop();
+}
+
+/**
+ * 주문 태그를 배열로 반환합니다. (REST 웹훅은 쉼표로 구분된 문자열, GraphQL은 배열)
+ */
+function parseOrderTags(tags) {
+  if (Array.isArray(tags)) return tags;
+  return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * 리스팅 가격을 계산할 때 저장한 원가(SyncedProduct.priceCostBreakdown)와 현재 번개장터 가격/배송비를 비교합니다.
+ * 주문을 막지는 않고, 가격이 오른 경우 로그와 주문 태그로 알리기 위해 사용합니다.
+ * @param {object} syncedProduct - SyncedProduct (lean).
+ * @param {object} bunjangProductDetails - 번개장터 상품 상세 API 응답.
+ * @returns {{listedCostKrw: number, currentCostKrw: number, increaseKrw: number}|null} 저장된 원가가 없으면 null.
+ */
+function compareWithListedCost(syncedProduct, bunjangProductDetails) {
+  const breakdown = syncedProduct.priceCostBreakdown;
+  if (!breakdown || breakdown.bunjangPriceKrw == null) return null;
+  const listedCostKrw = breakdown.bunjangPriceKrw + (breakdown.bunjangShippingFeeKrw || 0);
+  const currentCostKrw = (Number(bunjangProductDetails.price) || 0)
+    + (Number(bunjangProductDetails.shippingFee ?? bunjangProductDetails.deliveryPrice) || 0);
+  return { listedCostKrw, currentCostKrw, increaseKrw: currentCostKrw - listedCostKrw };
+}
 
 /**
  * Shopify 주문 데이터를 기반으로 번개장터에 주문을 생성합니다.
+ * 재처리(options.reprocess)일 때는 bunjang.order_ids 메타필드로 중복을 막지 않고, 선택한 line item만 다시 주문합니다.
+ * line item 지정 여부와 관계없이 이미 성공 태그(PID-<pid>-Success)가 있는 상품은 ALREADY_ORDERED로 건너뛰며(reprocess.force로만 무시),
+ * 새로 생성한 번개장터 주문 ID는 기존 메타필드 값에 합쳐 저장합니다.
  * @param {object} shopifyOrder - Shopify 주문 객체 (웹훅 페이로드 또는 DB에서 가져온 객체).
  * @param {string} [jobId='N/A'] - 호출한 BullMQ 작업 ID (로깅용).
- * @returns {Promise<{success: boolean, bunjangOrderIds?: array, message?: string}>} 처리 결과.
+ * @param {object} [options]
+ * @param {object} [options.reprocess] - 재처리 요청 { reason, lineItemIds?, force?, requestedBy? }.
+ * @returns {Promise<{success: boolean, bunjangOrderIds?: array, message?: string, itemResults: array}>} 처리 결과.
+ *   itemResults: line item별 { lineItemId, productId, bunjangPid, status: ordered|skipped|failed|not_selected, reason?, bunjangOrderId?, costIncreaseKrw? }
  */
-async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
+async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A', options = {}) {
   const shopifyOrderId = shopifyOrder.id; // Shopify REST API ID
   const shopifyOrderGid = shopifyOrder.admin_graphql_api_id; // Shopify GraphQL GID
-  logger.info(`[OrderSvc:Job-${jobId}] Processing Shopify Order ID: ${shopifyOrderId} (GID: ${shopifyOrderGid}) for Bunjang.`);
+  const reprocess = options.reprocess || null;
+  logger.info(`[OrderSvc:Job-${jobId}] Processing Shopify Order ID: ${shopifyOrderId} (GID: ${shopifyOrderGid}) for Bunjang.${reprocess ? ` Reprocess reason: ${reprocess.reason}` : ''}`);
 
   // Shopify 주문 객체 유효성 검사
   if (!shopifyOrder || !shopifyOrderId || !shopifyOrderGid || !Array.isArray(shopifyOrder.line_items) || shopifyOrder.line_items.length === 0) {
@@ -33,21 +75,37 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
   const bunjangOrderIdentifier = `${config.bunjang.orderIdentifierPrefix || 'BunjangOrder-'}${shopifyOrderId}`;
   let bunjangOrderSuccessfullyCreatedOverall = false;
   let createdBunjangOrderIds = [];
+  let previousBunjangOrderIds = [];
+  const itemResults = [];
 
-  // 이미 처리된 주문인지 확인 (중복 방지)
+  // 이미 처리된 주문인지 확인 (중복 방지). 재처리는 기존 주문 ID를 보존만 하고 계속 진행
   try {
     const existingMetafield = await shopifyService.getOrderMetafield(shopifyOrderGid, "bunjang", "order_ids");
     if (existingMetafield && existingMetafield.value) {
-      logger.info(`[OrderSvc:Job-${jobId}] Bunjang order already exists for Shopify Order ${shopifyOrderId}. Skipping.`);
-      return { success: true, alreadyProcessed: true, bunjangOrderIds: JSON.parse(existingMetafield.value) };
+      if (!reprocess) {
+        logger.info(`[OrderSvc:Job-${jobId}] Bunjang order already exists for Shopify Order ${shopifyOrderId}. Skipping.`);
+        return { success: true, alreadyProcessed: true, bunjangOrderIds: JSON.parse(existingMetafield.value), itemResults };
+      }
+      previousBunjangOrderIds = JSON.parse(existingMetafield.value).map(String);
+      logger.info(`[OrderSvc:Job-${jobId}] Reprocessing Shopify Order ${shopifyOrderId} despite existing Bunjang orders: ${previousBunjangOrderIds.join(', ')}`);
     }
   } catch (error) {
     logger.warn(`[OrderSvc:Job-${jobId}] Could not check existing order metadata: ${error.message}`);
   }
 
+  const selectedLineItemIds = reprocess?.lineItemIds?.length ? new Set(reprocess.lineItemIds.map(normalizeLineItemId)) : null;
+  const orderTags = parseOrderTags(shopifyOrder.tags);
+
   // Shopify 주문의 각 line item을 순회
   for (const item of shopifyOrder.line_items) {
     const productId = item.product_id;
+    const itemResult = { lineItemId: item.id != null ? normalizeLineItemId(item.id) : null, productId: productId != null ? String(productId) : null, bunjangPid: null };
+    itemResults.push(itemResult);
+
+    if (selectedLineItemIds && !selectedLineItemIds.has(itemResult.lineItemId)) {
+      Object.assign(itemResult, { status: 'not_selected' });
+      continue;
+    }
     
     // 1. 먼저 DB에서 확인
     let syncedProduct = await SyncedProduct.findOne({
@@ -98,10 +156,22 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
     
     if (!syncedProduct || !syncedProduct.bunjangPid) {
       logger.warn(`[OrderSvc:Job-${jobId}] No bunjang connection found for product ${productId}, skipping`);
+      Object.assign(itemResult, { status: 'skipped', reason: 'NO_BUNJANG_LINK' });
       continue;
     }
     
     const bunjangPid = syncedProduct.bunjangPid;
+    itemResult.bunjangPid = String(bunjangPid);
+
+    // 재처리 시 이미 주문된 상품은 line item을 지정했더라도 다시 주문하지 않음 (결제된 번개장터 주문 중복 방지). force일 때만 다시 주문
+    if (reprocess && orderTags.includes(`PID-${bunjangPid}-Success`)) {
+      if (!reprocess.force) {
+        logger.info(`[OrderSvc:Job-${jobId}] Bunjang PID ${bunjangPid} was already ordered for Shopify Order ${shopifyOrderId}. Skipping on reprocess.`);
+        Object.assign(itemResult, { status: 'skipped', reason: 'ALREADY_ORDERED' });
+        continue;
+      }
+      logger.warn(`[OrderSvc:Job-${jobId}] Bunjang PID ${bunjangPid} was already ordered for Shopify Order ${shopifyOrderId}. Ordering again because reprocess was forced.`);
+    }
     logger.info(`[OrderSvc:Job-${jobId}] Processing order for Bunjang PID: ${bunjangPid}`);
     
     try {
@@ -114,9 +184,30 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
           id: shopifyOrderGid, 
           tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-NotFound`] 
         });
+        Object.assign(itemResult, { status: 'failed', reason: 'PRODUCT_NOT_FOUND' });
         continue;
       }
 
+      // 판매자 레지스트리 확인: 차단된 판매자에게는 구매하지 않고 주문에 태그만 남김
+      const sellerUid = syncedProduct.bunjangSellerUid || bunjangProductDetails.uid || bunjangProductDetails.seller?.uid;
+      if (sellerUid && !syncedProduct.bunjangSellerUid && !syncedProduct.needsSync) {
+        await SyncedProduct.updateOne({ bunjangPid }, { $set: { bunjangSellerUid: String(sellerUid) } });
+      }
+      const sellerStatus = await sellerRegistryService.getSellerStatus(sellerUid && String(sellerUid));
+      if (sellerStatus === 'blocked') {
+        logger.warn(`[OrderSvc:Job-${jobId}] Seller ${sellerUid} of Bunjang PID ${bunjangPid} is blocked. Refusing to create Bunjang order.`);
+        await shopifyService.updateOrder({
+          id: shopifyOrderGid,
+          tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-BlockedSeller`, `BlockedSeller-${sellerUid}`]
+        });
+        Object.assign(itemResult, { status: 'failed', reason: 'BLOCKED_SELLER' });
+        continue;
+      }
+      if (sellerStatus === 'watch') {
+        logger.warn(`[OrderSvc:Job-${jobId}] Seller ${sellerUid} of Bunjang PID ${bunjangPid} is on the watch list. Proceeding with order.`);
+        await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`WatchSeller-${sellerUid}`] });
+      }
+
       // 4. 상태 체크 (환경 변수로 스킵 가능)
       if (!SKIP_STATUS_CHECK) {
         const productStatus = bunjangProductDetails.status || bunjangProductDetails.saleStatus;
@@ -128,6 +219,7 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
             id: shopifyOrderGid, 
             tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-NotSelling-${productStatus}`] 
           });
+          Object.assign(itemResult, { status: 'failed', reason: `NOT_SELLING_${productStatus}` });
           continue;
         }
         
@@ -137,10 +229,19 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
             id: shopifyOrderGid, 
             tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-NoStock`] 
           });
+          Object.assign(itemResult, { status: 'failed', reason: 'NO_STOCK' });
           continue;
         }
       }
 
+      // 리스팅 이후 번개장터 가격/배송비가 올랐으면 알림 (주문은 계속 진행)
+      const costCheck = compareWithListedCost(syncedProduct, bunjangProductDetails);
+      if (costCheck && costCheck.increaseKrw > 0) {
+        logger.warn(`[OrderSvc:Job-${jobId}] Bunjang cost for PID ${bunjangPid} increased since listing: ${costCheck.listedCostKrw} KRW -> ${costCheck.currentCostKrw} KRW (listed margin: ${syncedProduct.priceCostBreakdown.marginUsd} USD).`);
+        await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`PID-${bunjangPid}-CostIncreased`] });
+        itemResult.costIncreaseKrw = costCheck.increaseKrw;
+      }
+
       // 5. 주문 페이로드 생성
       const bunjangOrderPayload = mapShopifyItemToBunjangOrderPayload(item, bunjangPid, bunjangProductDetails);
       
@@ -153,6 +254,8 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
           logger.info(`[OrderSvc:Job-${jobId}] ✅ Successfully created Bunjang order for PID ${bunjangPid}. Bunjang Order ID: ${bunjangOrderId}`);
           createdBunjangOrderIds.push(String(bunjangOrderId));
           bunjangOrderSuccessfullyCreatedOverall = true;
+          Object.assign(itemResult, { status: 'ordered', bunjangOrderId: String(bunjangOrderId) });
+          await sellerRegistryService.recordOrderOutcome(sellerUid && String(sellerUid), 'placed', String(bunjangOrderId));
 
           // 7. Shopify 주문에 태그 추가 (개별 성공)
           const tagsToAdd = [`BunjangOrder-${bunjangOrderId}`, `PID-${bunjangPid}-Success`];
@@ -190,6 +293,7 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
             id: shopifyOrderGid, 
             tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-InvalidResponse`] 
           });
+          Object.assign(itemResult, { status: 'failed', reason: 'INVALID_RESPONSE' });
         }
         
       } catch (apiError) {
@@ -201,6 +305,8 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
           errorStack: apiError.stack,
           originalError: apiError.originalError?.message
         });
+        Object.assign(itemResult, { status: 'failed', reason: errorCode, message: errorMessage });
+        await sellerRegistryService.recordOrderOutcome(sellerUid && String(sellerUid), 'failed', `${shopifyOrderId}-${bunjangPid}`);
         
         await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, errorTag] });
       }
@@ -209,17 +315,22 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
       logger.error(`[OrderSvc:Job-${jobId}] Unexpected error processing Bunjang order for PID ${bunjangPid}: ${error.message}`, {
         stack: error.stack
       });
-      await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-Exception`] });
+      const errorTag = error.errorCode === 'BUNJANG_OPTION_UNAVAILABLE' ? `PID-${bunjangPid}-OptionUnavailable` : `PID-${bunjangPid}-Exception`;
+      if (itemResult.status !== 'ordered') {
+        Object.assign(itemResult, { status: 'failed', reason: error.errorCode || 'EXCEPTION', message: error.message });
+      }
+      await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, errorTag] });
     }
   }
 
-  // 주문 처리 완료 후 메타필드 업데이트
+  // 주문 처리 완료 후 메타필드 업데이트 (재처리는 기존 주문 ID에 추가)
   if (createdBunjangOrderIds.length > 0) {
+    const allBunjangOrderIds = [...new Set([...previousBunjangOrderIds, ...createdBunjangOrderIds])];
     const metafieldsInput = [
       { 
         namespace: "bunjang", 
         key: "order_ids", 
-        value: JSON.stringify(createdBunjangOrderIds), 
+        value: JSON.stringify(allBunjangOrderIds), 
         type: "json" 
       },
       { 
@@ -231,14 +342,14 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
       {
         namespace: "bunjang",
         key: "order_count",
-        value: String(createdBunjangOrderIds.length),
+        value: String(allBunjangOrderIds.length),
         type: "single_line_text_field"
       }
     ];
     
     await shopifyService.updateOrder({ 
       id: shopifyOrderGid, 
-      tags: ['BunjangOrderPlaced', bunjangOrderIdentifier, `Orders-${createdBunjangOrderIds.length}`],
+      tags: ['BunjangOrderPlaced', bunjangOrderIdentifier, `Orders-${allBunjangOrderIds.length}`, ...(reprocess ? ['BunjangOrderReprocessed'] : [])],
       metafields: metafieldsInput 
     });
     
@@ -247,10 +358,10 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
 
   if (bunjangOrderSuccessfullyCreatedOverall) {
     logger.info(`[OrderSvc:Job-${jobId}] ✅ Bunjang order(s) successfully created for Shopify Order ${shopifyOrderId}: ${createdBunjangOrderIds.join(', ')}`);
-    return { success: true, bunjangOrderIds: createdBunjangOrderIds };
+    return { success: true, bunjangOrderIds: createdBunjangOrderIds, itemResults };
   } else {
     logger.warn(`[OrderSvc:Job-${jobId}] ❌ No Bunjang orders created for Shopify Order ${shopifyOrderId}`);
-    return { success: false, message: '번개장터 주문 생성 실패' };
+    return { success: false, message: '번개장터 주문 생성 실패', itemResults };
   }
 }
 
@@ -370,6 +481,19 @@ async function syncBunjangOrderStatuses(startDate, endDate, jobId = 'N/A') {
   }
 }
 
+/**
+ * 번개장터 주문 상태 변화를 해당 상품 판매자의 레지스트리 통계에 반영합니다.
+ * @param {string|number} bunjangPid - 주문 아이템의 번개장터 상품 ID
+ * @param {string} outcome - sellerRegistryService.recordOrderOutcome의 outcome
+ * @param {string|number} bunjangOrderId - 번개장터 주문 ID
+ */
+async function recordSellerOrderOutcome(bunjangPid, outcome, bunjangOrderId) {
+  const syncedProduct = await SyncedProduct.findOne({ bunjangPid: String(bunjangPid) }).select({ bunjangSellerUid: 1 }).lean();
+  if (syncedProduct?.bunjangSellerUid) {
+    await sellerRegistryService.recordOrderOutcome(syncedProduct.bunjangSellerUid, outcome, String(bunjangOrderId));
+  }
+}
+
 /**
  * 번개장터 주문 상태를 기반으로 Shopify 주문을 업데이트합니다.
  * @param {object} bunjangOrder - 번개장터 주문 정보
@@ -429,6 +553,7 @@ async function updateShopifyOrderFromBunjangStatus(bunjangOrder, jobId = 'N/A')
         break;
         
       case 'PURCHASE_CONFIRM':
+        await recordSellerOrderOutcome(productId, 'completed', bunjangOrderId);
         // 구매 확정 - 메타필드 업데이트
         await shopifyService.updateOrder({
           id: shopifyOrderGid,
@@ -451,6 +576,7 @@ async function updateShopifyOrderFromBunjangStatus(bunjangOrder, jobId = 'N/A')
       case 'REFUNDED':
       case 'RETURN_REQUESTED':
       case 'RETURNED':
+        await recordSellerOrderOutcome(productId, status.startsWith('RETURN') ? 'returned' : 'cancelled', bunjangOrderId);
         // 취소/반품 관련 - 태그 추가
         await shopifyService.updateOrder({
           id: shopifyOrderGid,
@@ -615,61 +741,97 @@ async function archiveOldSoldProducts(daysOld = 30) {
 }
 
 /**
- * 특정 Shopify 주문을 재처리합니다 (디버깅 용도)
- * @param {string} shopifyOrderId - Shopify 주문 ID
- * @returns {Promise<object>} 처리 결과
+ * Shopify에서 주문을 조회해 웹훅 페이로드(REST)와 같은 형태로 변환합니다. (재처리용)
+ * @param {string} shopifyOrderId - Shopify 주문 ID (숫자 ID 또는 GID)
+ * @returns {Promise<object>} { id, admin_graphql_api_id, name, tags, line_items }
+ * @throws {NotFoundError} 주문이 없으면.
  */
-async function reprocessShopifyOrder(shopifyOrderId) {
-  try {
-    logger.info(`[OrderSvc] Reprocessing Shopify order ${shopifyOrderId}`);
-    
-    // Shopify에서 주문 정보 가져오기
-    const orderGid = `gid://shopify/Order/${shopifyOrderId}`;
-    const query = `
-      query getOrder($id: ID!) {
-        order(id: $id) {
-          id
-          name
-          createdAt
-          lineItems(first: 250) {
-            edges {
-              node {
+async function fetchShopifyOrderForReprocess(shopifyOrderId) {
+  const numericOrderId = String(shopifyOrderId).split('/').pop();
+  const orderGid = `gid://shopify/Order/${numericOrderId}`;
+  const query = `
+    query getOrderForReprocess($id: ID!) {
+      order(id: $id) {
+        id
+        name
+        createdAt
+        tags
+        lineItems(first: 250) {
+          edges {
+            node {
+              id
+              title
+              quantity
+              sku
+              variantTitle
+              product {
                 id
-                title
-                quantity
-                product {
-                  id
-                }
               }
             }
           }
         }
       }
-    `;
-    
-    const response = await shopifyService.shopifyGraphqlRequest(query, { id: orderGid });
-    
-    if (!response.data.order) {
-      throw new NotFoundError(`Shopify order ${shopifyOrderId} not found`);
     }
+  `;
+
+  const response = await shopifyService.shopifyGraphqlRequest(query, { id: orderGid });
+  if (!response.data?.order) {
+    throw new NotFoundError(`Shopify 주문(ID: ${numericOrderId})을 찾을 수 없습니다.`, 'ShopifyOrder', numericOrderId);
+  }
+
+  // REST API 형식으로 변환
+  return {
+    id: numericOrderId,
+    admin_graphql_api_id: orderGid,
+    name: response.data.order.name,
+    created_at: response.data.order.createdAt,
+    tags: response.data.order.tags || [],
+    line_items: response.data.order.lineItems.edges.map(edge => ({
+      id: normalizeLineItemId(edge.node.id),
+      title: edge.node.title,
+      quantity: edge.node.quantity,
+      sku: edge.node.sku,
+      variant_title: edge.node.variantTitle,
+      product_id: edge.node.product?.id?.split('/').pop()
+    }))
+  };
+}
+
+/**
+ * 재처리 요청의 line item ID가 주문에 있는지 확인하고 숫자 ID로 맞춥니다.
+ * @throws {ValidationError} 주문에 없는 line item ID가 있으면.
+ */
+function resolveReprocessLineItemIds(order, lineItemIds) {
+  if (!lineItemIds?.length) return null;
+  const normalized = [...new Set(lineItemIds.map(normalizeLineItemId))];
+  const orderLineItemIds = new Set(order.line_items.map(item => String(item.id)));
+  const unknown = normalized.filter(id => !orderLineItemIds.has(id));
+  if (unknown.length > 0) {
+    throw new ValidationError(`주문 ${order.name || order.id}에 없는 line item입니다: ${unknown.join(', ')}`,
+      unknown.map(id => ({ field: 'lineItemIds', message: `Line item ${id} not found in order.` })));
+  }
+  return normalized;
+}
+
+/**
+ * 특정 Shopify 주문을 재처리합니다 (디버깅 용도, reprocessOrder.js). 큐를 거치지 않고 바로 처리합니다.
+ * @param {string} shopifyOrderId - Shopify 주문 ID
+ * @param {object} [options]
+ * @param {string} [options.reason='manual_script'] - 재처리 사유.
+ * @param {Array<string|number>} [options.lineItemIds] - 다시 시도할 line item (생략하면 주문의 상품 전체). 이미 주문된 상품은 건너뜀.
+ * @param {boolean} [options.force=false] - true이면 이미 주문된(PID-<pid>-Success) 상품도 다시 주문.
+ * @returns {Promise<object>} 처리 결과
+ */
+async function reprocessShopifyOrder(shopifyOrderId, { reason = 'manual_script', lineItemIds } = {}) {
+  try {
+    logger.info(`[OrderSvc] Reprocessing Shopify order ${shopifyOrderId}`);
     
-    // REST API 형식으로 변환
-    const order = {
-      id: shopifyOrderId,
-      admin_graphql_api_id: orderGid,
-      name: response.data.order.name,
-      line_items: response.data.order.lineItems.edges.map(edge => ({
-        id: edge.node.id,
-        title: edge.node.title,
-        quantity: edge.node.quantity,
-        product_id: edge.node.product?.id?.split('/').pop()
-      }))
-    };
-    
+    const order = await fetchShopifyOrderForReprocess(shopifyOrderId);
     logger.info(`[OrderSvc] Order details fetched. Line items: ${order.line_items.length}`);
     
     // 주문 재처리
-    const result = await processShopifyOrderForBunjang(order, `REPROCESS-${shopifyOrderId}`);
+    const reprocess = { reason, lineItemIds: resolveReprocessLineItemIds(order, lineItemIds) };
+    const result = await processShopifyOrderForBunjang(order, `REPROCESS-${order.id}`, { reprocess });
     
     logger.info(`[OrderSvc] Reprocess completed for order ${shopifyOrderId}:`, result);
     
@@ -681,6 +843,75 @@ async function reprocessShopifyOrder(shopifyOrderId) {
   }
 }
 
+/**
+ * Shopify 주문 재처리 작업을 주문 처리 큐에 추가하고 끝날 때까지 기다립니다. (POST /api/sync/order/:shopifyOrderId/reprocess)
+ * Redis가 비활성화되었거나 큐를 쓸 수 없으면 바로 처리합니다.
+ * @param {string} shopifyOrderId - Shopify 주문 ID
+ * @param {object} options
+ * @param {string} options.reason - 재처리 사유 (작업 데이터와 로그에 남음).
+ * @param {Array<string|number>} [options.lineItemIds] - 다시 시도할 line item (생략하면 주문의 상품 전체). 이미 주문된 상품은 건너뜀.
+ * @param {boolean} [options.force=false] - true이면 이미 주문된(PID-<pid>-Success) 상품도 다시 주문.
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<object>} { shopifyOrderId, orderName, jobId, state, [result | timedOut] }
+ * @throws {NotFoundError} 주문이 없으면.
+ * @throws {ValidationError} 주문에 없는 line item을 지정하면.
+ * @throws {AppError} 같은 주문의 처리 작업이 이미 진행 중이면 (409), 작업이 실패하면 (502).
+ */
+async function queueShopifyOrderReprocess(shopifyOrderId, { reason, lineItemIds, force = false, requestedBy } = {}) {
+  const order = await fetchShopifyOrderForReprocess(shopifyOrderId);
+  const reprocess = {
+    reason,
+    lineItemIds: resolveReprocessLineItemIds(order, lineItemIds),
+    force,
+    requestedBy,
+    requestedAt: new Date().toISOString(),
+  };
+  const summary = { shopifyOrderId: order.id, orderName: order.name };
+
+  const orderQueue = config.redis.enabled ? getQueue(config.bullmq.queues.order) : null;
+  if (!orderQueue) {
+    logger.warn(`[OrderSvc] Order queue not available. Reprocessing order ${order.id} directly.`);
+    const result = await processShopifyOrderForBunjang(order, `REPROCESS-${order.id}`, { reprocess });
+    return { ...summary, jobId: null, state: 'completed', result };
+  }
+
+  // 웹훅 작업이나 다른 재처리 작업이 진행 중이면 중복 주문을 막기 위해 거절
+  const jobId = `reprocess-order-${order.id}`;
+  for (const existingJobId of [`shopify-order-${order.id}`, jobId]) {
+    const existingJob = await orderQueue.getJob(existingJobId);
+    if (!existingJob) continue;
+    const state = await existingJob.getState();
+    if (IN_PROGRESS_JOB_STATES.includes(state)) {
+      throw new AppError(`이미 처리 중인 주문 작업이 있습니다 (Order ID: ${order.id})`, 409, 'ORDER_PROCESSING_IN_PROGRESS', true, { existingJobId, state });
+    }
+    if (existingJobId === jobId) await existingJob.remove(); // 끝난 재처리 작업은 제거하고 새로 추가
+  }
+
+  const job = await orderQueue.add('ReprocessShopifyOrder', {
+    shopifyOrder: order,
+    reprocess,
+    receivedAt: reprocess.requestedAt,
+  }, {
+    jobId,
+    attempts: 1, // 메타필드 중복 방지를 건너뛰므로 자동 재시도하지 않음
+    removeOnComplete: { count: 1000, age: 24 * 3600 },
+    removeOnFail: false,
+  });
+  logger.info(`[OrderSvc] Reprocess job ${job.id} for order ${order.id} added to queue (reason: ${reason}${force ? ', forced' : ''}).`);
+
+  try {
+    const jobResult = await job.waitUntilFinished(getQueueEvents(orderQueue.name), config.bullmq.orderReprocess.waitTimeoutMs);
+    return { ...summary, jobId: job.id, state: 'completed', result: jobResult?.result };
+  } catch (error) {
+    const state = await job.getState();
+    if (state !== 'failed') {
+      // 대기 시간 초과: 작업은 큐에 남아 계속 처리됨
+      return { ...summary, jobId: job.id, state, timedOut: true };
+    }
+    throw new AppError(`Shopify 주문(ID: ${order.id}) 재처리에 실패했습니다: ${error.message}`, 502, 'ORDER_REPROCESS_FAILED', true, { shopifyOrderId: order.id, jobId: job.id });
+  }
+}
+
 /**
  * 특정 번개장터 상품의 주문 가능 여부를 테스트합니다
  * @param {string} bunjangPid - 번개장터 상품 ID
@@ -791,5 +1022,6 @@ module.exports = {
   checkSoldProductsStatus,
   archiveOldSoldProducts,
   reprocessShopifyOrder,
+  queueShopifyOrderReprocess,
   testBunjangProductOrder
 };
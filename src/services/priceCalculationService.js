@@ -1,9 +1,14 @@
 // src/services/priceCalculationService.js
 // 번개장터 상품의 원화 가격을 기준으로 Shopify 판매 가격(USD)을 계산합니다.
 
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const config = require('../config');
 const logger = require('../config/logger');
-const { getKrwToUsdRate } = require('./exchangeRateService');
+const { getPricingRate } = require('./exchangeRateService');
+const pricingProfileService = require('./pricingProfileService');
+const landedCostService = require('./landedCostService');
+const SyncedProduct = require('../models/syncedProduct.model');
 const { AppError, ValidationError } = require('../utils/customErrors');
 
 /**
@@ -25,14 +30,113 @@ function convertKrwToUsd(krwAmount, krwToUsdRate) {
 }
 
 /**
- * 최종 Shopify 리스팅 가격(USD)을 계산합니다.
- * 로직: (원화 가격 * 환율) * (1 + 마크업 비율/100) + 취급 수수료
- * 가격은 소수점 둘째 자리까지 반올림된 문자열로 반환됩니다.
- * @param {number} bunjangPriceKrw - 번개장터 상품의 원화 가격.
- * @returns {Promise<string>} 계산된 최종 USD 가격 (문자열, 예: "27.88").
+ * 가격 계산용 KRW→USD 환율과 출처를 가져옵니다. (exchangeRateService.getPricingRate)
+ * 환율 이력도 없고 모든 공급자가 실패하면 에러를 그대로 던집니다. 고정 환율로 리스팅하지 않고 상품 동기화를 실패/재시도시키며,
+ * 긴급 시에는 수동 환율(PUT /api/exchange-rates/manual)을 지정합니다.
+ * @returns {Promise<{rate: number, provider: string, smoothing: string, spotRate: number, asOf: Date}>}
+ * @throws {AppError} 환율을 가져올 수 없거나 유효하지 않은 경우.
+ */
+async function resolveKrwToUsdRate() {
+  let pricingRate;
+  try {
+    pricingRate = await getPricingRate();
+    logger.info(`[PriceCalcSvc] Successfully fetched exchange rate: ${pricingRate.rate} (1 KRW = ${pricingRate.rate} USD, ${pricingRate.provider}, ${pricingRate.smoothing})`);
+  } catch (rateError) {
+    logger.error(`[PriceCalcSvc] Failed to get exchange rate. Price calculation aborted: ${rateError.message}`);
+    throw rateError;
+  }
+
+  // 환율 유효성 검증
+  const krwToUsdRate = pricingRate.rate;
+  if (!krwToUsdRate || krwToUsdRate <= 0 || krwToUsdRate > 1) {
+    logger.error(`[PriceCalcSvc] Invalid exchange rate: ${krwToUsdRate}`);
+    throw new AppError('환율 정보가 유효하지 않습니다.', 500, 'INVALID_EXCHANGE_RATE');
+  }
+  return pricingRate;
+}
+
+// 끝자리 처리 방식별 계산 (센트 단위 정수). round는 기본 처리, up은 원가 하한보다 낮아졌을 때 하한 이상의 가장 가까운 값
+const ROUNDING_FUNCTIONS = {
+  CHARM_99: {
+    round: cents => Math.ceil((cents + 1) / 100) * 100 - 1,
+    up: cents => Math.ceil((cents + 1) / 100) * 100 - 1,
+  },
+  CHARM_49_99: {
+    round: cents => Math.ceil((cents + 1) / 50) * 50 - 1,
+    up: cents => Math.ceil((cents + 1) / 50) * 50 - 1,
+  },
+  WHOLE_DOLLAR: {
+    round: cents => Math.round(cents / 100) * 100,
+    up: cents => Math.ceil(cents / 100) * 100,
+  },
+  NEAREST_5_ABOVE_THRESHOLD: {
+    round: (cents, thresholdCents) => (cents < thresholdCents ? cents : Math.round(cents / 500) * 500),
+    up: (cents, thresholdCents) => (cents < thresholdCents ? cents : Math.ceil(cents / 500) * 500),
+  },
+};
+
+/**
+ * 가격에 끝자리 처리(rounding)를 적용합니다. 결과가 원가 하한(costFloorUsd)보다 낮으면 하한 이상의 가장 가까운 값으로 올립니다.
+ * @param {number} priceUsd - 처리 전 가격.
+ * @param {{strategy: string, thresholdUsd?: number}} [rounding] - PricingProfile.pricing.rounding 형태. 없거나 NONE이면 그대로.
+ * @param {number} [costFloorUsd=0] - 처리 결과가 내려갈 수 없는 하한.
+ * @returns {{priceUsd: number, strategy: string, raisedToCostFloor: boolean}}
+ */
+function applyPriceRounding(priceUsd, rounding, costFloorUsd = 0) {
+  const strategy = rounding?.strategy || 'NONE';
+  const roundingFunction = ROUNDING_FUNCTIONS[strategy];
+  if (!roundingFunction) return { priceUsd, strategy: 'NONE', raisedToCostFloor: false };
+
+  const thresholdCents = Math.round((rounding.thresholdUsd ?? config.priceCalculation.rounding.thresholdUsd) * 100);
+  let cents = roundingFunction.round(Math.round(priceUsd * 100), thresholdCents);
+  const floorCents = Math.ceil(Math.round(costFloorUsd * 10000) / 100); // 부동소수점 오차로 1센트 올라가지 않도록
+  let raisedToCostFloor = false;
+  if (cents < floorCents) {
+    cents = roundingFunction.up(floorCents, thresholdCents);
+    raisedToCostFloor = true;
+  }
+  return { priceUsd: cents / 100, strategy, raisedToCostFloor };
+}
+
+/**
+ * 상품 가격 계산에 쓰이는 설정(환율 제외)의 키를 만듭니다: 선택되는 가격 프로필과 버전, 적용되는 끝자리 처리, 배송 등급과 운임/추가 요금.
+ * 동기화 시 SyncedProduct.pricingInputsKey에 저장하고, 번개장터 상품이 바뀌지 않았어도 키가 다르면 다시 가격을 계산합니다.
+ * 캐시된 프로필/배송 등급을 사용하므로 호출 전에 캐시를 갱신해야 합니다. (catalogService.refreshSyncCachesIfStale)
+ * @param {object} product - { price, categoryId, brandId, keywords }
+ * @returns {string}
+ */
+function getPricingInputsKey(product) {
+  const profile = pricingProfileService.selectPricingProfile(product);
+  const parts = [
+    profile._id ? `${profile._id}@${profile.version}` : `config:${JSON.stringify(profile.pricing)}`,
+    JSON.stringify(profile.pricing.rounding || config.priceCalculation.rounding),
+  ];
+  if (config.landedCost.enabled) {
+    const shippingClass = landedCostService.selectShippingClass(product.categoryId);
+    const { freightUsd } = landedCostService.estimateFreight(shippingClass);
+    const destination = config.landedCost.defaultDestination;
+    parts.push(`${shippingClass.code}:${freightUsd}`, `${destination}:${landedCostService.getDestinationSurchargeUsd(destination)}`, `markupFreight:${config.landedCost.markupFreight}`);
+  }
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex').substring(0, 16);
+}
+
+/**
+ * 최종 Shopify 리스팅 가격(USD)을 상품에 맞는 가격 프로필(pricingProfileService)로 계산합니다.
+ * 로직: (상품가 + 번개장터 배송비) * (1 + 마크업 비율/100) + 국제 운임 + 배송지 추가 요금 + 취급 수수료
+ *       (config.landedCost.markupFreight=true이면 국제 운임/추가 요금까지 포함한 원가 전체에 마크업)
+ *       → 최소 마진 → 최저가 → 끝자리 처리 → 최고가. 원가 계산은 landedCostService 참고 (config.landedCost.enabled=false이면 상품가만).
+ *       끝자리 처리는 원가 + 최소 마진, 최저가 아래로 내려가지 않습니다.
+ * @param {object} product - 최소 { price }. shippingFee(KRW), 프로필/배송 등급 선택에 categoryId, brandId, keywords를 사용합니다. (processCatalogRow 결과 형태)
+ * @param {object} [options]
+ * @param {string} [options.destination] - 배송지 국가 코드 (기본값: config.landedCost.defaultDestination).
+ * @param {object} [options.rounding] - 프로필의 끝자리 처리 대신 사용할 설정 { strategy, thresholdUsd } (미리보기용).
+ * @returns {Promise<{priceUsd: string, profile: {id: string|null, name: string, version: number|null}, breakdown: object, inputsKey: string}>}
+ *   priceUsd는 소수점 둘째 자리까지 반올림된 문자열 (예: "27.88"). breakdown은 원가 구성과 마진 (SyncedProduct.priceCostBreakdown에 저장).
+ *   inputsKey는 계산에 쓰인 설정의 키 (getPricingInputsKey, SyncedProduct.pricingInputsKey에 저장).
  * @throws {AppError|ValidationError} 환율 정보를 가져오지 못하거나 계산 중 문제 발생 시.
  */
-async function calculateShopifyPriceUsd(bunjangPriceKrw) {
+async function calculateShopifyPrice(product, { destination, rounding: roundingOverride } = {}) {
+  const bunjangPriceKrw = product?.price;
   logger.info(`[PriceCalcSvc] Starting price calculation for Bunjang KRW price: ${bunjangPriceKrw}`);
 
   // 입력값 검증
@@ -41,47 +145,67 @@ async function calculateShopifyPriceUsd(bunjangPriceKrw) {
     throw new ValidationError('번개장터 상품 가격(KRW)은 0보다 큰 숫자여야 합니다.', [{ field: 'bunjangPriceKrw', message: '유효하지 않은 번개장터 원화 가격입니다.' }]);
   }
 
-  // 환율 정보 가져오기
-  let krwToUsdRate;
-  try {
-    krwToUsdRate = await getKrwToUsdRate();
-    logger.info(`[PriceCalcSvc] Successfully fetched exchange rate: ${krwToUsdRate} (1 KRW = ${krwToUsdRate} USD)`);
-  } catch (rateError) {
-    logger.error(`[PriceCalcSvc] Failed to get exchange rate: ${rateError.message}`, rateError);
-    
-    // Fallback 환율 사용 (긴급 상황용)
-    const fallbackRate = 0.00074; // 대략 1 USD = 1350 KRW
-    logger.warn(`[PriceCalcSvc] Using fallback exchange rate: ${fallbackRate}`);
-    krwToUsdRate = fallbackRate;
-  }
+  await pricingProfileService.refreshPricingProfilesIfStale();
+  const profile = pricingProfileService.selectPricingProfile(product);
+  const { markupPercentage, handlingFeeUsd, minMarginUsd, priceFloorUsd, priceCeilingUsd } = profile.pricing;
+  const profileRef = { id: profile._id ? String(profile._id) : null, name: profile.name, version: profile.version ?? null };
+  logger.debug(`[PriceCalcSvc] Pricing profile '${profile.name}' (version ${profileRef.version ?? 'config'}) selected for KRW ${bunjangPriceKrw}.`);
 
-  // 환율 유효성 검증
-  if (!krwToUsdRate || krwToUsdRate <= 0 || krwToUsdRate > 1) {
-    logger.error(`[PriceCalcSvc] Invalid exchange rate: ${krwToUsdRate}`);
-    throw new AppError('환율 정보가 유효하지 않습니다.', 500, 'INVALID_EXCHANGE_RATE');
-  }
+  const pricingRate = await resolveKrwToUsdRate();
+  const krwToUsdRate = pricingRate.rate;
 
-  // 1. 원화 가격을 USD로 변환
-  const priceInUsdBeforeMarkup = bunjangPriceKrw * krwToUsdRate;
-  logger.debug(`[PriceCalcSvc] Step 1 - KRW to USD conversion: ${bunjangPriceKrw} KRW * ${krwToUsdRate} = ${priceInUsdBeforeMarkup.toFixed(4)}`);
+  // 1. 원가(landed cost) 계산: 상품가 + 번개장터 배송비 + 국제 운임 + 배송지 추가 요금 (USD)
+  const landed = await landedCostService.calculateLandedCost(product, krwToUsdRate, destination ? { destination } : undefined);
+  const landedCostUsd = landed.landedCostUsd;
+  logger.debug(`[PriceCalcSvc] Step 1 - Landed cost: item ${landed.itemCostUsd} + bunjang shipping ${landed.bunjangShippingUsd} + freight ${landed.freightUsd} (${landed.shippingClass || '-'}) + surcharge ${landed.destinationSurchargeUsd} = ${landedCostUsd.toFixed(4)}`);
 
-  // 2. 마크업 적용 (config에서 % 단위로 가져옴)
-  const markupPercentage = config.priceCalculation.markupPercentage || 10;
+  // 2. 마크업 적용 (% 단위). 국제 운임/배송지 추가 요금은 config.landedCost.markupFreight가 켜져 있을 때만 마크업 대상
   const markupRatio = markupPercentage / 100;
-  const priceAfterMarkup = priceInUsdBeforeMarkup * (1 + markupRatio);
-  logger.debug(`[PriceCalcSvc] Step 2 - Markup (${markupPercentage}%): ${priceInUsdBeforeMarkup.toFixed(4)} * ${1 + markupRatio} = ${priceAfterMarkup.toFixed(4)}`);
+  const passThroughCostUsd = config.landedCost.markupFreight ? 0 : landed.freightUsd + landed.destinationSurchargeUsd;
+  const markupBaseUsd = landedCostUsd - passThroughCostUsd;
+  const priceAfterMarkup = markupBaseUsd * (1 + markupRatio) + passThroughCostUsd;
+  logger.debug(`[PriceCalcSvc] Step 2 - Markup (${markupPercentage}%): ${markupBaseUsd.toFixed(4)} * ${1 + markupRatio} + ${passThroughCostUsd.toFixed(2)} (freight, not marked up) = ${priceAfterMarkup.toFixed(4)}`);
 
   // 3. 취급 수수료 추가
-  const handlingFeeUsd = config.priceCalculation.handlingFeeUsd || 5;
-  const finalPriceUsd = priceAfterMarkup + handlingFeeUsd;
+  let finalPriceUsd = priceAfterMarkup + handlingFeeUsd;
   logger.debug(`[PriceCalcSvc] Step 3 - Handling fee: ${priceAfterMarkup.toFixed(4)} + ${handlingFeeUsd} = ${finalPriceUsd.toFixed(4)}`);
 
+  // 4. 프로필 제한: 최소 마진 → 최저가 → 끝자리 처리 → 최고가 (최고가가 가장 우선). 마진은 원가 기준
+  const adjustments = [];
+  if (minMarginUsd != null && finalPriceUsd - landedCostUsd < minMarginUsd) {
+    finalPriceUsd = landedCostUsd + minMarginUsd;
+    adjustments.push('MIN_MARGIN');
+  }
+  if (priceFloorUsd != null && finalPriceUsd < priceFloorUsd) {
+    finalPriceUsd = priceFloorUsd;
+    adjustments.push('PRICE_FLOOR');
+  }
+  const rounding = roundingOverride || profile.pricing.rounding || config.priceCalculation.rounding;
+  const costFloorUsd = Math.max(landedCostUsd + (minMarginUsd ?? 0), priceFloorUsd ?? 0);
+  const priceBeforeRoundingUsd = finalPriceUsd;
+  const roundingResult = applyPriceRounding(finalPriceUsd, rounding, costFloorUsd);
+  if (roundingResult.strategy !== 'NONE' && roundingResult.priceUsd.toFixed(2) !== finalPriceUsd.toFixed(2)) {
+    finalPriceUsd = roundingResult.priceUsd;
+    adjustments.push('ROUNDING');
+  }
+  if (priceCeilingUsd != null && finalPriceUsd > priceCeilingUsd) {
+    finalPriceUsd = priceCeilingUsd;
+    adjustments.push('PRICE_CEILING');
+    if (finalPriceUsd < landedCostUsd) {
+      logger.warn(`[PriceCalcSvc] Price ceiling ${priceCeilingUsd} of profile '${profile.name}' is below the landed cost ${landedCostUsd.toFixed(2)} for KRW ${bunjangPriceKrw}.`);
+    }
+  }
+  if (adjustments.length > 0) {
+    logger.debug(`[PriceCalcSvc] Step 4 - Profile limits (${adjustments.join(', ')}): ${finalPriceUsd.toFixed(4)}`);
+  }
+
   // 가격이 0이 되는 경우 경고 및 최소 가격 설정
   if (finalPriceUsd <= 0) {
     logger.error(`[PriceCalcSvc] CRITICAL: Calculated price is $0 or negative!`, {
       bunjangPriceKrw,
       krwToUsdRate,
-      priceInUsdBeforeMarkup: priceInUsdBeforeMarkup.toFixed(4),
+      pricingProfile: profile.name,
+      landedCostUsd: landedCostUsd.toFixed(4),
       markupPercentage,
       markupRatio,
       priceAfterMarkup: priceAfterMarkup.toFixed(4),
@@ -92,49 +216,105 @@ async function calculateShopifyPriceUsd(bunjangPriceKrw) {
     // 최소 가격 설정 ($1)
     const minimumPrice = 1.00;
     logger.warn(`[PriceCalcSvc] Setting minimum price of ${minimumPrice} to avoid $0 listing`);
-    return minimumPrice.toFixed(2);
+    finalPriceUsd = minimumPrice;
+    adjustments.push('MINIMUM_PRICE');
   }
 
   // Shopify 가격은 보통 문자열로, 소수점 2자리까지 (반올림)
   const shopifyPriceString = finalPriceUsd.toFixed(2);
+  const roundedLandedCostUsd = parseFloat(landedCostUsd.toFixed(2));
+
+  const breakdown = {
+    bunjangPriceKrw,
+    bunjangShippingFeeKrw: Number(product.shippingFee) || 0,
+    exchangeRate: parseFloat(krwToUsdRate.toFixed(8)),
+    exchangeRateProvider: pricingRate.provider,
+    exchangeRateSmoothing: pricingRate.smoothing,
+    spotExchangeRate: parseFloat(pricingRate.spotRate.toFixed(8)),
+    exchangeRateAsOf: pricingRate.asOf,
+    itemCostUsd: landed.itemCostUsd,
+    bunjangShippingUsd: landed.bunjangShippingUsd,
+    freightUsd: landed.freightUsd,
+    destinationSurchargeUsd: landed.destinationSurchargeUsd,
+    landedCostUsd: roundedLandedCostUsd,
+    shippingClass: landed.shippingClass,
+    chargeableWeightKg: landed.chargeableWeightKg,
+    destination: landed.destination,
+    markupPercentage,
+    markupBaseUsd: parseFloat(markupBaseUsd.toFixed(2)),
+    handlingFeeUsd,
+    ...(minMarginUsd != null && { minMarginUsd }),
+    ...(priceFloorUsd != null && { priceFloorUsd }),
+    ...(priceCeilingUsd != null && { priceCeilingUsd }),
+    rounding: {
+      strategy: roundingResult.strategy,
+      ...(roundingResult.strategy === 'NEAREST_5_ABOVE_THRESHOLD' && { thresholdUsd: rounding.thresholdUsd ?? config.priceCalculation.rounding.thresholdUsd }),
+      beforeUsd: parseFloat(priceBeforeRoundingUsd.toFixed(2)),
+      costFloorUsd: parseFloat(costFloorUsd.toFixed(2)),
+      raisedToCostFloor: roundingResult.raisedToCostFloor,
+    },
+    adjustments,
+    finalPriceUsd: shopifyPriceString,
+    marginUsd: parseFloat((parseFloat(shopifyPriceString) - roundedLandedCostUsd).toFixed(2)),
+  };
 
   // 정상적인 가격 계산 로그
   logger.info(`[PriceCalcSvc] ✅ Price calculation completed:`, {
     input_krw: bunjangPriceKrw,
+    pricing_profile: `${profile.name}@${profileRef.version ?? 'config'}`,
     exchange_rate: krwToUsdRate.toFixed(6),
-    usd_before_markup: priceInUsdBeforeMarkup.toFixed(4),
+    exchange_rate_source: `${pricingRate.provider} (${pricingRate.smoothing})`,
+    landed_cost_usd: landedCostUsd.toFixed(4),
+    shipping_class: landed.shippingClass,
     markup_percentage: markupPercentage,
-    markup_amount: (priceAfterMarkup - priceInUsdBeforeMarkup).toFixed(4),
+    markup_amount: (priceAfterMarkup - landedCostUsd).toFixed(4),
     handling_fee: handlingFeeUsd,
+    adjustments,
     final_price_usd: shopifyPriceString,
-    formula: `(${bunjangPriceKrw} KRW * ${krwToUsdRate.toFixed(6)}) * ${1 + markupRatio} + ${handlingFeeUsd} = ${shopifyPriceString}`
+    formula: `(${markupBaseUsd.toFixed(4)} USD) * ${1 + markupRatio} + ${passThroughCostUsd.toFixed(2)} USD freight + ${handlingFeeUsd} = ${(priceAfterMarkup + handlingFeeUsd).toFixed(2)}${adjustments.length ? ` → ${shopifyPriceString} (${adjustments.join(', ')})` : ''}`
   });
 
-  return shopifyPriceString;
+  return { priceUsd: shopifyPriceString, profile: profileRef, breakdown, inputsKey: getPricingInputsKey(product) };
+}
+
+/**
+ * 최종 Shopify 리스팅 가격(USD) 문자열만 반환합니다. (calculateShopifyPrice 참고)
+ * @param {number} bunjangPriceKrw - 번개장터 상품의 원화 가격.
+ * @param {object} [product] - 원가와 가격 프로필 계산에 사용할 상품 정보 (shippingFee, categoryId, brandId, keywords).
+ * @returns {Promise<string>} 계산된 최종 USD 가격 (문자열, 예: "27.88").
+ */
+async function calculateShopifyPriceUsd(bunjangPriceKrw, product = {}) {
+  const { priceUsd } = await calculateShopifyPrice({ ...product, price: bunjangPriceKrw });
+  return priceUsd;
 }
 
 /**
  * (참고용) 번개장터 주문 시 내부적으로 사용될 수 있는 총 예상 비용(USD)을 계산합니다.
  * 이 가격은 Shopify에 직접 리스팅되는 가격이 아니며, 별도 청구될 배송비를 포함할 수 있습니다.
+ * 국제 운임과 배송지 추가 요금은 리스팅 가격과 같은 원가 모델(landedCostService)로 추정합니다.
  * @param {number} bunjangPriceKrw - 번개장터 상품의 원화 가격.
  * @param {number} bunjangShippingFeeKrw - 번개장터 상품의 원화 배송비.
+ * @param {object} [options]
+ * @param {string} [options.categoryId] - 배송 등급 선택용 번개장터 카테고리 ID.
+ * @param {string} [options.destination] - 배송지 국가 코드.
  * @returns {Promise<object|null>} 계산된 비용 상세 객체 또는 실패 시 null.
- * { itemPriceKrw, shippingFeeKrw, exchangeRate, itemPriceUsd, shippingFeeUsd, handlingFeeUsd, totalEstimatedCostUsd }
+ * { itemPriceKrw, shippingFeeKrw, exchangeRateUsed, exchangeRateProvider, itemPriceUsd, shippingFeeUsd, freightUsd, destinationSurchargeUsd, shippingClass, handlingFeeUsd, totalEstimatedCostUsd }
  */
-async function calculateInternalTotalCostUsd(bunjangPriceKrw, bunjangShippingFeeKrw) {
+async function calculateInternalTotalCostUsd(bunjangPriceKrw, bunjangShippingFeeKrw, { categoryId, destination } = {}) {
     if (typeof bunjangPriceKrw !== 'number' || isNaN(bunjangPriceKrw) || bunjangPriceKrw < 0 ||
         typeof bunjangShippingFeeKrw !== 'number' || isNaN(bunjangShippingFeeKrw) || bunjangShippingFeeKrw < 0) {
         logger.warn('[PriceCalcSvc] Invalid input for internal cost calculation.', { bunjangPriceKrw, bunjangShippingFeeKrw });
         return null; // 또는 ValidationError throw
     }
 
-    let krwToUsdRate;
+    let pricingRate;
     try {
-        krwToUsdRate = await getKrwToUsdRate();
+        pricingRate = await getPricingRate();
     } catch (rateError) {
         logger.error(`[PriceCalcSvc] Failed to get exchange rate for internal cost calculation: ${rateError.message}`);
         return null; // 또는 AppError throw
     }
+    const krwToUsdRate = pricingRate.rate;
 
     const priceInUsdBeforeMarkup = convertKrwToUsd(bunjangPriceKrw, krwToUsdRate);
     const markupRatio = config.priceCalculation.markupPercentage / 100;
@@ -143,15 +323,26 @@ async function calculateInternalTotalCostUsd(bunjangPriceKrw, bunjangShippingFee
     const shippingFeeUsd = convertKrwToUsd(bunjangShippingFeeKrw, krwToUsdRate); // 배송비 (USD)
     const handlingFeeUsd = config.priceCalculation.handlingFeeUsd; // 취급 수수료 (USD)
 
-    // 총 예상 비용 = (마크업된 품목가 USD) + (배송비 USD) + (취급수수료 USD)
-    const totalEstimatedCostUsd = itemPriceUsd + shippingFeeUsd + handlingFeeUsd;
+    // 국제 운임 + 배송지 추가 요금 (원가 모델이 꺼져 있으면 0)
+    const landed = await landedCostService.calculateLandedCost(
+      { price: bunjangPriceKrw, shippingFee: bunjangShippingFeeKrw, categoryId },
+      krwToUsdRate,
+      destination ? { destination } : undefined
+    );
+
+    // 총 예상 비용 = (마크업된 품목가 USD) + (배송비 USD) + (국제 운임 + 배송지 추가 요금 USD) + (취급수수료 USD)
+    const totalEstimatedCostUsd = itemPriceUsd + shippingFeeUsd + landed.freightUsd + landed.destinationSurchargeUsd + handlingFeeUsd;
 
     const result = {
         itemPriceKrw: bunjangPriceKrw,
         shippingFeeKrw: bunjangShippingFeeKrw,
         exchangeRateUsed: parseFloat(krwToUsdRate.toFixed(8)), // 사용된 환율 (소수점 많이)
+        exchangeRateProvider: pricingRate.provider,
         itemPriceUsd: parseFloat(itemPriceUsd.toFixed(2)),
         shippingFeeUsd: parseFloat(shippingFeeUsd.toFixed(2)),
+        freightUsd: landed.freightUsd,
+        destinationSurchargeUsd: landed.destinationSurchargeUsd,
+        shippingClass: landed.shippingClass,
         handlingFeeUsd: parseFloat(handlingFeeUsd.toFixed(2)),
         totalEstimatedCostUsd: parseFloat(totalEstimatedCostUsd.toFixed(2)),
     };
@@ -159,9 +350,77 @@ async function calculateInternalTotalCostUsd(bunjangPriceKrw, bunjangShippingFee
     return result;
 }
 
+/**
+ * 현재 리스팅 중인 상품 일부를 골라 끝자리 처리 전후 가격을 계산합니다. (Shopify 가격은 바꾸지 않음)
+ * 저장된 번개장터 가격/배송비/카테고리로 지금 설정 기준 가격을 다시 계산하므로, 현재 리스팅 가격(currentListedPriceUsd)과 다를 수 있습니다.
+ * @param {object} [options]
+ * @param {object} [options.rounding] - 미리볼 끝자리 처리 { strategy, thresholdUsd }. 없으면 각 상품에 선택되는 프로필의 설정.
+ * @param {string} [options.profileId] - 이 가격 프로필로 가격이 계산된 상품만.
+ * @param {number} [options.limit=20] - 무작위로 고를 상품 수.
+ * @returns {Promise<{sampleSize: number, summary: object, items: object[]}>}
+ */
+async function previewPriceRounding({ rounding, profileId, limit = 20 } = {}) {
+  const match = {
+    syncStatus: 'SYNCED',
+    shopifyStatus: 'ACTIVE',
+    bunjangOriginalPriceKrw: { $gt: 0 },
+    ...(profileId && { pricingProfileId: new mongoose.Types.ObjectId(profileId) }),
+  };
+  const products = await SyncedProduct.aggregate([
+    { $match: match },
+    { $sample: { size: limit } },
+    { $project: {
+      bunjangPid: 1, bunjangProductName: 1, bunjangOriginalPriceKrw: 1, bunjangOriginalShippingFeeKrw: 1,
+      bunjangCategoryId: 1, bunjangBrandId: 1, bunjangKeywordsJson: 1, shopifyListedPriceUsd: 1,
+    } },
+  ]);
+
+  const items = [];
+  for (const product of products) {
+    try {
+      const { priceUsd, profile, breakdown } = await calculateShopifyPrice({
+        price: product.bunjangOriginalPriceKrw,
+        shippingFee: product.bunjangOriginalShippingFeeKrw,
+        categoryId: product.bunjangCategoryId,
+        brandId: product.bunjangBrandId,
+        keywords: product.bunjangKeywordsJson,
+      }, { rounding });
+      items.push({
+        bunjangPid: product.bunjangPid,
+        productName: product.bunjangProductName,
+        pricingProfile: profile.name,
+        currentListedPriceUsd: product.shopifyListedPriceUsd || null,
+        beforeRoundingUsd: breakdown.rounding.beforeUsd.toFixed(2),
+        afterRoundingUsd: priceUsd,
+        changeUsd: parseFloat((parseFloat(priceUsd) - breakdown.rounding.beforeUsd).toFixed(2)),
+        strategy: breakdown.rounding.strategy,
+        costFloorUsd: breakdown.rounding.costFloorUsd,
+        raisedToCostFloor: breakdown.rounding.raisedToCostFloor,
+        adjustments: breakdown.adjustments,
+      });
+    } catch (error) {
+      logger.warn(`[PriceCalcSvc] Rounding preview failed for PID ${product.bunjangPid}: ${error.message}`);
+      items.push({ bunjangPid: product.bunjangPid, productName: product.bunjangProductName, error: error.message });
+    }
+  }
+
+  const priced = items.filter(item => !item.error);
+  const summary = {
+    changed: priced.filter(item => item.changeUsd !== 0).length,
+    raisedToCostFloor: priced.filter(item => item.raisedToCostFloor).length,
+    averageChangeUsd: priced.length ? parseFloat((priced.reduce((sum, item) => sum + item.changeUsd, 0) / priced.length).toFixed(2)) : 0,
+    failed: items.length - priced.length,
+  };
+  logger.info(`[PriceCalcSvc] Rounding preview (${rounding?.strategy || 'profile settings'}) for ${items.length} listings: ${summary.changed} changed, average change ${summary.averageChangeUsd} USD.`);
+  return { sampleSize: items.length, summary, items };
+}
 
 module.exports = {
+  calculateShopifyPrice,
+  applyPriceRounding,
+  getPricingInputsKey,
   calculateShopifyPriceUsd,
   calculateInternalTotalCostUsd, // 필요시 사용
+  previewPriceRounding,
   // convertKrwToUsd, // 내부 사용으로 변경
 };
\ No newline at end of file
@@ -0,0 +1,218 @@
+// src/services/pricingProfileService.js
+// 가격 프로필(PricingProfile)의 저장/조회와 상품별 프로필 선택을 담당합니다.
+// 가격 계산은 상품마다 호출되므로 활성 프로필은 메모리에 캐시하고, 변경 시와 캐시 TTL 경과 시 다시 읽습니다.
+// 일치하는 프로필과 기본(isDefault) 프로필이 모두 없으면 환경변수 설정값(config.priceCalculation)으로 만든 내장 프로필을 사용합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const PricingProfile = require('../models/pricingProfile.model');
+const PricingProfileVersion = require('../models/pricingProfileVersion.model');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SNAPSHOT_FIELDS = ['description', 'enabled', 'priority', 'isDefault', 'criteria', 'pricing'];
+
+let cachedState = { profiles: [], loadedAt: 0 };
+
+/**
+ * 환경변수 설정값으로 만든 내장 프로필. (DB 프로필이 하나도 적용되지 않을 때)
+ * @returns {object}
+ */
+function getBuiltInProfile() {
+  return {
+    _id: null,
+    name: 'config-default',
+    version: null,
+    builtIn: true,
+    criteria: {},
+    pricing: {
+      markupPercentage: config.priceCalculation.markupPercentage || 10,
+      handlingFeeUsd: config.priceCalculation.handlingFeeUsd || 5,
+      rounding: config.priceCalculation.rounding,
+    },
+  };
+}
+
+/**
+ * 활성화된 프로필을 DB에서 다시 읽어 캐시합니다. 실패하면 기존 캐시를 유지합니다.
+ * @returns {Promise<object[]>}
+ */
+async function refreshPricingProfiles() {
+  try {
+    const profiles = await PricingProfile.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+    cachedState = { profiles, loadedAt: Date.now() };
+    logger.info(`[PricingProfileSvc] Loaded ${profiles.length} pricing profiles.`);
+  } catch (error) {
+    logger.warn(`[PricingProfileSvc] Failed to load pricing profiles. Keeping ${cachedState.profiles.length} cached profiles: ${error.message}`);
+  }
+  return cachedState.profiles;
+}
+
+/**
+ * 캐시가 TTL보다 오래되었으면 다시 읽습니다. (API 서버 외 프로세스에서도 변경된 프로필이 반영되도록)
+ */
+async function refreshPricingProfilesIfStale() {
+  if (Date.now() - cachedState.loadedAt >= config.pricingProfiles.cacheTtlMs) {
+    await refreshPricingProfiles();
+  }
+}
+
+/**
+ * 상품 태그(keywords)를 소문자 배열로 반환합니다. processCatalogRow 결과(배열)와 SyncedProduct(bunjangKeywordsJson) 모두 허용.
+ */
+function normalizeTags(keywords) {
+  let tags = keywords;
+  if (typeof tags === 'string') {
+    try {
+      tags = JSON.parse(tags);
+    } catch {
+      tags = tags.split(',');
+    }
+  }
+  return (Array.isArray(tags) ? tags : []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * 상품이 프로필 조건을 모두 만족하는지 확인합니다.
+ * @param {object} criteria - PricingProfile.criteria
+ * @param {{price: number, categoryId?: string, brandId?: string, keywords?: string[]|string}} product
+ * @returns {boolean}
+ */
+function matchesCriteria(criteria = {}, product) {
+  if (criteria.minPriceKrw != null && !(product.price >= criteria.minPriceKrw)) return false;
+  if (criteria.maxPriceKrw != null && !(product.price <= criteria.maxPriceKrw)) return false;
+  if (criteria.categoryIds?.length) {
+    const categoryId = String(product.categoryId || '').trim();
+    if (!categoryId || !criteria.categoryIds.some(id => categoryId.startsWith(id))) return false;
+  }
+  if (criteria.brandIds?.length && !criteria.brandIds.includes(String(product.brandId || '').trim())) return false;
+  if (criteria.tags?.length) {
+    const tags = normalizeTags(product.keywords);
+    if (!criteria.tags.some(tag => tags.includes(tag))) return false;
+  }
+  return true;
+}
+
+/**
+ * 상품에 적용할 가격 프로필을 고릅니다.
+ * isDefault가 아닌 프로필 중 조건이 일치하는 첫 프로필(priority 순) → isDefault 프로필 → 내장 프로필.
+ * @param {{price: number, categoryId?: string, brandId?: string, keywords?: string[]|string}} product
+ * @param {object[]} [profiles] - 기본값은 캐시된 활성 프로필.
+ * @returns {object} 프로필 (lean). 내장 프로필은 builtIn: true.
+ */
+function selectPricingProfile(product, profiles = cachedState.profiles) {
+  return profiles.find(profile => !profile.isDefault && matchesCriteria(profile.criteria, product))
+    || profiles.find(profile => profile.isDefault)
+    || getBuiltInProfile();
+}
+
+function assertValidProfile({ criteria = {}, pricing = {} }) {
+  if (criteria.minPriceKrw != null && criteria.maxPriceKrw != null && criteria.minPriceKrw > criteria.maxPriceKrw) {
+    throw new ValidationError('minPriceKrw는 maxPriceKrw보다 클 수 없습니다.', [
+      { field: 'criteria.minPriceKrw', message: 'minPriceKrw must be <= maxPriceKrw', value: criteria.minPriceKrw },
+    ]);
+  }
+  if (pricing.priceFloorUsd != null && pricing.priceCeilingUsd != null && pricing.priceFloorUsd > pricing.priceCeilingUsd) {
+    throw new ValidationError('priceFloorUsd는 priceCeilingUsd보다 클 수 없습니다.', [
+      { field: 'pricing.priceFloorUsd', message: 'priceFloorUsd must be <= priceCeilingUsd', value: pricing.priceFloorUsd },
+    ]);
+  }
+}
+
+async function saveProfile(profile) {
+  try {
+    await profile.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 이름의 가격 프로필이 이미 있습니다: ${profile.name}`, 409, 'PRICING_PROFILE_DUPLICATE', true, { name: profile.name });
+    }
+    throw error;
+  }
+}
+
+async function recordVersion(profile, changeType, version = profile.version) {
+  const source = typeof profile.toObject === 'function' ? profile.toObject() : profile;
+  const snapshot = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, source[field]]));
+  await PricingProfileVersion.create({
+    profileId: source._id,
+    name: source.name,
+    version,
+    changeType,
+    snapshot,
+    updatedBy: source.updatedBy,
+  });
+}
+
+async function listProfiles({ enabled } = {}) {
+  const query = {};
+  if (enabled !== undefined) query.enabled = enabled;
+  return PricingProfile.find(query).sort({ priority: 1, createdAt: 1 }).lean();
+}
+
+async function getProfile(profileId) {
+  const profile = await PricingProfile.findById(profileId).lean();
+  if (!profile) throw new NotFoundError('가격 프로필을 찾을 수 없습니다.', 'PricingProfile', profileId);
+  return profile;
+}
+
+/**
+ * 프로필의 버전 이력 (최신 순). 삭제된 프로필의 이력도 조회할 수 있습니다.
+ * @param {string} profileId
+ * @returns {Promise<object[]>}
+ */
+async function listProfileVersions(profileId) {
+  const versions = await PricingProfileVersion.find({ profileId }).sort({ version: -1 }).lean();
+  if (versions.length === 0) throw new NotFoundError('가격 프로필 버전 이력을 찾을 수 없습니다.', 'PricingProfile', profileId);
+  return versions;
+}
+
+async function createProfile(profileData) {
+  assertValidProfile(profileData);
+  const profile = new PricingProfile({ ...profileData, version: 1 });
+  await saveProfile(profile);
+  await recordVersion(profile, 'created');
+  logger.info(`[PricingProfileSvc] Pricing profile '${profile.name}' created (version 1).`);
+  await refreshPricingProfiles();
+  return profile.toObject();
+}
+
+async function updateProfile(profileId, updates) {
+  const profile = await PricingProfile.findById(profileId);
+  if (!profile) throw new NotFoundError('가격 프로필을 찾을 수 없습니다.', 'PricingProfile', profileId);
+
+  // criteria/pricing은 부분 수정 (지정한 필드만 교체)
+  const { criteria, pricing, ...rest } = updates;
+  const nextCriteria = criteria ? { ...(profile.criteria?.toObject?.() || {}), ...criteria } : undefined;
+  const nextPricing = pricing ? { ...(profile.pricing?.toObject?.() || {}), ...pricing } : undefined;
+  assertValidProfile({ criteria: nextCriteria || profile.criteria || {}, pricing: nextPricing || profile.pricing || {} });
+
+  profile.set({ ...rest, ...(nextCriteria && { criteria: nextCriteria }), ...(nextPricing && { pricing: nextPricing }) });
+  profile.version = (profile.version || 1) + 1;
+  await saveProfile(profile);
+  await recordVersion(profile, 'updated');
+  logger.info(`[PricingProfileSvc] Pricing profile '${profile.name}' (${profile._id}) updated to version ${profile.version}.`);
+  await refreshPricingProfiles();
+  return profile.toObject();
+}
+
+async function deleteProfile(profileId, { updatedBy } = {}) {
+  const profile = await PricingProfile.findByIdAndDelete(profileId).lean();
+  if (!profile) throw new NotFoundError('가격 프로필을 찾을 수 없습니다.', 'PricingProfile', profileId);
+  await recordVersion({ ...profile, updatedBy }, 'deleted', (profile.version || 1) + 1);
+  logger.info(`[PricingProfileSvc] Pricing profile '${profile.name}' (${profile._id}) deleted.`);
+  await refreshPricingProfiles();
+  return profile;
+}
+
+module.exports = {
+  refreshPricingProfiles,
+  refreshPricingProfilesIfStale,
+  selectPricingProfile,
+  matchesCriteria,
+  getBuiltInProfile,
+  listProfiles,
+  getProfile,
+  listProfileVersions,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
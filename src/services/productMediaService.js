@@ -0,0 +1,244 @@
+// src/services/productMediaService.js
+// 카탈로그 images 컬럼을 파싱해 Shopify 미디어 입력을 만들고, 이미지 세트가 바뀌었을 때만 미디어를 교체합니다.
+// 미디어 실패는 상품 동기화 실패와 분리해 SyncedProduct의 media* 필드에 기록합니다.
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const SyncedProduct = require('../models/syncedProduct.model');
+
+const MAX_MEDIA_PER_PRODUCT = 250; // Shopify 상품당 미디어 최대 개수
+const MAX_ALT_LENGTH = 512;
+const MAX_RECORDED_MEDIA_ERRORS = 20;
+
+/**
+ * images 값을 URL 목록으로 분리합니다.
+ * JSON 배열 문자열, 배열, 쉼표/세미콜론/파이프/줄바꿈 구분 문자열을 모두 허용합니다.
+ * @param {string|string[]} images
+ * @returns {string[]}
+ */
+function splitImageField(images) {
+  if (Array.isArray(images)) return images.map(url => String(url || '').trim()).filter(Boolean);
+  if (typeof images !== 'string' || images.trim() === '') return [];
+
+  const trimmed = images.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) return splitImageField(parsed);
+    } catch (e) {
+      logger.debug(`[ProductMediaSvc] images field looks like JSON but failed to parse. Falling back to delimiter split.`);
+    }
+  }
+  return trimmed.split(/[,;|\n\r]+/).map(url => url.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+}
+
+/**
+ * 번개장터 이미지 템플릿 URL을 실제 URL로 펼칩니다.
+ * {res}는 설정된 해상도로, {cnt}는 imageCount가 있으면 1..imageCount로 펼치고 없으면 1로 치환합니다.
+ * @param {string} url
+ * @param {number} [imageCount]
+ * @returns {string[]}
+ */
+function expandImageTemplate(url, imageCount) {
+  const resolved = url.replace(/\{res\}/g, String(config.bunjang.imageResolution));
+  if (!resolved.includes('{cnt}')) return [resolved];
+  const count = imageCount > 0 ? imageCount : 1;
+  return Array.from({ length: count }, (_, index) => resolved.replace(/\{cnt\}/g, String(index + 1)));
+}
+
+/**
+ * URL을 https로 정규화하고 유효하지 않으면 null을 반환합니다.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeImageUrl(url) {
+  let normalized = url.trim();
+  if (normalized.startsWith('//')) normalized = `https:${normalized}`;
+  if (normalized.startsWith('http://')) normalized = normalized.replace('http://', 'https://');
+  try {
+    const urlObj = new URL(normalized);
+    return urlObj.protocol === 'https:' ? urlObj.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 카탈로그 상품의 images 값을 정규화된 이미지 URL 목록으로 변환합니다. (순서 유지, 중복 제거)
+ * @param {string|string[]} images - 카탈로그 images 컬럼 값.
+ * @param {object} [options]
+ * @param {number} [options.imageCount] - {cnt} 템플릿을 펼칠 이미지 개수 (카탈로그에 imageCount가 있을 때).
+ * @returns {string[]}
+ */
+function parseBunjangImageUrls(images, { imageCount } = {}) {
+  const urls = [];
+  for (const rawUrl of splitImageField(images)) {
+    for (const expandedUrl of expandImageTemplate(rawUrl, imageCount)) {
+      const normalized = normalizeImageUrl(expandedUrl);
+      if (!normalized) {
+        logger.debug(`[ProductMediaSvc] Invalid or unsupported image URL skipped: ${expandedUrl}`);
+        continue;
+      }
+      if (!urls.includes(normalized)) urls.push(normalized);
+    }
+  }
+  return urls.slice(0, MAX_MEDIA_PER_PRODUCT);
+}
+
+/**
+ * 이미지 URL 목록으로 Shopify CreateMediaInput 목록을 만듭니다.
+ * @param {string[]} imageUrls
+ * @param {string} productTitle - alt 텍스트에 사용할 상품명.
+ * @returns {object[]}
+ */
+function buildMediaInputs(imageUrls, productTitle) {
+  const baseAlt = (productTitle || 'Product image').trim();
+  return imageUrls.map((url, index) => ({
+    originalSource: url,
+    mediaContentType: 'IMAGE',
+    alt: (imageUrls.length > 1 ? `${baseAlt} - image ${index + 1} of ${imageUrls.length}` : baseAlt).substring(0, MAX_ALT_LENGTH),
+  }));
+}
+
+/**
+ * 이미지 세트 변경 감지용 해시. URL 순서도 대표 이미지에 영향을 주므로 포함합니다.
+ * @param {string[]} imageUrls
+ * @returns {string|null}
+ */
+function computeImageSetHash(imageUrls) {
+  if (!imageUrls || imageUrls.length === 0) return null;
+  return crypto.createHash('sha256').update(imageUrls.join('\n')).digest('hex');
+}
+
+/**
+ * productCreateMedia 결과에서 실패한 미디어를 URL 단위로 정리합니다.
+ * mediaUserErrors의 field는 ['media', '<index>', ...] 형태이므로 그 index로 입력을 찾습니다.
+ * 응답의 media 배열은 검증에 실패한 입력이 빠져 입력과 순서가 어긋날 수 있으므로, FAILED 미디어는 입력마다 다른 alt(buildMediaInputs)로 찾습니다.
+ */
+function collectMediaErrors(mediaInputs, mediaResult) {
+  const errors = [];
+  for (const userError of mediaResult?.mediaUserErrors || []) {
+    const index = Array.isArray(userError.field) && userError.field[0] === 'media' ? Number(userError.field[1]) : NaN;
+    errors.push({
+      url: Number.isInteger(index) ? mediaInputs[index]?.originalSource : undefined,
+      code: userError.code || 'MEDIA_USER_ERROR',
+      message: String(userError.message || 'Unknown media error').substring(0, 500),
+    });
+  }
+  for (const media of mediaResult?.media || []) {
+    if (media?.status === 'FAILED') {
+      const input = media.alt ? mediaInputs.find(candidate => candidate.alt === media.alt) : undefined;
+      errors.push({ url: input?.originalSource, code: 'MEDIA_FAILED', message: 'Shopify failed to process the media.' });
+    }
+  }
+  return errors.slice(0, MAX_RECORDED_MEDIA_ERRORS);
+}
+
+/**
+ * 상품 이미지를 Shopify와 동기화합니다. 이미지 세트가 이전 동기화와 같고 마지막 결과가 성공이면 건너뜁니다.
+ * 바뀌었으면 새 미디어를 먼저 추가한 뒤 이전 미디어를 삭제하므로, 추가가 전부 실패해도 기존 사진은 남습니다.
+ * Shopify 미디어 오류는 예외로 던지지 않고 SyncedProduct의 mediaSyncStatus/mediaErrors 등에 기록합니다.
+ *
+ * @param {object} params
+ * @param {string} params.bunjangPid
+ * @param {string} params.shopifyProductGid
+ * @param {string[]} params.imageUrls - parseBunjangImageUrls 결과.
+ * @param {object[]} params.mediaInputs - buildMediaInputs 결과.
+ * @param {object} [params.syncedDoc] - 동기화 전 SyncedProduct 문서 (이전 해시/미디어 ID 확인용).
+ * @param {boolean} [params.productRecreated=false] - 상품이 새로 생성되어 이전 미디어가 없는 경우.
+ * @param {string} [params.jobId='N/A']
+ * @returns {Promise<{status: string, attached?: number, removed?: number, errors?: object[]}>}
+ */
+async function syncProductMedia({ bunjangPid, shopifyProductGid, imageUrls, mediaInputs, syncedDoc = null, productRecreated = false, jobId = 'N/A' }) {
+  const imageSetHash = computeImageSetHash(imageUrls);
+  const now = new Date();
+
+  if (!imageSetHash) {
+    await SyncedProduct.updateOne({ bunjangPid }, { $set: { mediaSyncStatus: 'NO_IMAGES', lastMediaSyncAt: now, mediaErrorMessage: null, mediaErrors: [] } });
+    return { status: 'no_images' };
+  }
+
+  if (!productRecreated &&
+      syncedDoc?.mediaSourceHash === imageSetHash &&
+      syncedDoc?.mediaSyncStatus === 'SYNCED') {
+    logger.debug(`[ProductMediaSvc:Job-${jobId}] Image set unchanged for PID ${bunjangPid}. Skipping media sync.`);
+    return { status: 'unchanged' };
+  }
+
+  // 교체 대상: 이전에 우리가 붙인 미디어. 기록이 없는 기존 상품(이 파이프라인 이전 동기화)은 상품의 현재 미디어 전체.
+  let staleMediaIds = [];
+  if (!productRecreated) {
+    try {
+      staleMediaIds = syncedDoc?.shopifyMediaIds?.length
+        ? syncedDoc.shopifyMediaIds
+        : (await shopifyService.getProductMedia(shopifyProductGid)).map(media => media.id);
+    } catch (error) {
+      logger.warn(`[ProductMediaSvc:Job-${jobId}] Failed to load existing media for ${shopifyProductGid} (PID ${bunjangPid}): ${error.message}`);
+    }
+  }
+
+  let mediaResult;
+  try {
+    logger.info(`[ProductMediaSvc:Job-${jobId}] Attaching ${mediaInputs.length} media items to product ${shopifyProductGid} (PID ${bunjangPid}). Replacing ${staleMediaIds.length} stale items.`);
+    mediaResult = await shopifyService.appendMediaToProduct(shopifyProductGid, mediaInputs);
+  } catch (error) {
+    logger.error(`[ProductMediaSvc:Job-${jobId}] Failed to attach media to product ${shopifyProductGid} (PID ${bunjangPid}): ${error.message}`);
+    await SyncedProduct.updateOne({ bunjangPid }, {
+      $set: {
+        mediaSyncStatus: 'ERROR',
+        mediaErrorMessage: error.message.substring(0, 1000),
+        mediaErrors: [],
+        lastMediaSyncAt: now,
+      },
+    });
+    return { status: 'error', errors: [{ code: error.errorCode || 'MEDIA_APPEND_FAILED', message: error.message }] };
+  }
+
+  const createdMediaIds = (mediaResult?.media || []).filter(media => media?.id && media.status !== 'FAILED').map(media => media.id);
+  const mediaErrors = collectMediaErrors(mediaInputs, mediaResult);
+
+  let removed = 0;
+  if (createdMediaIds.length > 0 && staleMediaIds.length > 0) {
+    const idsToRemove = staleMediaIds.filter(id => !createdMediaIds.includes(id));
+    try {
+      removed = (await shopifyService.deleteProductMedia(shopifyProductGid, idsToRemove)).length;
+    } catch (error) {
+      logger.warn(`[ProductMediaSvc:Job-${jobId}] Failed to remove stale media from ${shopifyProductGid} (PID ${bunjangPid}): ${error.message}`);
+      mediaErrors.push({ code: 'STALE_MEDIA_DELETE_FAILED', message: error.message.substring(0, 500) });
+    }
+  }
+
+  let mediaSyncStatus = 'SYNCED';
+  if (createdMediaIds.length === 0) mediaSyncStatus = 'ERROR';
+  else if (mediaErrors.length > 0) mediaSyncStatus = 'PARTIAL_ERROR';
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      mediaSyncStatus,
+      mediaErrorMessage: mediaErrors.length > 0
+        ? `${mediaErrors.length} of ${mediaInputs.length} media items failed.`
+        : (createdMediaIds.length === 0 ? 'Shopify did not return any created media.' : null),
+      mediaErrors,
+      lastMediaSyncAt: now,
+      // 전부 실패하면 해시/미디어 ID를 갱신하지 않아 다음 동기화에서 다시 시도합니다.
+      ...(createdMediaIds.length > 0 && {
+        mediaSourceHash: imageSetHash,
+        shopifyMediaIds: createdMediaIds,
+        bunjangImagesJson: JSON.stringify(imageUrls),
+      }),
+    },
+  });
+
+  logger.info(`[ProductMediaSvc:Job-${jobId}] Media sync for PID ${bunjangPid}: ${mediaSyncStatus}. Attached ${createdMediaIds.length}, removed ${removed}, failed ${mediaErrors.length}.`);
+  return { status: mediaSyncStatus.toLowerCase(), attached: createdMediaIds.length, removed, errors: mediaErrors };
+}
+
+module.exports = {
+  parseBunjangImageUrls,
+  buildMediaInputs,
+  computeImageSetHash,
+  collectMediaErrors,
+  syncProductMedia,
+};
@@ -0,0 +1,140 @@
+// src/services/productResyncService.js
+// 번개장터 PID 하나를 실시간 상품 정보로 다시 동기화합니다. (POST /api/sync/product/:bunjangPid/resync)
+// 상세 API 응답을 카탈로그 행 형태로 바꿔 processCatalogRow를 거친 뒤, 카탈로그 실행과 같은 productSync 큐 경로로 보냅니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const bunjangService = require('./bunjangService');
+const catalogService = require('./catalogService');
+const productSyncQueueService = require('./productSyncQueueService');
+const { getQueueEvents } = require('../jobs/queues');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ProductResyncSvc';
+const IN_PROGRESS_STATES = ['waiting', 'active', 'delayed', 'prioritized', 'waiting-children'];
+
+// ?wait=true 응답에서 변경 여부를 비교할 SyncedProduct 필드
+const COMPARED_FIELDS = [
+  'syncStatus', 'syncErrorMessage', 'shopifyGid', 'shopifyProductId', 'shopifyHandle', 'shopifyStatus',
+  'shopifyProductType', 'shopifyListedPriceUsd', 'shopifyVariantSkus', 'shopifyMediaIds',
+];
+
+function resyncJobId(bunjangPid) {
+  return `resync-${bunjangPid}`;
+}
+
+/**
+ * 동기화 전후 SyncedProduct를 비교해 바뀐 Shopify 필드 목록을 만듭니다. listingSnapshot(제목, 태그, 설명 해시 등)도 필드별로 비교합니다.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffSyncedProduct(before, after) {
+  const changes = [];
+  for (const field of COMPARED_FIELDS) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  const previousSnapshot = before?.listingSnapshot || {};
+  const nextSnapshot = after?.listingSnapshot || {};
+  for (const field of Object.keys({ ...previousSnapshot, ...nextSnapshot })) {
+    const from = previousSnapshot[field] ?? null;
+    const to = nextSnapshot[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field: `listingSnapshot.${field}`, from, to });
+  }
+  return changes;
+}
+
+/**
+ * 번개장터 상세 API로 상품을 조회해 processCatalogRow와 같은 상품 객체로 만듭니다.
+ * @param {string} bunjangPid
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 번개장터에서 상품을 찾을 수 없으면.
+ * @throws {AppError} 판매 중이 아니거나 리스팅 규칙에 의해 제외되면 (422).
+ */
+async function fetchListableProduct(bunjangPid) {
+  const details = await bunjangService.getBunjangProductDetails(bunjangPid);
+  if (!details) throw new NotFoundError('번개장터 상품을 찾을 수 없습니다.', 'BunjangProduct', bunjangPid);
+
+  await catalogService.refreshSyncCachesIfStale(); // 카탈로그 실행 전에 시작된 프로세스에서도 리스팅 규칙/차단 판매자로 평가
+  const row = catalogService.buildCatalogRowFromProductDetails({ pid: bunjangPid, ...details });
+  let ruleRejection = null;
+  const product = catalogService.processCatalogRow(row, 0, { onRuleReject: reason => { ruleRejection = reason; } });
+  if (!product) {
+    const reason = ruleRejection
+      ? `리스팅 규칙에 의해 제외되었습니다 (${ruleRejection.code}): ${ruleRejection.message}`
+      : `판매 중이 아니거나 필수 정보가 없습니다. (saleStatus: ${row.saleStatus || 'N/A'})`;
+    throw new AppError(`번개장터 상품(PID: ${bunjangPid})을 리스팅할 수 없습니다. ${reason}`, 422, 'PRODUCT_NOT_LISTABLE', true, {
+      bunjangPid,
+      saleStatus: row.saleStatus,
+      ...(ruleRejection && { ruleRejection }),
+    });
+  }
+  return product;
+}
+
+/**
+ * PID 하나를 실시간 정보로 재동기화합니다. 마지막 동기화 이후 변경이 없어도 동기화합니다.
+ * 큐를 쓸 수 없으면(Redis 비활성화 등) 카탈로그 실행과 마찬가지로 바로 동기화하고 결과를 기다립니다.
+ * @param {string} bunjangPid
+ * @param {object} [options]
+ * @param {boolean} [options.wait=false] - 작업이 끝날 때까지 기다려 SyncedProduct와 변경 필드를 반환할지.
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<object>} { bunjangPid, jobId, state, [result, syncedProduct, changes] }
+ * @throws {AppError} 같은 PID의 재동기화 작업이 이미 진행 중이면 (409).
+ */
+async function resyncProduct(bunjangPid, { wait = false, requestedBy } = {}) {
+  const product = await fetchListableProduct(bunjangPid);
+  const before = await SyncedProduct.findOne({ bunjangPid }).lean();
+
+  if (!productSyncQueueService.isProductSyncQueueEnabled()) {
+    logger.info(`[${SERVICE_NAME}] Product sync queue disabled. Resyncing PID ${bunjangPid} inline.`);
+    const result = await catalogService.syncBunjangProductToShopify(product, `resync-${bunjangPid}`, { force: true });
+    if (result?.status === 'error') {
+      throw new AppError(`번개장터 상품(PID: ${bunjangPid}) 재동기화에 실패했습니다: ${result.message}`, 502, 'PRODUCT_RESYNC_FAILED', true, { bunjangPid });
+    }
+    const after = await SyncedProduct.findOne({ bunjangPid }).lean();
+    return { bunjangPid, jobId: null, state: 'completed', result, syncedProduct: after, changes: diffSyncedProduct(before, after) };
+  }
+
+  const queue = productSyncQueueService.getProductSyncQueue();
+  const jobId = resyncJobId(bunjangPid);
+  const existingJob = await queue.getJob(jobId);
+  if (existingJob) {
+    const state = await existingJob.getState();
+    if (IN_PROGRESS_STATES.includes(state)) {
+      throw new AppError(`이미 처리 중인 재동기화 작업이 있습니다 (PID: ${bunjangPid})`, 409, 'PRODUCT_RESYNC_IN_PROGRESS', true, { existingJobId: existingJob.id, state });
+    }
+    await existingJob.remove(); // 끝난 작업은 제거하고 새로 추가
+  }
+
+  const job = await productSyncQueueService.enqueueProductSync(product, {
+    jobId,
+    triggeredBy: `api_resync${requestedBy ? `:${requestedBy}` : ''}`,
+    force: true,
+  });
+  logger.info(`[${SERVICE_NAME}] Resync job ${job.id} for PID ${bunjangPid} added to queue "${queue.name}".`);
+  if (!wait) return { bunjangPid, jobId: job.id, state: 'waiting' };
+
+  let result;
+  try {
+    result = await job.waitUntilFinished(getQueueEvents(queue.name), config.bullmq.productSync.resyncWaitTimeoutMs);
+  } catch (error) {
+    const state = await job.getState();
+    if (state !== 'failed') {
+      // 대기 시간 초과: 작업은 큐에 남아 계속 처리됨
+      return { bunjangPid, jobId: job.id, state, timedOut: true };
+    }
+    throw new AppError(`번개장터 상품(PID: ${bunjangPid}) 재동기화에 실패했습니다: ${error.message}`, 502, 'PRODUCT_RESYNC_FAILED', true, { bunjangPid, jobId: job.id });
+  }
+
+  const after = await SyncedProduct.findOne({ bunjangPid }).lean();
+  return { bunjangPid, jobId: job.id, state: 'completed', result, syncedProduct: after, changes: diffSyncedProduct(before, after) };
+}
+
+module.exports = {
+  diffSyncedProduct,
+  resyncProduct,
+};
@@ -0,0 +1,257 @@
+// src/services/productSyncQueueService.js
+// 상품별 동기화 작업(productSync 큐)과 데드레터 큐(productSyncDeadLetter) 관리입니다.
+// 카탈로그 실행은 상품마다 작업을 추가하고 결과를 기다리며, 재시도/백오프는 작업 옵션으로 처리합니다.
+// 재시도를 모두 실패한 작업은 워커가 데드레터 큐에 PID별 항목(마지막 에러 포함)으로 옮기고,
+// 데드레터 큐는 소비하는 워커가 없으므로 API로 재등록(requeue)하거나, 이후 동기화(카탈로그 실행/수동 재동기화)가 성공하면 제거됩니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const { getQueue, getQueueEvents } = require('../jobs/queues');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ProductSyncQueueSvc';
+const DEAD_LETTER_JOB_NAME = 'DeadLetter-ProductSync';
+const REQUEUE_BATCH_SIZE = 100;
+
+function getProductSyncQueue() {
+  const queue = getQueue(config.bullmq.queues.productSync);
+  if (!queue) throw new AppError('Product sync queue is not available (Redis disabled).', 503, 'QUEUE_SYSTEM_DISABLED');
+  return queue;
+}
+
+function getDeadLetterQueue() {
+  const queue = getQueue(config.bullmq.queues.productSyncDeadLetter);
+  if (!queue) throw new AppError('Product sync dead-letter queue is not available (Redis disabled).', 503, 'QUEUE_SYSTEM_DISABLED');
+  return queue;
+}
+
+function deadLetterJobId(bunjangPid) {
+  return `dlq-${bunjangPid}`;
+}
+
+/**
+ * 카탈로그 실행이 상품 동기화를 큐로 보낼지 여부. (Redis 활성화 + bullmq.productSync.enabled)
+ * @returns {boolean}
+ */
+function isProductSyncQueueEnabled() {
+  return config.redis.enabled && config.bullmq.productSync.enabled;
+}
+
+/**
+ * 상품 동기화 작업 옵션: 재시도 횟수와 지수 백오프. 실패한 작업은 데드레터 큐로 옮기므로 오래 보관하지 않음.
+ */
+function buildProductSyncJobOptions(jobId) {
+  const { attempts, backoffDelayMs } = config.bullmq.productSync;
+  return {
+    jobId,
+    attempts,
+    backoff: { type: 'exponential', delay: backoffDelayMs },
+    removeOnComplete: { count: 1000, age: 24 * 3600 },
+    removeOnFail: { count: 1000, age: 24 * 3600 },
+  };
+}
+
+/**
+ * 작업 데이터(JSON)로 전달된 상품 객체의 날짜 필드를 processCatalogRow 결과와 같이 Date로 되돌립니다.
+ * @param {object} product
+ * @returns {object}
+ */
+function reviveCatalogProduct(product) {
+  return {
+    ...product,
+    updatedAt: product.updatedAt ? new Date(product.updatedAt) : null,
+    createdAt: product.createdAt ? new Date(product.createdAt) : null,
+  };
+}
+
+/**
+ * 상품 동기화 작업을 추가합니다.
+ * @param {object} product - processCatalogRow 결과 형태의 상품 객체.
+ * @param {object} [options]
+ * @param {string} [options.jobId] - BullMQ 작업 ID (같은 ID의 작업이 남아 있으면 새로 추가되지 않음).
+ * @param {string} [options.triggeredBy]
+ * @param {string} [options.catalogRunId]
+ * @param {boolean} [options.force=false] - 마지막 동기화 이후 변경이 없어도 동기화.
+ * @returns {Promise<import('bullmq').Job>}
+ */
+async function enqueueProductSync(product, { jobId, triggeredBy = 'unknown', catalogRunId, force = false } = {}) {
+  const queue = getProductSyncQueue();
+  return queue.add('SyncBunjangProduct', {
+    bunjangPid: product.pid,
+    product,
+    triggeredBy,
+    ...(catalogRunId && { catalogRunId: String(catalogRunId) }),
+    ...(force && { force: true }),
+  }, buildProductSyncJobOptions(jobId || `product-${product.pid}-${Date.now()}`));
+}
+
+/**
+ * 상품 동기화 작업을 추가하고 끝날 때까지(재시도 포함) 기다립니다.
+ * 재시도를 모두 실패하거나 waitTimeoutMs 안에 끝나지 않으면 { status: 'error' }를 반환합니다.
+ * (시간 초과된 작업은 큐에 남아 계속 처리됩니다.)
+ * @param {object} product
+ * @param {object} [options] - enqueueProductSync 옵션.
+ * @returns {Promise<object>} syncBunjangProductToShopify 결과 ({ status, ... }) + jobId.
+ */
+async function syncProductThroughQueue(product, options = {}) {
+  const job = await enqueueProductSync(product, options);
+  try {
+    const result = await job.waitUntilFinished(getQueueEvents(config.bullmq.queues.productSync), config.bullmq.productSync.waitTimeoutMs);
+    return { ...result, jobId: job.id };
+  } catch (error) {
+    return { status: 'error', message: String(error.message).substring(0, 255), jobId: job.id };
+  }
+}
+
+/**
+ * 재시도를 모두 실패한 작업을 데드레터 큐로 옮깁니다. PID당 항목 하나만 유지하며 새 실패가 이전 항목을 대체합니다.
+ * @param {import('bullmq').Job} job - 실패한 상품 동기화 작업.
+ * @param {Error} error - 마지막 에러.
+ */
+async function moveToDeadLetter(job, error) {
+  const queue = getDeadLetterQueue();
+  const bunjangPid = job.data.bunjangPid || job.data.product?.pid;
+  const dlqJobId = deadLetterJobId(bunjangPid);
+
+  const existing = await queue.getJob(dlqJobId);
+  if (existing) await existing.remove();
+
+  await queue.add(DEAD_LETTER_JOB_NAME, {
+    bunjangPid,
+    productName: job.data.product?.name,
+    product: job.data.product,
+    lastError: String(error?.message || 'Unknown error').substring(0, 1000),
+    attemptsMade: job.attemptsMade + 1,
+    failedAt: new Date().toISOString(),
+    originalJobId: job.id,
+    triggeredBy: job.data.triggeredBy,
+    ...(job.data.catalogRunId && { catalogRunId: job.data.catalogRunId }),
+    deadLetterCount: (existing?.data.deadLetterCount || 0) + 1,
+  }, { jobId: dlqJobId, attempts: 1, removeOnComplete: true, removeOnFail: false });
+
+  logger.warn(`[${SERVICE_NAME}] Product sync job ${job.id} for PID ${bunjangPid} exhausted its retries and was moved to the dead-letter queue: ${error?.message}`);
+}
+
+/**
+ * 동기화에 성공한 상품의 데드레터 항목을 제거합니다. Redis가 비활성화되었거나 제거에 실패해도 동기화 결과에는 영향을 주지 않습니다.
+ * @param {string[]} bunjangPids
+ * @returns {Promise<number>} 제거한 항목 수.
+ */
+async function removeDeadLetteredProducts(bunjangPids) {
+  if (!config.redis.enabled || bunjangPids.length === 0) return 0;
+  let removed = 0;
+  try {
+    const queue = getDeadLetterQueue();
+    for (const bunjangPid of new Set(bunjangPids.map(String))) {
+      removed += await queue.remove(deadLetterJobId(bunjangPid));
+    }
+    if (removed > 0) {
+      logger.info(`[${SERVICE_NAME}] Removed ${removed} dead-letter entries for products that synced successfully.`);
+    }
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}] Failed to remove dead-letter entries for synced products: ${error.message}`);
+  }
+  return removed;
+}
+
+function toDeadLetterEntry(dlqJob) {
+  const { product, ...entry } = dlqJob.data;
+  return { ...entry, hasProductData: Boolean(product) };
+}
+
+/**
+ * 데드레터 큐의 PID 목록 (최근 실패 순).
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ * @param {number} [options.skip=0]
+ * @returns {Promise<{total: number, entries: object[]}>}
+ */
+async function listDeadLetteredProducts({ limit = 50, skip = 0 } = {}) {
+  const queue = getDeadLetterQueue();
+  const [total, jobs] = await Promise.all([
+    queue.getWaitingCount(),
+    queue.getJobs(['waiting'], skip, skip + limit - 1, false), // 나중에 추가된 항목부터
+  ]);
+  return { total, entries: jobs.filter(Boolean).map(toDeadLetterEntry) };
+}
+
+async function requeueDeadLetterJob(dlqJob, requestedBy) {
+  const { bunjangPid, product } = dlqJob.data;
+  if (!product) {
+    throw new AppError(`데드레터 항목(PID: ${bunjangPid})에 상품 데이터가 없어 다시 추가할 수 없습니다.`, 422, 'DEAD_LETTER_NO_PRODUCT_DATA', true, { bunjangPid });
+  }
+  const job = await enqueueProductSync(product, {
+    jobId: `requeue-${bunjangPid}-${Date.now()}`,
+    triggeredBy: `dead_letter_requeue${requestedBy ? `:${requestedBy}` : ''}`,
+  });
+  await dlqJob.remove();
+  logger.info(`[${SERVICE_NAME}] Requeued dead-lettered PID ${bunjangPid} as product sync job ${job.id}.`);
+  return { bunjangPid, jobId: job.id };
+}
+
+/**
+ * 데드레터 항목 하나를 상품 동기화 큐에 다시 추가하고 데드레터 큐에서 제거합니다.
+ * @param {string} bunjangPid
+ * @param {object} [options]
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<{bunjangPid: string, jobId: string}>}
+ * @throws {NotFoundError} 데드레터 항목이 없으면.
+ */
+async function requeueDeadLetteredProduct(bunjangPid, { requestedBy } = {}) {
+  const dlqJob = await getDeadLetterQueue().getJob(deadLetterJobId(bunjangPid));
+  if (!dlqJob) throw new NotFoundError('데드레터 큐에 해당 상품이 없습니다.', 'DeadLetteredProduct', bunjangPid);
+  return requeueDeadLetterJob(dlqJob, requestedBy);
+}
+
+/**
+ * 데드레터 항목을 일괄 재등록합니다. pids가 없으면 전체 항목을 재등록합니다.
+ * @param {object} [options]
+ * @param {string[]} [options.pids]
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<{requeued: object[], notFound: string[], failed: object[]}>}
+ */
+async function requeueDeadLetteredProducts({ pids, requestedBy } = {}) {
+  const queue = getDeadLetterQueue();
+  const requeued = [];
+  const notFound = [];
+  const failed = [];
+
+  const requeueOne = async (dlqJob) => {
+    try {
+      requeued.push(await requeueDeadLetterJob(dlqJob, requestedBy));
+    } catch (error) {
+      failed.push({ bunjangPid: dlqJob.data.bunjangPid, message: error.message });
+    }
+  };
+
+  if (pids?.length) {
+    for (const pid of new Set(pids)) {
+      const dlqJob = await queue.getJob(deadLetterJobId(pid));
+      if (dlqJob) await requeueOne(dlqJob);
+      else notFound.push(pid);
+    }
+  } else {
+    // 재등록한 항목은 제거되므로, 다시 추가할 수 없는 항목(failed)만큼 건너뛰며 앞에서부터 읽음
+    for (;;) {
+      const jobs = (await queue.getJobs(['waiting'], failed.length, failed.length + REQUEUE_BATCH_SIZE - 1, true)).filter(Boolean);
+      if (jobs.length === 0) break;
+      for (const dlqJob of jobs) await requeueOne(dlqJob);
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}] Bulk requeue from dead-letter queue: ${requeued.length} requeued, ${notFound.length} not found, ${failed.length} failed.`);
+  return { requeued, notFound, failed };
+}
+
+module.exports = {
+  getProductSyncQueue,
+  isProductSyncQueueEnabled,
+  reviveCatalogProduct,
+  enqueueProductSync,
+  syncProductThroughQueue,
+  moveToDeadLetter,
+  removeDeadLetteredProducts,
+  listDeadLetteredProducts,
+  requeueDeadLetteredProduct,
+  requeueDeadLetteredProducts,
+};
@@ -0,0 +1,194 @@
+// src/services/sellerRegistryService.js
+// 번개장터 판매자 레지스트리(BunjangSeller): 판매자 상태 관리, 주문 결과 집계, 차단 판매자 상품 비활성화를 담당합니다.
+// 카탈로그 행 평가는 동기 함수이므로 차단/허용 판매자 목록은 메모리에 캐시합니다. (listingRuleService.refreshListingRules에서 갱신)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const BunjangSeller = require('../models/bunjangSeller.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const inventoryService = require('./inventoryService');
+const { LISTED_PRODUCT_FILTER } = require('./catalogDeltaService');
+const { NotFoundError, ValidationError } = require('../utils/customErrors');
+
+// 주문 결과 → 카운터 필드
+const OUTCOME_COUNTERS = {
+  placed: 'ordersPlaced',
+  failed: 'ordersFailed',
+  completed: 'ordersCompleted',
+  cancelled: 'ordersCancelled',
+  returned: 'ordersReturned',
+};
+
+let sellerStatusCache = { blocked: new Set(), allowed: new Set() };
+
+/**
+ * 차단/허용 판매자 목록을 DB에서 다시 읽어 캐시합니다. 실패하면 기존 캐시를 유지합니다.
+ */
+async function refreshSellerStatusCache() {
+  try {
+    const sellers = await BunjangSeller.find({ status: { $in: ['blocked', 'allowed'] } }).select({ sellerUid: 1, status: 1 }).lean();
+    sellerStatusCache = {
+      blocked: new Set(sellers.filter(seller => seller.status === 'blocked').map(seller => seller.sellerUid)),
+      allowed: new Set(sellers.filter(seller => seller.status === 'allowed').map(seller => seller.sellerUid)),
+    };
+    logger.info(`[SellerRegistrySvc] Loaded ${sellerStatusCache.blocked.size} blocked and ${sellerStatusCache.allowed.size} allowed sellers.`);
+  } catch (error) {
+    logger.warn(`[SellerRegistrySvc] Failed to load seller statuses. Keeping cached lists: ${error.message}`);
+  }
+}
+
+/**
+ * 캐시된 판매자 상태를 반환합니다. (카탈로그 행 평가용, 동기)
+ * @param {string} sellerUid
+ * @returns {'blocked'|'allowed'|null}
+ */
+function getCachedSellerStatus(sellerUid) {
+  if (!sellerUid) return null;
+  if (sellerStatusCache.blocked.has(sellerUid)) return 'blocked';
+  if (sellerStatusCache.allowed.has(sellerUid)) return 'allowed';
+  return null;
+}
+
+/**
+ * DB에서 판매자 상태를 조회합니다. (주문 처리용, 캐시 사용 안 함)
+ * @param {string} sellerUid
+ * @returns {Promise<string|null>} 등록되지 않은 판매자는 null.
+ */
+async function getSellerStatus(sellerUid) {
+  if (!sellerUid) return null;
+  const seller = await BunjangSeller.findOne({ sellerUid }).select({ status: 1 }).lean();
+  return seller ? seller.status : null;
+}
+
+/**
+ * 차단된 판매자의 리스팅 중인 상품을 Shopify에서 DRAFT 처리합니다.
+ * @param {string} sellerUid
+ * @returns {Promise<{drafted: number, failed: number}>}
+ */
+async function draftListingsForSeller(sellerUid) {
+  const result = { drafted: 0, failed: 0 };
+  const cursor = SyncedProduct.find({ ...LISTED_PRODUCT_FILTER, bunjangSellerUid: sellerUid })
+    .select({ bunjangPid: 1, shopifyGid: 1 })
+    .lean()
+    .cursor();
+
+  for await (const { bunjangPid, shopifyGid } of cursor) {
+    try {
+      await inventoryService.markProductAsDraft(shopifyGid, bunjangPid, 'bunjang_blocked_seller');
+      await SyncedProduct.updateOne(
+        { bunjangPid },
+        { $set: { shopifyStatus: 'DRAFT', blockedSellerDraftedAt: new Date() } }
+      );
+      result.drafted++;
+    } catch (error) {
+      result.failed++;
+      logger.error(`[SellerRegistrySvc] Failed to draft PID ${bunjangPid} (${shopifyGid}) of blocked seller ${sellerUid}: ${error.message}`);
+    }
+  }
+  logger.info(`[SellerRegistrySvc] Drafted ${result.drafted} listings of blocked seller ${sellerUid} (${result.failed} failed).`);
+  return result;
+}
+
+/**
+ * 판매자 상태와 메모를 변경합니다. 새로 blocked가 되면 리스팅 중인 상품을 DRAFT 처리합니다.
+ * 차단이 해제된 판매자의 상품은 다음 카탈로그 동기화 때 다시 활성화됩니다.
+ * @param {string} sellerUid
+ * @param {object} changes - { status, notes, changedBy }
+ * @returns {Promise<{seller: object, drafted?: object}>}
+ */
+async function updateSeller(sellerUid, { status, notes, changedBy } = {}) {
+  if (status && !BunjangSeller.SELLER_STATUSES.includes(status)) {
+    throw new ValidationError('유효하지 않은 판매자 상태입니다.', [
+      { field: 'status', message: `status must be one of ${BunjangSeller.SELLER_STATUSES.join(', ')}`, value: status },
+    ]);
+  }
+
+  const previous = await BunjangSeller.findOne({ sellerUid }).select({ status: 1 }).lean();
+  const $set = {};
+  if (notes !== undefined) $set.notes = notes;
+  if (status && status !== previous?.status) {
+    Object.assign($set, { status, statusChangedAt: new Date(), statusChangedBy: changedBy });
+  }
+
+  const seller = await BunjangSeller.findOneAndUpdate(
+    { sellerUid },
+    { ...(Object.keys($set).length > 0 && { $set }), $setOnInsert: { sellerUid } },
+    { upsert: true, new: true, lean: true }
+  );
+
+  sellerStatusCache.blocked.delete(sellerUid);
+  sellerStatusCache.allowed.delete(sellerUid);
+  if (seller.status === 'blocked') sellerStatusCache.blocked.add(sellerUid);
+  if (seller.status === 'allowed') sellerStatusCache.allowed.add(sellerUid);
+
+  if ($set.status) {
+    logger.info(`[SellerRegistrySvc] Seller ${sellerUid} status changed: ${previous?.status || 'unregistered'} -> ${status} (by ${changedBy || 'unknown'}).`);
+  }
+  if ($set.status === 'blocked') {
+    const drafted = await draftListingsForSeller(sellerUid);
+    return { seller, drafted };
+  }
+  return { seller };
+}
+
+/**
+ * 우리가 넣은 번개장터 주문의 결과를 판매자 통계에 반영합니다. 같은 reference/outcome은 한 번만 집계됩니다.
+ * @param {string} sellerUid
+ * @param {'placed'|'failed'|'completed'|'cancelled'|'returned'} outcome
+ * @param {string} reference - 번개장터 주문 ID (주문 생성 실패 시 Shopify 주문 ID와 PID 조합).
+ */
+async function recordOrderOutcome(sellerUid, outcome, reference) {
+  const counterField = OUTCOME_COUNTERS[outcome];
+  if (!sellerUid || !counterField) return;
+
+  const outcomeKey = `${reference}:${outcome}`;
+  const now = new Date();
+  const $set = {};
+  if (outcome === 'placed') $set.lastOrderAt = now;
+  if (outcome === 'cancelled') $set.lastCancelledAt = now;
+
+  try {
+    await BunjangSeller.updateOne({ sellerUid }, { $setOnInsert: { sellerUid } }, { upsert: true });
+    const result = await BunjangSeller.updateOne(
+      { sellerUid, recordedOutcomeKeys: { $ne: outcomeKey } },
+      {
+        $inc: { [`counters.${counterField}`]: 1 },
+        // 최근 키만 유지 (한 주문의 결과는 짧은 기간 안에 들어오므로 오래된 키는 중복 집계 방지에 필요 없음)
+        $push: { recordedOutcomeKeys: { $each: [outcomeKey], $slice: -config.bunjang.sellerRegistry.maxRecordedOutcomeKeys } },
+        ...(Object.keys($set).length > 0 && { $set }),
+      }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`[SellerRegistrySvc] Recorded order outcome '${outcome}' (${reference}) for seller ${sellerUid}.`);
+    }
+  } catch (error) {
+    logger.warn(`[SellerRegistrySvc] Failed to record order outcome '${outcome}' (${reference}) for seller ${sellerUid}: ${error.message}`);
+  }
+}
+
+async function listSellers({ status, limit = 50, skip = 0 } = {}) {
+  const query = status ? { status } : {};
+  const [total, sellers] = await Promise.all([
+    BunjangSeller.countDocuments(query),
+    BunjangSeller.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit).lean(),
+  ]);
+  return { total, sellers };
+}
+
+async function getSeller(sellerUid) {
+  const seller = await BunjangSeller.findOne({ sellerUid }).lean();
+  if (!seller) throw new NotFoundError('판매자를 찾을 수 없습니다.', 'BunjangSeller', sellerUid);
+  const listedProducts = await SyncedProduct.countDocuments({ ...LISTED_PRODUCT_FILTER, bunjangSellerUid: sellerUid });
+  return { ...seller, listedProducts };
+}
+
+module.exports = {
+  refreshSellerStatusCache,
+  getCachedSellerStatus,
+  getSellerStatus,
+  updateSeller,
+  draftListingsForSeller,
+  recordOrderOutcome,
+  listSellers,
+  getSeller,
+};
@@ -0,0 +1,134 @@
+// src/services/shopifyBulkOperationService.js
+// Shopify Bulk Operations 실행 도우미입니다.
+// mutation: 변수 JSONL 업로드(stagedUploadsCreate) → bulkOperationRunMutation → 완료까지 폴링 → 결과 JSONL을 줄 번호별로 반환.
+// query: bulkOperationRunQuery → 완료까지 폴링 → 결과 JSONL을 한 줄씩 전달.
+// 상점당 벌크 mutation과 벌크 쿼리는 각각 한 번에 하나만 실행할 수 있으므로 호출자가 순서대로 실행해야 합니다.
+
+const readline = require('node:readline');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ShopifyBulkSvc';
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+/**
+ * 벌크 작업이 끝날 때까지 config.shopify.bulkOperations.pollIntervalMs 간격으로 상태를 확인합니다.
+ * timeoutMs 안에 끝나지 않으면 작업을 취소하고 CANCELED가 될 때까지 기다립니다. 취소된 작업도 이미 처리된 줄의 결과(partialDataUrl)를
+ * 반환하므로 호출자가 만들어진 상품 GID를 기록할 수 있고, 다음 벌크 작업이 실행 중인 작업 때문에 거부되지 않습니다.
+ * @param {object} bulkOperation - 시작 시 반환된 BulkOperation.
+ * @param {object} [options]
+ * @param {string} [options.label]
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<object>} 종료 상태의 BulkOperation (시간 초과 시 CANCELED).
+ * @throws {ExternalServiceError} 취소 후에도 cancelTimeoutMs 안에 끝나지 않으면.
+ */
+async function waitForBulkOperation(bulkOperation, { label = 'bulk operation', jobId = 'N/A' } = {}) {
+  const { pollIntervalMs, timeoutMs, cancelTimeoutMs } = config.shopify.bulkOperations;
+  let deadline = Date.now() + timeoutMs;
+  let cancelRequested = false;
+  let operation = bulkOperation;
+
+  while (!FINISHED_STATUSES.includes(operation.status)) {
+    if (Date.now() >= deadline) {
+      if (cancelRequested) {
+        throw new ExternalServiceError(SERVICE_NAME, null, `Bulk operation ${operation.id} (${label}) did not finish within ${timeoutMs}ms and was not canceled within ${cancelTimeoutMs}ms.`, 'SHOPIFY_BULK_OPERATION_TIMEOUT', { bulkOperationId: operation.id, status: operation.status });
+      }
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] ${label} ${operation.id} did not finish within ${timeoutMs}ms (status: ${operation.status}). Canceling.`);
+      await shopifyService.cancelBulkOperation(operation.id) // 그 사이 끝난 작업은 취소 실패, 다음 조회에서 종료 상태 확인
+        .catch(error => logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to cancel ${label} ${operation.id}: ${error.message}`));
+      cancelRequested = true;
+      deadline = Date.now() + cancelTimeoutMs;
+    }
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    operation = await shopifyService.getBulkOperation(operation.id);
+    logger.debug(`[${SERVICE_NAME}:Job-${jobId}] ${label} ${operation.id}: ${operation.status} (objects: ${operation.objectCount || 0})`);
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] ${label} ${operation.id} finished with status ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}. Objects: ${operation.objectCount || 0}`);
+  return operation;
+}
+
+/**
+ * 결과 JSONL 파일을 내려받아 한 줄씩 파싱해 전달합니다. (파일 전체를 메모리에 올리지 않음)
+ * @param {string} url
+ * @param {function(object): (void|Promise<void>)} onLine
+ * @returns {Promise<number>} 읽은 줄 수.
+ */
+async function readJsonlFromUrl(url, onLine) {
+  let response;
+  try {
+    response = await axios.get(url, { responseType: 'stream', timeout: config.shopify.bulkOperations.uploadTimeoutMs });
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Failed to download bulk operation result (Status: ${error.response?.status || 'N/A'})`, 'SHOPIFY_BULK_RESULT_DOWNLOAD_FAILED');
+  }
+
+  const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+  let count = 0;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    await onLine(JSON.parse(line));
+    count++;
+  }
+  return count;
+}
+
+/**
+ * 변수 목록으로 벌크 mutation을 실행하고 줄별 응답을 반환합니다.
+ * 작업이 FAILED 등으로 끝나거나 시간 초과로 취소(CANCELED)되어도 받은 부분 결과(partialDataUrl)는 반환하므로, 호출자는 operation.status를 확인해야 합니다.
+ * @param {string} mutation - 한 줄의 변수로 실행할 mutation 문자열.
+ * @param {object[]} variablesList - 줄별 변수.
+ * @param {object} [options]
+ * @param {string} [options.label='bulk mutation'] - 로그와 업로드 파일명용.
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<{operation: object, results: Array<object|undefined>}>} results[i]는 variablesList[i]의 응답 ({ data, errors }), 결과가 없으면 undefined.
+ */
+async function runBulkMutation(mutation, variablesList, { label = 'bulk mutation', jobId = 'N/A' } = {}) {
+  const filename = `${label.replace(/[^\w-]+/g, '_')}_${Date.now()}.jsonl`;
+  const content = variablesList.map(variables => JSON.stringify(variables)).join('\n');
+
+  const target = await shopifyService.createStagedUpload({ filename });
+  const stagedUploadPath = await shopifyService.uploadToStagedTarget(target, content, { filename });
+  const started = await shopifyService.runBulkMutation(mutation, stagedUploadPath);
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Started ${label} ${started.id} with ${variablesList.length} lines (${Buffer.byteLength(content)} bytes).`);
+
+  const operation = await waitForBulkOperation(started, { label, jobId });
+  const results = new Array(variablesList.length);
+  const resultUrl = operation.url || operation.partialDataUrl;
+  if (resultUrl) {
+    await readJsonlFromUrl(resultUrl, (line) => {
+      if (Number.isInteger(line.__lineNumber)) results[line.__lineNumber] = line;
+    });
+  }
+  return { operation, results };
+}
+
+/**
+ * 벌크 쿼리를 실행하고 결과 JSONL을 한 줄씩 전달합니다. 중첩 연결의 자식 줄에는 __parentId가 있습니다.
+ * @param {string} query
+ * @param {function(object): (void|Promise<void>)} onLine
+ * @param {object} [options]
+ * @param {string} [options.label='bulk query']
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<object>} 완료된 BulkOperation.
+ * @throws {ExternalServiceError} 작업이 COMPLETED로 끝나지 않으면.
+ */
+async function runBulkQuery(query, onLine, { label = 'bulk query', jobId = 'N/A' } = {}) {
+  const started = await shopifyService.runBulkQuery(query);
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Started ${label} ${started.id}.`);
+
+  const operation = await waitForBulkOperation(started, { label, jobId });
+  if (operation.status !== 'COMPLETED') {
+    throw new ExternalServiceError(SERVICE_NAME, null, `${label} ${operation.id} ended with status ${operation.status}.`, 'SHOPIFY_BULK_OPERATION_FAILED', { bulkOperationId: operation.id, errorCode: operation.errorCode });
+  }
+  if (operation.url) await readJsonlFromUrl(operation.url, onLine); // 결과가 없으면 url이 null
+  return operation;
+}
+
+module.exports = {
+  waitForBulkOperation,
+  runBulkMutation,
+  runBulkQuery,
+};
@@ -11,9 +11,11 @@ const {
     LATEST_API_VERSION
 } = require('@shopify/shopify-api');
 
+const axios = require('axios');
 const config = require('../config');
 const logger = require('../config/logger');
 const { ExternalServiceError, AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const shopifyThrottleService = require('./shopifyThrottleService');
 
 const SERVICE_NAME = 'ShopifySvc';
 
@@ -177,6 +179,9 @@ async function shopifyGraphqlRequest(query, variables = {}) {
         variableValues: JSON.stringify(variables)
       });
       
+      // 공유 버킷에서 예상 비용만큼 예약 (부족하면 복구될 때까지 대기)
+      await shopifyThrottleService.acquireQueryBudget(operationName);
+
       let response;
       try {
         response = await client.request(query, {
@@ -205,6 +210,8 @@ async function shopifyGraphqlRequest(query, variables = {}) {
         throw requestError;
       }
 
+      await shopifyThrottleService.recordQueryCost(operationName, response.extensions?.cost);
+
       if (response.errors && response.errors.length > 0) {
         const errorDetails = {
           querySummary: query.substring(0, 250) + (query.length > 250 ? '...' : ''),
@@ -248,6 +255,13 @@ async function shopifyGraphqlRequest(query, variables = {}) {
         };
         logger.warn(`[${SERVICE_NAME}] GraphqlQueryError for ${operationName}:`, errorLogDetails);
 
+        // THROTTLED 응답에도 버킷 상태가 오므로, 기록해 두면 다음 시도의 예약이 복구될 때까지 기다림
+        const bucketUpdated = await shopifyThrottleService.recordQueryCost(operationName, error.body?.extensions?.cost, { throttled: isThrottled });
+        if (attempt < MAX_SHOPIFY_RETRIES && isThrottled && bucketUpdated) {
+          logger.info(`[${SERVICE_NAME}] ${operationName} was throttled. Retrying once the shared query budget recovers.`);
+          continue;
+        }
+
         if (attempt < MAX_SHOPIFY_RETRIES && (isThrottled || isServerError)) {
           let delayMs = INITIAL_SHOPIFY_RETRY_DELAY_MS * Math.pow(2, attempt);
           const jitter = delayMs * JITTER_FACTOR * (Math.random() * 2 - 1);
@@ -795,10 +809,8 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
 }
 
 // 판매 채널에 상품 게시
-async function publishProductToSalesChannels(productId) {
-  logger.info(`[${SERVICE_NAME}] Publishing product ${productId} to sales channels...`);
-  
-  // Get all available publications (sales channels)
+// 상품을 게시할 판매 채널(온라인 스토어 등) 목록
+async function getSalesChannelPublications() {
   const pubQuery = `
     query {
       publications(first: 20) {
@@ -818,7 +830,7 @@ async function publishProductToSalesChannels(productId) {
   logger.info(`[${SERVICE_NAME}] Found ${publications.length} sales channels`);
   
   // Find online store and any other active channels
-  const channelsToPublish = publications.filter(pub => {
+  return publications.filter(pub => {
     const name = pub.node.name.toLowerCase();
     // Include online store and potentially other channels
     return name.includes('online store') || 
@@ -826,6 +838,12 @@ async function publishProductToSalesChannels(productId) {
            name.includes('온라인 스토어') ||
            name.includes('shop');
   });
+}
+
+async function publishProductToSalesChannels(productId) {
+  logger.info(`[${SERVICE_NAME}] Publishing product ${productId} to sales channels...`);
+  
+  const channelsToPublish = await getSalesChannelPublications();
   
   if (channelsToPublish.length > 0) {
     logger.info(`[${SERVICE_NAME}] Publishing to ${channelsToPublish.length} channels: ${channelsToPublish.map(ch => ch.node.name).join(', ')}`);
@@ -1259,6 +1277,99 @@ async function updateProductVariant(variantInput) {
   return variant;
 }
 
+// 상품 variant 목록 조회 (옵션 값 포함)
+async function getProductVariants(productId) {
+  const query = `
+    query getProductVariants($id: ID!) {
+      product(id: $id) {
+        id
+        variants(first: 100) {
+          edges {
+            node {
+              id
+              sku
+              price
+              selectedOptions {
+                name
+                value
+              }
+              inventoryItem {
+                id
+                tracked
+              }
+            }
+          }
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  if (!response.data?.product) {
+    throw new NotFoundError(`Shopify product ${productId} not found.`, 'ShopifyProduct', productId);
+  }
+  return response.data.product.variants.edges.map(edge => edge.node);
+}
+
+// 상품 옵션과 variant 전체를 교체 (productSet). 목록에 없는 기존 variant는 삭제되고, id가 있는 variant는 유지됩니다.
+// variants: [{ id?, sku, price, optionValues: [{ optionName, name }] }]
+async function setProductOptionsAndVariants(productId, productOptions, variants, { locationId = BUNJANG_WAREHOUSE_GID, inventoryPolicy = 'DENY' } = {}) {
+  const mutation = `
+    mutation productSet($input: ProductSetInput!, $synchronous: Boolean!) {
+      productSet(input: $input, synchronous: $synchronous) {
+        product {
+          id
+          variants(first: 100) {
+            edges {
+              node {
+                id
+                sku
+                price
+                selectedOptions {
+                  name
+                  value
+                }
+                inventoryItem {
+                  id
+                  tracked
+                }
+              }
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const input = {
+    id: productId,
+    productOptions,
+    variants: variants.map(variant => ({
+      ...(variant.id && { id: variant.id }),
+      optionValues: variant.optionValues,
+      price: String(variant.price),
+      inventoryPolicy,
+      inventoryItem: { sku: variant.sku, tracked: true },
+      inventoryQuantities: [{ locationId, name: 'available', quantity: 1 }],
+    })),
+  };
+
+  logger.info(`[${SERVICE_NAME}] Setting ${productOptions.length} options and ${variants.length} variants on product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, { input, synchronous: true });
+
+  if (response.data?.productSet?.userErrors?.length > 0) {
+    const errorMessage = response.data.productSet.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product option/variant update failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_SET_ERROR', { userErrors: response.data.productSet.userErrors });
+  }
+
+  const updatedVariants = response.data?.productSet?.product?.variants?.edges?.map(edge => edge.node) || [];
+  logger.info(`[${SERVICE_NAME}] Product ${productId} now has ${updatedVariants.length} variants`);
+  return updatedVariants;
+}
+
 // 미디어 추가 함수
 async function appendMediaToProduct(productId, mediaInputs) {
   if (!productId) {
@@ -1355,6 +1466,59 @@ async function appendMediaToProduct(productId, mediaInputs) {
   }
 }
 
+// 상품에 연결된 미디어 목록 조회 (이미지 교체 시 기존 미디어 확인용)
+async function getProductMedia(productId) {
+  const query = `
+    query getProductMedia($id: ID!) {
+      product(id: $id) {
+        id
+        media(first: 250) {
+          edges {
+            node {
+              id
+              alt
+              status
+              mediaContentType
+            }
+          }
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  if (!response.data?.product) {
+    throw new NotFoundError(`Shopify product ${productId} not found.`, 'ShopifyProduct', productId);
+  }
+  return response.data.product.media.edges.map(edge => edge.node);
+}
+
+// 상품 미디어 삭제
+async function deleteProductMedia(productId, mediaIds) {
+  if (!mediaIds || mediaIds.length === 0) return [];
+
+  const mutation = `
+    mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Attempting to delete ${mediaIds.length} media items from product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, { productId, mediaIds });
+
+  if (response.data?.productDeleteMedia?.mediaUserErrors?.length > 0) {
+    const errorMessage = response.data.productDeleteMedia.mediaUserErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media deletion failed: ${errorMessage}`, 'SHOPIFY_MEDIA_DELETE_ERROR', { userErrors: response.data.productDeleteMedia.mediaUserErrors });
+  }
+
+  return response.data?.productDeleteMedia?.deletedMediaIds || [];
+}
+
 // 번개장터 PID 태그로 상품 찾기
 async function findProductByBunjangPidTag(bunjangPid) {
   const searchQuery = `tag:'bunjang_pid:${String(bunjangPid).trim()}'`;
@@ -1469,6 +1633,184 @@ async function addProductsToCollection(collectionGID, productGIDs) {
   return response.data?.collectionAddProducts?.collection;
 }
 
+// 컬렉션에서 상품 제거 (수동 컬렉션만 가능, 비동기 작업으로 처리됨)
+async function removeProductsFromCollection(collectionGID, productGIDs) {
+  if (!collectionGID || !productGIDs || !Array.isArray(productGIDs) || productGIDs.length === 0) {
+    throw new ValidationError('Valid Collection GID and at least one Product GID array are required.', []);
+  }
+
+  const mutation = `
+    mutation collectionRemoveProducts($id: ID!, $productIds: [ID!]!) {
+      collectionRemoveProducts(id: $id, productIds: $productIds) {
+        job {
+          id
+          done
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Attempting to remove products from collection:`, { collectionGID, productCount: productGIDs.length });
+  const response = await shopifyGraphqlRequest(mutation, { id: collectionGID, productIds: productGIDs });
+
+  if (response.data?.collectionRemoveProducts?.userErrors?.length > 0) {
+    const errorMessage = response.data.collectionRemoveProducts.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Failed to remove products from collection: ${errorMessage}`, 'SHOPIFY_COLLECTION_REMOVE_ERROR', { userErrors: response.data.collectionRemoveProducts.userErrors });
+  }
+
+  return response.data?.collectionRemoveProducts?.job;
+}
+
+// 상품 태그 추가/제거 (다른 태그와 상품 필드는 건드리지 않음)
+async function updateProductTags(productId, { add = [], remove = [] } = {}) {
+  const operations = [
+    { name: 'tagsAdd', tags: add },
+    { name: 'tagsRemove', tags: remove },
+  ].filter(operation => operation.tags.length > 0);
+
+  for (const { name, tags } of operations) {
+    const mutation = `
+      mutation ${name}($id: ID!, $tags: [String!]!) {
+        ${name}(id: $id, tags: $tags) {
+          node {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`;
+
+    const response = await shopifyGraphqlRequest(mutation, { id: productId, tags });
+    if (response.data?.[name]?.userErrors?.length > 0) {
+      const errorMessage = response.data[name].userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+      throw new ExternalServiceError(SERVICE_NAME, null, `${name} failed for ${productId}: ${errorMessage}`, 'SHOPIFY_TAGS_UPDATE_ERROR', { userErrors: response.data[name].userErrors });
+    }
+  }
+  logger.debug(`[${SERVICE_NAME}] Updated tags for ${productId}: +[${add.join(', ')}] -[${remove.join(', ')}]`);
+}
+
+// Market의 카탈로그와 연결된 가격 목록 조회
+async function getMarketCatalogs(marketId) {
+  const query = `
+    query getMarketCatalogs($id: ID!) {
+      market(id: $id) {
+        id
+        name
+        catalogs(first: 25) {
+          nodes {
+            id
+            title
+            status
+            priceList {
+              id
+              currency
+            }
+          }
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(query, { id: marketId });
+  if (!response.data?.market) {
+    throw new NotFoundError(`Shopify market ${marketId} not found.`, 'ShopifyMarket', marketId);
+  }
+  return { id: response.data.market.id, name: response.data.market.name, catalogs: response.data.market.catalogs.nodes };
+}
+
+// Market 카탈로그 생성 (가격 목록 연결용)
+async function createMarketCatalog(marketId, title) {
+  const mutation = `
+    mutation catalogCreate($input: CatalogCreateInput!) {
+      catalogCreate(input: $input) {
+        catalog {
+          id
+          title
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { input: { title, status: 'ACTIVE', context: { marketIds: [marketId] } } });
+  if (response.data?.catalogCreate?.userErrors?.length > 0) {
+    const errorMessage = response.data.catalogCreate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Failed to create catalog for market ${marketId}: ${errorMessage}`, 'SHOPIFY_CATALOG_CREATE_ERROR', { userErrors: response.data.catalogCreate.userErrors });
+  }
+  logger.info(`[${SERVICE_NAME}] Catalog "${title}" created for market ${marketId}: ${response.data.catalogCreate.catalog.id}`);
+  return response.data.catalogCreate.catalog;
+}
+
+// 카탈로그에 연결된 가격 목록 생성. 고정 가격이 없는 상품은 parent 조정(0%)으로 Shopify 자동 환산 가격을 사용
+async function createPriceList({ name, currency, catalogId }) {
+  const mutation = `
+    mutation priceListCreate($input: PriceListCreateInput!) {
+      priceListCreate(input: $input) {
+        priceList {
+          id
+          currency
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const input = { name, currency, catalogId, parent: { adjustment: { type: 'PERCENTAGE_DECREASE', value: 0 } } };
+  const response = await shopifyGraphqlRequest(mutation, { input });
+  if (response.data?.priceListCreate?.userErrors?.length > 0) {
+    const errorMessage = response.data.priceListCreate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Failed to create price list "${name}": ${errorMessage}`, 'SHOPIFY_PRICE_LIST_CREATE_ERROR', { userErrors: response.data.priceListCreate.userErrors });
+  }
+  logger.info(`[${SERVICE_NAME}] Price list "${name}" (${currency}) created: ${response.data.priceListCreate.priceList.id}`);
+  return response.data.priceListCreate.priceList;
+}
+
+// 가격 목록에 상품별 고정 가격 설정 (상품의 모든 variant에 같은 가격 적용)
+// prices: [{ productId, amount, currencyCode }]
+async function setPriceListFixedPricesByProduct(priceListId, prices, productIdsToDelete = []) {
+  const mutation = `
+    mutation priceListFixedPricesByProductUpdate($priceListId: ID!, $pricesToAdd: [PriceListProductPriceInput!], $pricesToDeleteByProductIds: [ID!]) {
+      priceListFixedPricesByProductUpdate(priceListId: $priceListId, pricesToAdd: $pricesToAdd, pricesToDeleteByProductIds: $pricesToDeleteByProductIds) {
+        pricesToAddProducts {
+          id
+        }
+        pricesToDeleteProducts {
+          id
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, {
+    priceListId,
+    pricesToAdd: prices.map(({ productId, amount, currencyCode }) => ({ productId, price: { amount, currencyCode } })),
+    pricesToDeleteByProductIds: productIdsToDelete,
+  });
+  const result = response.data?.priceListFixedPricesByProductUpdate;
+  if (result?.userErrors?.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Failed to update fixed prices of price list ${priceListId}: ${errorMessage}`, 'SHOPIFY_PRICE_LIST_UPDATE_ERROR', { userErrors: result.userErrors });
+  }
+  return {
+    added: (result?.pricesToAddProducts || []).map(product => product.id),
+    deleted: (result?.pricesToDeleteProducts || []).map(product => product.id),
+  };
+}
+
 // 주문 메타필드 조회
 async function getOrderMetafield(orderId, namespace, key) {
   const query = `
@@ -1537,6 +1879,161 @@ async function publishProductToOnlineStore(productId) {
   }
 }
 
+// ===== Bulk Operations (대량 상품 동기화용) =====
+
+// 벌크 작업 입력 JSONL 파일을 올릴 스테이징 업로드 대상 생성
+async function createStagedUpload({ filename, mimeType = 'text/jsonl', resource = 'BULK_MUTATION_VARIABLES' }) {
+  const mutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, {
+    input: [{ resource, filename, mimeType, httpMethod: 'POST' }],
+  });
+  if (response.data?.stagedUploadsCreate?.userErrors?.length > 0) {
+    const errorMessage = response.data.stagedUploadsCreate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Staged upload creation failed: ${errorMessage}`, 'SHOPIFY_STAGED_UPLOAD_ERROR', { userErrors: response.data.stagedUploadsCreate.userErrors });
+  }
+  const target = response.data?.stagedUploadsCreate?.stagedTargets?.[0];
+  if (!target?.url) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Staged upload creation returned no target.', 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+  return target;
+}
+
+// 스테이징 대상에 파일 업로드 (parameters를 먼저, file을 마지막 필드로 보내야 함)
+async function uploadToStagedTarget(target, content, { filename, mimeType = 'text/jsonl' }) {
+  const form = new FormData();
+  for (const { name, value } of target.parameters) form.append(name, value);
+  form.append('file', new Blob([content], { type: mimeType }), filename);
+
+  try {
+    await axios.post(target.url, form, { timeout: config.shopify.bulkOperations.uploadTimeoutMs, maxBodyLength: Infinity });
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Staged upload failed (Status: ${error.response?.status || 'N/A'})`, 'SHOPIFY_STAGED_UPLOAD_FAILED');
+  }
+  // bulkOperationRunMutation의 stagedUploadPath는 key 파라미터 값
+  return target.parameters.find(parameter => parameter.name === 'key')?.value;
+}
+
+const BULK_OPERATION_FIELDS = `
+  id
+  status
+  errorCode
+  objectCount
+  rootObjectCount
+  fileSize
+  url
+  partialDataUrl
+  createdAt
+  completedAt`;
+
+// 업로드한 변수 파일로 벌크 mutation 실행 (mutation은 한 번에 하나만 실행 가능)
+async function runBulkMutation(mutationString, stagedUploadPath) {
+  const mutation = `
+    mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { mutation: mutationString, stagedUploadPath });
+  const result = response.data?.bulkOperationRunMutation;
+  if (result?.userErrors?.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Bulk mutation could not be started: ${errorMessage}`, 'SHOPIFY_BULK_OPERATION_ERROR', { userErrors: result.userErrors });
+  }
+  return result?.bulkOperation;
+}
+
+// 벌크 쿼리 실행 (결과는 완료 후 url의 JSONL 파일)
+async function runBulkQuery(queryString) {
+  const mutation = `
+    mutation bulkOperationRunQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { query: queryString });
+  const result = response.data?.bulkOperationRunQuery;
+  if (result?.userErrors?.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Bulk query could not be started: ${errorMessage}`, 'SHOPIFY_BULK_OPERATION_ERROR', { userErrors: result.userErrors });
+  }
+  return result?.bulkOperation;
+}
+
+// 실행 중인 벌크 작업 취소 요청 (상태는 CANCELING을 거쳐 CANCELED, 이미 처리된 줄의 결과는 partialDataUrl로 받을 수 있음)
+async function cancelBulkOperation(bulkOperationId) {
+  const mutation = `
+    mutation bulkOperationCancel($id: ID!) {
+      bulkOperationCancel(id: $id) {
+        bulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { id: bulkOperationId });
+  const result = response.data?.bulkOperationCancel;
+  if (result?.userErrors?.length > 0) {
+    const errorMessage = result.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Bulk operation ${bulkOperationId} could not be canceled: ${errorMessage}`, 'SHOPIFY_BULK_OPERATION_ERROR', { userErrors: result.userErrors });
+  }
+  return result?.bulkOperation;
+}
+
+// 벌크 작업 상태 조회
+async function getBulkOperation(bulkOperationId) {
+  const query = `
+    query getBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          ${BULK_OPERATION_FIELDS}
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(query, { id: bulkOperationId });
+  if (!response.data?.node) {
+    throw new NotFoundError(`Bulk operation ${bulkOperationId} not found.`, 'BulkOperation', bulkOperationId);
+  }
+  return response.data.node;
+}
+
 // Export all functions
 module.exports = {
   shopifyGraphqlRequest,
@@ -1544,11 +2041,28 @@ module.exports = {
   updateProduct,
   updateProductVariant,
   appendMediaToProduct,
+  getProductVariants,
+  setProductOptionsAndVariants,
+  getProductMedia,
+  deleteProductMedia,
   findProductByBunjangPidTag,
   updateOrder,
   addProductsToCollection,
+  removeProductsFromCollection,
+  updateProductTags,
+  getMarketCatalogs,
+  createMarketCatalog,
+  createPriceList,
+  setPriceListFixedPricesByProduct,
   updateInventoryLevel,
   publishProductToOnlineStore,
+  getSalesChannelPublications,
+  createStagedUpload,
+  uploadToStagedTarget,
+  runBulkMutation,
+  runBulkQuery,
+  cancelBulkOperation,
+  getBulkOperation,
   getOrderMetafield,
   deleteProduct,
   activateInventoryAtLocation,
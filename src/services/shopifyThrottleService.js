@@ -0,0 +1,232 @@
+// src/services/shopifyThrottleService.js
+// Shopify GraphQL Admin API 비용 기반 요청 제한(leaky bucket)입니다.
+// Shopify는 모든 응답의 extensions.cost.throttleStatus로 버킷 상태(currentlyAvailable, maximumAvailable, restoreRate)를 알려줍니다.
+// 이 값을 Redis 해시에 공유해서 API 서버와 다른 프로세스의 워커(카탈로그 동기화, 주문 처리 등)가 같은 버킷을 보고,
+// 요청 전에 예상 비용만큼 예약합니다. 예산이 부족하면 복구될 때까지 기다립니다.
+// Redis가 비활성화되었거나 연결되지 않은 경우 프로세스 내 메모리 버킷으로 동작합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+
+const SERVICE_NAME = 'ShopifyThrottle';
+
+// 버킷을 시간 경과만큼 채운 뒤 cost를 예약합니다. 예약하면 0, 부족하면 기다려야 할 ms를 반환합니다.
+// KEYS[1]=버킷 해시, ARGV: now(ms), cost, 기본 maximum, 기본 restoreRate, TTL(ms)
+const RESERVE_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'available', 'maximum', 'restoreRate', 'updatedAt')
+local now = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local maximum = tonumber(state[2]) or tonumber(ARGV[3])
+local restoreRate = tonumber(state[3]) or tonumber(ARGV[4])
+local available = tonumber(state[1]) or maximum
+local updatedAt = tonumber(state[4]) or now
+available = math.min(maximum, available + math.max(0, now - updatedAt) / 1000 * restoreRate)
+local waitMs = 0
+if available >= cost then
+  available = available - cost
+else
+  waitMs = math.ceil((cost - available) / restoreRate * 1000)
+end
+redis.call('HSET', KEYS[1], 'available', tostring(available), 'maximum', tostring(maximum), 'restoreRate', tostring(restoreRate), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return waitMs
+`;
+
+const BUCKET_TTL_MS = 60 * 60 * 1000; // 한 시간 동안 요청이 없으면 버킷 상태를 버림 (다음 응답에서 다시 받음)
+
+const localBucket = { available: null, maximum: null, restoreRate: null, updatedAt: null };
+const localStats = { delayedRequests: 0, delayMsTotal: 0, throttledResponses: 0 };
+const requestedCostByOperation = new Map(); // operationName → 마지막 응답의 requestedQueryCost
+
+function bucketKey() {
+  return `${config.shopify.graphqlThrottle.redisKeyPrefix}:${config.shopify.shopDomain}:bucket`;
+}
+
+function statsKey() {
+  return `${config.shopify.graphqlThrottle.redisKeyPrefix}:${config.shopify.shopDomain}:stats`;
+}
+
+/**
+ * 사용 가능한 공유 Redis 클라이언트를 반환합니다. 비활성화되었거나 ready가 아니면 null (메모리 버킷 사용).
+ */
+function getReadyRedis() {
+  if (!config.redis.enabled) return null;
+  const redis = require('../config/redisClient').getRedisClient();
+  return redis && redis.status === 'ready' ? redis : null;
+}
+
+function reserveLocal(cost, now) {
+  const { defaultMaximumAvailable, defaultRestoreRate } = config.shopify.graphqlThrottle;
+  const maximum = localBucket.maximum ?? defaultMaximumAvailable;
+  const restoreRate = localBucket.restoreRate ?? defaultRestoreRate;
+  const elapsedMs = localBucket.updatedAt ? Math.max(0, now - localBucket.updatedAt) : 0;
+  let available = Math.min(maximum, (localBucket.available ?? maximum) + elapsedMs / 1000 * restoreRate);
+
+  let waitMs = 0;
+  if (available >= cost) available -= cost;
+  else waitMs = Math.ceil((cost - available) / restoreRate * 1000);
+
+  Object.assign(localBucket, { available, maximum, restoreRate, updatedAt: now });
+  return waitMs;
+}
+
+async function reserve(cost) {
+  const now = Date.now();
+  const redis = getReadyRedis();
+  if (redis) {
+    const { defaultMaximumAvailable, defaultRestoreRate } = config.shopify.graphqlThrottle;
+    try {
+      return Number(await redis.eval(RESERVE_SCRIPT, 1, bucketKey(), now, cost, defaultMaximumAvailable, defaultRestoreRate, BUCKET_TTL_MS));
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}] Redis reservation failed, falling back to in-process bucket: ${error.message}`);
+    }
+  }
+  return reserveLocal(cost, now);
+}
+
+async function incrementStats(fields) {
+  for (const [field, amount] of Object.entries(fields)) localStats[field] += amount;
+  const redis = getReadyRedis();
+  if (!redis) return;
+  try {
+    const pipeline = redis.pipeline();
+    for (const [field, amount] of Object.entries(fields)) pipeline.hincrby(statsKey(), field, amount);
+    await pipeline.exec();
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}] Failed to update shared throttle stats: ${error.message}`);
+  }
+}
+
+/**
+ * 요청 전 예상 비용. 같은 operation의 마지막 requestedQueryCost, 없으면 설정 기본값을 사용합니다.
+ * 버킷 최대치를 넘는 비용은 최대치로 맞춥니다. (그렇지 않으면 영원히 기다림)
+ * @param {string} operationName
+ * @returns {number}
+ */
+function estimateQueryCost(operationName) {
+  const { defaultQueryCost, defaultMaximumAvailable } = config.shopify.graphqlThrottle;
+  const maximum = localBucket.maximum ?? defaultMaximumAvailable;
+  return Math.min(requestedCostByOperation.get(operationName) ?? defaultQueryCost, maximum);
+}
+
+/**
+ * GraphQL 요청 전에 예상 비용만큼 버킷에서 예약하고, 예산이 부족하면 복구될 때까지 기다립니다.
+ * 대기 시간이 maxWaitMs를 넘으면 (버킷 상태가 잘못됐을 가능성) 경고 후 그대로 진행하고, Shopify의 THROTTLED 응답 재시도에 맡깁니다.
+ * @param {string} operationName
+ * @returns {Promise<number>} 기다린 시간(ms).
+ */
+async function acquireQueryBudget(operationName) {
+  const { enabled, maxWaitMs } = config.shopify.graphqlThrottle;
+  if (!enabled) return 0;
+
+  const cost = estimateQueryCost(operationName);
+  let waitedMs = 0;
+  let waitMs = await reserve(cost);
+  while (waitMs > 0) {
+    if (waitedMs + waitMs > maxWaitMs) {
+      logger.warn(`[${SERVICE_NAME}] ${operationName} (cost ~${cost}) would wait beyond ${maxWaitMs}ms for query budget. Sending without reservation.`);
+      break;
+    }
+    logger.debug(`[${SERVICE_NAME}] ${operationName} (cost ~${cost}) waiting ${waitMs}ms for query budget.`);
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    waitedMs += waitMs;
+    waitMs = await reserve(cost);
+  }
+
+  if (waitedMs > 0) await incrementStats({ delayedRequests: 1, delayMsTotal: waitedMs });
+  return waitedMs;
+}
+
+/**
+ * 응답(또는 THROTTLED 에러)의 extensions.cost로 공유 버킷을 Shopify가 알려준 실제 값으로 맞춥니다.
+ * 그 사이 다른 프로세스가 예약한 양은 덮어쓰이지만, 다음 응답에서 다시 정확한 값으로 돌아옵니다.
+ * @param {string} operationName
+ * @param {object} [cost] - extensions.cost ({ requestedQueryCost, actualQueryCost, throttleStatus }).
+ * @param {object} [options]
+ * @param {boolean} [options.throttled=false] - Shopify가 THROTTLED로 거절한 요청인지.
+ * @returns {Promise<boolean>} 버킷 상태를 갱신했는지.
+ */
+async function recordQueryCost(operationName, cost, { throttled = false } = {}) {
+  if (!config.shopify.graphqlThrottle.enabled) return false;
+  if (throttled) await incrementStats({ throttledResponses: 1 });
+
+  if (Number.isFinite(cost?.requestedQueryCost)) requestedCostByOperation.set(operationName, cost.requestedQueryCost);
+  const status = cost?.throttleStatus;
+  if (!status || !Number.isFinite(status.currentlyAvailable)) return false;
+
+  const now = Date.now();
+  Object.assign(localBucket, {
+    available: status.currentlyAvailable,
+    maximum: status.maximumAvailable ?? localBucket.maximum,
+    restoreRate: status.restoreRate ?? localBucket.restoreRate,
+    updatedAt: now,
+  });
+
+  const redis = getReadyRedis();
+  if (redis) {
+    try {
+      await redis.multi()
+        .hset(bucketKey(), 'available', localBucket.available, 'maximum', localBucket.maximum, 'restoreRate', localBucket.restoreRate, 'updatedAt', now)
+        .pexpire(bucketKey(), BUCKET_TTL_MS)
+        .exec();
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}] Failed to store throttle status in Redis: ${error.message}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * 현재 버킷 수준과 누적 지연 통계. Redis를 쓰면 모든 프로세스의 합계, 아니면 이 프로세스의 값입니다.
+ * @returns {Promise<object>} { source, available, maximum, restoreRate, updatedAt, delayedRequests, delayMsTotal, throttledResponses }
+ */
+async function getThrottleMetrics() {
+  const { defaultMaximumAvailable, defaultRestoreRate } = config.shopify.graphqlThrottle;
+  let bucket = localBucket;
+  let stats = localStats;
+  let source = 'local';
+
+  const redis = getReadyRedis();
+  if (redis) {
+    try {
+      const [[, sharedBucket], [, sharedStats]] = await redis.multi().hgetall(bucketKey()).hgetall(statsKey()).exec();
+      bucket = {
+        available: sharedBucket.available !== undefined ? Number(sharedBucket.available) : null,
+        maximum: sharedBucket.maximum !== undefined ? Number(sharedBucket.maximum) : null,
+        restoreRate: sharedBucket.restoreRate !== undefined ? Number(sharedBucket.restoreRate) : null,
+        updatedAt: sharedBucket.updatedAt !== undefined ? Number(sharedBucket.updatedAt) : null,
+      };
+      stats = {
+        delayedRequests: Number(sharedStats.delayedRequests) || 0,
+        delayMsTotal: Number(sharedStats.delayMsTotal) || 0,
+        throttledResponses: Number(sharedStats.throttledResponses) || 0,
+      };
+      source = 'redis';
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}] Failed to read shared throttle state, reporting in-process values: ${error.message}`);
+    }
+  }
+
+  const maximum = bucket.maximum ?? defaultMaximumAvailable;
+  const restoreRate = bucket.restoreRate ?? defaultRestoreRate;
+  // 마지막 기록 이후 복구된 양을 반영한 현재 수준
+  const available = bucket.updatedAt
+    ? Math.min(maximum, bucket.available + Math.max(0, Date.now() - bucket.updatedAt) / 1000 * restoreRate)
+    : maximum;
+
+  return {
+    source,
+    available: Math.round(available * 100) / 100,
+    maximum,
+    restoreRate,
+    updatedAt: bucket.updatedAt ? new Date(bucket.updatedAt).toISOString() : null,
+    ...stats,
+  };
+}
+
+module.exports = {
+  estimateQueryCost,
+  acquireQueryBudget,
+  recordQueryCost,
+  getThrottleMetrics,
+};
@@ -0,0 +1,469 @@
+// src/services/taxonomyService.js
+// 상품 자동 태깅/컬렉션 분류 규칙(TaxonomyRule)의 저장/조회와 평가, 기존 상품 재태깅(backfill)을 담당합니다.
+// transformBunjangRowToShopifyInput은 동기 함수이므로 규칙은 메모리에 캐시하고, 카탈로그 실행 시작 시와 규칙 변경 시, 캐시 TTL 경과 시 새로 읽습니다.
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../config/logger');
+const defaultTaxonomyRules = require('../config/taxonomyDefaults');
+const TaxonomyRule = require('../models/taxonomyRule.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const shopifyService = require('./shopifyService');
+const bunjangService = require('./bunjangService');
+const catalogMappingService = require('./catalogMappingService');
+const { getQueue } = require('../jobs/queues');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { seedDefaultsOnce } = require('./defaultSeedService');
+
+// taxonomyTags 기록이 없는 기존 상품에서 제거 대상으로 보는 태그 (이전 키워드 태깅 결과)
+const LEGACY_AUTO_TAGS = ['K-Pop', 'Kidult'];
+const BACKFILL_PROGRESS_INTERVAL = 100;
+
+let cachedState = { rules: [], version: null, loadedAt: 0 };
+
+/**
+ * 규칙의 정규식을 컴파일합니다. 잘못된 정규식은 null (평가 시 불일치로 처리).
+ */
+function compileRule(rule) {
+  const compileMatcher = (matcher) => {
+    if (matcher.type !== 'regex') return { ...matcher, value: matcher.type === 'keyword' ? matcher.value.toLowerCase() : matcher.value };
+    try {
+      return { ...matcher, pattern: new RegExp(matcher.value, 'i') };
+    } catch (error) {
+      logger.warn(`[TaxonomySvc] Invalid regex '${matcher.value}' in taxonomy rule '${rule.name}'. Ignoring matcher.`);
+      return { ...matcher, pattern: null };
+    }
+  };
+  return {
+    ...rule,
+    matchers: (rule.matchers || []).map(compileMatcher),
+    exclusions: (rule.exclusions || []).map(compileMatcher),
+  };
+}
+
+/**
+ * 규칙 내용(과 카테고리 매핑 버전)으로 버전 해시를 만듭니다. 분류 결과가 실제로 바뀔 수 있을 때만 재태깅하기 위해 사용합니다.
+ */
+function computeRulesVersion(rules) {
+  const content = rules.map(({ _id, name, priority, matchers, minScore, exclusions, tags, collectionGids }) => ({
+    id: String(_id), name, priority, matchers, minScore, exclusions, tags, collectionGids,
+  }));
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ rules: content, categoryMappings: catalogMappingService.getCategoryMappingsVersion() }))
+    .digest('hex')
+    .substring(0, 12);
+}
+
+/**
+ * 카테고리 매핑과 활성화된 분류 규칙을 DB에서 다시 읽어 캐시합니다. 실패하면 기존 캐시를 유지합니다.
+ * @returns {Promise<{rules: Array<object>, version: string|null}>}
+ */
+async function refreshTaxonomyRules() {
+  await catalogMappingService.refreshCatalogMappings();
+  try {
+    await seedDefaultsOnce({ name: 'taxonomyRules', Model: TaxonomyRule, defaults: defaultTaxonomyRules, logTag: 'TaxonomySvc', label: 'default taxonomy rules' });
+    const rules = await TaxonomyRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+    cachedState = { rules: rules.map(compileRule), version: computeRulesVersion(rules), loadedAt: Date.now() };
+    logger.info(`[TaxonomySvc] Loaded ${rules.length} taxonomy rules. Version: ${cachedState.version}`);
+  } catch (error) {
+    logger.warn(`[TaxonomySvc] Failed to load taxonomy rules. Keeping ${cachedState.rules.length} cached rules: ${error.message}`);
+  }
+  return cachedState;
+}
+
+/**
+ * 캐시가 TTL보다 오래되었으면 분류 규칙과 카테고리/브랜드 매핑을 다시 읽습니다. (카탈로그 실행 시작 갱신을 거치지 않는 경로용)
+ * 비어 있는 캐시로 변환하면 기존 상품의 분류 태그/컬렉션과 vendor/productType이 지워지므로 동기화 전에 호출합니다.
+ */
+async function refreshTaxonomyRulesIfStale() {
+  if (Date.now() - cachedState.loadedAt >= config.taxonomy.cacheTtlMs) {
+    await refreshTaxonomyRules();
+  }
+}
+
+function getRulesVersion() {
+  return cachedState.version;
+}
+
+/**
+ * 규칙 평가용 상품 정보를 만듭니다.
+ * @param {object} fields - { texts: string[], categoryId, brandId }
+ * @returns {{text: string, categoryId: string, brandId: string}}
+ */
+function buildSubject({ texts = [], categoryId, brandId }) {
+  return {
+    text: texts.filter(Boolean).join('\n').toLowerCase(),
+    categoryId: categoryId ? String(categoryId) : '',
+    brandId: brandId ? String(brandId) : '',
+  };
+}
+
+/**
+ * 카탈로그 상품(processCatalogRow 결과)과 번역 결과로 평가용 정보를 만듭니다.
+ */
+function buildSubjectFromCatalogProduct(bunjangProduct, translation) {
+  return buildSubject({
+    texts: [bunjangProduct.name, bunjangProduct.description, bunjangProduct.categoryName, translation?.title, translation?.description],
+    categoryId: bunjangProduct.categoryId,
+    brandId: bunjangProduct.brandId,
+  });
+}
+
+/**
+ * 저장된 SyncedProduct 문서로 평가용 정보를 만듭니다. (재태깅/미리보기)
+ */
+function buildSubjectFromSyncedProduct(syncedDoc) {
+  return buildSubject({
+    texts: [syncedDoc.bunjangProductName, syncedDoc.bunjangDescription, syncedDoc.bunjangCategoryName, syncedDoc.englishTitle, syncedDoc.englishDescription],
+    categoryId: syncedDoc.bunjangCategoryId,
+    brandId: syncedDoc.bunjangBrandId,
+  });
+}
+
+function matcherMatches(matcher, subject) {
+  switch (matcher.type) {
+    case 'keyword': return subject.text.includes(matcher.value);
+    case 'regex': return Boolean(matcher.pattern && matcher.pattern.test(subject.text));
+    case 'category': return Boolean(subject.categoryId) && subject.categoryId.startsWith(matcher.value);
+    case 'brand': return subject.brandId === matcher.value;
+    default: return false;
+  }
+}
+
+/**
+ * 상품에 적용될 태그와 컬렉션을 계산합니다.
+ * 규칙별로 제외 조건을 먼저 확인하고, 일치한 matcher의 weight 합이 minScore 이상이면 적용합니다.
+ * 카테고리 매핑(CategoryMapping)의 태그/컬렉션도 함께 포함합니다.
+ * @param {object} subject - buildSubject* 결과.
+ * @param {Array<object>} [rules] - 평가할 규칙 (기본값: 캐시된 규칙).
+ * @returns {{tags: string[], collectionGids: string[], matchedRules: object[], excludedRules: object[], categoryMapping: object|null, version: string|null}}
+ */
+function evaluateTaxonomy(subject, rules = cachedState.rules) {
+  const tags = [];
+  const collectionGids = [];
+  const matchedRules = [];
+  const excludedRules = [];
+
+  for (const rule of rules) {
+    const excludedBy = rule.exclusions.find(matcher => matcherMatches(matcher, subject));
+    if (excludedBy) {
+      excludedRules.push({ ruleId: String(rule._id), name: rule.name, exclusion: { type: excludedBy.type, value: excludedBy.value } });
+      continue;
+    }
+
+    const matched = rule.matchers.filter(matcher => matcherMatches(matcher, subject));
+    const score = matched.reduce((sum, matcher) => sum + (matcher.weight ?? 1), 0);
+    if (matched.length === 0 || score < (rule.minScore ?? 1)) continue;
+
+    matchedRules.push({
+      ruleId: String(rule._id),
+      name: rule.name,
+      score,
+      matched: matched.map(({ type, value, weight }) => ({ type, value, weight })),
+    });
+    tags.push(...rule.tags);
+    collectionGids.push(...rule.collectionGids);
+  }
+
+  const categoryMapping = catalogMappingService.resolveCategoryMapping(subject.categoryId);
+  if (categoryMapping) {
+    tags.push(...categoryMapping.tags);
+    collectionGids.push(...categoryMapping.collectionGids);
+  }
+
+  return {
+    tags: [...new Set(tags)],
+    collectionGids: [...new Set(collectionGids)],
+    matchedRules,
+    excludedRules,
+    categoryMapping,
+    version: cachedState.version,
+  };
+}
+
+/**
+ * 상품의 컬렉션을 규칙 결과에 맞춥니다. 새 컬렉션에 추가하고, 이전에 규칙으로 넣었지만 더 이상 해당하지 않는 컬렉션에서 제거합니다.
+ * 실패는 예외로 던지지 않고 로그만 남기며, 추가에 실패한 컬렉션은 반환값에서 빠져 다음 동기화 때 다시 시도됩니다.
+ * @param {object} params
+ * @param {string} params.shopifyProductGid
+ * @param {string[]} params.collectionGids - 규칙 평가 결과.
+ * @param {string[]} [params.previousCollectionGids=[]] - SyncedProduct.taxonomyCollectionGids.
+ * @param {string} [params.jobId='N/A']
+ * @returns {Promise<string[]>} 현재 상품이 속한 것으로 기록할 규칙 컬렉션 GID 목록.
+ */
+async function syncProductCollections({ shopifyProductGid, collectionGids, previousCollectionGids = [], jobId = 'N/A' }) {
+  const applied = previousCollectionGids.filter(gid => collectionGids.includes(gid));
+
+  for (const collectionGid of collectionGids.filter(gid => !previousCollectionGids.includes(gid))) {
+    try {
+      await shopifyService.addProductsToCollection(collectionGid, [shopifyProductGid]);
+      applied.push(collectionGid);
+    } catch (error) {
+      logger.warn(`[TaxonomySvc:Job-${jobId}] Failed to add ${shopifyProductGid} to collection ${collectionGid}: ${error.message}`);
+    }
+  }
+
+  // 기본 번개장터 컬렉션은 규칙과 관계없이 유지
+  const staleCollectionGids = previousCollectionGids
+    .filter(gid => !collectionGids.includes(gid) && gid !== config.shopify.defaultCollectionGid);
+  for (const collectionGid of staleCollectionGids) {
+    try {
+      await shopifyService.removeProductsFromCollection(collectionGid, [shopifyProductGid]);
+    } catch (error) {
+      applied.push(collectionGid); // 제거 실패 시 다음에 다시 제거하도록 기록 유지
+      logger.warn(`[TaxonomySvc:Job-${jobId}] Failed to remove ${shopifyProductGid} from collection ${collectionGid}: ${error.message}`);
+    }
+  }
+  return applied;
+}
+
+/**
+ * 동기화된 상품 하나를 현재 규칙으로 다시 분류해 Shopify 태그/컬렉션과 SyncedProduct를 갱신합니다.
+ * 상품의 다른 필드와 수동으로 붙인 태그는 건드리지 않습니다.
+ * @param {object} syncedDoc - SyncedProduct 문서 (lean).
+ * @param {object} [options]
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<{changed: boolean, tagsAdded: string[], tagsRemoved: string[], collectionGids: string[]}>}
+ */
+async function retagSyncedProduct(syncedDoc, { jobId = 'N/A' } = {}) {
+  const { bunjangPid, shopifyGid } = syncedDoc;
+  const evaluation = evaluateTaxonomy(buildSubjectFromSyncedProduct(syncedDoc));
+  const previousTags = syncedDoc.taxonomyTags ?? LEGACY_AUTO_TAGS;
+
+  // 기록이 없는 상품은 태그가 실제로 붙어 있는지 알 수 없으므로 전부 추가 (tagsAdd는 중복 무시)
+  const tagsAdded = syncedDoc.taxonomyTags ? evaluation.tags.filter(tag => !previousTags.includes(tag)) : evaluation.tags;
+  const tagsRemoved = previousTags.filter(tag => !evaluation.tags.includes(tag));
+  if (tagsAdded.length > 0 || tagsRemoved.length > 0) {
+    await shopifyService.updateProductTags(shopifyGid, { add: tagsAdded, remove: tagsRemoved });
+  }
+
+  const previousCollectionGids = syncedDoc.taxonomyCollectionGids || [];
+  const collectionGids = await syncProductCollections({
+    shopifyProductGid: shopifyGid,
+    collectionGids: evaluation.collectionGids,
+    previousCollectionGids,
+    jobId,
+  });
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      taxonomyTags: evaluation.tags,
+      taxonomyCollectionGids: collectionGids,
+      taxonomyVersion: evaluation.version,
+      taxonomyAppliedAt: new Date(),
+    },
+  });
+
+  const collectionsChanged = collectionGids.length !== previousCollectionGids.length ||
+    collectionGids.some(gid => !previousCollectionGids.includes(gid));
+  return { changed: tagsAdded.length > 0 || tagsRemoved.length > 0 || collectionsChanged, tagsAdded, tagsRemoved, collectionGids };
+}
+
+/**
+ * 현재 규칙 버전으로 분류되지 않은 동기화 상품을 모두 재태깅합니다. (taxonomyBackfillWorker에서 호출)
+ * @param {object} [options]
+ * @param {string} [options.jobId='N/A']
+ * @param {Function} [options.onProgress] - (summary) => Promise<void>, 일정 건수마다 호출.
+ * @returns {Promise<{version: string|null, scanned: number, retagged: number, unchanged: number, failed: number}>}
+ */
+async function runTaxonomyBackfill({ jobId = 'N/A', onProgress } = {}) {
+  const { version } = await refreshTaxonomyRules();
+  const summary = { version, scanned: 0, retagged: 0, unchanged: 0, failed: 0 };
+
+  const cursor = SyncedProduct.find({ shopifyGid: { $exists: true, $ne: null }, taxonomyVersion: { $ne: version } })
+    .select({
+      bunjangPid: 1, shopifyGid: 1, bunjangProductName: 1, bunjangDescription: 1, bunjangCategoryName: 1,
+      bunjangCategoryId: 1, bunjangBrandId: 1, englishTitle: 1, englishDescription: 1, taxonomyTags: 1, taxonomyCollectionGids: 1,
+    })
+    .lean()
+    .cursor();
+
+  for await (const syncedDoc of cursor) {
+    summary.scanned++;
+    try {
+      const result = await retagSyncedProduct(syncedDoc, { jobId });
+      if (result.changed) summary.retagged++;
+      else summary.unchanged++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`[TaxonomySvc:Job-${jobId}] Failed to retag PID ${syncedDoc.bunjangPid} (${syncedDoc.shopifyGid}): ${error.message}`);
+    }
+    if (onProgress && summary.scanned % BACKFILL_PROGRESS_INTERVAL === 0) await onProgress({ ...summary });
+  }
+
+  logger.info(`[TaxonomySvc:Job-${jobId}] Taxonomy backfill (version ${version}) finished. Scanned ${summary.scanned}, retagged ${summary.retagged}, unchanged ${summary.unchanged}, failed ${summary.failed}.`);
+  return summary;
+}
+
+/**
+ * 재태깅 작업을 큐에 등록합니다. 같은 규칙 버전의 작업이 이미 있으면 새로 만들지 않습니다.
+ * @param {object} [options]
+ * @param {string} [options.triggeredBy='api']
+ * @param {number} [options.delayMs=0] - 연속된 규칙 변경을 묶기 위한 지연.
+ * @returns {Promise<{jobId: string, version: string|null}|null>} Redis가 비활성화되어 있으면 null.
+ */
+async function enqueueTaxonomyBackfill({ triggeredBy = 'api', delayMs = 0 } = {}) {
+  const queueName = config.bullmq.queues.taxonomyBackfill;
+  const queue = getQueue(queueName);
+  if (!queue) {
+    logger.warn(`[TaxonomySvc] Queue "${queueName}" is not available. Taxonomy backfill was not queued.`);
+    return null;
+  }
+  const version = cachedState.version;
+  const jobId = `taxonomy-backfill-${version || 'initial'}`;
+  // 규칙이 이전 버전으로 되돌아간 경우를 위해 끝난 작업은 지우고 다시 등록
+  const existingJob = await queue.getJob(jobId);
+  if (existingJob && ['completed', 'failed'].includes(await existingJob.getState())) {
+    await existingJob.remove();
+  }
+  const job = await queue.add('taxonomy-backfill', { triggeredBy, rulesVersion: version }, {
+    jobId,
+    delay: delayMs,
+    attempts: 1,
+  });
+  logger.info(`[TaxonomySvc] Taxonomy backfill job ${job.id} queued (rules version ${version}, triggered by ${triggeredBy}).`);
+  return { jobId: job.id, version };
+}
+
+/**
+ * 규칙(또는 카테고리 매핑) 변경 후 캐시를 갱신하고, 설정되어 있으면 재태깅 작업을 등록합니다.
+ */
+async function onRulesChanged() {
+  await refreshTaxonomyRules();
+  if (!config.taxonomy.autoBackfill) return;
+  try {
+    await enqueueTaxonomyBackfill({ triggeredBy: 'rule_change', delayMs: config.taxonomy.backfillDelayMs });
+  } catch (error) {
+    logger.warn(`[TaxonomySvc] Failed to queue taxonomy backfill after rule change: ${error.message}`);
+  }
+}
+
+/**
+ * PID 하나가 현재 규칙으로 받게 될 태그/컬렉션을 계산합니다. (Shopify에는 반영하지 않음)
+ * 동기화된 상품은 저장된 정보로, 아니면 번개장터 상품 상세 API로 평가합니다.
+ * @param {string} bunjangPid
+ * @returns {Promise<object>}
+ */
+async function previewTaxonomyForPid(bunjangPid) {
+  if (!cachedState.version) await refreshTaxonomyRules();
+
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+  let subject;
+  let source;
+  if (syncedDoc?.bunjangProductName) {
+    subject = buildSubjectFromSyncedProduct(syncedDoc);
+    source = 'synced_product';
+  } else {
+    const product = await bunjangService.getBunjangProductDetails(bunjangPid);
+    if (!product) throw new NotFoundError('번개장터 상품을 찾을 수 없습니다.', 'BunjangProduct', bunjangPid);
+    subject = buildSubject({
+      texts: [product.name, product.description, product.category?.name ?? product.categoryName],
+      categoryId: product.category?.id ?? product.categoryId,
+      brandId: product.brand?.id ?? product.brandId,
+    });
+    source = 'bunjang_api';
+  }
+
+  const evaluation = evaluateTaxonomy(subject);
+  return {
+    bunjangPid,
+    source,
+    rulesVersion: evaluation.version,
+    tags: evaluation.tags,
+    collectionGids: evaluation.collectionGids,
+    matchedRules: evaluation.matchedRules,
+    excludedRules: evaluation.excludedRules,
+    categoryMapping: evaluation.categoryMapping,
+    current: syncedDoc ? {
+      tags: syncedDoc.taxonomyTags ?? null,
+      collectionGids: syncedDoc.taxonomyCollectionGids ?? null,
+      rulesVersion: syncedDoc.taxonomyVersion ?? null,
+    } : null,
+  };
+}
+
+function assertValidRule({ matchers, exclusions }) {
+  for (const [field, list] of [['matchers', matchers], ['exclusions', exclusions]]) {
+    for (const [index, matcher] of (list || []).entries()) {
+      if (matcher.type !== 'regex') continue;
+      try {
+        new RegExp(matcher.value, 'i');
+      } catch (error) {
+        throw new ValidationError('유효하지 않은 정규식입니다.', [
+          { field: `${field}[${index}].value`, message: error.message, value: matcher.value },
+        ]);
+      }
+    }
+  }
+}
+
+async function saveRule(rule) {
+  try {
+    await rule.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 이름의 분류 규칙이 이미 있습니다: ${rule.name}`, 409, 'TAXONOMY_RULE_DUPLICATE', true, { name: rule.name });
+    }
+    throw error;
+  }
+}
+
+async function listRules({ enabled } = {}) {
+  const query = enabled !== undefined ? { enabled } : {};
+  return TaxonomyRule.find(query).sort({ priority: 1, createdAt: 1 }).lean();
+}
+
+async function getRule(ruleId) {
+  const rule = await TaxonomyRule.findById(ruleId).lean();
+  if (!rule) throw new NotFoundError('분류 규칙을 찾을 수 없습니다.', 'TaxonomyRule', ruleId);
+  return rule;
+}
+
+async function createRule(ruleData) {
+  assertValidRule(ruleData);
+  const rule = new TaxonomyRule(ruleData);
+  await saveRule(rule);
+  logger.info(`[TaxonomySvc] Taxonomy rule '${rule.name}' created.`);
+  await onRulesChanged();
+  return rule.toObject();
+}
+
+async function updateRule(ruleId, updates) {
+  const rule = await TaxonomyRule.findById(ruleId);
+  if (!rule) throw new NotFoundError('분류 규칙을 찾을 수 없습니다.', 'TaxonomyRule', ruleId);
+
+  assertValidRule(updates);
+  rule.set(updates);
+  await saveRule(rule);
+  logger.info(`[TaxonomySvc] Taxonomy rule '${rule.name}' (${rule._id}) updated.`);
+  await onRulesChanged();
+  return rule.toObject();
+}
+
+async function deleteRule(ruleId) {
+  const rule = await TaxonomyRule.findByIdAndDelete(ruleId).lean();
+  if (!rule) throw new NotFoundError('분류 규칙을 찾을 수 없습니다.', 'TaxonomyRule', ruleId);
+  logger.info(`[TaxonomySvc] Taxonomy rule '${rule.name}' (${rule._id}) deleted.`);
+  await onRulesChanged();
+  return rule;
+}
+
+module.exports = {
+  refreshTaxonomyRules,
+  refreshTaxonomyRulesIfStale,
+  getRulesVersion,
+  buildSubjectFromCatalogProduct,
+  buildSubjectFromSyncedProduct,
+  evaluateTaxonomy,
+  syncProductCollections,
+  retagSyncedProduct,
+  runTaxonomyBackfill,
+  enqueueTaxonomyBackfill,
+  onRulesChanged,
+  previewTaxonomyForPid,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,67 @@
+// src/services/translationProviders/deeplProvider.js
+// DeepL API 번역 제공자. 용어집 자리표시자([[G0]])는 XML 태그로 바꿔 보내 번역되지 않도록 보호합니다.
+
+const axios = require('axios');
+const config = require('../../config');
+const { AppError, ExternalServiceError } = require('../../utils/customErrors');
+
+const NAME = 'deepl';
+const MAX_TEXTS_PER_REQUEST = 50; // DeepL 요청당 text 최대 개수
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function toDeeplText(text) {
+  return escapeXml(text).replace(/\[\[G(\d+)\]\]/g, '<x i="$1"/>');
+}
+
+function fromDeeplText(text) {
+  return unescapeXml(text.replace(/<x i="(\d+)"\s*\/>/g, '[[G$1]]'));
+}
+
+/**
+ * @param {string[]} texts
+ * @param {{sourceLang: string, targetLang: string}} options
+ * @returns {Promise<string[]>}
+ */
+async function translateBatch(texts, { sourceLang, targetLang }) {
+  const { apiKey, apiUrl } = config.translation.deepl;
+  if (!apiKey) {
+    throw new AppError('DeepL API 키(DEEPL_API_KEY)가 설정되지 않았습니다.', 500, 'TRANSLATION_PROVIDER_NOT_CONFIGURED');
+  }
+
+  const results = [];
+  for (let i = 0; i < texts.length; i += MAX_TEXTS_PER_REQUEST) {
+    const chunk = texts.slice(i, i + MAX_TEXTS_PER_REQUEST);
+    try {
+      const response = await axios.post(apiUrl, {
+        text: chunk.map(toDeeplText),
+        source_lang: sourceLang.toUpperCase(),
+        target_lang: targetLang.toLowerCase() === 'en' ? 'EN-US' : targetLang.toUpperCase(),
+        tag_handling: 'xml',
+        preserve_formatting: true,
+      }, {
+        headers: { Authorization: `DeepL-Auth-Key ${apiKey}`, 'Content-Type': 'application/json' },
+        timeout: config.translation.timeoutMs,
+      });
+      const translations = response.data?.translations || [];
+      if (translations.length !== chunk.length) {
+        throw new Error(`DeepL returned ${translations.length} translations for ${chunk.length} texts.`);
+      }
+      results.push(...translations.map(translation => fromDeeplText(translation.text)));
+    } catch (error) {
+      throw new ExternalServiceError('DeepL', error, `DeepL 번역 요청에 실패했습니다: ${error.message}`, 'TRANSLATION_PROVIDER_ERROR');
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  name: NAME,
+  translateBatch,
+};
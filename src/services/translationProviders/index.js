@@ -0,0 +1,41 @@
+// src/services/translationProviders/index.js
+// 번역 제공자 레지스트리. 제공자는 { name, translateBatch(texts, { sourceLang, targetLang }) => Promise<string[]> } 형태이며,
+// 입력 텍스트의 용어집 자리표시자([[G0]], [[G1]] ...)를 그대로 보존해야 합니다.
+
+const localProvider = require('./localProvider');
+const deeplProvider = require('./deeplProvider');
+const { AppError } = require('../../utils/customErrors');
+
+const providers = new Map([
+  [localProvider.name, localProvider],
+  [deeplProvider.name, deeplProvider],
+]);
+
+/**
+ * 제공자를 추가하거나 교체합니다.
+ * @param {{name: string, translateBatch: function}} provider
+ */
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.translateBatch !== 'function') {
+    throw new AppError('번역 제공자는 name과 translateBatch 함수를 가져야 합니다.', 500, 'TRANSLATION_PROVIDER_INVALID');
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new AppError(`알 수 없는 번역 제공자입니다: ${name}`, 500, 'TRANSLATION_PROVIDER_UNKNOWN', true, { available: [...providers.keys()] });
+  }
+  return provider;
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+};
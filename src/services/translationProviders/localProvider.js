@@ -0,0 +1,103 @@
+// src/services/translationProviders/localProvider.js
+// 외부 API 없이 동작하는 결정적(deterministic) 번역 제공자입니다. (테스트/개발용, 기본값)
+// 자주 쓰는 거래 용어는 사전으로 번역하고, 나머지 한글은 국어의 로마자 표기법(단순화)으로 옮깁니다.
+
+const NAME = 'local';
+
+// 중고거래 제목에 자주 나오는 표현 (긴 표현부터 치환)
+const DICTIONARY = {
+  '무료배송': 'Free Shipping',
+  '택배비포함': 'Shipping Included',
+  '택포': 'Shipping Included',
+  '미개봉': 'Unopened',
+  '새상품': 'New',
+  '새제품': 'New',
+  '중고': 'Used',
+  '정품': 'Authentic',
+  '공식': 'Official',
+  '한정판': 'Limited Edition',
+  '한정': 'Limited',
+  '포토카드': 'Photocard',
+  '포카': 'Photocard',
+  '트레카': 'Trading Card',
+  '앨범': 'Album',
+  '굿즈': 'Merch',
+  '응원봉': 'Light Stick',
+  '시즌그리팅': "Season's Greetings",
+  '싸인': 'Signed',
+  '사인': 'Signed',
+  '포스터': 'Poster',
+  '키링': 'Keyring',
+  '피규어': 'Figure',
+  '인형': 'Doll',
+  '티셔츠': 'T-shirt',
+  '후드티': 'Hoodie',
+  '가방': 'Bag',
+  '지갑': 'Wallet',
+  '운동화': 'Sneakers',
+  '신발': 'Shoes',
+  '시계': 'Watch',
+  '일괄': 'Bundle',
+  '세트': 'Set',
+  '풀셋': 'Full Set',
+  '버전': 'Version',
+  '랜덤': 'Random',
+  '양도': 'For Sale',
+  '판매': 'Sale',
+};
+const DICTIONARY_KEYS = Object.keys(DICTIONARY).sort((a, b) => b.length - a.length);
+
+// 한글 음절 → 로마자 (초성/중성/종성)
+const INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+const HANGUL_START = 0xac00;
+const HANGUL_END = 0xd7a3;
+
+function romanizeSyllable(char) {
+  const offset = char.charCodeAt(0) - HANGUL_START;
+  const initial = Math.floor(offset / (21 * 28));
+  const medial = Math.floor((offset % (21 * 28)) / 28);
+  const final = offset % 28;
+  return INITIALS[initial] + MEDIALS[medial] + FINALS[final];
+}
+
+/**
+ * 연속된 한글 음절을 로마자로 옮깁니다. 단어 첫 글자는 대문자로 씁니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function romanize(text) {
+  return text.replace(/[가-힣]+/g, (word) => {
+    const romanized = [...word].map((char) => {
+      const code = char.charCodeAt(0);
+      return code >= HANGUL_START && code <= HANGUL_END ? romanizeSyllable(char) : char;
+    }).join('');
+    return romanized.charAt(0).toUpperCase() + romanized.slice(1);
+  });
+}
+
+function translateOne(text) {
+  let translated = text;
+  for (const key of DICTIONARY_KEYS) {
+    translated = translated.split(key).join(` ${DICTIONARY[key]} `);
+  }
+  return romanize(translated)
+    .split('\n')
+    .map(line => line.replace(/[ \t]{2,}/g, ' ').trim())
+    .join('\n');
+}
+
+/**
+ * @param {string[]} texts
+ * @returns {Promise<string[]>}
+ */
+async function translateBatch(texts) {
+  return texts.map(translateOne);
+}
+
+module.exports = {
+  name: NAME,
+  translateBatch,
+  romanize,
+};
@@ -0,0 +1,284 @@
+// src/services/translationService.js
+// 상품 제목/설명 한→영 번역을 담당합니다.
+// 1) 용어집(K-pop 그룹/멤버/앨범명)의 원문 표기를 자리표시자로 바꿔 제공자가 임의로 번역하지 못하게 하고, 번역 후 영문 표기로 되돌립니다.
+// 2) 번역 결과는 TranslationCache(원문 해시 기준)에 저장해 같은 원문은 제공자를 다시 호출하지 않습니다.
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../config/logger');
+const defaultGlossary = require('../config/translationGlossary');
+const GlossaryTerm = require('../models/glossaryTerm.model');
+const TranslationCache = require('../models/translationCache.model');
+const translationProviders = require('./translationProviders');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const PARTICLES = '은|는|이|가|의|을|를|도|와|과|랑|이랑|에|에서|만';
+
+let glossaryState = null; // { entries, matchers, version }
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 용어집 항목으로 치환용 정규식 목록을 만듭니다. 긴 표기부터 치환해 "방탄소년단"이 "방탄"보다 먼저 잡히도록 합니다.
+ */
+function buildGlossaryState(entries) {
+  const matchers = entries
+    .flatMap(entry => entry.aliases.map(alias => ({ alias: alias.trim(), term: entry.term, matchWholeWord: entry.matchWholeWord })))
+    .filter(matcher => matcher.alias)
+    .sort((a, b) => b.alias.length - a.alias.length)
+    .map(({ alias, term, matchWholeWord }) => {
+      const wholeWord = matchWholeWord ?? alias.length <= 2;
+      const pattern = wholeWord
+        ? `(?<![가-힣])${escapeRegExp(alias)}(?=(?:${PARTICLES})?(?![가-힣]))`
+        : escapeRegExp(alias);
+      return { alias, term, regex: new RegExp(pattern, 'g') };
+    });
+  const version = sha256(JSON.stringify(entries.map(entry => [entry.term, [...entry.aliases].sort(), entry.matchWholeWord ?? null])
+    .sort((a, b) => a[0].localeCompare(b[0])))).substring(0, 12);
+  return { entries, matchers, version };
+}
+
+/**
+ * 기본 용어집과 DB 용어집(GlossaryTerm)을 합쳐 다시 읽습니다. 같은 term이면 DB 항목이 우선하며, enabled=false면 제외됩니다.
+ * DB 조회에 실패하면 기존 용어집(없으면 기본 용어집)을 유지합니다.
+ * @returns {Promise<{entries: object[], version: string}>}
+ */
+async function refreshGlossary() {
+  try {
+    const dbTerms = await GlossaryTerm.find({}).lean();
+    const merged = new Map(defaultGlossary.map(entry => [entry.term, { ...entry, source: 'default' }]));
+    for (const dbTerm of dbTerms) {
+      if (dbTerm.enabled === false) {
+        merged.delete(dbTerm.term);
+      } else {
+        merged.set(dbTerm.term, {
+          term: dbTerm.term,
+          aliases: dbTerm.aliases,
+          category: dbTerm.category,
+          matchWholeWord: dbTerm.matchWholeWord,
+          source: 'database',
+        });
+      }
+    }
+    glossaryState = buildGlossaryState([...merged.values()]);
+    logger.info(`[TranslationSvc] Loaded ${glossaryState.entries.length} glossary terms (${dbTerms.length} from database). Version: ${glossaryState.version}`);
+  } catch (error) {
+    if (!glossaryState) glossaryState = buildGlossaryState(defaultGlossary.map(entry => ({ ...entry, source: 'default' })));
+    logger.warn(`[TranslationSvc] Failed to load glossary terms from database. Using ${glossaryState.entries.length} cached terms: ${error.message}`);
+  }
+  return { entries: glossaryState.entries, version: glossaryState.version };
+}
+
+async function getGlossaryState() {
+  if (!glossaryState) await refreshGlossary();
+  return glossaryState;
+}
+
+/**
+ * 원문의 용어집 표기를 [[G0]], [[G1]] ... 자리표시자로 바꿉니다.
+ * @returns {{text: string, terms: string[]}} terms[n]은 [[Gn]] 자리에 들어갈 영문 표기.
+ */
+function protectGlossaryTerms(text, state) {
+  const terms = [];
+  let protectedText = text;
+  for (const { term, regex } of state.matchers) {
+    protectedText = protectedText.replace(regex, () => {
+      terms.push(term);
+      return ` [[G${terms.length - 1}]] `;
+    });
+  }
+  return { text: protectedText, terms };
+}
+
+/**
+ * 자리표시자를 영문 표기로 되돌립니다. 제공자가 자리표시자를 빠뜨리면 용어집을 보장할 수 없으므로 에러를 던집니다.
+ */
+function restoreGlossaryTerms(text, terms) {
+  const missing = terms.map((_, index) => index).filter(index => !text.includes(`[[G${index}]]`));
+  if (missing.length > 0) {
+    throw new AppError(`번역 결과에서 용어집 자리표시자가 누락되었습니다: ${missing.map(index => terms[index]).join(', ')}`, 502, 'TRANSLATION_GLOSSARY_VIOLATION');
+  }
+  return text
+    .replace(/\[\[G(\d+)\]\]/g, (_, index) => terms[parseInt(index, 10)])
+    .split('\n')
+    .map(line => line.replace(/[ \t]{2,}/g, ' ').trim())
+    .join('\n');
+}
+
+/**
+ * 여러 원문을 번역합니다. 캐시에 있는 원문은 제공자를 호출하지 않습니다.
+ * @param {string[]} texts
+ * @param {object} [options]
+ * @param {string} [options.provider] - 기본값: config.translation.provider
+ * @returns {Promise<{translations: string[], provider: string, glossaryVersion: string, cacheHits: number}>}
+ * @throws {AppError|ExternalServiceError} 제공자 오류 또는 용어집 위반 시.
+ */
+async function translateTexts(texts, { provider: providerName = config.translation.provider } = {}) {
+  const { sourceLang, targetLang } = config.translation;
+  const provider = translationProviders.getProvider(providerName);
+  const state = await getGlossaryState();
+
+  const translations = new Array(texts.length);
+  const pending = []; // { index, text, sourceHash }
+  for (const [index, text] of texts.entries()) {
+    if (!text || !/[가-힣]/.test(text)) {
+      translations[index] = text || ''; // 한글이 없으면 번역 불필요
+      continue;
+    }
+    pending.push({ index, text, sourceHash: sha256(text) });
+  }
+
+  let cacheHits = 0;
+  if (pending.length > 0) {
+    const cacheQuery = { sourceLang, targetLang, provider: provider.name, glossaryVersion: state.version };
+    const cached = await TranslationCache.find({ ...cacheQuery, sourceHash: { $in: pending.map(item => item.sourceHash) } })
+      .select({ sourceHash: 1, translatedText: 1 })
+      .lean();
+    const cachedByHash = new Map(cached.map(entry => [entry.sourceHash, entry.translatedText]));
+
+    const misses = [];
+    for (const item of pending) {
+      if (cachedByHash.has(item.sourceHash)) {
+        translations[item.index] = cachedByHash.get(item.sourceHash);
+        cacheHits++;
+      } else {
+        misses.push(item);
+      }
+    }
+    if (cacheHits > 0) {
+      await TranslationCache.updateMany(
+        { ...cacheQuery, sourceHash: { $in: [...cachedByHash.keys()] } },
+        { $inc: { hitCount: 1 }, $set: { lastUsedAt: new Date() } }
+      ).catch(error => logger.warn(`[TranslationSvc] Failed to update translation cache hit counts: ${error.message}`));
+    }
+
+    if (misses.length > 0) {
+      const protectedTexts = misses.map(item => protectGlossaryTerms(item.text, state));
+      const providerResults = await provider.translateBatch(protectedTexts.map(entry => entry.text), { sourceLang, targetLang });
+      for (const [i, item] of misses.entries()) {
+        const translatedText = restoreGlossaryTerms(providerResults[i] || '', protectedTexts[i].terms);
+        translations[item.index] = translatedText;
+        await TranslationCache.updateOne(
+          { ...cacheQuery, sourceHash: item.sourceHash },
+          { $set: { sourceText: item.text, translatedText, lastUsedAt: new Date() }, $setOnInsert: { hitCount: 0 } },
+          { upsert: true }
+        ).catch(error => logger.warn(`[TranslationSvc] Failed to cache translation ${item.sourceHash.substring(0, 12)}: ${error.message}`));
+      }
+      logger.debug(`[TranslationSvc] Translated ${misses.length} texts with provider '${provider.name}' (${cacheHits} cache hits).`);
+    }
+  }
+
+  return { translations, provider: provider.name, glossaryVersion: state.version, cacheHits };
+}
+
+/**
+ * 상품 제목/설명 번역. 원문과 용어집 버전이 이전 동기화와 같으면(syncedDoc.translationSourceHash) 저장된 번역을 그대로 씁니다.
+ * 번역에 실패하면 예외를 던지지 않고 원문을 반환합니다. (translated: false)
+ * @param {object} bunjangProduct - { pid, name, description }
+ * @param {object} [options]
+ * @param {object} [options.syncedDoc] - 기존 SyncedProduct 문서.
+ * @param {string} [options.jobId='N/A']
+ * @param {boolean} [options.reuseOnly=false] - true이면 번역 제공자를 호출하지 않고, 저장된 번역을 쓸 수 없으면 원문과 pending: true를 반환 (드라이런용).
+ * @returns {Promise<{title: string, description: string, translated: boolean, provider?: string, sourceHash?: string, reused?: boolean, pending?: boolean}>}
+ */
+async function translateProduct(bunjangProduct, { syncedDoc = null, jobId = 'N/A', reuseOnly = false } = {}) {
+  const name = bunjangProduct.name || '';
+  const description = bunjangProduct.description || '';
+  const original = { title: name, description, translated: false };
+  if (!config.translation.enabled) return original;
+  if (config.translation.provider === 'local') {
+    // 설정 검증(validateRequiredConfig)을 거치지 않은 프로세스에서도 테스트용 로마자 번역이 Shopify에 올라가지 않도록
+    logger.warn(`[TranslationSvc:Job-${jobId}] Translation provider 'local' is for tests only. Using Korean original for PID ${bunjangProduct.pid}.`);
+    return original;
+  }
+
+  try {
+    const state = await getGlossaryState();
+    const sourceHash = sha256([config.translation.provider, config.translation.targetLang, state.version, name, description].join('\n'));
+
+    if (syncedDoc?.translationSourceHash === sourceHash && syncedDoc.englishTitle) {
+      logger.debug(`[TranslationSvc:Job-${jobId}] Source text unchanged for PID ${bunjangProduct.pid}. Reusing stored translation.`);
+      return {
+        title: syncedDoc.englishTitle,
+        description: syncedDoc.englishDescription ?? description,
+        translated: true,
+        provider: syncedDoc.translationProvider,
+        sourceHash,
+        reused: true,
+      };
+    }
+
+    if (reuseOnly) return { ...original, pending: true };
+
+    const { translations, provider } = await translateTexts([name, description]);
+    return { title: translations[0] || name, description: translations[1], translated: true, provider, sourceHash };
+  } catch (error) {
+    logger.warn(`[TranslationSvc:Job-${jobId}] Translation failed for PID ${bunjangProduct.pid}. Using Korean original: ${error.message}`);
+    return original;
+  }
+}
+
+/**
+ * 용어집 목록 (기본 + DB 병합 결과와 비활성화된 DB 항목).
+ */
+async function listGlossaryTerms() {
+  const { entries, version } = await refreshGlossary();
+  const disabled = await GlossaryTerm.find({ enabled: false }).lean();
+  return { version, terms: entries, disabledTerms: disabled.map(term => term.term) };
+}
+
+/**
+ * 용어집 항목을 추가하거나 수정합니다. (기본 용어집 항목을 덮어쓰거나 enabled=false로 비활성화할 수도 있음)
+ * @param {string} term - 영문 표기.
+ * @param {object} fields - { aliases, category, matchWholeWord, enabled, notes, updatedBy }
+ */
+async function upsertGlossaryTerm(term, fields) {
+  const defaultEntry = defaultGlossary.find(entry => entry.term === term);
+  const $set = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  if (!$set.aliases && !defaultEntry) {
+    const existing = await GlossaryTerm.exists({ term });
+    if (!existing) {
+      throw new AppError('새 용어집 항목에는 aliases가 필요합니다.', 400, 'GLOSSARY_ALIASES_REQUIRED');
+    }
+  }
+  const glossaryTerm = await GlossaryTerm.findOneAndUpdate(
+    { term },
+    {
+      $set,
+      $setOnInsert: {
+        term,
+        ...(!$set.aliases && defaultEntry && { aliases: defaultEntry.aliases }),
+        ...(!$set.category && defaultEntry && { category: defaultEntry.category }),
+      },
+    },
+    { upsert: true, new: true, runValidators: true, lean: true }
+  );
+  await refreshGlossary();
+  return glossaryTerm;
+}
+
+/**
+ * DB 용어집 항목을 삭제합니다. 기본 용어집 항목을 덮어쓴 경우 삭제 후 기본값으로 돌아갑니다.
+ */
+async function deleteGlossaryTerm(term) {
+  const deleted = await GlossaryTerm.findOneAndDelete({ term }).lean();
+  if (!deleted) throw new NotFoundError('용어집 항목을 찾을 수 없습니다.', 'GlossaryTerm', term);
+  await refreshGlossary();
+  return deleted;
+}
+
+module.exports = {
+  refreshGlossary,
+  translateTexts,
+  translateProduct,
+  listGlossaryTerms,
+  upsertGlossaryTerm,
+  deleteGlossaryTerm,
+  listProviders: translationProviders.listProviders,
+};
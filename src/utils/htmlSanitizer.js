@@ -0,0 +1,174 @@
+// src/utils/htmlSanitizer.js
+// 허용 목록(allowlist) 기반 HTML 정제 유틸리티입니다. 허용되지 않은 태그는 제거하고(내용은 유지), 허용 목록에 없는 속성은 모두 버립니다.
+// script/style 등 실행·표시용 태그는 내용까지 제거합니다. 외부 라이브러리 없이 상품 설명 정도의 HTML을 대상으로 합니다.
+
+// 판매자 입력(상품 설명)용: 서식 태그만, 속성 없음
+const STRICT_POLICY = {
+  allowedTags: ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li'],
+  allowedAttributes: {},
+};
+
+// 운영자가 관리하는 설명 템플릿용
+const TEMPLATE_POLICY = {
+  allowedTags: [...STRICT_POLICY.allowedTags, 'div', 'span', 'small', 'h2', 'h3', 'h4', 'hr', 'a'],
+  allowedAttributes: {
+    '*': ['class'],
+    a: ['href', 'title', 'target', 'rel'],
+  },
+};
+
+const VOID_TAGS = new Set(['br', 'hr']);
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select']);
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const ENTITY_PATTERN = /^&(?:#\d{1,7}|#x[0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+
+/**
+ * 텍스트를 HTML에 그대로 넣을 수 있도록 이스케이프합니다.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 태그 사이의 텍스트를 이스케이프합니다. 이미 올바른 HTML 엔티티(&amp; 등)는 유지합니다.
+ */
+function escapeText(text) {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '&') {
+      const entity = ENTITY_PATTERN.exec(text.substring(i));
+      if (entity) {
+        result += entity[0];
+        i += entity[0].length - 1;
+      } else {
+        result += '&amp;';
+      }
+    } else if (char === '<') {
+      result += '&lt;';
+    } else if (char === '>') {
+      result += '&gt;';
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+function isSafeUrl(url) {
+  const trimmed = url.replace(/[\t\n\r]/g, '').trim().toLowerCase(); // 브라우저는 URL 안의 탭/줄바꿈을 무시함
+  // "//host"와 "/\host"는 브라우저가 외부 주소(프로토콜 상대 URL)로 해석하므로 사이트 내부 경로로 보지 않음
+  if (/^\/[\\/]/.test(trimmed)) return false;
+  return trimmed.startsWith('https://') || trimmed.startsWith('/') || trimmed.startsWith('#') || trimmed.startsWith('mailto:');
+}
+
+function sanitizeAttributes(tagName, rawAttributes, policy) {
+  const allowed = [...(policy.allowedAttributes['*'] || []), ...(policy.allowedAttributes[tagName] || [])];
+  if (allowed.length === 0 || !rawAttributes) return '';
+
+  const attributes = [];
+  for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!allowed.includes(name)) continue;
+    if (name === 'href' && !isSafeUrl(value)) continue;
+    if (name === 'target' && value !== '_blank') continue;
+    attributes.push(`${name}="${escapeHtml(value)}"`);
+  }
+  if (tagName === 'a' && attributes.some(attribute => attribute.startsWith('target='))) {
+    // 새 창 링크는 opener 접근 차단
+    const withoutRel = attributes.filter(attribute => !attribute.startsWith('rel='));
+    return ` ${[...withoutRel, 'rel="noopener noreferrer"'].join(' ')}`;
+  }
+  return attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+}
+
+/**
+ * HTML을 허용 목록 정책에 따라 정제합니다. 닫히지 않은 허용 태그는 끝에서 닫고, 짝이 없는 닫는 태그는 버립니다.
+ * @param {string} html
+ * @param {object} [policy=STRICT_POLICY] - { allowedTags: string[], allowedAttributes: { [tag|'*']: string[] } }
+ * @returns {string}
+ */
+function sanitizeHtml(html, policy = STRICT_POLICY) {
+  const input = String(html ?? '');
+  const openTags = [];
+  let output = '';
+  let dropDepth = 0; // script/style 등 내부이면 > 0
+  let lastIndex = 0;
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    if (dropDepth === 0) output += escapeText(input.substring(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [token, closingSlash, rawTagName, rawAttributes] = match;
+    if (token.startsWith('<!--')) continue; // 주석 제거
+
+    const tagName = rawTagName.toLowerCase();
+    const isClosing = closingSlash === '/';
+
+    if (DROP_CONTENT_TAGS.has(tagName)) {
+      if (!isClosing && !token.endsWith('/>')) dropDepth++;
+      else if (isClosing && dropDepth > 0) dropDepth--;
+      continue;
+    }
+    if (dropDepth > 0 || !policy.allowedTags.includes(tagName)) continue;
+
+    if (VOID_TAGS.has(tagName)) {
+      if (!isClosing) output += `<${tagName}${sanitizeAttributes(tagName, rawAttributes, policy)} />`;
+      continue;
+    }
+    if (!isClosing) {
+      openTags.push(tagName);
+      output += `<${tagName}${sanitizeAttributes(tagName, rawAttributes, policy)}>`;
+      continue;
+    }
+    const openIndex = openTags.lastIndexOf(tagName);
+    if (openIndex === -1) continue;
+    // 사이에 닫히지 않은 태그가 있으면 함께 닫음
+    while (openTags.length > openIndex) output += `</${openTags.pop()}>`;
+  }
+
+  if (dropDepth === 0) output += escapeText(input.substring(lastIndex));
+  while (openTags.length > 0) output += `</${openTags.pop()}>`;
+  return output;
+}
+
+/**
+ * 판매자가 쓴 설명을 HTML 문단으로 변환합니다.
+ * 빈 줄로 구분된 덩어리는 <p>, 그 안의 줄바꿈은 <br />로 바꾸며, 입력에 포함된 HTML은 STRICT_POLICY로 정제합니다.
+ * @param {string} text
+ * @returns {string} 내용이 없으면 빈 문자열.
+ */
+function textToParagraphs(text) {
+  const normalized = String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p(?:\s[^>]*)?>/gi, '\n\n')
+    .replace(/<\/?p(?:\s[^>]*)?>/gi, '\n\n');
+
+  // 전체를 먼저 정제해 여러 줄에 걸친 script 등을 내용까지 제거하고, 줄 단위로 다시 정제해 태그 짝을 맞춤
+  return sanitizeHtml(normalized, STRICT_POLICY)
+    .split(/\n\s*\n+/)
+    .map(block => block.split('\n')
+      .map(line => sanitizeHtml(line, STRICT_POLICY).trim())
+      .filter(line => line.replace(/<[^>]*>/g, '').trim() !== ''))
+    .filter(lines => lines.length > 0)
+    .map(lines => `<p>${lines.join('<br />')}</p>`)
+    .join('\n');
+}
+
+module.exports = {
+  STRICT_POLICY,
+  TEMPLATE_POLICY,
+  escapeHtml,
+  sanitizeHtml,
+  textToParagraphs,
+};
@@ -0,0 +1,79 @@
+// test/catalogBulkSyncService.test.js
+// 벌크 동기화 productSet 입력 변환(buildProductSetInput): 기존 상품/variant ID 유지, 이미지 포함 여부, 새 상품의 컬렉션 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const { computeImageSetHash } = require('../src/services/productMediaService');
+const { buildProductSetInput } = require('../src/services/catalogBulkSyncService');
+
+const PRODUCT_GID = 'gid://shopify/Product/100';
+const IMAGE_URLS = ['https://img.example/a.jpg', 'https://img.example/b.jpg'];
+
+const buildItem = ({ shopifyGid = PRODUCT_GID, syncedDoc = {} } = {}) => ({
+  shopifyGid,
+  syncedDoc: { mediaSourceHash: computeImageSetHash(IMAGE_URLS), mediaSyncStatus: 'SYNCED', ...syncedDoc },
+  transformResult: {
+    productInput: { title: 'BTS Album', descriptionHtml: '<p>x</p>', vendor: 'Big Hit', productType: 'K-Pop Albums', tags: ['bunjang_import'], status: 'ACTIVE', metafields: [] },
+    variantData: { sku: 'BJ-1', price: '27.99', inventoryPolicy: 'DENY' },
+    inventoryInfo: { locationId: 'gid://shopify/Location/1' },
+    optionVariants: null,
+    imageUrls: IMAGE_URLS,
+    mediaInputs: IMAGE_URLS.map((url, index) => ({ originalSource: url, alt: `BTS Album - image ${index + 1} of 2`, mediaContentType: 'IMAGE' })),
+    taxonomy: { collectionGids: ['gid://shopify/Collection/9'] },
+  },
+});
+
+const productIndex = {
+  productIds: new Set([PRODUCT_GID]),
+  variantsBySku: new Map([
+    ['BJ-1', { id: 'gid://shopify/ProductVariant/1', productId: PRODUCT_GID }],
+    ['BJ-2', { id: 'gid://shopify/ProductVariant/2', productId: 'gid://shopify/Product/200' }],
+  ]),
+};
+
+test('an existing product keeps its product and variant IDs and skips unchanged media and collections', () => {
+  const { input, existingId, includeMedia } = buildProductSetInput(buildItem(), productIndex);
+
+  assert.equal(existingId, PRODUCT_GID);
+  assert.equal(input.id, PRODUCT_GID);
+  assert.equal(input.variants[0].id, 'gid://shopify/ProductVariant/1');
+  assert.equal(input.variants[0].price, '27.99');
+  assert.deepEqual(input.variants[0].inventoryQuantities, [{ locationId: 'gid://shopify/Location/1', name: 'available', quantity: 1 }]);
+  assert.equal(includeMedia, false);
+  assert.equal(input.files, undefined);
+  assert.equal(input.collections, undefined);
+});
+
+test('changed images or a failed last media sync send the full image set again', () => {
+  const changed = buildProductSetInput(buildItem({ syncedDoc: { mediaSourceHash: 'old' } }), productIndex);
+  const failed = buildProductSetInput(buildItem({ syncedDoc: { mediaSyncStatus: 'PARTIAL_ERROR' } }), productIndex);
+
+  assert.equal(changed.includeMedia, true);
+  assert.deepEqual(changed.input.files.map(file => file.originalSource), IMAGE_URLS);
+  assert.equal(changed.input.files[1].alt, 'BTS Album - image 2 of 2');
+  assert.equal(failed.includeMedia, true);
+});
+
+test('a product missing from Shopify is created with images and its collections', () => {
+  const { input, existingId, includeMedia, collectionGids } = buildProductSetInput(buildItem({ shopifyGid: 'gid://shopify/Product/999' }), productIndex);
+
+  assert.equal(existingId, null);
+  assert.equal(input.id, undefined);
+  assert.equal(input.variants[0].id, undefined);
+  assert.equal(includeMedia, true);
+  assert.deepEqual(collectionGids, [config.shopify.defaultCollectionGid, 'gid://shopify/Collection/9'].filter(Boolean));
+  assert.deepEqual(input.collections, collectionGids);
+});
+
+test('a variant ID is only reused when the SKU belongs to the same Shopify product', () => {
+  const item = buildItem();
+  item.transformResult.variantData.sku = 'BJ-2'; // 다른 상품의 variant
+
+  const { input } = buildProductSetInput(item, productIndex);
+
+  assert.equal(input.variants[0].id, undefined);
+  assert.equal(input.variants[0].inventoryItem.sku, 'BJ-2');
+});
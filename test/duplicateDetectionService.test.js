@@ -0,0 +1,59 @@
+// test/duplicateDetectionService.test.js
+// 근사 중복 감지의 제목/이미지 지문(normalizeTitle, buildImageKeys), 신호 비교(compareMembers)와 리스팅할 상품 선택(choosePrimary) 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const { normalizeTitle, buildImageKeys, compareMembers, choosePrimary } = require('../src/services/duplicateDetectionService');
+
+// 기본 설정: 제목 유사도 0.8, 가격 차이 10%
+const SETTINGS = config.bunjang.duplicateDetection;
+
+const member = (bunjangPid, fields = {}) => ({
+  bunjangPid, titleKey: 'bts love yourself 앨범', imageKeys: [], priceKrw: 30000, bunjangCreatedAt: null, ...fields,
+});
+
+test('normalizeTitle drops relisting words, punctuation, duplicates and word order', () => {
+  assert.equal(normalizeTitle('[급처] BTS 앨범 Love Yourself!! 재업'), 'bts love yourself 앨범');
+  assert.equal(normalizeTitle('앨범 love yourself BTS BTS'), 'bts love yourself 앨범');
+  assert.equal(normalizeTitle('ＢＴＳ　앨범'), 'bts 앨범'); // 전각 문자는 NFKC로 정규화
+  assert.equal(normalizeTitle(null), '');
+});
+
+test('buildImageKeys ignores the query string and the resolution suffix', () => {
+  assert.deepEqual(buildImageKeys([
+    'https://media.bunjang.co.kr/product/123_1_w500.jpg?version=2',
+    'https://MEDIA.bunjang.co.kr/product/123_1_w856.jpg',
+    'https://media.bunjang.co.kr/product/123_2_w{res}.jpg',
+    'not a url',
+  ]), ['media.bunjang.co.kr/product/123_1.jpg', 'media.bunjang.co.kr/product/123_2.jpg']);
+  assert.deepEqual(buildImageKeys(undefined), []);
+});
+
+test('compareMembers reports the title, price and image signals that match', () => {
+  const a = member('1', { imageKeys: ['img/a.jpg', 'img/b.jpg'] });
+
+  assert.deepEqual(compareMembers(a, member('2', { priceKrw: 27500, imageKeys: ['img/b.jpg'] }), SETTINGS), ['title', 'price', 'image']);
+  assert.deepEqual(compareMembers(a, member('3', { priceKrw: 26000 }), SETTINGS), ['title']); // 가격 차이 13%
+  assert.deepEqual(compareMembers(a, member('4', { titleKey: 'bts love 앨범 포카', priceKrw: 0 }), SETTINGS), []); // 유사도 0.6, 가격 없음
+});
+
+test('choosePrimary keeps the newest, the oldest or the cheapest member', () => {
+  const members = [
+    member('100', { bunjangCreatedAt: '2026-10-01T00:00:00Z', priceKrw: 30000 }),
+    member('200', { bunjangCreatedAt: '2026-10-10T00:00:00Z', priceKrw: 28000 }),
+    member('150', { bunjangCreatedAt: '2026-10-05T00:00:00Z', priceKrw: 28000 }),
+  ];
+
+  assert.equal(choosePrimary(members, 'keep_newest'), '200');
+  assert.equal(choosePrimary(members, 'keep_oldest'), '100');
+  assert.equal(choosePrimary(members, 'keep_lowest_price'), '200'); // 같은 가격이면 최신
+  assert.equal(choosePrimary(members, 'report_only'), '200');
+});
+
+test('choosePrimary falls back to the PID order when creation dates are missing', () => {
+  assert.equal(choosePrimary([member('100'), member('300'), member('200')], 'keep_newest'), '300');
+  assert.equal(choosePrimary([member('100', { priceKrw: 0 }), member('300', { priceKrw: 50000 })], 'keep_lowest_price'), '300'); // 가격 없는 상품은 마지막
+});
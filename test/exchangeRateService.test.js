@@ -0,0 +1,63 @@
+// test/exchangeRateService.test.js
+// ECB 기준환율 XML 변환(parseEcbRates)과 가격 계산용 환율 평활화(smoothKrwToUsdRate) 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseEcbRates, smoothKrwToUsdRate } = require('../src/services/exchangeRateService');
+
+const ECB_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+  <Cube>
+    <Cube time='2026-10-16'>
+      <Cube currency='USD' rate='1.1'/>
+      <Cube currency='JPY' rate='165'/>
+      <Cube currency='GBP' rate='0.85'/>
+      <Cube currency='KRW' rate='1540'/>
+      <Cube currency='CAD' rate='1.54'/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+test('parseEcbRates converts EUR based rates to USD based rates', () => {
+  const { rates } = parseEcbRates(ECB_XML);
+
+  assert.equal(rates.KRW, 1400);
+  assert.equal(rates.JPY, 150);
+  assert.equal(rates.CAD, 1.4);
+  assert.equal(rates.EUR, 0.909091); // 1 / 1.1, 소수점 6자리
+});
+
+test('parseEcbRates keeps only KRW and the market pricing currencies', () => {
+  const { rates } = parseEcbRates(ECB_XML);
+
+  assert.deepEqual(Object.keys(rates).sort(), ['CAD', 'EUR', 'JPY', 'KRW']); // GBP 제외, AUD는 XML에 없음
+  assert.equal(rates.USD, undefined);
+});
+
+test('parseEcbRates uses the reference date at 16:00 CET as the source timestamp', () => {
+  const { sourceTimestamp } = parseEcbRates(ECB_XML);
+
+  assert.equal(sourceTimestamp.toISOString(), '2026-10-16T14:00:00.000Z');
+});
+
+test('parseEcbRates throws when USD or KRW is missing', () => {
+  assert.throws(() => parseEcbRates(ECB_XML.replace(/<Cube currency='USD'[^>]*>/, '')), /USD 또는 KRW/);
+  assert.throws(() => parseEcbRates(ECB_XML.replace(/<Cube currency='KRW'[^>]*>/, '')), /USD 또는 KRW/);
+  assert.throws(() => parseEcbRates('<html>Service unavailable</html>'), /USD 또는 KRW/);
+});
+
+test('smoothKrwToUsdRate picks the latest rate, the average or the worst rate of the window', () => {
+  const rates = [0.0007, 0.0008, 0.0006]; // 최신 순
+
+  assert.equal(smoothKrwToUsdRate(rates, 'NONE'), 0.0007);
+  assert.ok(Math.abs(smoothKrwToUsdRate(rates, 'TRAILING_AVERAGE') - 0.0007) < 1e-12);
+  assert.equal(smoothKrwToUsdRate(rates, 'WORST_OF_WINDOW'), 0.0008); // 1 KRW당 USD가 가장 큰 값 (원가가 가장 비싸짐)
+});
+
+test('smoothKrwToUsdRate falls back to the latest rate for an unknown method or a single sample', () => {
+  assert.equal(smoothKrwToUsdRate([0.0007, 0.0008], 'MEDIAN'), 0.0007);
+  assert.equal(smoothKrwToUsdRate([0.00071], 'TRAILING_AVERAGE'), 0.00071);
+  assert.equal(smoothKrwToUsdRate([0.00071], 'WORST_OF_WINDOW'), 0.00071);
+});
@@ -0,0 +1,22 @@
+// test/helpers/testEnv.js
+// 테스트용 환경 변수. src 모듈(config, logger)을 require하기 전에 불러와야 합니다.
+// 로그 파일은 저장소 밖(임시 디렉토리)에 쓰고, Redis/외부 API 없이 동작하도록 설정합니다.
+
+const os = require('os');
+const path = require('path');
+
+const defaults = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  LOG_DIR: path.join(os.tmpdir(), 'bunjang-shopify-middleware-test-logs'),
+  REDIS_ENABLED: 'false',
+  SHOPIFY_SHOP_DOMAIN: 'test.myshopify.com',
+  SHOPIFY_API_KEY: 'test-key',
+  SHOPIFY_API_SECRET: 'test-secret',
+  SHOPIFY_ADMIN_ACCESS_TOKEN: 'shpat_test',
+  SHOPIFY_DEFAULT_LOCATION_ID: 'gid://shopify/Location/1',
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  if (!process.env[name]) process.env[name] = value;
+}
@@ -0,0 +1,70 @@
+// test/htmlSanitizer.test.js
+// 허용 목록 HTML 정제(sanitizeHtml)와 판매자 설명 문단 변환(textToParagraphs) 테스트.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sanitizeHtml, textToParagraphs, escapeHtml, TEMPLATE_POLICY } = require('../src/utils/htmlSanitizer');
+
+test('escapeHtml escapes markup and quote characters', () => {
+  assert.equal(escapeHtml('<a href="x">Tom\'s & co</a>'), '&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; co&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+});
+
+test('sanitizeHtml keeps allowed formatting tags and drops every attribute under the strict policy', () => {
+  assert.equal(sanitizeHtml('<p onclick="x()">Hi <b class="y">there</b></p>'), '<p>Hi <b>there</b></p>');
+});
+
+test('sanitizeHtml removes disallowed tags but keeps their text', () => {
+  assert.equal(sanitizeHtml('<div class="x">t</div><span>y</span>'), 'ty');
+  assert.equal(sanitizeHtml('<img src=x onerror=alert(1)>img'), 'img');
+});
+
+test('sanitizeHtml removes script and style blocks together with their content', () => {
+  assert.equal(sanitizeHtml('a <script>alert(1)</script> b'), 'a  b');
+  assert.equal(sanitizeHtml('<style>p { color: red }</style><p>x</p>'), '<p>x</p>');
+  assert.equal(sanitizeHtml('before<script>never closed'), 'before');
+});
+
+test('sanitizeHtml closes unclosed tags, drops stray closing tags and strips comments', () => {
+  assert.equal(sanitizeHtml('<p>unclosed <b>bold'), '<p>unclosed <b>bold</b></p>');
+  assert.equal(sanitizeHtml('</b>stray'), 'stray');
+  assert.equal(sanitizeHtml('<!-- note -->ok<br>next'), 'ok<br />next');
+});
+
+test('sanitizeHtml escapes text but keeps existing entities', () => {
+  assert.equal(sanitizeHtml('Tom & Jerry &amp; 1 < 2'), 'Tom &amp; Jerry &amp; 1 &lt; 2');
+});
+
+test('TEMPLATE_POLICY keeps class and safe links, and forces rel on new-window links', () => {
+  assert.equal(
+    sanitizeHtml('<a href="https://example.com" target="_blank" rel="opener" onclick="y">l</a>', TEMPLATE_POLICY),
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer">l</a>'
+  );
+  assert.equal(sanitizeHtml('<div class="c" style="color: red">d</div>', TEMPLATE_POLICY), '<div class="c">d</div>');
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">j</a>', TEMPLATE_POLICY), '<a>j</a>');
+});
+
+test('TEMPLATE_POLICY drops protocol-relative links that browsers resolve to another host', () => {
+  assert.equal(sanitizeHtml('<a href="//evil.example/x">a</a>', TEMPLATE_POLICY), '<a>a</a>');
+  assert.equal(sanitizeHtml('<a href="/\\evil.example/x">b</a>', TEMPLATE_POLICY), '<a>b</a>');
+  assert.equal(sanitizeHtml('<a href=" /\t/evil.example">c</a>', TEMPLATE_POLICY), '<a>c</a>');
+  assert.equal(sanitizeHtml('<a href="/collections/kpop">d</a>', TEMPLATE_POLICY), '<a href="/collections/kpop">d</a>');
+});
+
+test('textToParagraphs turns blank-line separated blocks into paragraphs and line breaks into <br />', () => {
+  assert.equal(textToParagraphs('첫 줄\n둘째 줄\n\n새 문단'), '<p>첫 줄<br />둘째 줄</p>\n<p>새 문단</p>');
+  assert.equal(textToParagraphs('a\r\n\r\n\r\nb'), '<p>a</p>\n<p>b</p>');
+});
+
+test('textToParagraphs normalises existing <p> and <br> markup', () => {
+  assert.equal(textToParagraphs('<p>x</p><p>y</p>'), '<p>x</p>\n<p>y</p>');
+  assert.equal(textToParagraphs('a<br>b'), '<p>a<br />b</p>');
+  assert.equal(textToParagraphs('<b>굵게\n다음</b>'), '<p><b>굵게</b><br />다음</p>');
+});
+
+test('textToParagraphs drops multi-line scripts and returns an empty string when nothing is left', () => {
+  assert.equal(textToParagraphs('<script>\nalert(1)\n</script>\ntext'), '<p>text</p>');
+  assert.equal(textToParagraphs('  \n\n '), '');
+  assert.equal(textToParagraphs(null), '');
+});
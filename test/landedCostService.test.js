@@ -0,0 +1,74 @@
+// test/landedCostService.test.js
+// 배송 등급 선택(selectShippingClass), 부피무게를 반영한 운임 추정(estimateFreight)과 원가 계산(calculateLandedCost) 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const { selectShippingClass, estimateFreight, calculateLandedCost } = require('../src/services/landedCostService');
+
+// 기본 운임표: 기본 8 USD + kg당 12 USD, 부피무게 = 가로*세로*높이 / 5000
+// 캐시를 DB에서 다시 읽지 않도록 TTL을 없애면 기본 등급 목록의 isDefault 등급(MEDIUM)이 쓰입니다.
+config.landedCost.shippingClassCacheTtlMs = Infinity;
+
+const CLASSES = [
+  { code: 'ALBUM', categoryIds: ['600'], priority: 10 },
+  { code: 'LIGHTSTICK', categoryIds: ['600700'], priority: 20 },
+  { code: 'ALBUM_DUP', categoryIds: ['600'], priority: 30 },
+  { code: 'FALLBACK', categoryIds: [], priority: 40, isDefault: true },
+];
+
+test('estimateFreight charges the volumetric weight when it exceeds the actual weight', () => {
+  assert.deepEqual(estimateFreight({ weightKg: 0.5, lengthCm: 40, widthCm: 30, heightCm: 20 }), { freightUsd: 65.6, chargeableWeightKg: 4.8 });
+});
+
+test('estimateFreight charges the actual weight when it is larger or when a dimension is missing', () => {
+  assert.deepEqual(estimateFreight({ weightKg: 2, lengthCm: 10, widthCm: 10, heightCm: 10 }), { freightUsd: 32, chargeableWeightKg: 2 });
+  assert.deepEqual(estimateFreight({ weightKg: 1.5, lengthCm: 100, widthCm: 100 }), { freightUsd: 26, chargeableWeightKg: 1.5 });
+});
+
+test('estimateFreight uses the fixed freight override but still reports the chargeable weight', () => {
+  assert.deepEqual(estimateFreight({ weightKg: 1, lengthCm: 50, widthCm: 50, heightCm: 20, freightOverrideUsd: 15 }), { freightUsd: 15, chargeableWeightKg: 10 });
+});
+
+test('selectShippingClass picks the longest matching category prefix, then the earlier priority', () => {
+  assert.equal(selectShippingClass('600700100', CLASSES).code, 'LIGHTSTICK');
+  assert.equal(selectShippingClass('600100', CLASSES).code, 'ALBUM');
+  assert.equal(selectShippingClass('600100', CLASSES).matchedCategoryId, '600');
+});
+
+test('selectShippingClass falls back to the default class, then to the built-in default', () => {
+  assert.equal(selectShippingClass('310', CLASSES).code, 'FALLBACK');
+  assert.equal(selectShippingClass(null, CLASSES).code, 'FALLBACK');
+  assert.equal(selectShippingClass('310', []).code, 'MEDIUM');
+});
+
+test('calculateLandedCost only counts the item price while landed cost is disabled', async () => {
+  assert.equal(config.landedCost.enabled, false); // 기본값
+  const landed = await calculateLandedCost({ price: 100000, shippingFee: 4000, categoryId: '600' }, 0.00075);
+
+  assert.equal(landed.landedCostUsd, 75);
+  assert.equal(landed.freightUsd, 0);
+  assert.equal(landed.shippingClass, null);
+});
+
+test('calculateLandedCost adds Bunjang shipping, volumetric freight and the destination surcharge when enabled', async () => {
+  const { enabled, destinationSurchargesUsd } = config.landedCost;
+  try {
+    config.landedCost.enabled = true;
+    config.landedCost.destinationSurchargesUsd = { AU: 6 };
+    const landed = await calculateLandedCost({ price: 100000, shippingFee: 4000, categoryId: '600' }, 0.00075, { destination: 'au' });
+
+    // MEDIUM 등급: 1kg, 35x30x10cm → 부피무게 2.1kg → 8 + 12 * 2.1 = 33.2 USD
+    assert.equal(landed.shippingClass, 'MEDIUM');
+    assert.equal(landed.chargeableWeightKg, 2.1);
+    assert.equal(landed.freightUsd, 33.2);
+    assert.equal(landed.bunjangShippingUsd, 3);
+    assert.equal(landed.destinationSurchargeUsd, 6);
+    assert.equal(landed.destination, 'AU');
+    assert.ok(Math.abs(landed.landedCostUsd - 117.2) < 1e-9);
+  } finally {
+    Object.assign(config.landedCost, { enabled, destinationSurchargesUsd });
+  }
+});
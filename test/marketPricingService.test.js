@@ -0,0 +1,51 @@
+// test/marketPricingService.test.js
+// 통화별 현지 고정 가격 끝자리 처리(roundMarketPrice, calculateMarketPrice)와 적용 환율 교체 기준(resolveAppliedRate) 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const { roundMarketPrice, calculateMarketPrice, resolveAppliedRate } = require('../src/services/marketPricingService');
+
+// 기본 설정: JPY STEP:100, EUR/CAD/AUD CHARM_99, 환율 교체 임계값 2%
+config.marketPricing.rounding.KRW = 'STEP:1000';
+
+test('STEP rounds up to the next multiple of the step', () => {
+  assert.equal(roundMarketPrice(4198.5, 'JPY'), '4200');
+  assert.equal(roundMarketPrice(4200, 'JPY'), '4200');
+  assert.equal(roundMarketPrice(12345.6, 'KRW'), '13000');
+});
+
+test('STEP never goes below the floor amount', () => {
+  assert.equal(roundMarketPrice(1500, 'JPY', 1801), '1900');
+  assert.equal(calculateMarketPrice('10.00', 'JPY', 150, 12), '1800'); // 원가 12 USD * 150 = 1800엔
+});
+
+test('zero-decimal currencies are returned as whole units rounded up, other currencies with two decimals', () => {
+  assert.equal(roundMarketPrice(25000.4, 'VND'), '25001'); // 끝자리 설정 없음 (NONE)
+  assert.equal(roundMarketPrice(7.9, 'GBP'), '7.90');
+  assert.equal(calculateMarketPrice('27.99', 'EUR', 0.92), '25.99'); // 25.7508 → CHARM_99
+});
+
+test('calculateMarketPrice converts the listed USD price with the applied rate and the currency rounding', () => {
+  assert.equal(calculateMarketPrice('27.99', 'JPY', 150), '4200'); // 4198.5엔 → 100엔 단위 올림
+  assert.equal(calculateMarketPrice(27.99, 'CAD', 1.4), '39.99');
+  assert.equal(calculateMarketPrice(27.99, 'CAD', 1.4, 30), '42.99'); // 원가 42 CAD 아래로 내려가지 않음
+});
+
+test('resolveAppliedRate uses the current rate when nothing has been applied yet', () => {
+  assert.deepEqual(resolveAppliedRate(null, 150), { rate: 150, rateChanged: true, driftPercent: null });
+});
+
+test('resolveAppliedRate keeps the applied rate until the drift reaches the threshold', () => {
+  const kept = resolveAppliedRate(150, 152.9);
+  assert.equal(kept.rate, 150);
+  assert.equal(kept.rateChanged, false);
+  assert.ok(Math.abs(kept.driftPercent - 1.9333) < 1e-3);
+
+  const changed = resolveAppliedRate(150, 154);
+  assert.equal(changed.rate, 154);
+  assert.equal(changed.rateChanged, true);
+  assert.equal(resolveAppliedRate(150, 146).rate, 146); // 하락도 같은 기준
+});
@@ -0,0 +1,67 @@
+// test/priceRounding.test.js
+// 가격 끝자리 처리(applyPriceRounding) 전략별 결과와 원가 하한 처리 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyPriceRounding } = require('../src/services/priceCalculationService');
+
+test('NONE, a missing rounding and an unknown strategy leave the price unchanged', () => {
+  assert.deepEqual(applyPriceRounding(27.88, { strategy: 'NONE' }), { priceUsd: 27.88, strategy: 'NONE', raisedToCostFloor: false });
+  assert.deepEqual(applyPriceRounding(27.88, undefined), { priceUsd: 27.88, strategy: 'NONE', raisedToCostFloor: false });
+  assert.deepEqual(applyPriceRounding(27.88, { strategy: 'STEP' }), { priceUsd: 27.88, strategy: 'NONE', raisedToCostFloor: false });
+});
+
+test('CHARM_99 rounds up to the next .99', () => {
+  assert.equal(applyPriceRounding(27.88, { strategy: 'CHARM_99' }).priceUsd, 27.99);
+  assert.equal(applyPriceRounding(27.99, { strategy: 'CHARM_99' }).priceUsd, 27.99);
+  assert.equal(applyPriceRounding(28.00, { strategy: 'CHARM_99' }).priceUsd, 28.99);
+});
+
+test('CHARM_49_99 rounds up to the next .49 or .99', () => {
+  assert.equal(applyPriceRounding(27.30, { strategy: 'CHARM_49_99' }).priceUsd, 27.49);
+  assert.equal(applyPriceRounding(27.49, { strategy: 'CHARM_49_99' }).priceUsd, 27.49);
+  assert.equal(applyPriceRounding(27.60, { strategy: 'CHARM_49_99' }).priceUsd, 27.99);
+});
+
+test('WHOLE_DOLLAR rounds to the nearest dollar', () => {
+  assert.equal(applyPriceRounding(27.49, { strategy: 'WHOLE_DOLLAR' }).priceUsd, 27);
+  assert.equal(applyPriceRounding(27.50, { strategy: 'WHOLE_DOLLAR' }).priceUsd, 28);
+});
+
+test('NEAREST_5_ABOVE_THRESHOLD only rounds prices at or above the threshold', () => {
+  const rounding = { strategy: 'NEAREST_5_ABOVE_THRESHOLD', thresholdUsd: 100 };
+  assert.equal(applyPriceRounding(87.30, rounding).priceUsd, 87.30);
+  assert.equal(applyPriceRounding(122.00, rounding).priceUsd, 120);
+  assert.equal(applyPriceRounding(123.40, rounding).priceUsd, 125);
+  assert.equal(applyPriceRounding(87.30, { ...rounding, thresholdUsd: 50 }).priceUsd, 85);
+});
+
+test('a rounded price below the cost floor is raised to the nearest allowed value above it', () => {
+  assert.deepEqual(
+    applyPriceRounding(27.49, { strategy: 'WHOLE_DOLLAR' }, 27.20),
+    { priceUsd: 28, strategy: 'WHOLE_DOLLAR', raisedToCostFloor: true }
+  );
+  assert.deepEqual(
+    applyPriceRounding(122.00, { strategy: 'NEAREST_5_ABOVE_THRESHOLD', thresholdUsd: 100 }, 121.10),
+    { priceUsd: 125, strategy: 'NEAREST_5_ABOVE_THRESHOLD', raisedToCostFloor: true }
+  );
+  assert.deepEqual(
+    applyPriceRounding(27.88, { strategy: 'CHARM_99' }, 28.10),
+    { priceUsd: 28.99, strategy: 'CHARM_99', raisedToCostFloor: true }
+  );
+  assert.deepEqual(
+    applyPriceRounding(27.88, { strategy: 'CHARM_99' }, 27.50),
+    { priceUsd: 27.99, strategy: 'CHARM_99', raisedToCostFloor: false }
+  );
+});
+
+test('floating point noise in the cost floor does not push the price up by a cent', () => {
+  const costFloorUsd = 9.33 * 3; // 27.990000000000002
+  assert.notEqual(costFloorUsd, 27.99);
+  assert.deepEqual(
+    applyPriceRounding(27.88, { strategy: 'CHARM_99' }, costFloorUsd),
+    { priceUsd: 27.99, strategy: 'CHARM_99', raisedToCostFloor: false }
+  );
+});
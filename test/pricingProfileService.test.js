@@ -0,0 +1,76 @@
+// test/pricingProfileService.test.js
+// 가격 프로필 조건 판정(matchesCriteria)과 상품별 프로필 선택(selectPricingProfile), 가격 계산 설정 키(getPricingInputsKey) 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const PricingProfile = require('../src/models/pricingProfile.model');
+const pricingProfileService = require('../src/services/pricingProfileService');
+const { getPricingInputsKey } = require('../src/services/priceCalculationService');
+
+const { matchesCriteria, selectPricingProfile } = pricingProfileService;
+
+const ALBUM = { price: 30000, categoryId: '600100', brandId: '11', keywords: ['BTS', '앨범'] };
+
+const PROFILES = [
+  { _id: 'p-premium', name: 'premium', version: 1, priority: 10, criteria: { minPriceKrw: 100000 }, pricing: { markupPercentage: 20 } },
+  { _id: 'p-album', name: 'album', version: 3, priority: 20, criteria: { categoryIds: ['600'], tags: ['bts'] }, pricing: { markupPercentage: 15 } },
+  { _id: 'p-default', name: 'default', version: 1, priority: 30, isDefault: true, criteria: { categoryIds: ['999'] }, pricing: { markupPercentage: 12 } },
+];
+
+test('matchesCriteria checks the price range, category prefix, brand and tags', () => {
+  assert.equal(matchesCriteria({}, ALBUM), true);
+  assert.equal(matchesCriteria({ minPriceKrw: 30000, maxPriceKrw: 30000 }, ALBUM), true);
+  assert.equal(matchesCriteria({ maxPriceKrw: 29999 }, ALBUM), false);
+  assert.equal(matchesCriteria({ categoryIds: ['600'] }, ALBUM), true);
+  assert.equal(matchesCriteria({ categoryIds: ['700'] }, ALBUM), false);
+  assert.equal(matchesCriteria({ categoryIds: ['600'] }, { price: 1 }), false);
+  assert.equal(matchesCriteria({ brandIds: ['11', '12'] }, ALBUM), true);
+  assert.equal(matchesCriteria({ brandIds: ['12'] }, ALBUM), false);
+});
+
+test('matchesCriteria compares tags case-insensitively and accepts stored keyword JSON', () => {
+  assert.equal(matchesCriteria({ tags: ['bts'] }, ALBUM), true);
+  assert.equal(matchesCriteria({ tags: ['bts'] }, { price: 1, keywords: '["BTS"]' }), true);
+  assert.equal(matchesCriteria({ tags: ['bts'] }, { price: 1, keywords: 'exo, bts' }), true);
+  assert.equal(matchesCriteria({ tags: ['bts'] }, { price: 1, keywords: null }), false);
+});
+
+test('selectPricingProfile picks the first matching non-default profile in priority order', () => {
+  assert.equal(selectPricingProfile(ALBUM, PROFILES).name, 'album');
+  assert.equal(selectPricingProfile({ ...ALBUM, price: 150000 }, PROFILES).name, 'premium');
+});
+
+test('selectPricingProfile falls back to the default profile regardless of its criteria, then to the built-in profile', () => {
+  assert.equal(selectPricingProfile({ price: 5000, categoryId: '310' }, PROFILES).name, 'default');
+
+  const builtIn = selectPricingProfile({ price: 5000 }, PROFILES.filter(profile => !profile.isDefault));
+  assert.equal(builtIn.builtIn, true);
+  assert.equal(builtIn.pricing.rounding, config.priceCalculation.rounding);
+});
+
+test('getPricingInputsKey changes when the selected profile version or the rounding changes', async () => {
+  const rounding = config.priceCalculation.rounding;
+  let profiles = PROFILES;
+  PricingProfile.find = () => ({ sort() { return this; }, lean: async () => profiles });
+  try {
+    await pricingProfileService.refreshPricingProfiles();
+    const albumKey = getPricingInputsKey(ALBUM);
+    assert.equal(getPricingInputsKey({ ...ALBUM, brandId: '99' }), albumKey); // 같은 프로필/버전
+    assert.notEqual(getPricingInputsKey({ ...ALBUM, price: 150000 }), albumKey); // 다른 프로필
+
+    profiles = PROFILES.map(profile => (profile.name === 'album' ? { ...profile, version: 4 } : profile));
+    await pricingProfileService.refreshPricingProfiles();
+    assert.notEqual(getPricingInputsKey(ALBUM), albumKey);
+
+    profiles = [];
+    await pricingProfileService.refreshPricingProfiles();
+    const builtInKey = getPricingInputsKey(ALBUM);
+    config.priceCalculation.rounding = { strategy: 'CHARM_99' };
+    assert.notEqual(getPricingInputsKey(ALBUM), builtInKey);
+  } finally {
+    config.priceCalculation.rounding = rounding;
+  }
+});
@@ -0,0 +1,50 @@
+// test/productMediaService.test.js
+// productCreateMedia 결과의 실패 미디어를 원본 이미지 URL에 연결하는 처리(collectMediaErrors) 테스트.
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildMediaInputs, collectMediaErrors } = require('../src/services/productMediaService');
+
+const URLS = ['https://img.example/a.jpg', 'https://img.example/b.jpg', 'https://img.example/c.jpg'];
+
+test('buildMediaInputs gives every image a distinct alt text', () => {
+  const inputs = buildMediaInputs(URLS, 'Album');
+  assert.deepEqual(inputs.map(input => input.alt), ['Album - image 1 of 3', 'Album - image 2 of 3', 'Album - image 3 of 3']);
+});
+
+test('mediaUserErrors are matched to the input at the index in their field path', () => {
+  const inputs = buildMediaInputs(URLS, 'Album');
+  const errors = collectMediaErrors(inputs, {
+    mediaUserErrors: [
+      { field: ['media', '2', 'originalSource'], code: 'INVALID', message: 'bad url' },
+      { field: null, message: 'no field' },
+    ],
+    media: [],
+  });
+
+  assert.deepEqual(errors, [
+    { url: URLS[2], code: 'INVALID', message: 'bad url' },
+    { url: undefined, code: 'MEDIA_USER_ERROR', message: 'no field' },
+  ]);
+});
+
+test('failed media are matched by alt text, not by their position in the response', () => {
+  const inputs = buildMediaInputs(URLS, 'Album');
+  // 첫 번째 입력이 검증에 실패해 응답 media에서 빠지면 나머지 미디어의 위치가 하나씩 당겨집니다.
+  const errors = collectMediaErrors(inputs, {
+    mediaUserErrors: [{ field: ['media', '0', 'originalSource'], code: 'INVALID', message: 'bad url' }],
+    media: [
+      { id: 'gid://shopify/MediaImage/2', status: 'UPLOADED', alt: 'Album - image 2 of 3' },
+      { id: 'gid://shopify/MediaImage/3', status: 'FAILED', alt: 'Album - image 3 of 3' },
+    ],
+  });
+
+  assert.deepEqual(errors.map(error => [error.code, error.url]), [['INVALID', URLS[0]], ['MEDIA_FAILED', URLS[2]]]);
+});
+
+test('a failed media item whose alt matches no input is recorded without a URL', () => {
+  const errors = collectMediaErrors(buildMediaInputs(URLS, 'Album'), { media: [{ status: 'FAILED', alt: 'Edited by hand' }] });
+  assert.deepEqual(errors, [{ url: undefined, code: 'MEDIA_FAILED', message: 'Shopify failed to process the media.' }]);
+});
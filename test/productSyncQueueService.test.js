@@ -0,0 +1,78 @@
+// test/productSyncQueueService.test.js
+// 데드레터 큐의 PID별 항목 키(dlq-<pid>) 처리: 실패 작업 이동(moveToDeadLetter)과 동기화 성공 시 제거(removeDeadLetteredProducts) 테스트.
+
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const queues = require('../src/jobs/queues');
+
+// Redis 대신 jobId로 작업을 보관하는 메모리 큐
+const deadLetterJobs = new Map();
+const fakeDeadLetterQueue = {
+  async add(name, data, options) {
+    const job = { id: options.jobId, name, data, remove: async () => { deadLetterJobs.delete(options.jobId); } };
+    deadLetterJobs.set(options.jobId, job);
+    return job;
+  },
+  async getJob(jobId) {
+    return deadLetterJobs.get(jobId);
+  },
+  async remove(jobId) {
+    return deadLetterJobs.delete(jobId) ? 1 : 0;
+  },
+};
+queues.getQueue = name => (name === config.bullmq.queues.productSyncDeadLetter ? fakeDeadLetterQueue : null);
+
+const productSyncQueueService = require('../src/services/productSyncQueueService');
+
+const failedJob = (bunjangPid, id) => ({ id, attemptsMade: 2, data: { bunjangPid, product: { pid: bunjangPid, name: `상품 ${bunjangPid}` }, triggeredBy: 'test' } });
+
+beforeEach(() => {
+  deadLetterJobs.clear();
+  config.redis.enabled = true;
+});
+
+test('moveToDeadLetter keeps a single dlq-<pid> entry per product and counts repeated failures', async () => {
+  await productSyncQueueService.moveToDeadLetter(failedJob('111', 'job-1'), new Error('first'));
+  await productSyncQueueService.moveToDeadLetter(failedJob('111', 'job-2'), new Error('second'));
+
+  assert.deepEqual([...deadLetterJobs.keys()], ['dlq-111']);
+  const { data } = deadLetterJobs.get('dlq-111');
+  assert.equal(data.lastError, 'second');
+  assert.equal(data.originalJobId, 'job-2');
+  assert.equal(data.attemptsMade, 3);
+  assert.equal(data.deadLetterCount, 2);
+});
+
+test('removeDeadLetteredProducts removes only the entries of the given PIDs', async () => {
+  for (const pid of ['111', '222', '333']) await productSyncQueueService.moveToDeadLetter(failedJob(pid, `job-${pid}`), new Error('x'));
+
+  const removed = await productSyncQueueService.removeDeadLetteredProducts(['111', 333, '111', '999']);
+
+  assert.equal(removed, 2); // 중복 PID는 한 번만, 항목이 없는 PID는 0
+  assert.deepEqual([...deadLetterJobs.keys()], ['dlq-222']);
+});
+
+test('removeDeadLetteredProducts does nothing while Redis is disabled', async () => {
+  await productSyncQueueService.moveToDeadLetter(failedJob('111', 'job-1'), new Error('x'));
+  config.redis.enabled = false;
+
+  assert.equal(await productSyncQueueService.removeDeadLetteredProducts(['111']), 0);
+  assert.equal(deadLetterJobs.size, 1);
+});
+
+test('removeDeadLetteredProducts swallows queue errors so a successful sync is not failed', async () => {
+  const { remove } = fakeDeadLetterQueue;
+  fakeDeadLetterQueue.remove = async () => { throw new Error('Redis connection lost'); };
+  try {
+    assert.equal(await productSyncQueueService.removeDeadLetteredProducts(['111']), 0);
+  } finally {
+    fakeDeadLetterQueue.remove = remove;
+  }
+});
+
+test('requeueDeadLetteredProduct looks the entry up by its dlq-<pid> key', async () => {
+  await assert.rejects(productSyncQueueService.requeueDeadLetteredProduct('404'), error => error.statusCode === 404);
+});
@@ -0,0 +1,62 @@
+// test/shopifyBulkOperationService.test.js
+// 벌크 작업 완료 대기(waitForBulkOperation)의 시간 초과 시 취소와 부분 결과 반환 테스트. (Shopify 호출은 메모리 상태로 대체)
+
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const shopifyService = require('../src/services/shopifyService');
+const { waitForBulkOperation } = require('../src/services/shopifyBulkOperationService');
+
+Object.assign(config.shopify.bulkOperations, { pollIntervalMs: 1, timeoutMs: 20, cancelTimeoutMs: 20 });
+
+// 조회할 때마다 다음 상태를 돌려주고, 취소 요청(실패 포함) 후에는 afterCancel 상태를 돌려주는 가짜 벌크 작업
+let remote;
+shopifyService.getBulkOperation = async id => ({ id, ...(remote.canceled ? remote.afterCancel : remote.statuses.shift() || remote.last) });
+shopifyService.cancelBulkOperation = async () => {
+  remote.cancelCalls++;
+  remote.canceled = true;
+  if (remote.cancelError) throw remote.cancelError;
+};
+
+beforeEach(() => {
+  remote = { statuses: [], last: { status: 'RUNNING' }, afterCancel: { status: 'CANCELED', partialDataUrl: 'https://storage.example/partial.jsonl' }, canceled: false, cancelCalls: 0, cancelError: null };
+});
+
+test('waitForBulkOperation polls until the operation finishes', async () => {
+  remote.statuses = [{ status: 'RUNNING' }, { status: 'COMPLETED', url: 'https://storage.example/result.jsonl', objectCount: '3' }];
+
+  const operation = await waitForBulkOperation({ id: 'gid://shopify/BulkOperation/1', status: 'CREATED' });
+
+  assert.equal(operation.status, 'COMPLETED');
+  assert.equal(operation.url, 'https://storage.example/result.jsonl');
+  assert.equal(remote.cancelCalls, 0);
+});
+
+test('waitForBulkOperation cancels an operation that runs past the timeout and returns its partial results', async () => {
+  const operation = await waitForBulkOperation({ id: 'gid://shopify/BulkOperation/2', status: 'RUNNING' });
+
+  assert.equal(remote.cancelCalls, 1);
+  assert.equal(operation.status, 'CANCELED');
+  assert.equal(operation.partialDataUrl, 'https://storage.example/partial.jsonl');
+});
+
+test('waitForBulkOperation keeps polling when the cancel request fails because the operation just finished', async () => {
+  remote.cancelError = new Error('Bulk operation is not running');
+  remote.afterCancel = { status: 'COMPLETED' };
+
+  const operation = await waitForBulkOperation({ id: 'gid://shopify/BulkOperation/3', status: 'RUNNING' });
+
+  assert.equal(remote.cancelCalls, 1);
+  assert.equal(operation.status, 'COMPLETED');
+});
+
+test('waitForBulkOperation fails with SHOPIFY_BULK_OPERATION_TIMEOUT when the operation is not canceled in time', async () => {
+  remote.afterCancel = { status: 'CANCELING' };
+
+  await assert.rejects(
+    waitForBulkOperation({ id: 'gid://shopify/BulkOperation/4', status: 'RUNNING' }),
+    error => error.errorCode === 'SHOPIFY_BULK_OPERATION_TIMEOUT' && remote.cancelCalls === 1
+  );
+});
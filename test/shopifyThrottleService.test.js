@@ -0,0 +1,75 @@
+// test/shopifyThrottleService.test.js
+// Shopify GraphQL 비용 버킷(shopifyThrottleService)의 예상 비용, 예약 대기와 지표 테스트. (Redis 비활성화 → 프로세스 내 버킷)
+
+require('./helpers/testEnv');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const shopifyThrottleService = require('../src/services/shopifyThrottleService');
+
+const throttleStatus = (currentlyAvailable, { maximumAvailable = 1000, restoreRate = 1000 } = {}) => ({
+  throttleStatus: { currentlyAvailable, maximumAvailable, restoreRate },
+});
+
+test('estimateQueryCost uses the default cost, then the last requested cost capped at the bucket size', async () => {
+  assert.equal(shopifyThrottleService.estimateQueryCost('productSet'), config.shopify.graphqlThrottle.defaultQueryCost);
+
+  await shopifyThrottleService.recordQueryCost('productSet', { requestedQueryCost: 120, ...throttleStatus(1000) });
+  assert.equal(shopifyThrottleService.estimateQueryCost('productSet'), 120);
+
+  await shopifyThrottleService.recordQueryCost('productSet', { requestedQueryCost: 1500, ...throttleStatus(1000) });
+  assert.equal(shopifyThrottleService.estimateQueryCost('productSet'), 1000);
+});
+
+test('acquireQueryBudget reserves immediately while the bucket has enough budget', async () => {
+  await shopifyThrottleService.recordQueryCost('getProduct', { requestedQueryCost: 10, ...throttleStatus(1000) });
+  assert.equal(await shopifyThrottleService.acquireQueryBudget('getProduct'), 0);
+});
+
+test('acquireQueryBudget waits until the bucket restores the expected cost and counts the delay', async () => {
+  await shopifyThrottleService.recordQueryCost('getOrder', { requestedQueryCost: 30, ...throttleStatus(0) });
+  const before = await shopifyThrottleService.getThrottleMetrics();
+
+  const waitedMs = await shopifyThrottleService.acquireQueryBudget('getOrder'); // 초당 1000 복구 → 약 30ms
+
+  assert.ok(waitedMs > 0 && waitedMs <= 60, `waited ${waitedMs}ms`);
+  const after = await shopifyThrottleService.getThrottleMetrics();
+  assert.equal(after.delayedRequests, before.delayedRequests + 1);
+  assert.equal(after.delayMsTotal, before.delayMsTotal + waitedMs);
+});
+
+test('acquireQueryBudget sends without waiting when the wait would exceed maxWaitMs', async () => {
+  const { maxWaitMs } = config.shopify.graphqlThrottle;
+  try {
+    config.shopify.graphqlThrottle.maxWaitMs = 10;
+    await shopifyThrottleService.recordQueryCost('bulkQuery', { requestedQueryCost: 50, ...throttleStatus(0, { restoreRate: 1 }) });
+    assert.equal(await shopifyThrottleService.acquireQueryBudget('bulkQuery'), 0);
+  } finally {
+    config.shopify.graphqlThrottle.maxWaitMs = maxWaitMs;
+  }
+});
+
+test('recordQueryCost counts throttled responses and getThrottleMetrics reports the in-process bucket', async () => {
+  const before = await shopifyThrottleService.getThrottleMetrics();
+  assert.equal(await shopifyThrottleService.recordQueryCost('getProduct', undefined, { throttled: true }), false); // 비용 정보 없음
+
+  await shopifyThrottleService.recordQueryCost('getProduct', throttleStatus(400, { maximumAvailable: 2000, restoreRate: 100 }));
+  const metrics = await shopifyThrottleService.getThrottleMetrics();
+
+  assert.equal(metrics.source, 'local');
+  assert.equal(metrics.throttledResponses, before.throttledResponses + 1);
+  assert.equal(metrics.maximum, 2000);
+  assert.equal(metrics.restoreRate, 100);
+  assert.ok(metrics.available >= 400 && metrics.available < 420);
+});
+
+test('nothing is reserved or recorded while the throttle is disabled', async () => {
+  try {
+    config.shopify.graphqlThrottle.enabled = false;
+    assert.equal(await shopifyThrottleService.acquireQueryBudget('getProduct'), 0);
+    assert.equal(await shopifyThrottleService.recordQueryCost('getProduct', throttleStatus(0)), false);
+  } finally {
+    config.shopify.graphqlThrottle.enabled = true;
+  }
+});
@@ -0,0 +1,111 @@
+// test/translationService.test.js
+// 용어집 자리표시자 보호/복원과 번역 캐시 적중 경로 테스트. (local 제공자, DB 대신 메모리 캐시)
+
+require('./helpers/testEnv');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const GlossaryTerm = require('../src/models/glossaryTerm.model');
+const TranslationCache = require('../src/models/translationCache.model');
+const translationProviders = require('../src/services/translationProviders');
+const translationService = require('../src/services/translationService');
+
+// sourceHash별 번역 캐시 (provider/glossaryVersion 조건은 테스트에서 구분할 필요가 없어 무시)
+const cacheStore = new Map();
+const providerCalls = [];
+
+GlossaryTerm.find = () => ({ lean: async () => [] });
+TranslationCache.find = (filter) => ({
+  select() { return this; },
+  lean: async () => filter.sourceHash.$in
+    .filter(hash => cacheStore.has(`${filter.provider}:${hash}`))
+    .map(hash => ({ sourceHash: hash, translatedText: cacheStore.get(`${filter.provider}:${hash}`) })),
+});
+TranslationCache.updateMany = async () => ({ modifiedCount: 0 });
+TranslationCache.updateOne = async (filter, update) => {
+  cacheStore.set(`${filter.provider}:${filter.sourceHash}`, update.$set.translatedText);
+  return { upsertedCount: 1 };
+};
+
+// local 제공자를 감싸 호출된 원문(자리표시자 치환 후)을 기록
+const localProvider = translationProviders.getProvider('local');
+translationProviders.registerProvider({
+  name: 'recording-local',
+  translateBatch: async (texts, options) => {
+    providerCalls.push(texts);
+    return localProvider.translateBatch(texts, options);
+  },
+});
+// 자리표시자를 지워 버리는 제공자
+translationProviders.registerProvider({
+  name: 'placeholder-dropping',
+  translateBatch: async texts => texts.map(text => text.replace(/\[\[G\d+\]\]/g, '')),
+});
+
+beforeEach(() => {
+  cacheStore.clear();
+  providerCalls.length = 0;
+});
+
+test('glossary aliases are replaced with placeholders before the provider and restored afterwards', async () => {
+  const result = await translationService.translateTexts(['방탄소년단 앨범 포카'], { provider: 'recording-local' });
+
+  assert.deepEqual(result.translations, ['BTS Album Photocard']);
+  assert.equal(result.cacheHits, 0);
+  assert.equal(providerCalls.length, 1);
+  assert.match(providerCalls[0][0], /\[\[G0\]\]/);
+  assert.doesNotMatch(providerCalls[0][0], /방탄소년단/);
+});
+
+test('short aliases only match as whole words (particles allowed)', async () => {
+  const result = await translationService.translateTexts(['블핑 정품 키링', '블핑크 인형', '방탄의 포스터'], { provider: 'recording-local' });
+
+  assert.equal(result.translations[0], 'BLACKPINK Authentic Keyring');
+  assert.doesNotMatch(result.translations[1], /BLACKPINK/); // "블핑크"의 일부인 "블핑"은 치환하지 않음
+  assert.match(result.translations[2], /^BTS /);
+});
+
+test('texts without Hangul are returned as-is without calling the provider', async () => {
+  const result = await translationService.translateTexts(['Official light stick', ''], { provider: 'recording-local' });
+
+  assert.deepEqual(result.translations, ['Official light stick', '']);
+  assert.equal(providerCalls.length, 0);
+});
+
+test('a repeated source text is served from the translation cache without calling the provider', async () => {
+  const first = await translationService.translateTexts(['방탄소년단 앨범'], { provider: 'recording-local' });
+  const second = await translationService.translateTexts(['방탄소년단 앨범', '블핑 키링'], { provider: 'recording-local' });
+
+  assert.equal(first.cacheHits, 0);
+  assert.equal(second.cacheHits, 1);
+  assert.deepEqual(second.translations, ['BTS Album', 'BLACKPINK Keyring']);
+  assert.equal(providerCalls.length, 2);
+  assert.equal(providerCalls[1].length, 1); // 두 번째 호출은 캐시에 없던 원문만 제공자로 전달
+  assert.equal(second.glossaryVersion, first.glossaryVersion);
+});
+
+test('a provider that drops a glossary placeholder fails with TRANSLATION_GLOSSARY_VIOLATION and nothing is cached', async () => {
+  await assert.rejects(
+    translationService.translateTexts(['방탄소년단 앨범'], { provider: 'placeholder-dropping' }),
+    error => error.errorCode === 'TRANSLATION_GLOSSARY_VIOLATION' && /BTS/.test(error.message)
+  );
+  assert.equal(cacheStore.size, 0);
+});
+
+test('translateProduct returns the Korean original when translation is disabled or only the test provider is configured', async () => {
+  const product = { pid: '1', name: '방탄소년단 앨범', description: '미개봉' };
+  const original = { title: '방탄소년단 앨범', description: '미개봉', translated: false };
+  const { enabled, provider } = config.translation;
+
+  try {
+    assert.equal(enabled, false); // 기본값
+    assert.deepEqual(await translationService.translateProduct(product), original);
+
+    config.translation.enabled = true;
+    config.translation.provider = 'local';
+    assert.deepEqual(await translationService.translateProduct(product), original);
+  } finally {
+    Object.assign(config.translation, { enabled, provider });
+  }
+});